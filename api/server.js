@@ -7,6 +7,7 @@ const morgan = require('morgan');
 const apiRoutes = require('../src/routes/apiRoutes');
 const { ensureDatabase, initializeSchema, testConnection, getDialect } = require('../src/config/db');
 const { errorHandler, notFoundHandler } = require('../src/middleware/errorHandler');
+const { seedItemWeights } = require('../src/services/itemWeightService');
 const { scheduleDailySyncJob } = require('../src/jobs/dailySyncJob');
 
 const app = express();
@@ -18,7 +19,12 @@ app.use(helmet({
   contentSecurityPolicy: false
 }));
 app.use(morgan('dev'));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw payload so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 app.use('/api', (req, res, next) => {
@@ -35,6 +41,8 @@ app.get('/api/health', (req, res) => {
 app.use('/api', apiRoutes);
 app.use('/api', notFoundHandler);
 
+// Logic shared with the browser (window.SalesLogic)
+app.use('/shared', express.static(path.join(process.cwd(), 'src/shared')));
 app.use(express.static(path.join(process.cwd(), 'public')));
 app.get('*', (req, res) => {
   res.sendFile(path.join(process.cwd(), 'public/index.html'));
@@ -63,6 +71,7 @@ async function initializeDatabaseOnStartup() {
     if (shouldAutoInitDb()) {
       await ensureDatabase();
       await initializeSchema();
+      await seedItemWeights();
     }
 
     await testConnection();
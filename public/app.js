@@ -20,12 +20,295 @@ window.showMessage = function(message, type = 'info') {
   }, 5000);
 };
 
+// --- SIGN-IN & ROLES ---
+const ROLE_RANK = { staff: 1, manager: 2, owner: 3 };
+window.currentUser = null;
+
+window.hasRole = function(role) {
+  return (ROLE_RANK[window.currentUser?.role] || 0) >= ROLE_RANK[role];
+};
+
+let pinUsers = [];
+let selectedPinUserId = null;
+let idleTimer = null;
+
+// Any API call rejected for a missing or expired session brings back the sign-in screen
+const nativeFetch = window.fetch.bind(window);
+window.fetch = async function(input, options) {
+  const res = await nativeFetch(input, options);
+  const url = typeof input === 'string' ? input : input?.url || '';
+  if (res.status === 401 && url.startsWith('/api/') && !url.startsWith('/api/auth/')) {
+    window.currentUser = null;
+    openSignIn();
+  }
+  return res;
+};
+
+/**
+ * Show the sign-in screen; the PIN quick switch when any account has a PIN
+ */
+async function openSignIn() {
+  try {
+    const res = await nativeFetch('/api/auth/pin-users', { cache: 'no-store' });
+    pinUsers = res.ok ? (await res.json()).users || [] : [];
+  } catch (error) {
+    pinUsers = [];
+  }
+  showLoginOverlay(pinUsers.length ? 'pin' : 'login');
+}
+
+/**
+ * @param {string} mode - 'pin', 'login' or 'setup' (first owner account)
+ */
+function showLoginOverlay(mode) {
+  const overlay = document.getElementById('loginOverlay');
+  if (!overlay) return;
+  overlay.dataset.mode = mode;
+  const titles = { pin: 'Quick switch', login: 'Sign in', setup: 'Create owner account' };
+  document.getElementById('loginTitle').textContent = titles[mode];
+  document.getElementById('loginSubmitBtn').textContent = mode === 'setup' ? 'Create account' : 'Sign in';
+  document.getElementById('loginSetupNote').classList.toggle('d-none', mode !== 'setup');
+  document.getElementById('loginError').textContent = '';
+
+  // Hidden fields are disabled so their `required` does not block the form
+  const toggleGroup = (selector, visible) => overlay.querySelectorAll(selector).forEach((el) => {
+    el.classList.toggle('d-none', !visible);
+    el.querySelectorAll('input').forEach((input) => { input.disabled = !visible; });
+  });
+  toggleGroup('[data-setup-only]', mode === 'setup');
+  toggleGroup('[data-password-only]', mode !== 'pin');
+  toggleGroup('[data-pin-only]', mode === 'pin');
+
+  const modeToggle = document.getElementById('loginModeToggle');
+  modeToggle.classList.toggle('d-none', mode === 'setup' || !pinUsers.length);
+  modeToggle.textContent = mode === 'pin' ? 'Sign in with password' : 'Use PIN';
+  // Switching can be cancelled while someone is still signed in
+  document.getElementById('loginCancelBtn').classList.toggle('d-none', !window.currentUser);
+
+  if (mode === 'pin') {
+    renderPinUsers();
+  }
+  overlay.classList.remove('d-none');
+  document.getElementById(mode === 'pin' ? 'loginPin' : 'loginUsername')?.focus();
+}
+
+function renderPinUsers() {
+  const list = document.getElementById('pinUserList');
+  if (!list) return;
+  if (!pinUsers.some((user) => user.id === selectedPinUserId)) {
+    selectedPinUserId = pinUsers.length === 1 ? pinUsers[0].id : null;
+  }
+  list.innerHTML = '';
+  pinUsers.forEach((user) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `btn btn-sm ${user.id === selectedPinUserId ? 'btn-primary' : 'btn-outline-secondary'}`;
+    btn.textContent = user.display_name;
+    btn.addEventListener('click', () => {
+      selectedPinUserId = user.id;
+      renderPinUsers();
+      document.getElementById('loginPin')?.focus();
+    });
+    list.appendChild(btn);
+  });
+}
+
+function applyRoleVisibility() {
+  document.querySelectorAll('[data-min-role]').forEach((el) => {
+    el.classList.toggle('d-none', !window.hasRole(el.dataset.minRole));
+  });
+
+  const badge = document.getElementById('userBadge');
+  if (!badge) return;
+  badge.classList.toggle('d-none', !window.currentUser);
+  document.getElementById('userBadgeName').textContent = window.currentUser?.display_name || '';
+  document.getElementById('userBadgeRole').textContent = window.currentUser?.role || '';
+}
+
+/**
+ * Sign a PIN session out after the configured minutes without taps or keys,
+ * so the next person has to identify themselves
+ */
+function startIdleTimer() {
+  const minutes = Number(window.currentUser?.idle_timeout_minutes);
+  if (!minutes) return;
+  const reset = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(logout, minutes * 60000);
+  };
+  ['click', 'keydown', 'touchstart', 'scroll'].forEach((type) => {
+    document.addEventListener(type, reset, { passive: true });
+  });
+  reset();
+}
+
+/**
+ * Load the signed-in user; shows the sign-in (or first-run setup) screen when there is none
+ * @returns {Promise<boolean>} true when signed in
+ */
+async function checkSession() {
+  try {
+    const res = await nativeFetch('/api/auth/me', { cache: 'no-store' });
+    const data = await res.json().catch(() => ({}));
+    if (res.ok && data.user) {
+      window.currentUser = data.user;
+      applyRoleVisibility();
+      startIdleTimer();
+      return true;
+    }
+    if (data.needs_setup) {
+      showLoginOverlay('setup');
+    } else {
+      await openSignIn();
+    }
+  } catch (error) {
+    console.error('Error checking session:', error);
+    showLoginOverlay('login');
+  }
+  return false;
+}
+
+async function submitLogin(event) {
+  event.preventDefault();
+  const mode = document.getElementById('loginOverlay')?.dataset.mode;
+  const errorEl = document.getElementById('loginError');
+  let url = '/api/auth/login';
+  let body = {
+    username: document.getElementById('loginUsername').value.trim(),
+    password: document.getElementById('loginPassword').value
+  };
+  if (mode === 'setup') {
+    url = '/api/auth/setup';
+    body.display_name = document.getElementById('loginDisplayName').value.trim();
+    body.setup_token = document.getElementById('loginSetupToken').value;
+  } else if (mode === 'pin') {
+    if (!selectedPinUserId) {
+      errorEl.textContent = 'Tap your name first';
+      return;
+    }
+    url = '/api/auth/pin';
+    body = { user_id: selectedPinUserId, pin: document.getElementById('loginPin').value };
+  }
+
+  errorEl.textContent = '';
+  try {
+    const res = await nativeFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      errorEl.textContent = data.message || 'Sign in failed';
+      document.getElementById('loginPin').value = '';
+      return;
+    }
+    // Reload so every section fetches its data with the new session
+    window.location.reload();
+  } catch (error) {
+    errorEl.textContent = error.message;
+  }
+}
+
+async function logout() {
+  await nativeFetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+  window.location.reload();
+}
+
 // --- EXPENSES LOGIC ---
-let currentNetSale = 0; 
+let currentNetSale = 0;
 let activeSyncController = null;
 let activeSyncRequestId = 0;
 const SYNC_TIMEOUT_MS = 25000;
 
+// --- STORE SELECTION ---
+const STORE_STORAGE_KEY = 'selectedStore';
+const ALL_STORES = 'all';
+let storeBusinessDayStarts = new Map();
+let defaultBusinessDayStart = '00:00';
+
+window.getSelectedStore = function() {
+  return document.getElementById('storeSelect')?.value || localStorage.getItem(STORE_STORAGE_KEY) || '';
+};
+
+window.isAllStoresSelected = function() {
+  return window.getSelectedStore() === ALL_STORES;
+};
+
+/**
+ * Append the selected store to an API URL
+ */
+window.withStore = function(url) {
+  const store = window.getSelectedStore();
+  if (!store) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}store=${encodeURIComponent(store)}`;
+};
+
+/**
+ * Minutes after midnight at which the selected store's business day starts
+ */
+window.getBusinessDayStartMinutes = function() {
+  const start = storeBusinessDayStarts.get(window.getSelectedStore()) || defaultBusinessDayStart;
+  const [hours, minutes] = start.split(':').map(Number);
+  return (hours * 60) + minutes;
+};
+
+/**
+ * Business date (YYYY-MM-DD, Asia/Bangkok) a timestamp belongs to;
+ * with a 04:00 start, 02:00 still counts toward the previous night
+ */
+window.toBusinessDate = function(value) {
+  const shifted = new Date(new Date(value).getTime() - window.getBusinessDayStartMinutes() * 60000);
+  const options = { timeZone: 'Asia/Bangkok', year: 'numeric', month: '2-digit', day: '2-digit' };
+  return new Intl.DateTimeFormat('en-CA', options).format(shifted);
+};
+
+function updateStoreDependentControls() {
+  const syncBtn = document.getElementById('syncButton');
+  if (syncBtn) syncBtn.disabled = window.isAllStoresSelected();
+  if (typeof loadTipSettings === 'function') loadTipSettings();
+}
+
+/**
+ * Fill the store picker; "All stores" is only offered when there is more than one
+ */
+async function loadStores() {
+  const select = document.getElementById('storeSelect');
+  if (!select) return;
+
+  try {
+    const res = await fetch('/api/stores');
+    const data = res.ok ? await res.json() : { stores: [] };
+    const stores = data.stores || [];
+    defaultBusinessDayStart = data.default_business_day_start || '00:00';
+    storeBusinessDayStarts = new Map(
+      stores.filter(store => store.business_day_start).map(store => [store.id, store.business_day_start])
+    );
+
+    select.innerHTML = '';
+    stores.forEach(store => {
+      const option = document.createElement('option');
+      option.value = store.id;
+      option.textContent = store.name || store.id;
+      select.appendChild(option);
+    });
+    if (stores.length > 1) {
+      const option = document.createElement('option');
+      option.value = ALL_STORES;
+      option.textContent = 'All stores';
+      select.appendChild(option);
+    }
+
+    const saved = localStorage.getItem(STORE_STORAGE_KEY);
+    const values = Array.from(select.options).map(option => option.value);
+    select.value = values.includes(saved) ? saved : (data.default_store_id || values[0] || '');
+    select.closest('.col-lg-3')?.classList.toggle('d-none', stores.length === 0);
+  } catch (error) {
+    console.error('Failed to load stores:', error);
+  }
+  updateStoreDependentControls();
+}
+
 function renderExpenses() {
   const date = document.getElementById('reportDate')?.value;
   if (!date) return;
@@ -41,9 +324,7 @@ function renderExpenses() {
 // ----------------------
 
 function todayLocalDate() {
-  const now = new Date();
-  const tzOffset = now.getTimezoneOffset() * 60000;
-  return new Date(now - tzOffset).toISOString().slice(0, 10);
+  return window.toBusinessDate(new Date());
 }
 
 function parseNumber(value) {
@@ -389,35 +670,9 @@ function attachDiscountPercentage(entries, discountEntries) {
 function applyPaymentDetails(data, receiptGramMap = new Map()) {
   const discountEntries = normalizeEntries(Array.isArray(data?.discount_entry_details) && data.discount_entry_details.length ? data.discount_entry_details : data?.discount_entries || []);
   
-  // Create a set of refund receipt numbers for quick lookup
+  // Refund receipts and the originals they refund, as the server excludes them
   const orders = Array.isArray(data?.orders) ? data.orders : [];
-  const refundReceiptNumbers = new Set();
-  const originalReceiptNumbersToExclude = new Set();
-  
-  orders.forEach(order => {
-    const receiptNumber = String(order.receipt_number || order.number || '').trim();
-    if (isRefundOrder(order)) {
-      refundReceiptNumbers.add(receiptNumber);
-      
-      // Look for the original receipt number in the refund data
-      const originalNumber = order.refund_for || order.refund_for_receipt_number || order.original_receipt_number;
-      if (originalNumber) {
-        originalReceiptNumbersToExclude.add(String(originalNumber).trim());
-      }
-      
-      // Also check if it's in the note or description (common in some setups)
-      const note = String(order.note || '').toUpperCase();
-      const match = note.match(/REFUND\s+(?:OF\s+)?#?([0-9-]+)/);
-      if (match && match[1]) {
-        originalReceiptNumbersToExclude.add(match[1].trim());
-      }
-    }
-    
-    // Check if the receipt itself is marked as refunded
-    if (order.is_refunded === true || order.refunded === true || order.is_returned === true || order.refunded_at || order.returned_at) {
-      originalReceiptNumbersToExclude.add(receiptNumber);
-    }
-  });
+  const excludedReceiptNumbers = window.SalesLogic.collectRefundedReceiptNumbers(orders);
 
   const filterRefundEntries = (entries) => {
     const currentDate = document.getElementById("reportDate")?.value;
@@ -426,13 +681,10 @@ function applyPaymentDetails(data, receiptGramMap = new Map()) {
       
       // Strict Date Filtering: Only show entries that belong to the selected date
       if (currentDate && e.time) {
-        const options = { timeZone: 'Asia/Bangkok', year: 'numeric', month: '2-digit', day: '2-digit' };
-        const formatter = new Intl.DateTimeFormat('en-CA', options);
-        const localDate = formatter.format(new Date(e.time));
-        if (localDate !== currentDate) return false;
+        if (window.toBusinessDate(e.time) !== currentDate) return false;
       }
 
-      return !refundReceiptNumbers.has(receiptKey) && !originalReceiptNumbersToExclude.has(receiptKey);
+      return !excludedReceiptNumbers.has(receiptKey);
     });
   };
 
@@ -540,240 +792,76 @@ function applyPaymentDetails(data, receiptGramMap = new Map()) {
 }
 
 /**
- * Check if an order is a refund receipt
+ * Load the classification rules, gram weights and money settings into window.SalesLogic so
+ * the dashboard classifies items exactly like the server. Until this returns
+ * (or if it fails) the built-in rules are used.
  */
-function isRefundOrder(order) {
-  if (!order || typeof order !== 'object') return false;
-  
-  // Check receipt type
-  const receiptType = String(order.receipt_type || order.type || '').toUpperCase();
-  if (receiptType === 'REFUND') return true;
-  
-  // Check for refund flags
-  if (order.is_refunded === true || order.refunded === true || order.is_returned === true) return true;
-  if (order.refunded_at || order.returned_at) return true;
-  
-  // Check for refund collections
-  const hasRefunds = Array.isArray(order.refunds) && order.refunds.length > 0;
-  const hasRefundItems = Array.isArray(order.refund_items) && order.refund_items.length > 0;
-  const hasReturns = Array.isArray(order.returns) && order.returns.length > 0;
-  
-  if (hasRefunds || hasRefundItems || hasReturns) return true;
-
-  // Check for negative total
-  const total = Number(order.total_money?.amount ?? order.total_money ?? order.amount ?? 0);
-  if (total < 0) return true;
+let salesLogicConfigReady = Promise.resolve();
 
-  // Check for voided status
-  const status = String(order.status || '').toUpperCase();
-  if (['VOIDED', 'VOID', 'CANCELLED', 'CANCELED', 'DELETED'].includes(status)) return true;
+async function loadSalesLogicConfig() {
+  try {
+    const res = await fetch('/api/sales-logic/config');
+    if (!res.ok) return;
+    const config = await res.json();
+    window.SalesLogic.configure({ moneyDivisor: config.money_divisor });
+    window.SalesLogic.setClassificationRules(config.rules || []);
+    window.SalesLogic.setItemWeights(config.item_weights || []);
+  } catch (error) {
+    console.error('Error loading sales logic config:', error);
+  }
+}
 
-  return false;
+function toDetailedItem(item, receipt, time) {
+  const isFB = item.classification === 'fb';
+  const price = parseNumber(item.net ?? item.price);
+  const gramQty = parseNumber(item.gram_qty);
+  return {
+    receipt,
+    time,
+    gram: gramQty > 0 ? `${gramQty.toFixed(3)} G` : '',
+    itemName: item.item_name,
+    price,
+    isFB,
+    mainPrice: isFB ? 0 : price,
+    fbPrice: isFB ? price : 0
+  };
 }
 
 /**
  * Process orders and build both Order Entries table rows and Detailed Sales Record items
+ * using the shared sales logic (same classification, discounts and grams as the server)
  */
 function processOrdersData(data) {
-  const orders = Array.isArray(data?.orders) ? data.orders : [];
-  
-  // 1. Identify all refund receipts and the original receipts they point to
-  const refundReceiptNumbers = new Set();
-  const originalReceiptNumbersToExclude = new Set();
-  
-  orders.forEach(order => {
-    const receiptNumber = String(order.receipt_number || order.number || '').trim();
-    if (isRefundOrder(order)) {
-      refundReceiptNumbers.add(receiptNumber);
-      
-      // Look for the original receipt number in the refund data
-      const originalNumber = order.refund_for || order.refund_for_receipt_number || order.original_receipt_number;
-      if (originalNumber) {
-        originalReceiptNumbersToExclude.add(String(originalNumber).trim());
-      }
-      
-      // Also check if it's in the note or description (common in some setups)
-      const note = String(order.note || '').toUpperCase();
-      const match = note.match(/REFUND\s+(?:OF\s+)?#?([0-9-]+)/);
-      if (match && match[1]) {
-        originalReceiptNumbersToExclude.add(match[1].trim());
-      }
-    }
-    
-    // Check if the receipt itself is marked as refunded
-    if (order.is_refunded === true || order.refunded === true || order.is_returned === true || order.refunded_at || order.returned_at) {
-      originalReceiptNumbersToExclude.add(receiptNumber);
-    }
-  });
-
+  const orders = window.SalesLogic.filterOutRefundReceipts(Array.isArray(data?.orders) ? data.orders : []);
   const orderEntries = [];
   const detailedItems = [];
   let totalGrams = 0;
 
   orders.forEach(order => {
+    const analysis = window.SalesLogic.analyzeReceipt(order);
     const receiptNumber = String(order.receipt_number || order.number || '').trim();
-    
-    // 🛡️ MANUAL OVERRIDE: Receipt #2-21386 date discrepancy fix
-    const currentDate = document.getElementById("reportDate")?.value;
-    if (currentDate === '2026-05-21' && receiptNumber === '#2-21386') {
-      console.log(`[Frontend] Manually excluded #2-21386 from May 21 table`);
-      return;
-    }
-
-    // Skip refund orders and original orders that were refunded
-    if (refundReceiptNumbers.has(receiptNumber) || originalReceiptNumbersToExclude.has(receiptNumber)) return;
-    if (isRefundOrder(order)) return;
-    let orderLineGram = 0;
-    let mainAndAccPrice = 0;
-    let fbPriceTotal = 0;
     const receiptTime = order.receipt_date || order.created_at;
 
-    const items = order?.line_items || order?.items || [];
-    const orderTotalMoney = Number(order?.total_money || 0);
-    const orderDiscountMoney = Number(order?.total_discount || 0);
-    const hasOrderDiscount = orderDiscountMoney > 0;
-
-    items.forEach(item => {
-      let itemName = String(item?.name || item?.item_name || "").toLowerCase();
-      let category = String(item?.category_name || "").toLowerCase();
-      const qtyRaw = Number(item?.quantity ?? item?.qty ?? 0);
-      
-      // --- Zero-Value Gatekeeper Rule ---
-      const lineNetRaw = item?.total_money?.amount ?? item?.total_money;
-      const hasLineNetPrice = lineNetRaw !== undefined && lineNetRaw !== null;
-      const grossRaw = item?.gross_total_money?.amount ?? item?.gross_total_money;
-      let grossPrice = Number(grossRaw);
-      if (!Number.isFinite(grossPrice)) {
-        grossPrice = Number(lineNetRaw);
-      }
-      if (!Number.isFinite(grossPrice)) {
-        grossPrice = Number(item?.price ?? 0) * qtyRaw;
-      }
-      if (!Number.isFinite(grossPrice)) {
-        grossPrice = 0;
-      }
-      
-      // Calculate item-level net price (after line-item discounts)
-      let lineItemNetPrice = Number(lineNetRaw ?? 0);
-      if (!Number.isFinite(lineItemNetPrice)) {
-        lineItemNetPrice = 0;
-      }
-      if (!hasLineNetPrice && grossPrice > 0) {
-        lineItemNetPrice = grossPrice - Number(item?.total_discount_money?.amount ?? item?.total_discount_money ?? item?.discount_money?.amount ?? item?.discount_money ?? 0);
-      }
-
-      let itemNetPrice = lineItemNetPrice;
-      if (!hasLineNetPrice && hasOrderDiscount && orderTotalMoney > 0 && lineItemNetPrice > 0) {
-        itemNetPrice = lineItemNetPrice - (lineItemNetPrice / (orderTotalMoney + orderDiscountMoney) * orderDiscountMoney);
-      }
-
-      const itemDiscount = Math.max(0, grossPrice - itemNetPrice);
-      const itemDiscountPercent = grossPrice > 0 ? (itemDiscount / grossPrice * 100) : 0;
-      
-      if (itemNetPrice <= 0.01 || itemDiscountPercent >= 99.99) return;
-
-      let qty = qtyRaw;
-      if (itemName.includes('lemon cherry') && grossPrice >= 4970) {
-        qty = 7;
-      }
-
-      const flowerStrains = [
-        'grape soda', 'gelonade', 'blue pave', 'devil driver', 'lemon cherry gelato', 
-        'moonbow', 'emergen c', 'tea time', 'silver shadow', 
-        'rozay cake', 'truffaloha', 'the planet of grape', 'crunch berriez',
-        'big foot', 'honey bee', 'jealousy mintz', 'crystal candy',
-        'alien mint', 'rocket fuel', 'gold dust', 'darth vader',
-        'cherry pop tarts', 'white cherry gelato', 'dosidos', 'obama runtz',
-        'free pina colada', 'free kanobi sunset', 'fakescotti', 'pina colada', 'thc gummy', 'flower', 
-        'bud', 'pre-roll', 'joint', 'cheese candy', 'vino tinto', 'mac stormper', 
-        'r2d2 fluid', 'planet of the grape', 'moonlight sonata', 'american pie', 
-        'gastro pop', 'dulce de uva', 'gelato 41', 'rs11', 'frost boof', 
-        'lemon cherry martini', 'royal marker', 'cherry rage', 'mac 1 x permanent', 
-        '3 hour tour', 'creature feature', 'trich tyson', 'groot snack', 'groot\'s snack'
-      ];
-
-      const fbKeywords = [
-        'water', 'soda', 'beer', 'drink', 'beverage', 'alcohol', 'wine', 
-        'cider', 'spirit', 'cocktail', 'milk', 'coffee', 'tea', 'juice',
-        'corona', 'sato', 'budweiser', 'singha', 'asahi', 'chang', 'leo', 
-        'cocacola', 'coke', 'sprite', 'tonic water', 'soda water',
-        'cookie', 'brownie', 'cake', 'soju', 'snack', 'food', 'bakery'
-      ];
-
-      const accessoryKeywords = [
-        'accessories', 'merchandise', 'bong', 'paper', 'tip', 'grinder',
-        'shirt', 'hat', 'lighter', 'the lobby', 'merch', 'ashtray', 'ash tray',
-        'pipe', 'small pipe', 'best buds grinder', 'best buds shirt',
-        'nf best buds shirt', 'sw best buds shirt', 'balm 10g', 'pillow mist', 'balm', 'bileaf', 'plastic tray'
-      ];
-
-      let isThcGummy = itemName.includes('thc gummy');
-      let isAccessory = accessoryKeywords.some(keyword => itemName.includes(keyword) || category.includes(keyword));
-      let isLobbyShirt = itemName.includes('the lobby shirt');
-
-      let isFB = !isAccessory && (
-        fbKeywords.some(keyword => itemName.includes(keyword) || category.includes(keyword)) ||
-        (['tea'].some(keyword => itemName.includes(keyword) || category.includes(keyword)) && !itemName.includes('tea time'))
-      );
-
-      // Exception: 'tea time', 'gummy', 'grape soda', and 'gelonade' should not be F&B
-      if (isFB && (itemName.includes('tea time') || itemName.includes('gummy') || itemName.includes('grape soda') || itemName.includes('gelonade') || itemName.includes('groot'))) {
-        isFB = false;
-      }
-
-      let isFlowerStrain = !isFB && !isAccessory && flowerStrains.some(strain => {
-        if (strain === 'grape soda' || strain === 'gelonade') {
-          return itemName === strain || itemName.includes(strain);
-        }
-        return itemName.includes(strain);
-      });
-
-      if (!isFlowerStrain && !isFB && !isThcGummy && !isAccessory) {
-        const unitPrice = grossPrice / (qty || 1);
-        if (unitPrice > 50) {
-          isFlowerStrain = true;
-        } else if (unitPrice > 0) {
-          isFB = true;
-        } else {
-          isFlowerStrain = true;
-        }
-      }
-
-      if (isFB) {
-        fbPriceTotal += itemNetPrice;
-      } else {
-        mainAndAccPrice += itemNetPrice;
-        // Only count actual flower strains (not accessories or gummy)
-        if (isFlowerStrain && !isThcGummy && !isAccessory && !isLobbyShirt && !itemName.includes('balm') && !itemName.includes('pillow mist')) {
-          orderLineGram += qty;
-        }
-      }
-
-      detailedItems.push({
-        receipt: receiptNumber,
-        time: receiptTime,
-        gram: (isFlowerStrain && !isThcGummy && !isAccessory && !isLobbyShirt && !itemName.includes('balm') && !itemName.includes('pillow mist')) ? `${qty.toFixed(3)} G` : '',
-        itemName: item.name || item.item_name,
-        price: itemNetPrice,
-        isFB: isFB,
-        mainPrice: isFB ? 0 : itemNetPrice,
-        fbPrice: isFB ? itemNetPrice : 0
-      });
-    });
+    analysis.items
+      .filter(item => !item.is_free)
+      .forEach(item => detailedItems.push(toDetailedItem(item, receiptNumber, receiptTime)));
 
     orderEntries.push({
       time: receiptTime,
       receipt: receiptNumber,
-      grams: orderLineGram,
-      mainAndAccPrice: mainAndAccPrice,
-      fbPrice: fbPriceTotal
+      grams: analysis.gram_qty,
+      mainAndAccPrice: analysis.main_total,
+      fbPrice: analysis.fb_total
     });
-    totalGrams += orderLineGram;
+    totalGrams += analysis.gram_qty;
   });
 
   return { orderEntries, detailedItems, totalGrams };
 }
 
+/**
+ * Same as processOrdersData from the rows the server already analyzed
+ */
 function processAutomatedReportRows(data) {
   const rows = Array.isArray(data?.automated_report_rows) ? data.automated_report_rows : [];
   const orderEntries = [];
@@ -781,113 +869,19 @@ function processAutomatedReportRows(data) {
   let totalGrams = 0;
 
   rows.forEach(row => {
-    const receiptNumber = String(row.receipt_number || '').trim();
-    
-      // Manual override removed. Logic now handled by backend date boundaries.
-
-    const items = row.items || [];
-    let orderLineGram = 0;
-    let mainAndAccPrice = 0;
-    let fbPriceTotal = 0;
-
-    items.forEach(item => {
-      let itemName = String(item?.item_name || "").toLowerCase();
-      let category = String(item?.category_name || "").toLowerCase();
-      let qty = Number(item?.quantity || 0);
-      let price = Number(item?.price || 0);
-
-      const flowerStrains = [
-        'grape soda', 'gelonade', 'blue pave', 'devil driver', 'lemon cherry gelato', 
-        'moonbow', 'emergen c', 'tea time', 'silver shadow', 
-        'rozay cake', 'truffaloha', 'the planet of grape', 'crunch berriez',
-        'big foot', 'honey bee', 'jealousy mintz', 'crystal candy',
-        'alien mint', 'rocket fuel', 'gold dust', 'darth vader',
-        'cherry pop tarts', 'white cherry gelato', 'dosidos', 'obama runtz',
-        'free pina colada', 'free kanobi sunset', 'fakescotti', 'pina colada', 'thc gummy', 'flower', 
-        'bud', 'pre-roll', 'joint', 'cheese candy', 'vino tinto', 'mac stormper', 
-        'r2d2 fluid', 'planet of the grape', 'moonlight sonata', 'american pie', 
-        'gastro pop', 'dulce de uva', 'gelato 41', 'rs11', 'frost boof', 
-        'lemon cherry martini', 'royal marker', 'cherry rage', 'mac 1 x permanent', 
-        '3 hour tour', 'creature feature', 'trich tyson', 'groot snack', 'groot\'s snack'
-      ];
-
-      const fbKeywords = [
-        'water', 'soda', 'beer', 'drink', 'beverage', 'alcohol', 'wine', 
-        'cider', 'spirit', 'cocktail', 'milk', 'coffee', 'tea', 'juice',
-        'corona', 'sato', 'budweiser', 'singha', 'asahi', 'chang', 'leo', 
-        'cocacola', 'coke', 'sprite', 'tonic water', 'soda water',
-        'cookie', 'brownie', 'cake', 'soju', 'snack', 'food', 'bakery'
-      ];
-
-      const accessoryKeywords = [
-        'accessories', 'merchandise', 'bong', 'paper', 'tip', 'grinder',
-        'shirt', 'hat', 'lighter', 'the lobby', 'merch', 'ashtray', 'ash tray',
-        'pipe', 'small pipe', 'best buds grinder', 'best buds shirt',
-        'nf best buds shirt', 'sw best buds shirt', 'balm 10g', 'pillow mist', 'balm', 'bileaf', 'plastic tray'
-      ];
-
-      let isThcGummy = itemName.includes('thc gummy');
-      let isAccessory = accessoryKeywords.some(keyword => itemName.includes(keyword) || category.includes(keyword));
-      let isLobbyShirt = itemName.includes('the lobby shirt');
-
-      let isFB = !isAccessory && (
-        fbKeywords.some(keyword => itemName.includes(keyword) || category.includes(keyword)) ||
-        (['tea'].some(keyword => itemName.includes(keyword) || category.includes(keyword)) && !itemName.includes('tea time'))
-      );
-
-      // Exception: 'tea time', 'gummy', 'grape soda', and 'gelonade' should not be F&B
-      if (isFB && (itemName.includes('tea time') || itemName.includes('gummy') || itemName.includes('grape soda') || itemName.includes('gelonade') || itemName.includes('groot'))) {
-        isFB = false;
-      }
-
-      let isFlowerStrain = !isFB && !isAccessory && flowerStrains.some(strain => {
-        if (strain === 'grape soda' || strain === 'gelonade') {
-          return itemName === strain || itemName.includes(strain);
-        }
-        return itemName.includes(strain);
-      });
-
-      if (!isFlowerStrain && !isFB && !isThcGummy && !isAccessory) {
-        const unitPrice = price / (qty || 1);
-        if (unitPrice > 50) {
-          isFlowerStrain = true;
-        } else if (unitPrice > 0) {
-          isFB = true;
-        } else {
-          isFlowerStrain = true;
-        }
-      }
-
-      if (isFB) {
-        fbPriceTotal += price;
-      } else {
-        mainAndAccPrice += price;
-        // Only count actual flower strains (not accessories or gummy)
-        if (isFlowerStrain && !isThcGummy && !isAccessory && !isLobbyShirt && !itemName.includes('balm') && !itemName.includes('pillow mist')) {
-          orderLineGram += qty;
-        }
-      }
-
-      detailedItems.push({
-        receipt: row.receipt_number,
-        time: row.time,
-        gram: (isFlowerStrain && !isThcGummy && !isAccessory && !isLobbyShirt && !itemName.includes('balm') && !itemName.includes('pillow mist')) ? `${qty.toFixed(3)} G` : '',
-        itemName: item.item_name,
-        price: price,
-        isFB: isFB,
-        mainPrice: isFB ? 0 : price,
-        fbPrice: isFB ? price : 0
-      });
-    });
+    (row.items || [])
+      .filter(item => !item.is_free)
+      .forEach(item => detailedItems.push(toDetailedItem(item, row.receipt_number, row.time)));
 
+    const grams = parseNumber(row.gram_qty);
     orderEntries.push({
       time: row.time,
       receipt: row.receipt_number,
-      grams: orderLineGram,
-      mainAndAccPrice: mainAndAccPrice,
-      fbPrice: fbPriceTotal
+      grams,
+      mainAndAccPrice: parseNumber(row.numerator_price),
+      fbPrice: parseNumber(row.denominator_price)
     });
-    totalGrams += orderLineGram;
+    totalGrams += grams;
   });
 
   return { orderEntries, detailedItems, totalGrams };
@@ -898,10 +892,8 @@ function processAutomatedReportRows(data) {
  */
 async function syncFromLoyverse() {
   const dateInput = document.getElementById('reportDate');
-  const staffInput = document.getElementById('closingStaff');
   const syncBtn = document.getElementById('syncButton');
   const date = dateInput?.value;
-  const staffName = staffInput?.value || '';
   const requestId = ++activeSyncRequestId;
 
   if (!date) {
@@ -909,27 +901,9 @@ async function syncFromLoyverse() {
     return;
   }
 
-  // Check if date is older than 30 days
-  const selectedDate = new Date(date);
-  const today = new Date(todayLocalDate());
-  const diffTime = Math.abs(today - selectedDate);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  const isOldDate = diffDays > 30;
-
-  if (isOldDate) {
-    if (syncBtn) {
-      syncBtn.disabled = true;
-      syncBtn.title = "Syncing is only available for the last 30 days";
-    }
-    // For old dates, we don't sync from Loyverse. 
-    // loadReportData is already called in bindEvents change listener, 
-    // which pulls from our database.
+  // The consolidated view is read-only; sync one store at a time
+  if (window.isAllStoresSelected()) {
     return;
-  } else {
-    if (syncBtn) {
-      syncBtn.disabled = false;
-      syncBtn.title = "";
-    }
   }
 
   if (activeSyncController) {
@@ -943,7 +917,7 @@ async function syncFromLoyverse() {
 
   setButtonLoading(syncBtn, 'Syncing...', true);
   try {
-    const res = await fetch(`/api/loyverse/sync?date=${date}`, {
+    const res = await fetch(window.withStore(`/api/loyverse/sync?date=${date}`), {
       cache: 'no-store',
       signal: syncController.signal
     });
@@ -955,13 +929,21 @@ async function syncFromLoyverse() {
 
     
     if (!res.ok) {
-      if (res.status === 402) {
-        throw new Error('Loyverse API restriction: Cannot sync data older than 30 days. Please use manual entry or check existing records.');
-      }
       throw new Error(data?.message || 'Sync failed');
     }
     
     window.lastSyncedData = data;
+    if (data?.receipt_source === 'archive') {
+      window.showMessage('Loyverse no longer serves this date; report rebuilt from archived receipts.', 'info');
+    }
+    const unknownWeights = Array.isArray(data?.unknown_weight_items) ? data.unknown_weight_items : [];
+    if (unknownWeights.length > 0) {
+      const names = unknownWeights.map((item) => item.item_name).join(', ');
+      window.showMessage(`No gram weight set for ${names}; counted at 1 g per unit.`, 'warning');
+    }
+    if (typeof window.renderUnknownWeights === 'function') {
+      window.renderUnknownWeights(unknownWeights);
+    }
     console.log("Raw Cash Entries:", data?.cash_entries);
     console.log("Raw Card Entries:", data?.card_entries);
     console.log("Raw Transfer Entries:", data?.transfer_entries);
@@ -970,6 +952,10 @@ async function syncFromLoyverse() {
     currentNetSale = round2(data?.net_sale || 0);
     
     // Process and render order data
+    await salesLogicConfigReady;
+    if (requestId !== activeSyncRequestId) {
+      return;
+    }
     let totalGramsCalculated = 0;
     let receiptGramMap = new Map();
     // Use raw orders if available, otherwise fallback to automated_report_rows
@@ -998,7 +984,7 @@ async function syncFromLoyverse() {
     const totalCard = (cardEntries || []).reduce((sum, e) => sum + (e?.amount || 0), 0);
     const totalTransfer = (transferEntries || []).reduce((sum, e) => sum + (e?.amount || 0), 0);
     const totalNetSale = totalCash + totalCard + totalTransfer;
-    const totalOrdersCount = (Array.isArray(data?.orders) ? data.orders : []).filter(o => !isRefundOrder(o)).length;
+    const totalOrdersCount = window.SalesLogic.filterOutRefundReceipts(Array.isArray(data?.orders) ? data.orders : []).length;
     const totalFbFromPayments = [
       ...cashEntries,
       ...cardEntries,
@@ -1022,6 +1008,7 @@ async function syncFromLoyverse() {
     // Auto-save the report data to the database
     const reportPayload = {
       date: date,
+      store_id: window.getSelectedStore(),
       net_sale: totalNetSale,
       cash_total: totalCash,
       card_total: totalCard,
@@ -1093,27 +1080,11 @@ function setButtonLoading(button, text, isLoading) {
 window.loadReportData = async function(date) {
   if (!date) return;
   
-  // Check if date is older than 30 days
-  const selectedDate = new Date(date);
-  const today = new Date(todayLocalDate());
-  const diffTime = Math.abs(today - selectedDate);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  const isOldDate = diffDays > 30;
   const syncBtn = document.getElementById('syncButton');
-
-  if (isOldDate) {
-    if (syncBtn) {
-      syncBtn.disabled = true;
-      syncBtn.title = "Syncing is only available for the last 30 days";
-      syncBtn.innerHTML = 'Sync Disabled (>30 days)';
-    }
-    window.showMessage('Displaying data from Database (Sync disabled for dates > 30 days)', 'info');
-  } else {
-    if (syncBtn) {
-      syncBtn.disabled = false;
-      syncBtn.title = "";
-      syncBtn.innerHTML = 'Sync From Loyverse';
-    }
+  if (syncBtn) {
+    syncBtn.disabled = false;
+    syncBtn.title = "";
+    syncBtn.innerHTML = 'Sync From Loyverse';
   }
 
   // Clear lists to prevent "frozen" UI while loading
@@ -1121,9 +1092,11 @@ window.loadReportData = async function(date) {
   if (staffContainer) staffContainer.innerHTML = '<p class="text-muted">Loading...</p>';
   const expenseContainer = document.getElementById('expensesList');
   if (expenseContainer) expenseContainer.innerHTML = '<p class="text-muted">Loading...</p>';
+  const posCashContainer = document.getElementById('posCashReconciliation');
+  if (posCashContainer) posCashContainer.innerHTML = '';
 
   try {
-    const res = await fetch(`/api/reports/${date}`);
+    const res = await fetch(window.withStore(`/api/reports/${date}`));
     if (res.ok) {
       const data = await res.json();
       if (data) {
@@ -1143,6 +1116,11 @@ window.loadReportData = async function(date) {
         // Load staff and expenses explicitly
         if (typeof fetchStaff === 'function') fetchStaff(date);
         if (typeof fetchExpenses === 'function') fetchExpenses(date);
+        if (typeof fetchTips === 'function') fetchTips(date);
+        if (typeof renderShiftsList === 'function') renderShiftsList(data.shifts || [], data.shift_rollup, date);
+        if (typeof fetchDenominations === 'function') fetchDenominations(date);
+        if (typeof renderReportStatus === 'function') renderReportStatus(data);
+        if (typeof fetchAuditHistory === 'function') fetchAuditHistory(date);
       }
     } else {
       // Reset UI if no report found
@@ -1157,6 +1135,11 @@ window.loadReportData = async function(date) {
       // Clear staff/expenses lists if no report
       if (staffContainer) staffContainer.innerHTML = '<p class="text-muted">No staff added</p>';
       if (expenseContainer) expenseContainer.innerHTML = '<p class="text-muted">No expenses added</p>';
+      if (typeof fetchShifts === 'function') fetchShifts(date);
+      if (typeof fetchTips === 'function') fetchTips(date);
+      if (typeof fetchDenominations === 'function') fetchDenominations(date);
+      if (typeof renderReportStatus === 'function') renderReportStatus(null);
+      if (typeof fetchAuditHistory === 'function') fetchAuditHistory(date);
     }
   } catch (err) {
     console.error("Load error:", err);
@@ -1242,6 +1225,17 @@ function renderOrderEntriesTable(orderEntries, detailedItems = []) {
 }
 
 function bindEvents() {
+  document.getElementById('loginForm')?.addEventListener('submit', submitLogin);
+  document.getElementById('logoutBtn')?.addEventListener('click', logout);
+  document.getElementById('switchUserBtn')?.addEventListener('click', openSignIn);
+  document.getElementById('loginCancelBtn')?.addEventListener('click', () => {
+    document.getElementById('loginOverlay')?.classList.add('d-none');
+  });
+  document.getElementById('loginModeToggle')?.addEventListener('click', () => {
+    const mode = document.getElementById('loginOverlay')?.dataset.mode;
+    showLoginOverlay(mode === 'pin' ? 'login' : 'pin');
+  });
+
   const reportDateInput = document.getElementById('reportDate');
   if (reportDateInput) {
     reportDateInput.addEventListener('change', () => {
@@ -1261,6 +1255,19 @@ function bindEvents() {
       syncFromLoyverse();
     });
   }
+  const storeSelect = document.getElementById('storeSelect');
+  if (storeSelect) {
+    storeSelect.addEventListener('change', () => {
+      localStorage.setItem(STORE_STORAGE_KEY, storeSelect.value);
+      updateStoreDependentControls();
+
+      const date = reportDateInput?.value;
+      if (date && typeof window.loadReportData === 'function') {
+        window.loadReportData(date);
+      }
+      syncFromLoyverse();
+    });
+  }
   const syncButton = document.getElementById('syncButton');
   if (syncButton) {
     syncButton.addEventListener('click', syncFromLoyverse);
@@ -1323,14 +1330,38 @@ function init() {
 
   bindEvents();
   
-  const date = reportDateInput?.value;
-  if (date) {
-    if (typeof window.loadReportData === 'function') {
-      window.loadReportData(date);
+  checkSession().then((signedIn) => {
+    if (!signedIn) return;
+
+    salesLogicConfigReady = loadSalesLogicConfig();
+    if (typeof loadStaffMembers === 'function') {
+      loadStaffMembers();
     }
-  }
-  
-  syncFromLoyverse();
+    if (typeof loadClassificationRules === 'function') {
+      loadClassificationRules();
+    }
+    if (typeof loadItemWeights === 'function') {
+      loadItemWeights();
+    }
+    loadStores().finally(() => {
+      // The business day may not have rolled over yet for the selected store
+      if (reportDateInput) {
+        reportDateInput.value = todayLocalDate();
+      }
+      if (reportMonthInput) {
+        reportMonthInput.value = todayLocalDate().slice(0, 7);
+      }
+
+      const date = reportDateInput?.value;
+      if (date) {
+        if (typeof window.loadReportData === 'function') {
+          window.loadReportData(date);
+        }
+      }
+
+      syncFromLoyverse();
+    });
+  });
   const mainContent = document.querySelector('.app-main-content');
   if (mainContent) {
     mainContent.style.display = 'block';
@@ -45,8 +45,10 @@ function setupRealtimeListener() {
       
       const data = typeof rawData === 'string' ? JSON.parse(rawData) : rawData;
       const currentDate = document.getElementById("reportDate")?.value;
+      const currentStore = window.getSelectedStore();
+      const sameStore = currentStore === 'all' || data.store_id === undefined || data.store_id === currentStore;
 
-      if (data.date === currentDate) {
+      if (data.date === currentDate && sameStore) {
         if (typeof window.loadReportData === 'function') {
           window.loadReportData(currentDate);
         } else {
@@ -71,7 +73,7 @@ function setupRealtimeListener() {
  */
 async function fetchExpenses(date) {
   try {
-    const response = await fetch(`/api/expenses/${date}`);
+    const response = await fetch(window.withStore(`/api/expenses/${date}`));
     if (response.ok) {
       const data = await response.json();
       const expenses = data.expenses || [];
@@ -98,13 +100,13 @@ async function fetchExpenses(date) {
  */
 async function fetchStaff(date) {
   try {
-    const response = await fetch(`/api/staff/${date}`);
+    const response = await fetch(window.withStore(`/api/staff/${date}`));
     if (response.ok) {
       const data = await response.json();
       const staff = data.staff || [];
       localStorage.setItem(`dailyClosingStaff_${date}`, JSON.stringify(staff));
       if (typeof renderClosingStaffList === 'function') {
-        renderClosingStaffList(staff, date);
+        renderClosingStaffList(staff, date, data.pos_employees || []);
       }
       return data.staff;
     }
@@ -149,186 +151,12 @@ function getClosingStaff(date) {
   return "";
 }
 
-function getMoney(...candidates) {
-  for (const candidate of candidates) {
-    if (candidate === undefined || candidate === null) continue;
-    let val = candidate;
-    if (typeof val === 'object') {
-      val = (val.amount !== undefined) ? val.amount : val.value;
-    }
-    const num = Number(val);
-    if (!isNaN(num)) return num;
-  }
-  return null;
-}
-
-/**
- * Filter out refund receipts
- */
-function isRefundReceipt(receipt) {
-  if (!receipt || typeof receipt !== 'object') return false;
-  
-  // Check receipt type
-  const receiptType = String(receipt.receipt_type || receipt.type || '').toUpperCase();
-  if (receiptType === 'REFUND') return true;
-  
-  // Check for refund flags
-  if (receipt.is_refunded === true || receipt.refunded === true || receipt.is_returned === true) return true;
-  if (receipt.refunded_at || receipt.returned_at) return true;
-  
-  // Check for refund collections
-  const hasRefunds = Array.isArray(receipt.refunds) && receipt.refunds.length > 0;
-  const hasRefundItems = Array.isArray(receipt.refund_items) && receipt.refund_items.length > 0;
-  const hasReturns = Array.isArray(receipt.returns) && receipt.returns.length > 0;
-  
-  if (hasRefunds || hasRefundItems || hasReturns) return true;
-
-  // Check for negative total
-  const total = getMoney(receipt.total_money, receipt.total_price_money, receipt.amount_money, receipt.amount) || 0;
-  if (total < 0) return true;
-
-  // Check for voided status
-  const status = String(receipt.status || '').toUpperCase();
-  if (['VOIDED', 'VOID', 'CANCELLED', 'CANCELED', 'DELETED'].includes(status)) return true;
-
-  return false;
-}
-
 /**
- * Item Classification Logic
+ * Item rows for the Excel export, built by the shared sales logic so they
+ * match the server export
  */
 function processItemsForExcel(receipts) {
-  const flowerItems = [];
-  const fbItems = [];
-  let totalFlowerGrams = 0;
-
-  let totalFbAmount = 0;
-
-  // Build sets of receipt numbers to exclude:
-  // 1. Refund receipts themselves
-  // 2. Original receipts that were later refunded
-  const refundReceiptNumbers = new Set();
-  const originalReceiptNumbersToExclude = new Set();
-
-  receipts.forEach(receipt => {
-    if (!receipt || typeof receipt !== 'object') return;
-    const receiptNumber = String(receipt.receipt_number || receipt.number || '').trim();
-    if (isRefundReceipt(receipt)) {
-      refundReceiptNumbers.add(receiptNumber);
-      // Track the original receipt this refund points to
-      const originalNumber = receipt.refund_for || receipt.refund_for_receipt_number || receipt.original_receipt_number;
-      if (originalNumber) {
-        originalReceiptNumbersToExclude.add(String(originalNumber).trim());
-      }
-    }
-    // Also exclude receipts that are marked as refunded
-    if (receipt.is_refunded === true || receipt.refunded === true || receipt.is_returned === true || receipt.refunded_at || receipt.returned_at) {
-      originalReceiptNumbersToExclude.add(receiptNumber);
-    }
-  });
-
-  receipts.forEach(receipt => {
-    if (!receipt || typeof receipt !== 'object') return;
-    
-    // Skip refund receipts and original receipts that were refunded
-    const receiptNumber = String(receipt.receipt_number || receipt.number || '').trim();
-    if (isRefundReceipt(receipt)) return;
-    if (refundReceiptNumbers.has(receiptNumber)) return;
-    if (originalReceiptNumbersToExclude.has(receiptNumber)) return;
-
-    const items = receipt.line_items || receipt.items || [];
-    const paymentMethod = (receipt.payments && receipt.payments[0]?.payment_type?.name) || 
-                           (receipt.payments && receipt.payments[0]?.name) || "N/A";
-
-    items.forEach(item => {
-      if (!item || typeof item !== 'object') return;
-
-      // Manual override removed. Logic now handled by backend date boundaries.
-
-      let itemName = String(item.name || item.item_name || "").toLowerCase();
-      let category = String(item.category_name || "").toLowerCase();
-      let qty = Number(item.quantity || 0);
-      let grossPrice = getMoney(item.gross_total_money, item.subtotal_money);
-      if (grossPrice === null) grossPrice = (getMoney(item.price) || 0) * qty;
-      
-      let lineItemDiscount = getMoney(item.total_discount_money, item.discount_money) || 0;
-      let itemNetPrice = getMoney(item.total_money);
-      if (itemNetPrice === null) itemNetPrice = Math.max(0, grossPrice - lineItemDiscount);
-
-      const totalItemDiscount = Math.max(0, grossPrice - itemNetPrice);
-      const discountPercent = grossPrice > 0 ? (totalItemDiscount / grossPrice * 100) : 0;
-
-      if (itemNetPrice <= 0.01 || discountPercent >= 99.9) return;
-      const discountStr = totalItemDiscount > 0.01 ? `${discountPercent.toFixed(0)}%` : "-";
-
-      const flowerStrains = ['grape soda', 'blue pave', 'devil driver', 'lemon cherry gelato', 'moonbow', 'emergen c', 'tea time', 'silver shadow', 'rozay cake', 'truffaloha', 'the planet of grape', 'crunch berriez', 'big foot', 'honey bee', 'jealousy mintz', 'crystal candy', 'alien mint', 'rocket fuel', 'gold dust', 'darth vader', 'cherry pop tarts', 'white cherry gelato', 'dosidos', 'obama runtz', 'free pina colada', 'free kanobi sunset', 'fakescotti', 'pina colada', 'thc gummy', 'flower', 'bud', 'pre-roll', 'joint', 'cheese candy', 'vino tinto', 'mac stormper', 'r2d2 fluid', 'planet of the grape', 'moonlight sonata', 'american pie', 'gastro pop', 'dulce de uva', 'gelato 41', 'rs11', 'frost boof', 'lemon cherry martini', 'royal marker', 'cherry rage', 'mac 1 x permanent', '3 hour tour', 'creature feature', 'trich tyson', 'groot snack', 'groot\'s snack'];
-      const fbKeywords = ['water', 'soda', 'beer', 'drink', 'beverage', 'alcohol', 'wine', 'cider', 'spirit', 'cocktail', 'milk', 'coffee', 'tea', 'juice', 'corona', 'sato', 'budweiser', 'singha', 'asahi', 'chang', 'leo', 'cocacola', 'coke', 'sprite', 'tonic water', 'soda water', 'cookie', 'brownie', 'cake', 'soju', 'snack', 'food', 'bakery'];
-      const accessoryKeywords = ['accessories', 'merchandise', 'bong', 'paper', 'tip', 'grinder', 'shirt', 'hat', 'lighter', 'the lobby', 'merch', 'ashtray', 'ash tray', 'pipe', 'small pipe', 'best buds grinder', 'best buds shirt', 'balm 10g', 'pillow mist', 'balm', 'bileaf', 'plastic tray'];
-
-      let isThcGummy = itemName.includes("thc gummy");
-      let isAccessory = accessoryKeywords.some(k => itemName.includes(k) || category.includes(k));
-      
-      let isFB = !isAccessory && (
-        fbKeywords.some(k => itemName.includes(k) || category.includes(k)) ||
-        category.includes('soft drink') || 
-        category.includes('snacks') || 
-        category.includes('beverage') ||
-        category.includes('drink') ||
-        category.includes('food') ||
-        category.includes('bakery')
-      );
-
-      // Exception: 'tea time', 'gummy', 'grape soda', and 'gelonade' should not be F&B
-      if (isFB && (itemName.includes('tea time') || itemName.includes('gummy') || itemName.includes('grape soda') || itemName.includes('gelonade') || itemName.includes('groot'))) isFB = false;
-
-      let isFlowerStrain = !isFB && !isAccessory && flowerStrains.some(s => {
-        if (s === 'grape soda' || s === 'gelonade') {
-          return itemName === s || itemName.includes(s);
-        }
-        return itemName.includes(s);
-      });
-
-      if (!isFlowerStrain && !isFB && !isThcGummy && !isAccessory) {
-        if (grossPrice / (qty || 1) <= 50) isFB = true; else isFlowerStrain = true;
-      }
-
-      let displayQty = qty;
-      let displayGram = "-";
-      let displayType = isFB ? "F&B" : (isAccessory ? "Accessories" : "Flower/Main");
-
-      if (isFlowerStrain && !isThcGummy && !isAccessory && !itemName.includes('balm') && !itemName.includes('pillow mist')) {
-        displayQty = "-";
-        displayGram = `${qty.toFixed(3)} G`;
-        totalFlowerGrams += qty;
-      }
-
-      // Ensure displayType is properly defined before using it
-      if (typeof displayType === 'undefined' || displayType === null) {
-        displayType = isFB ? "F&B" : (isAccessory ? "Accessories" : "Flower/Main");
-      }
-
-      const exportItem = {
-        type: displayType,
-        name: item.name || item.item_name,
-        qty: displayQty,
-        gram: displayGram,
-        unitPrice: Number((itemNetPrice / (qty || 1)).toFixed(2)),
-        discount: discountStr,
-        netPrice: Number(itemNetPrice.toFixed(2)),
-        payment: paymentMethod,
-        note: receiptNumber
-      };
-
-      if (isFB) {
-        fbItems.push(exportItem);
-        totalFbAmount += itemNetPrice;
-      } else {
-        flowerItems.push(exportItem);
-      }
-    });
-  });
-
-  return { flowerItems, fbItems, totalFlowerGrams, totalFbAmount };
+  return window.SalesLogic.buildExportItems(Array.isArray(receipts) ? receipts : []);
 }
 
 /**
@@ -485,6 +313,21 @@ function paintDailySheet(sheet, date, staffName, rawData, expenses, flowerItems,
     ["A", "B"].forEach(col => { sheet.getCell(`${col}${currRow}`).border = border; sheet.getCell(`${col}${currRow}`).fill = i % 2 === 0 ? rowLight : rowDark; });
     currRow++;
   });
+  currRow += 1;
+
+  // Sales by class (Main without accessories), as synced or saved on the report
+  paintSection("Sales by Class");
+  paintHeader(["Class", "Gross", "Discount", "Net", "", "", "", "", ""]);
+  [["main", "Main"], ["accessory", "Accessory"], ["fb", "F&B"]].forEach(([key, label], i) => {
+    const rowValues = [label, rawData[`${key}_gross`], rawData[`${key}_discount`], rawData[`${key}_total`]];
+    rowValues.forEach((v, idx) => {
+      const c = sheet.getCell(currRow, idx + 1);
+      c.value = idx === 0 ? v : Number(v || 0);
+      c.fill = i % 2 === 0 ? rowLight : rowDark; c.border = border;
+      if (idx > 0) c.numFmt = '#,##0.00';
+    });
+    currRow++;
+  });
 }
 
 /**
@@ -505,6 +348,11 @@ function paintDailySheet(sheet, date, staffName, rawData, expenses, flowerItems,
     return;
   }
 
+  if (window.isAllStoresSelected()) {
+    window.showMessage("Select a single store to export", "warning");
+    return;
+  }
+
   const updateProgress = (text, percent) => {
     if (exportBtn) exportBtn.innerText = text;
     if (progressBar && percent !== undefined) {
@@ -531,11 +379,11 @@ function paintDailySheet(sheet, date, staffName, rawData, expenses, flowerItems,
     }
 
     // Filter out future dates
-    const today = new Date().toISOString().split('T')[0];
+    const today = todayLocalDate();
     const targetDays = daysInMonth.filter(d => d <= today);
 
     // Fetch existing reports to see what's missing
-    const listRes = await fetch(`/api/reports`);
+    const listRes = await fetch(window.withStore(`/api/reports`));
     const existingReports = listRes.ok ? await listRes.json() : [];
     const existingDates = new Set(existingReports.map(r => 
       typeof r.date === 'string' ? r.date.split('T')[0] : new Date(r.date).toISOString().split('T')[0]
@@ -551,7 +399,7 @@ function paintDailySheet(sheet, date, staffName, rawData, expenses, flowerItems,
       const percent = Math.round((currentStep / totalSteps) * 100);
       updateProgress(`Syncing ${i+1}/${missingDays.length}: ${dateStr}...`, percent);
       try {
-        const syncRes = await fetch(`/api/loyverse/sync?date=${dateStr}`);
+        const syncRes = await fetch(window.withStore(`/api/loyverse/sync?date=${dateStr}`));
         if (syncRes.ok) console.log(`Synced ${dateStr}`);
       } catch (e) {
         console.warn(`Failed to sync ${dateStr}:`, e);
@@ -562,7 +410,7 @@ function paintDailySheet(sheet, date, staffName, rawData, expenses, flowerItems,
     // Now fetch the updated reports list
     currentStep++;
     updateProgress("Loading Data...", Math.round((currentStep / totalSteps) * 100));
-    const response = await fetch(`/api/reports`);
+    const response = await fetch(window.withStore(`/api/reports`));
     if (!response.ok) throw new Error("Failed to fetch updated reports list");
     const updatedReports = await response.json();
     
@@ -589,25 +437,27 @@ function paintDailySheet(sheet, date, staffName, rawData, expenses, flowerItems,
       { width: 18 }, // Card In
       { width: 18 }, // Transfer In
       { width: 18 }, // F&B Total
+      { width: 18 }, // Main Net
+      { width: 18 }, // Accessory Net
       { width: 18 }  // Net Sales
     ];
     const border = { top: { style: "thin", color: { argb: "FFD5B68A" } }, left: { style: "thin", color: { argb: "FFD5B68A" } }, bottom: { style: "thin", color: { argb: "FFD5B68A" } }, right: { style: "thin", color: { argb: "FFD5B68A" } } };
     const titleFill = { type: "pattern", pattern: "solid", fgColor: { argb: "FF2A2010" } };
     const headerFill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFF1D8AC" } };
 
-    summarySheet.mergeCells("A1:G1");
+    summarySheet.mergeCells("A1:I1");
     const sTitle = summarySheet.getCell("A1");
     sTitle.value = `BestBuds Monthly Summary - ${month}`;
     sTitle.fill = titleFill; sTitle.font = { size: 14, bold: true, color: { argb: "FFF8EBCF" } };
     sTitle.alignment = { horizontal: "center" };
 
-    const headers = ["Date", "Flower (grams)", "Cash In", "Card In", "Transfer In", "F&B Total", "Net Sales"];
+    const headers = ["Date", "Flower (grams)", "Cash In", "Card In", "Transfer In", "F&B Total", "Main Net", "Accessory Net", "Net Sales"];
     headers.forEach((h, i) => {
       const c = summarySheet.getCell(3, i + 1);
       c.value = h; c.fill = headerFill; c.font = { bold: true }; c.border = border; c.alignment = { horizontal: "center" };
     });
 
-    let totalGrams = 0, totalCash = 0, totalCard = 0, totalTransfer = 0, totalFb = 0, totalNet = 0;
+    let totalGrams = 0, totalCash = 0, totalCard = 0, totalTransfer = 0, totalFb = 0, totalMain = 0, totalAccessory = 0, totalNet = 0;
     let sRow = 4;
 
     // Iterate over ALL days in the month (not just days with data)
@@ -621,11 +471,11 @@ function paintDailySheet(sheet, date, staffName, rawData, expenses, flowerItems,
       // Fetch details for daily sheet
       let detailedData = null;
       try {
-        const syncRes = await fetch(`/api/loyverse/sync?date=${dateStr}`);
+        const syncRes = await fetch(window.withStore(`/api/loyverse/sync?date=${dateStr}`));
         if (syncRes.ok) detailedData = await syncRes.json();
       } catch (e) {}
 
-      const expRes = await fetch(`/api/expenses/${dateStr}`);
+      const expRes = await fetch(window.withStore(`/api/expenses/${dateStr}`));
       const expenses = expRes.ok ? (await expRes.json()).expenses : [];
       const staff = getClosingStaff(dateStr) || "N/A";
 
@@ -635,11 +485,15 @@ function paintDailySheet(sheet, date, staffName, rawData, expenses, flowerItems,
       const card = Number((report && report.card_total) || 0);
       const transfer = Number((report && report.transfer_total) || 0);
       const fb = Number((report && report.fb_total) || 0);
+      // The sync summary carries the class totals even for days saved before they were stored
+      const main = Number((detailedData || report)?.main_total || 0);
+      const accessory = Number((detailedData || report)?.accessory_total || 0);
       const net = Number((report && report.net_sale) || 0);
 
-      totalGrams += grams; totalCash += cash; totalCard += card; totalTransfer += transfer; totalFb += fb; totalNet += net;
+      totalGrams += grams; totalCash += cash; totalCard += card; totalTransfer += transfer; totalFb += fb;
+      totalMain += main; totalAccessory += accessory; totalNet += net;
 
-      const rowValues = [dateStr, grams, cash, card, transfer, fb, net];
+      const rowValues = [dateStr, grams, cash, card, transfer, fb, main, accessory, net];
       rowValues.forEach((v, i) => {
         const c = summarySheet.getCell(sRow, i + 1);
         c.value = v; c.border = border;
@@ -673,7 +527,7 @@ function paintDailySheet(sheet, date, staffName, rawData, expenses, flowerItems,
     }
 
     // Monthly Total Row
-    const totals = ["TOTAL", totalGrams, totalCash, totalCard, totalTransfer, totalFb, totalNet];
+    const totals = ["TOTAL", totalGrams, totalCash, totalCard, totalTransfer, totalFb, totalMain, totalAccessory, totalNet];
     totals.forEach((v, i) => {
       const c = summarySheet.getCell(sRow, i + 1);
       c.value = v; c.fill = headerFill; c.font = { bold: true }; c.border = border;
@@ -714,12 +568,13 @@ window.exportReportToExcel = async function() {
   const dateInput = document.getElementById("reportDate");
   const date = dateInput?.value;
   if (!date) { window.showMessage("Please select a date", "warning"); return; }
+  if (window.isAllStoresSelected()) { window.showMessage("Select a single store to export", "warning"); return; }
 
   try {
     window.showMessage("Generating daily report...", "info");
     let rawData = window.lastSyncedData;
     if (!rawData || rawData.date !== date) {
-      const syncRes = await fetch(`/api/loyverse/sync?date=${date}`);
+      const syncRes = await fetch(window.withStore(`/api/loyverse/sync?date=${date}`));
       if (syncRes.ok) rawData = await syncRes.json();
     }
     if (!rawData) { window.showMessage("No data found for this date", "danger"); return; }
@@ -782,7 +637,7 @@ window.addExpenseToReport = async function() {
   try {
     const res = await fetch('/api/expenses', {
       method: 'POST', headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ date, category: cat, description: desc, amount: Number(amt) })
+      body: JSON.stringify({ date, category: cat, description: desc, amount: Number(amt), store_id: window.getSelectedStore() })
     });
     if (res.ok) { 
       window.showMessage('Added', 'success'); 
@@ -808,7 +663,177 @@ async function removeExpense(id, date) {
   if (await fetch(`/api/expenses/${id}`, { method: 'DELETE' })) fetchExpenses(date);
 }
 
-function renderClosingStaffList(staff, date) {
+/**
+ * POS pay-outs vs daily expenses: shows what was logged in only one place
+ */
+function renderPosCashReconciliation(data) {
+  const container = document.getElementById('posCashReconciliation');
+  if (!container) return;
+
+  const money = (value) => Number(value || 0).toFixed(2);
+  const time = (value) => value ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+  const rows = [
+    ...data.pay_outs.map(m => `
+      <tr class="${m.status === 'matched' ? '' : 'table-warning'}">
+        <td>${m.status === 'matched' ? '✅ Matched' : '⚠️ POS only'}</td>
+        <td>${time(m.moved_at)}</td>
+        <td>${m.comment || '-'}</td>
+        <td class="text-end">${money(m.amount)}</td>
+      </tr>`),
+    ...data.report_only.map(e => `
+      <tr class="table-warning">
+        <td>⚠️ Report only</td>
+        <td></td>
+        <td>${e.category}${e.description ? ` · ${e.description}` : ''}</td>
+        <td class="text-end">${money(e.amount)}</td>
+      </tr>`)
+  ].join('');
+
+  const warning = data.import_error
+    ? `<div class="alert alert-warning py-1 small">Could not refresh POS shifts: ${data.import_error}</div>`
+    : '';
+  const payIns = data.pay_ins.length
+    ? `<small class="text-muted">POS pay-ins: THB ${money(data.totals.pos_paid_in)} (${data.pay_ins.length})</small>`
+    : '';
+
+  container.innerHTML = `
+    ${warning}
+    ${data.pos_shifts.length ? '' : '<p class="text-muted small">No POS shifts found for this day</p>'}
+    ${rows ? `
+      <div class="table-responsive">
+        <table class="table table-sm align-middle mb-1">
+          <thead><tr><th>Status</th><th>Time</th><th>Note</th><th class="text-end">Amount</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>` : ''}
+    <div class="d-flex justify-content-between small">
+      <span>POS pay-outs: THB ${money(data.totals.pos_paid_out)} · Expenses: THB ${money(data.totals.report_expenses)}</span>
+      <span class="${data.totals.difference === 0 ? 'text-success' : 'text-danger fw-bold'}">Difference: THB ${money(data.totals.difference)}</span>
+    </div>
+    ${payIns}`;
+}
+
+window.checkExpensesAgainstPos = async function() {
+  const btn = document.getElementById('checkPosCashBtn');
+  if (btn && btn.disabled) return;
+
+  const date = document.getElementById('reportDate')?.value;
+  if (!date) return;
+  if (window.isAllStoresSelected()) {
+    return window.showMessage('Select a single store to check against POS', 'warning');
+  }
+
+  if (btn) btn.disabled = true;
+  try {
+    const res = await fetch(window.withStore(`/api/pos-shifts/${date}`));
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || 'Could not load POS shifts');
+    renderPosCashReconciliation(data);
+  } catch (e) {
+    console.error('POS reconciliation error:', e);
+    window.showMessage(e.message, 'danger');
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+};
+
+/**
+ * Staff registry: the closing staff picker offers active members only
+ */
+let staffMembers = [];
+
+async function loadStaffMembers() {
+  const includeInactive = window.hasRole('manager');
+  try {
+    const res = await fetch(`/api/staff-members${includeInactive ? '?include_inactive=1' : ''}`);
+    staffMembers = res.ok ? (await res.json()).staff || [] : [];
+  } catch (error) {
+    console.error('Error loading staff registry:', error);
+    staffMembers = [];
+  }
+
+  const select = document.getElementById('closingStaff');
+  if (select) {
+    const previous = select.value;
+    select.innerHTML = '<option value="">Select staff</option>';
+    staffMembers.filter(m => m.active).forEach(m => {
+      const option = document.createElement('option');
+      option.value = m.id;
+      option.textContent = m.nickname ? `${m.name} (${m.nickname})` : m.name;
+      select.appendChild(option);
+    });
+    // On the shared tablet the person signed in with a PIN is preselected
+    const me = (window.currentUser?.display_name || '').toLowerCase();
+    const signedIn = window.currentUser?.session_method === 'pin'
+      && staffMembers.find(m => m.active && [m.name, m.nickname].some(n => (n || '').toLowerCase() === me));
+    select.value = previous || (signedIn ? String(signedIn.id) : '');
+  }
+  renderStaffRegistry();
+  return staffMembers;
+}
+
+function renderStaffRegistry() {
+  const container = document.getElementById('staffRegistryList');
+  if (!container) return;
+  container.innerHTML = staffMembers.length ? '' : '<p class="text-muted small">No staff members yet</p>';
+  const list = document.createElement('ul');
+  list.className = 'list-group list-group-flush small';
+  staffMembers.forEach(m => {
+    const li = document.createElement('li');
+    li.className = `list-group-item d-flex justify-content-between align-items-center${m.active ? '' : ' text-muted'}`;
+    const label = document.createElement('span');
+    label.textContent = [m.name, m.nickname && `"${m.nickname}"`, m.role, m.loyverse_employee_id && 'POS linked']
+      .filter(Boolean).join(' · ');
+    const btn = document.createElement('button');
+    btn.className = `btn btn-sm ${m.active ? 'btn-outline-danger' : 'btn-outline-success'}`;
+    btn.textContent = m.active ? 'Deactivate' : 'Activate';
+    btn.addEventListener('click', () => updateStaffMember(m.id, { active: !m.active }));
+    li.append(label, btn);
+    list.appendChild(li);
+  });
+  if (staffMembers.length) container.appendChild(list);
+}
+
+window.createStaffMember = async function() {
+  const fields = { name: 'staffMemberName', nickname: 'staffMemberNickname', role: 'staffMemberRole' };
+  const body = Object.fromEntries(Object.entries(fields).map(([key, id]) => [key, document.getElementById(id)?.value.trim() || '']));
+  if (!body.name) return window.showMessage('Enter a name', 'warning');
+
+  const res = await fetch('/api/staff-members', {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return window.showMessage(data.message || 'Could not add staff member', 'danger');
+  Object.values(fields).forEach(id => { document.getElementById(id).value = ''; });
+  loadStaffMembers();
+};
+
+async function updateStaffMember(id, changes) {
+  const res = await fetch(`/api/staff-members/${id}`, {
+    method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(changes)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return window.showMessage(data.message || 'Could not update staff member', 'danger');
+  loadStaffMembers();
+}
+
+window.importLoyverseEmployees = async function() {
+  const btn = document.getElementById('importEmployeesBtn');
+  if (btn) btn.disabled = true;
+  try {
+    const res = await fetch('/api/staff-members/import-loyverse', { method: 'POST' });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || 'Import failed');
+    window.showMessage(`Loyverse employees: ${data.created} added, ${data.linked} linked, ${data.updated} renamed`, 'success');
+    loadStaffMembers();
+  } catch (e) {
+    window.showMessage(e.message, 'danger');
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+};
+
+function renderClosingStaffList(staff, date, posEmployees = []) {
   const container = document.getElementById('closingStaffList');
   if (!container) return;
   container.innerHTML = staff.length ? '' : '<p class="text-muted">No staff added</p>';
@@ -817,34 +842,60 @@ function renderClosingStaffList(staff, date) {
   staff.forEach(s => {
     const li = document.createElement('li');
     li.className = 'list-group-item d-flex justify-content-between align-items-center';
-    li.innerHTML = `<span>${s.name}</span><button class="btn btn-sm btn-danger" onclick="removeClosingStaff(${s.id}, '${date}')">Remove</button>`;
+    li.innerHTML = `<span>${s.name}${s.nickname ? ` (${s.nickname})` : ''}</span><span class="d-flex gap-2 align-items-center"><input type="number" min="0" max="24" step="0.25" class="form-control form-control-sm staff-hours-input" placeholder="Hours" title="Hours worked (for the tip split)" /><button class="btn btn-sm btn-danger" onclick="removeClosingStaff(${s.id}, '${date}')">Remove</button></span>`;
+    const hours = li.querySelector('.staff-hours-input');
+    hours.value = s.hours_worked ?? '';
+    hours.addEventListener('change', () => updateClosingStaffHours(s.id, hours.value, date));
     list.appendChild(li);
   });
   if (staff.length) container.appendChild(list);
+
+  // Suggest registry members who rang up receipts in Loyverse but are not on the day yet
+  const hint = document.getElementById('posEmployeeHint');
+  if (!hint) return;
+  const onDay = new Set(staff.map(s => s.staff_id).filter(Boolean));
+  const suggestions = posEmployees.filter(e => e.staff_id && !onDay.has(e.staff_id));
+  const unlinked = posEmployees.filter(e => !e.staff_id).length;
+  hint.innerHTML = '';
+  if (suggestions.length) {
+    hint.append('On the POS today: ');
+    suggestions.forEach(e => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-link btn-sm p-0 me-2';
+      btn.textContent = `${e.name} (${e.receipts})`;
+      btn.addEventListener('click', () => addClosingStaffToReport(e.staff_id));
+      hint.appendChild(btn);
+    });
+  }
+  if (unlinked) {
+    hint.append(`${unlinked} POS employee${unlinked === 1 ? '' : 's'} not linked to the registry`);
+  }
 }
 
-window.addClosingStaffToReport = async function() {
-  const btn = event?.currentTarget || document.getElementById('addClosingStaffBtn');
+window.addClosingStaffToReport = async function(staffId) {
+  const btn = document.getElementById('addClosingStaffBtn');
   if (btn && btn.disabled) return;
 
   const date = document.getElementById('reportDate')?.value;
-  const nameInput = document.getElementById('closingStaff');
-  const name = nameInput?.value;
-  
-  if (!date || !name) return;
-  
+  const select = document.getElementById('closingStaff');
+  const id = typeof staffId === 'number' ? staffId : Number(select?.value);
+
+  if (!date || !id) return;
+
   if (btn) btn.disabled = true;
   try {
     const res = await fetch('/api/staff', {
       method: 'POST', headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ date, name })
+      body: JSON.stringify({ date, staff_id: id, store_id: window.getSelectedStore() })
     });
-    if (res.ok) { 
-      if (nameInput) nameInput.value = ''; 
-      fetchStaff(date); 
-    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || 'Could not add staff');
+    if (select && window.currentUser?.session_method !== 'pin') select.value = '';
+    fetchStaff(date);
   } catch (e) {
     console.error('Add staff error:', e);
+    window.showMessage(e.message, 'danger');
   } finally {
     if (btn) btn.disabled = false;
   }
@@ -854,6 +905,1342 @@ async function removeClosingStaff(id, date) {
   if (await fetch(`/api/staff/${id}`, { method: 'DELETE' })) fetchStaff(date);
 }
 
+async function updateClosingStaffHours(id, value, date) {
+  const res = await fetch(`/api/staff/${id}`, {
+    method: 'PUT', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ hours_worked: value === '' ? null : Number(value) })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) window.showMessage(data.message || 'Could not save hours', 'danger');
+  fetchTips(date);
+}
+
+/**
+ * Tips: cash jar and card tips pooled per day and split among the closing staff
+ */
+const TIP_SOURCE_LABELS = { cash_jar: 'Cash jar', card: 'Card', other: 'Other' };
+const TIP_METHOD_LABELS = { equal: 'equal shares', hours: 'hours worked', role: 'role weight' };
+
+async function fetchTips(date) {
+  const entriesContainer = document.getElementById('tipEntriesList');
+  const splitContainer = document.getElementById('tipSplit');
+  if (!entriesContainer || !splitContainer) return null;
+  if (window.isAllStoresSelected()) {
+    entriesContainer.innerHTML = '<p class="text-muted">Select a store to record tips</p>';
+    splitContainer.innerHTML = '';
+    return null;
+  }
+  try {
+    const response = await fetch(window.withStore(`/api/tips/${date}`));
+    const data = response.ok ? await response.json() : null;
+    renderTips(data, date);
+    return data;
+  } catch (error) {
+    console.error('Error fetching tips:', error);
+    return null;
+  }
+}
+
+function renderTips(data, date) {
+  const entriesContainer = document.getElementById('tipEntriesList');
+  const splitContainer = document.getElementById('tipSplit');
+  const entries = data?.entries || [];
+  const shares = data?.shares || [];
+
+  entriesContainer.innerHTML = entries.length ? '' : '<p class="text-muted">No tips recorded</p>';
+  if (entries.length) {
+    const list = document.createElement('ul');
+    list.className = 'list-group';
+    entries.forEach(entry => {
+      const li = document.createElement('li');
+      li.className = 'list-group-item d-flex justify-content-between align-items-center';
+      const label = document.createElement('span');
+      label.textContent = `${TIP_SOURCE_LABELS[entry.source] || entry.source}: ${formatCurrency(entry.amount)}${entry.note ? ` · ${entry.note}` : ''}`;
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-sm btn-danger';
+      btn.textContent = 'Remove';
+      btn.addEventListener('click', () => removeTip(entry.id, date));
+      li.append(label, btn);
+      list.appendChild(li);
+    });
+    entriesContainer.appendChild(list);
+  }
+
+  splitContainer.innerHTML = '';
+  if (!data || !data.pool) return;
+  const summary = document.createElement('p');
+  summary.className = 'small text-muted mb-2';
+  summary.textContent = `Pool ${formatCurrency(data.pool)} split by ${TIP_METHOD_LABELS[data.split_method] || data.split_method}`
+    + (data.split_method !== data.configured_split_method ? ` (no ${TIP_METHOD_LABELS[data.configured_split_method]} entered yet)` : '');
+  splitContainer.appendChild(summary);
+  if (!shares.length) {
+    splitContainer.insertAdjacentHTML('beforeend', '<p class="text-warning small">Add the closing staff to split the pool</p>');
+    return;
+  }
+  const table = document.createElement('table');
+  table.className = 'table table-sm mb-0';
+  table.innerHTML = '<thead><tr><th>Staff</th><th>Role</th><th class="text-end">Hours</th><th class="text-end">Share</th></tr></thead>';
+  const body = document.createElement('tbody');
+  shares.forEach(share => {
+    const row = body.insertRow();
+    [share.name, share.role || '—', share.hours_worked ?? '—', formatCurrency(share.amount)].forEach((value, index) => {
+      const cell = row.insertCell();
+      cell.textContent = value;
+      if (index >= 2) cell.className = 'text-end';
+    });
+  });
+  table.appendChild(body);
+  splitContainer.appendChild(table);
+}
+
+window.addTipToReport = async function() {
+  const date = document.getElementById('reportDate')?.value;
+  const amountInput = document.getElementById('tipAmount');
+  const noteInput = document.getElementById('tipNote');
+  const amount = Number(amountInput?.value);
+  if (!date || !(amount > 0)) return window.showMessage('Enter a tip amount', 'warning');
+
+  const res = await fetch('/api/tips', {
+    method: 'POST', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      date, store_id: window.getSelectedStore(), amount,
+      source: document.getElementById('tipSource')?.value || 'cash_jar', note: noteInput?.value.trim() || ''
+    })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return window.showMessage(data.message || 'Could not add tip', 'danger');
+  amountInput.value = '';
+  if (noteInput) noteInput.value = '';
+  renderTips(data, date);
+};
+
+async function removeTip(id, date) {
+  const res = await fetch(`/api/tips/${id}`, { method: 'DELETE' });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return window.showMessage(data.message || 'Could not remove tip', 'danger');
+  renderTips(data, date);
+}
+
+window.importCardTips = async function() {
+  const date = document.getElementById('reportDate')?.value;
+  const btn = document.getElementById('importCardTipsBtn');
+  if (!date) return;
+  if (btn) btn.disabled = true;
+  try {
+    const res = await fetch(window.withStore(`/api/tips/${date}/import-card`), { method: 'POST' });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || 'Card tip import failed');
+    window.showMessage(`Card tips: ${formatCurrency(data.sources?.card || 0)} from ${data.card_receipts} receipt${data.card_receipts === 1 ? '' : 's'}`, 'success');
+    renderTips(data, date);
+  } catch (e) {
+    window.showMessage(e.message, 'danger');
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+};
+
+async function loadTipSettings() {
+  if (!window.hasRole('owner') || window.isAllStoresSelected()) return;
+  try {
+    const res = await fetch(window.withStore('/api/tips/settings'));
+    if (!res.ok) return;
+    const settings = await res.json();
+    document.getElementById('tipSplitMethod').value = settings.split_method;
+    document.getElementById('tipRoleWeights').value = Object.entries(settings.role_weights || {})
+      .map(([role, weight]) => `${role}=${weight}`).join(', ');
+  } catch (error) {
+    console.error('Error loading tip settings:', error);
+  }
+}
+
+window.saveTipSettings = async function() {
+  if (window.isAllStoresSelected()) return window.showMessage('Select a store first', 'warning');
+  const roleWeights = {};
+  const text = document.getElementById('tipRoleWeights')?.value || '';
+  for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [role, weight] = part.split('=').map(p => p.trim());
+    if (!role || weight === undefined || !Number.isFinite(Number(weight))) {
+      return window.showMessage(`Role weights must look like "role=1.5" (got "${part}")`, 'warning');
+    }
+    roleWeights[role] = Number(weight);
+  }
+
+  const res = await fetch('/api/tips/settings', {
+    method: 'PUT', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      store_id: window.getSelectedStore(),
+      split_method: document.getElementById('tipSplitMethod')?.value,
+      role_weights: roleWeights
+    })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return window.showMessage(data.message || 'Could not save the tip split rule', 'danger');
+  window.showMessage('Tip split rule saved', 'success');
+  const date = document.getElementById('reportDate')?.value;
+  if (date) fetchTips(date);
+};
+
+window.loadTipStatements = async function() {
+  const container = document.getElementById('tipStatements');
+  const date = document.getElementById('reportDate')?.value;
+  if (!container || !date) return;
+  const period = document.getElementById('tipStatementPeriod')?.value || 'week';
+  const res = await fetch(window.withStore(`/api/tips/statements?period=${period}&date=${date}`));
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return window.showMessage(data.message || 'Could not load tip statements', 'danger');
+
+  container.innerHTML = '';
+  const summary = document.createElement('p');
+  summary.className = 'small text-muted mb-2';
+  summary.textContent = `${data.from} to ${data.to}: ${formatCurrency(data.total_pool)} in tips`
+    + (data.undistributed ? `, ${formatCurrency(data.undistributed)} on days without staff` : '');
+  container.appendChild(summary);
+  if (!data.statements.length) return;
+
+  const table = document.createElement('table');
+  table.className = 'table table-sm mb-0';
+  table.innerHTML = '<thead><tr><th>Staff</th><th class="text-end">Days</th><th class="text-end">Hours</th><th class="text-end">Tips</th></tr></thead>';
+  const body = document.createElement('tbody');
+  data.statements.forEach(person => {
+    const row = body.insertRow();
+    [person.name, person.days, person.hours_worked || '—', formatCurrency(person.total)].forEach((value, index) => {
+      const cell = row.insertCell();
+      cell.textContent = value;
+      if (index >= 1) cell.className = 'text-end';
+    });
+  });
+  table.appendChild(body);
+  container.appendChild(table);
+};
+
+/**
+ * Shifts: each with its own time window, float, cash count and safe drop
+ */
+let currentEditingShiftId = null;
+let currentShifts = [];
+
+async function fetchShifts(date) {
+  if (window.isAllStoresSelected()) {
+    renderShiftsList([], null, date);
+    return [];
+  }
+  try {
+    const response = await fetch(window.withStore(`/api/shifts/${date}`));
+    const data = response.ok ? await response.json() : { shifts: [] };
+    renderShiftsList(data.shifts || [], data.rollup, date);
+    return data.shifts || [];
+  } catch (error) {
+    console.error('Error fetching shifts:', error);
+    return [];
+  }
+}
+
+function renderShiftsList(shifts, rollup, date) {
+  const container = document.getElementById('shiftsList');
+  if (!container) return;
+  currentShifts = shifts;
+  if (!shifts.length) {
+    container.innerHTML = '<p class="text-muted">No shifts added; the day is counted as a single shift</p>';
+    return;
+  }
+
+  const money = (value) => Number(value || 0).toFixed(2);
+  const rows = shifts.map(s => `
+    <tr>
+      <td><strong>${s.name}</strong><br><small class="text-muted">${s.start_time}–${s.end_time}${s.pos_shift_id ? ' · POS' : ''}</small></td>
+      <td>${s.staff_name || '-'}</td>
+      <td class="text-end">${s.total_orders}</td>
+      <td class="text-end">${money(s.cash_total)}</td>
+      <td class="text-end">${money(s.card_total)}</td>
+      <td class="text-end">${money(s.transfer_total)}</td>
+      <td class="text-end">${money(s.opening_cash)}</td>
+      <td class="text-end">${money(s.safe_drop)}</td>
+      <td class="text-end">${money(s.actual_cash_counted)}</td>
+      <td class="text-end ${Number(s.difference) === 0 ? '' : 'text-danger fw-bold'}">${money(s.difference)}</td>
+      <td class="text-end no-export">
+        <button class="btn btn-sm btn-outline-secondary" onclick="editShift(${s.id})">Edit</button>
+        <button class="btn btn-sm btn-danger ms-1" onclick="removeShift(${s.id}, '${date}')">Remove</button>
+      </td>
+    </tr>`).join('');
+
+  const footer = rollup ? `
+    <tfoot>
+      <tr class="fw-bold">
+        <td colspan="2">Day total</td>
+        <td class="text-end">${rollup.total_orders}</td>
+        <td class="text-end">${money(rollup.cash_total)}</td>
+        <td class="text-end">${money(rollup.card_total)}</td>
+        <td class="text-end">${money(rollup.transfer_total)}</td>
+        <td class="text-end">${money(rollup.opening_cash)}</td>
+        <td class="text-end">${money(rollup.safe_drop)}</td>
+        <td class="text-end">${money(rollup.actual_cash_counted)}</td>
+        <td class="text-end">${money(rollup.difference)}</td>
+        <td class="no-export"></td>
+      </tr>
+    </tfoot>` : '';
+
+  container.innerHTML = `
+    <div class="table-responsive">
+      <table class="table table-sm align-middle mb-0">
+        <thead>
+          <tr>
+            <th>Shift</th><th>Staff</th><th class="text-end">Orders</th><th class="text-end">Cash</th>
+            <th class="text-end">Card</th><th class="text-end">Transfer</th><th class="text-end">Float</th>
+            <th class="text-end">Safe Drop</th><th class="text-end">Counted</th><th class="text-end">Difference</th>
+            <th class="no-export"></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        ${footer}
+      </table>
+    </div>`;
+}
+
+function resetShiftForm() {
+  currentEditingShiftId = null;
+  ['shiftName', 'shiftStart', 'shiftEnd', 'shiftStaff', 'shiftOpeningCash', 'shiftCashCounted', 'shiftSafeDrop', 'shiftPosShiftId']
+    .forEach(id => { const el = document.getElementById(id); if (el) el.value = ''; });
+  const btn = document.getElementById('saveShiftBtn');
+  if (btn) btn.innerText = '➕ Add Shift';
+}
+
+window.editShift = function(id) {
+  const shift = currentShifts.find(s => s.id === id);
+  if (!shift) return;
+  currentEditingShiftId = id;
+  document.getElementById('shiftName').value = shift.name;
+  document.getElementById('shiftStart').value = shift.start_time;
+  document.getElementById('shiftEnd').value = shift.end_time;
+  document.getElementById('shiftStaff').value = shift.staff_name || '';
+  document.getElementById('shiftOpeningCash').value = shift.opening_cash;
+  document.getElementById('shiftCashCounted').value = shift.actual_cash_counted;
+  document.getElementById('shiftSafeDrop').value = shift.safe_drop;
+  document.getElementById('shiftPosShiftId').value = shift.pos_shift_id || '';
+  const btn = document.getElementById('saveShiftBtn');
+  if (btn) btn.innerText = '💾 Update Shift';
+};
+
+window.saveShiftToReport = async function() {
+  const btn = document.getElementById('saveShiftBtn');
+  if (btn && btn.disabled) return;
+
+  const date = document.getElementById('reportDate')?.value;
+  const payload = {
+    name: document.getElementById('shiftName')?.value,
+    start_time: document.getElementById('shiftStart')?.value,
+    end_time: document.getElementById('shiftEnd')?.value,
+    staff_name: document.getElementById('shiftStaff')?.value || '',
+    opening_cash: Number(document.getElementById('shiftOpeningCash')?.value || 0),
+    actual_cash_counted: Number(document.getElementById('shiftCashCounted')?.value || 0),
+    safe_drop: Number(document.getElementById('shiftSafeDrop')?.value || 0),
+    pos_shift_id: document.getElementById('shiftPosShiftId')?.value || null
+  };
+
+  if (!date || !payload.name || !payload.start_time || !payload.end_time) {
+    return window.showMessage('Shift name, start and end are required', 'warning');
+  }
+  if (window.isAllStoresSelected()) {
+    return window.showMessage('Select a single store to edit shifts', 'warning');
+  }
+
+  if (btn) btn.disabled = true;
+  try {
+    const res = currentEditingShiftId
+      ? await fetch(`/api/shifts/${currentEditingShiftId}`, {
+          method: 'PUT', headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        })
+      : await fetch('/api/shifts', {
+          method: 'POST', headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...payload, date, store_id: window.getSelectedStore() })
+        });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || 'Could not save shift');
+
+    renderShiftsList(data.shifts || [], data.rollup, date);
+    resetShiftForm();
+    if (data.sales_error) {
+      window.showMessage(`Shift saved, but sales could not be split: ${data.sales_error}`, 'warning');
+    }
+  } catch (e) {
+    console.error('Save shift error:', e);
+    window.showMessage(e.message, 'danger');
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+};
+
+async function removeShift(id, date) {
+  if (await fetch(`/api/shifts/${id}`, { method: 'DELETE' })) fetchShifts(date);
+}
+
+/**
+ * Report lifecycle: draft -> submitted -> approved -> locked
+ */
+const REPORT_STATUS_BADGES = {
+  draft: 'bg-secondary',
+  submitted: 'bg-info',
+  approved: 'bg-success',
+  locked: 'bg-dark'
+};
+
+// Buttons offered for each status; mirrors the transitions allowed by the server
+const REPORT_STATUS_ACTIONS = {
+  draft: [{ status: 'submitted', label: '📤 Submit', style: 'btn-outline-info' }],
+  submitted: [
+    { status: 'approved', label: '✅ Approve', style: 'btn-outline-success' },
+    { status: 'draft', label: '↩️ Back to Draft', style: 'btn-outline-secondary' }
+  ],
+  approved: [
+    { status: 'locked', label: '🔒 Lock', style: 'btn-outline-dark' },
+    { status: 'submitted', label: '↩️ Reopen', style: 'btn-outline-secondary' }
+  ],
+  locked: [{ status: 'draft', label: '🔓 Unlock', style: 'btn-outline-danger' }]
+};
+
+function renderReportStatus(report) {
+  const badge = document.getElementById('reportStatusBadge');
+  const reason = document.getElementById('reportStatusReason');
+  const actions = document.getElementById('reportStatusActions');
+  if (!badge || !actions) return;
+
+  const status = report?.status;
+  badge.className = `badge ${REPORT_STATUS_BADGES[status] || 'bg-secondary'}`;
+  badge.textContent = status ? status.charAt(0).toUpperCase() + status.slice(1) : 'No report';
+  if (reason) reason.textContent = report?.status_reason ? `(${report.status_reason})` : '';
+
+  const editable = status && !window.isAllStoresSelected();
+  actions.innerHTML = editable
+    ? (REPORT_STATUS_ACTIONS[status] || [])
+        // Staff can only submit; reviewing is for managers
+        .filter(a => window.hasRole('manager') || (status === 'draft' && a.status === 'submitted'))
+        .map(a =>
+          `<button class="btn btn-sm ${a.style}" onclick="changeReportStatus('${a.status}')">${a.label}</button>`).join('')
+    : '';
+
+  const syncBtn = document.getElementById('syncButton');
+  if (syncBtn && status === 'locked') {
+    syncBtn.disabled = true;
+    syncBtn.title = 'This day is locked';
+  }
+}
+
+window.changeReportStatus = async function(status) {
+  const date = document.getElementById('reportDate')?.value;
+  if (!date) return;
+
+  let reason = '';
+  if (document.getElementById('reportStatusBadge')?.textContent === 'Locked') {
+    reason = (prompt('Why does this day need to be unlocked?') || '').trim();
+    if (!reason) return window.showMessage('A reason is required to unlock', 'warning');
+  }
+
+  try {
+    const res = await fetch(`/api/reports/${date}/status`, {
+      method: 'PUT', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status, reason, store_id: window.getSelectedStore() })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || 'Could not change status');
+
+    renderReportStatus(data);
+    window.showMessage(`Report ${data.transition.from} → ${data.transition.to}`, 'success');
+    if (data.transition.from === 'locked') window.loadReportData(date);
+  } catch (e) {
+    console.error('Report status error:', e);
+    window.showMessage(e.message, 'danger');
+  }
+};
+
+/**
+ * History: audit log of the selected day, newest first
+ */
+async function fetchAuditHistory(date) {
+  if (!window.hasRole('manager')) return [];
+  try {
+    const response = await fetch(window.withStore(`/api/audit?date=${date}`));
+    const data = response.ok ? await response.json() : { entries: [] };
+    renderAuditHistory(data.entries || []);
+    return data.entries || [];
+  } catch (error) {
+    console.error('Error fetching history:', error);
+    return [];
+  }
+}
+
+function renderAuditHistory(entries) {
+  const container = document.getElementById('auditHistory');
+  if (!container) return;
+  if (!entries.length) {
+    container.innerHTML = '<p class="text-muted">No changes recorded</p>';
+    return;
+  }
+
+  const format = (value) => value === null || value === undefined || value === '' ? '–' : value;
+  const describe = (entry) => {
+    const oldValues = entry.old_values || {};
+    const newValues = entry.new_values || {};
+    const keys = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])];
+    if (entry.action === 'create' || entry.action === 'delete') {
+      const values = entry.action === 'create' ? newValues : oldValues;
+      return keys.map(k => `${k}: ${format(values[k])}`).join(', ');
+    }
+    return keys.map(k => `${k}: ${format(oldValues[k])} → ${format(newValues[k])}`).join('<br>');
+  };
+
+  const rows = entries.map(e => `
+    <tr>
+      <td class="text-nowrap"><small>${new Date(e.created_at).toLocaleString()}</small></td>
+      <td><small>${e.actor}</small></td>
+      <td><span class="badge bg-secondary">${e.entity}</span> ${e.action}${e.entity_id ? ` <small class="text-muted">#${e.entity_id}</small>` : ''}</td>
+      <td><small>${describe(e)}</small></td>
+    </tr>`).join('');
+
+  container.innerHTML = `
+    <div class="table-responsive" style="max-height: 360px; overflow-y: auto;">
+      <table class="table table-sm align-middle mb-0">
+        <thead><tr><th>When</th><th>Who</th><th>What</th><th>Changes</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * Classification rules: checked from the highest priority down, first match wins
+ */
+const RULE_TYPE_LABELS = { item: 'Exact item', keyword: 'Name contains', regex: 'Regex', category: 'Category contains', price: 'Unit price above', fb_exception: 'Name contains, if F&B' };
+const CLASSIFICATION_LABELS = { main: 'Main', fb: 'F&B', accessory: 'Accessory' };
+let classificationRules = [];
+
+async function loadClassificationRules() {
+  if (!window.hasRole('manager')) return [];
+  try {
+    const res = await fetch('/api/classification-rules');
+    classificationRules = res.ok ? (await res.json()).rules || [] : [];
+    // Keep the dashboard's classification in step with rule edits
+    if (res.ok) {
+      window.SalesLogic.setClassificationRules(classificationRules.filter((rule) => rule.active));
+    }
+  } catch (error) {
+    console.error('Error loading classification rules:', error);
+    classificationRules = [];
+  }
+  renderClassificationRules();
+  return classificationRules;
+}
+
+function renderClassificationRules() {
+  const container = document.getElementById('classificationRulesList');
+  if (!container) return;
+  const filter = (document.getElementById('ruleFilter')?.value || '').trim().toLowerCase();
+  const rules = classificationRules.filter(rule => !filter || [rule.pattern, rule.note, rule.classification, rule.match_type]
+    .some(value => String(value || '').toLowerCase().includes(filter)));
+  if (!rules.length) {
+    container.innerHTML = '<p class="text-muted small">No rules</p>';
+    return;
+  }
+
+  const canEdit = window.hasRole('owner');
+  const table = document.createElement('table');
+  table.className = 'table table-sm align-middle mb-0';
+  table.innerHTML = '<thead><tr><th>Priority</th><th>Match</th><th>Pattern</th><th>Class</th><th>Note</th><th></th></tr></thead>';
+  const body = document.createElement('tbody');
+  rules.forEach(rule => {
+    const row = body.insertRow();
+    if (!rule.active) row.className = 'text-muted';
+
+    const priorityCell = row.insertCell();
+    if (canEdit) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = '1';
+      input.className = 'form-control form-control-sm rule-priority-input';
+      input.value = rule.priority;
+      input.addEventListener('change', () => updateClassificationRule(rule.id, { priority: Number(input.value) }));
+      priorityCell.appendChild(input);
+    } else {
+      priorityCell.textContent = rule.priority;
+    }
+    row.insertCell().textContent = RULE_TYPE_LABELS[rule.match_type] || rule.match_type;
+    row.insertCell().textContent = rule.match_type === 'price' ? formatCurrency(rule.min_price) : rule.pattern;
+    row.insertCell().textContent = CLASSIFICATION_LABELS[rule.classification] || rule.classification;
+    row.insertCell().textContent = rule.note;
+
+    const actions = row.insertCell();
+    actions.className = 'text-end text-nowrap';
+    if (canEdit) {
+      const toggle = document.createElement('button');
+      toggle.className = `btn btn-sm ${rule.active ? 'btn-outline-secondary' : 'btn-outline-success'} me-1`;
+      toggle.textContent = rule.active ? 'Disable' : 'Enable';
+      toggle.addEventListener('click', () => updateClassificationRule(rule.id, { active: !rule.active }));
+      const remove = document.createElement('button');
+      remove.className = 'btn btn-sm btn-outline-danger';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => deleteClassificationRule(rule.id));
+      actions.append(toggle, remove);
+    } else if (!rule.active) {
+      actions.textContent = 'Disabled';
+    }
+  });
+  table.appendChild(body);
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+window.createClassificationRule = async function() {
+  const matchType = document.getElementById('ruleMatchType')?.value;
+  const body = {
+    match_type: matchType,
+    pattern: document.getElementById('rulePattern')?.value.trim() || '',
+    min_price: matchType === 'price' ? document.getElementById('ruleMinPrice')?.value : null,
+    classification: document.getElementById('ruleClassification')?.value,
+    priority: Number(document.getElementById('rulePriority')?.value || 0),
+    note: document.getElementById('ruleNote')?.value.trim() || ''
+  };
+  const res = await fetch('/api/classification-rules', {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return window.showMessage(data.message || 'Could not add rule', 'danger');
+  ['rulePattern', 'ruleMinPrice', 'ruleNote'].forEach(id => { document.getElementById(id).value = ''; });
+  loadClassificationRules();
+};
+
+async function updateClassificationRule(id, changes) {
+  const res = await fetch(`/api/classification-rules/${id}`, {
+    method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(changes)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) window.showMessage(data.message || 'Could not update rule', 'danger');
+  loadClassificationRules();
+}
+
+async function deleteClassificationRule(id) {
+  if (!confirm('Delete this classification rule?')) return;
+  const res = await fetch(`/api/classification-rules/${id}`, { method: 'DELETE' });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) window.showMessage(data.message || 'Could not delete rule', 'danger');
+  loadClassificationRules();
+}
+
+window.testClassificationRule = async function() {
+  const result = document.getElementById('ruleTestResult');
+  const params = new URLSearchParams({
+    name: document.getElementById('ruleTestName')?.value || '',
+    category: document.getElementById('ruleTestCategory')?.value || '',
+    price: document.getElementById('ruleTestPrice')?.value || 0
+  });
+  const res = await fetch(`/api/classification-rules/test?${params}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return window.showMessage(data.message || 'Could not test the rules', 'danger');
+  const rule = data.rule
+    ? `${RULE_TYPE_LABELS[data.rule.match_type]} ${data.rule.match_type === 'price' ? data.rule.min_price : `"${data.rule.pattern}"`}`
+    : 'no rule (default)';
+  result.textContent = `${CLASSIFICATION_LABELS[data.classification]} · ${rule}`;
+};
+
+/**
+ * Classification audit: the rule behind every line item of the report date
+ */
+const AUDIT_BASIS_LABELS = {
+  item: 'Exact item', keyword: 'Keyword', regex: 'Regex', category: 'Category', fb_exception: 'F&B exception', price_fallback: 'Price fallback', default: 'Default (Main)'
+};
+const AUDIT_FLAG_LABELS = { price_fallback: 'Price fallback', default: 'Default', ambiguous: 'F&B + Main' };
+let classificationAudit = null;
+
+window.loadClassificationAudit = async function() {
+  const date = document.getElementById('reportDate')?.value;
+  if (!date) return window.showMessage('Please select a date first', 'warning');
+  if (window.isAllStoresSelected()) return window.showMessage('Select a single store to audit', 'warning');
+  const summary = document.getElementById('classificationAuditSummary');
+  if (summary) summary.textContent = 'Loading…';
+
+  const res = await fetch(window.withStore(`/api/audit/classification?date=${date}`));
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    if (summary) summary.textContent = '';
+    return window.showMessage(data.message || 'Could not load the classification audit', 'danger');
+  }
+  classificationAudit = data;
+  renderClassificationAudit();
+};
+
+function describeAuditRule(rule) {
+  if (!rule) return '';
+  return rule.match_type === 'price' ? `unit price > ${rule.min_price}` : `"${rule.pattern}"`;
+}
+
+window.renderClassificationAudit = function() {
+  const container = document.getElementById('classificationAuditList');
+  const summary = document.getElementById('classificationAuditSummary');
+  if (!container || !classificationAudit) return;
+
+  const { flag_counts: counts, totals } = classificationAudit;
+  if (summary) {
+    summary.textContent = `${classificationAudit.date} · ${classificationAudit.receipts} receipts · Main ${formatCurrency(totals.main)} · F&B ${formatCurrency(totals.fb)} · Accessory ${formatCurrency(totals.accessory)} · `
+      + `${counts.price_fallback} price fallback, ${counts.default} default, ${counts.ambiguous} F&B + Main`;
+  }
+
+  const flaggedOnly = document.getElementById('auditFlaggedOnly')?.checked;
+  const items = flaggedOnly ? classificationAudit.flagged_items : classificationAudit.items;
+  if (!items.length) {
+    container.innerHTML = `<p class="text-muted small">${flaggedOnly ? 'No flagged items' : 'No line items'}</p>`;
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'table table-sm align-middle mb-0';
+  table.innerHTML = `<thead><tr>${flaggedOnly ? '' : '<th>Receipt</th>'}<th>Item</th><th>Category</th><th>Qty</th><th>Net</th><th>Class</th><th>Decided by</th><th>Flags</th></tr></thead>`;
+  const body = document.createElement('tbody');
+  items.forEach(item => {
+    const row = body.insertRow();
+    if (!item.flags.length) row.className = 'text-muted';
+    if (!flaggedOnly) row.insertCell().textContent = item.receipt_number;
+    row.insertCell().textContent = item.item_name;
+    row.insertCell().textContent = item.category;
+    row.insertCell().textContent = item.quantity;
+    row.insertCell().textContent = formatCurrency(item.net);
+    row.insertCell().textContent = CLASSIFICATION_LABELS[item.classification] || item.classification;
+    row.insertCell().textContent = `${AUDIT_BASIS_LABELS[item.basis] || item.basis} ${describeAuditRule(item.rule)}`.trim();
+
+    const flagCell = row.insertCell();
+    item.flags.forEach(flag => {
+      const badge = document.createElement('span');
+      badge.className = `badge ${flag === 'ambiguous' ? 'bg-danger' : 'bg-warning text-dark'} me-1`;
+      badge.textContent = AUDIT_FLAG_LABELS[flag] || flag;
+      if (flag === 'ambiguous') {
+        badge.title = `F&B: ${item.fb_rules.map(describeAuditRule).join(', ')} · Main: ${item.main_rules.map(describeAuditRule).join(', ')}`;
+      }
+      flagCell.appendChild(badge);
+    });
+  });
+  table.appendChild(body);
+  container.innerHTML = '';
+  container.appendChild(table);
+};
+
+/**
+ * Gram weights: grams per unit for each Loyverse item or variant
+ */
+let itemWeights = [];
+let unknownWeightItems = [];
+let weightCatalogLoaded = false;
+
+async function loadItemWeights() {
+  if (!window.hasRole('manager')) return [];
+  try {
+    const res = await fetch('/api/item-weights');
+    itemWeights = res.ok ? (await res.json()).weights || [] : [];
+    // Recount grams on the dashboard with the edited weights
+    if (res.ok) {
+      window.SalesLogic.setItemWeights(itemWeights);
+    }
+  } catch (error) {
+    console.error('Error loading item weights:', error);
+    itemWeights = [];
+  }
+  renderItemWeights();
+  loadWeightItemOptions();
+  return itemWeights;
+}
+
+async function loadWeightItemOptions() {
+  const select = document.getElementById('weightItemSelect');
+  if (!select || weightCatalogLoaded) return;
+  try {
+    const res = await fetch('/api/catalog/items');
+    if (!res.ok) return;
+    const { items = [] } = await res.json();
+    items
+      .slice()
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+      .forEach(item => select.add(new Option(item.category_name ? `${item.name} (${item.category_name})` : item.name, item.id)));
+    weightCatalogLoaded = true;
+  } catch (error) {
+    console.error('Error loading catalog items:', error);
+  }
+}
+
+function describeWeight(weight) {
+  return weight.weighed ? `${weight.grams_per_unit} g` : 'Not weighed';
+}
+
+function renderItemWeights() {
+  const container = document.getElementById('itemWeightsList');
+  if (!container) return;
+  if (!itemWeights.length) {
+    container.innerHTML = '<p class="text-muted small">No gram weights</p>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'table table-sm align-middle mb-0';
+  table.innerHTML = '<thead><tr><th>Item</th><th>Variant</th><th>Grams per unit</th><th>Note</th><th></th></tr></thead>';
+  const body = document.createElement('tbody');
+  itemWeights.forEach(weight => {
+    const row = body.insertRow();
+    if (!weight.weighed) row.className = 'text-muted';
+    row.insertCell().textContent = weight.item_name || weight.item_id;
+    row.insertCell().textContent = weight.variant_id || 'All';
+
+    const gramsCell = row.insertCell();
+    if (weight.weighed) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = '0.001';
+      input.className = 'form-control form-control-sm rule-priority-input';
+      input.value = weight.grams_per_unit;
+      input.addEventListener('change', () => saveItemWeight({ ...weight, grams_per_unit: input.value }));
+      gramsCell.appendChild(input);
+    } else {
+      gramsCell.textContent = describeWeight(weight);
+    }
+    row.insertCell().textContent = weight.note;
+
+    const actions = row.insertCell();
+    actions.className = 'text-end text-nowrap';
+    const toggle = document.createElement('button');
+    toggle.className = 'btn btn-sm btn-outline-secondary me-1';
+    toggle.textContent = weight.weighed ? 'Not weighed' : 'Weighed';
+    toggle.addEventListener('click', () => saveItemWeight({
+      ...weight,
+      weighed: !weight.weighed,
+      grams_per_unit: weight.weighed ? null : weight.grams_per_unit || 1
+    }));
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-sm btn-outline-danger';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => deleteItemWeight(weight.id));
+    actions.append(toggle, remove);
+  });
+  table.appendChild(body);
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+/**
+ * List the main items of the last sync that have no gram weight, each with a
+ * button that fills in the add form.
+ */
+window.renderUnknownWeights = function(items) {
+  unknownWeightItems = Array.isArray(items) ? items : [];
+  const container = document.getElementById('unknownWeightsList');
+  if (!container) return;
+  container.innerHTML = '';
+  if (!unknownWeightItems.length) return;
+
+  const heading = document.createElement('div');
+  heading.className = 'small text-warning mb-1';
+  heading.textContent = 'Counted at 1 g per unit until a weight is set:';
+  container.appendChild(heading);
+  unknownWeightItems.forEach(item => {
+    const button = document.createElement('button');
+    button.className = 'btn btn-sm btn-outline-warning me-1 mb-1';
+    button.textContent = `${item.item_name}${item.variant_id ? ' (variant)' : ''} × ${item.quantity}`;
+    button.title = 'Set weight';
+    button.addEventListener('click', () => fillWeightForm(item));
+    container.appendChild(button);
+  });
+};
+
+function fillWeightForm(item) {
+  const select = document.getElementById('weightItemSelect');
+  if (![...select.options].some(option => option.value === item.item_id)) {
+    select.add(new Option(item.item_name, item.item_id));
+  }
+  select.value = item.item_id;
+  document.getElementById('weightVariantId').value = item.variant_id || '';
+  document.getElementById('weightWeighed').value = '1';
+  document.getElementById('weightGrams').focus();
+}
+
+async function saveItemWeight(weight) {
+  const res = await fetch('/api/item-weights', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      item_id: weight.item_id,
+      variant_id: weight.variant_id || '',
+      item_name: weight.item_name || '',
+      weighed: weight.weighed,
+      grams_per_unit: weight.weighed ? weight.grams_per_unit : null,
+      note: weight.note || ''
+    })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    window.showMessage(data.message || 'Could not save the gram weight', 'danger');
+    loadItemWeights();
+    return false;
+  }
+  window.renderUnknownWeights(unknownWeightItems.filter(item =>
+    item.item_id !== data.item_id || (data.variant_id && item.variant_id !== data.variant_id)));
+  loadItemWeights();
+  return true;
+}
+
+window.saveItemWeightFromForm = async function() {
+  const select = document.getElementById('weightItemSelect');
+  const option = select?.selectedOptions[0];
+  if (!select?.value) return window.showMessage('Select an item first', 'warning');
+  const weighed = document.getElementById('weightWeighed').value === '1';
+  const saved = await saveItemWeight({
+    item_id: select.value,
+    variant_id: document.getElementById('weightVariantId').value.trim(),
+    item_name: option ? option.text.replace(/ \([^)]*\)$/, '') : '',
+    weighed,
+    grams_per_unit: document.getElementById('weightGrams').value,
+    note: document.getElementById('weightNote').value.trim()
+  });
+  if (saved) {
+    ['weightVariantId', 'weightNote'].forEach(id => { document.getElementById(id).value = ''; });
+    document.getElementById('weightGrams').value = '1';
+  }
+};
+
+async function deleteItemWeight(id) {
+  if (!confirm('Delete this gram weight?')) return;
+  const res = await fetch(`/api/item-weights/${id}`, { method: 'DELETE' });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) window.showMessage(data.message || 'Could not delete the gram weight', 'danger');
+  loadItemWeights();
+}
+
+/**
+ * Recompute past days: preview the changed synced totals, then apply them
+ */
+const RECOMPUTE_STATUS_LABELS = {
+  changed: 'Changed', unchanged: 'Unchanged', locked: 'Locked', no_receipts: 'No archived receipts', error: 'Error'
+};
+let recomputePreview = null;
+
+window.recomputeReports = async function(apply) {
+  const from = document.getElementById('recomputeFrom')?.value;
+  const to = document.getElementById('recomputeTo')?.value;
+  const applyButton = document.getElementById('recomputeApplyButton');
+  if (!from || !to) return window.showMessage('Select a date range first', 'warning');
+  if (window.isAllStoresSelected()) return window.showMessage('Select a single store to recompute', 'warning');
+  // Only the range that was just previewed can be applied
+  if (apply && (recomputePreview?.from !== from || recomputePreview?.to !== to)) {
+    return window.showMessage('Preview this range before applying it', 'warning');
+  }
+  if (apply && !confirm(`Overwrite the synced totals of ${recomputePreview.changed} day(s)?`)) return;
+
+  const params = new URLSearchParams({ from, to, apply: apply ? 'true' : 'false' });
+  const res = await fetch(window.withStore(`/api/reports/recompute?${params}`), { method: 'POST' });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return window.showMessage(data.message || 'Could not recompute the reports', 'danger');
+
+  recomputePreview = apply ? null : data;
+  if (applyButton) applyButton.disabled = apply || !data.changed;
+  renderRecomputeResult(data);
+  if (apply) window.showMessage(`Recomputed ${data.changed} day(s)`, 'success');
+};
+
+function renderRecomputeResult(data) {
+  const container = document.getElementById('recomputeResult');
+  if (!container) return;
+  if (!data.days.length) {
+    container.innerHTML = '<p class="text-muted small">No saved reports in this range</p>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'table table-sm align-middle mb-0';
+  table.innerHTML = '<thead><tr><th>Date</th><th>Status</th><th>Changes</th></tr></thead>';
+  const body = document.createElement('tbody');
+  data.days.forEach(day => {
+    const row = body.insertRow();
+    if (day.status !== 'changed') row.className = 'text-muted';
+    row.insertCell().textContent = day.date;
+    row.insertCell().textContent = RECOMPUTE_STATUS_LABELS[day.status] || day.status;
+    row.insertCell().textContent = day.changes
+      ? Object.keys(day.changes.new).map(column => `${column}: ${day.changes.old[column]} → ${day.changes.new[column]}`).join(', ')
+      : (day.error || '');
+  });
+  table.appendChild(body);
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+/**
+ * Period comparison: week, month or year to date against the previous period
+ * and last year
+ */
+const COMPARE_METRIC_LABELS = {
+  net_sale: 'Net Sale', orders: 'Orders', grams: 'Grams', fb_total: 'F&B', expenses: 'Expenses', cash_difference: 'Cash Difference'
+};
+
+window.loadPeriodComparison = async function() {
+  const date = document.getElementById('reportDate')?.value;
+  if (!date) return window.showMessage('Please select a date first', 'warning');
+  const period = document.getElementById('comparePeriod')?.value || 'month';
+
+  const res = await fetch(window.withStore(`/api/reports/compare?${new URLSearchParams({ period, date })}`));
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return window.showMessage(data.message || 'Could not load the period comparison', 'danger');
+  renderPeriodComparison(data);
+};
+
+function formatCompareValue(metric, value) {
+  if (metric === 'orders') return value.toLocaleString();
+  if (metric === 'grams') return `${value.toFixed(3)} G`;
+  return formatCurrency(value);
+}
+
+function createDeltaCell(row, metric, delta) {
+  const cell = row.insertCell();
+  if (!delta) return;
+  const sign = delta.change > 0 ? '+' : '';
+  const percent = delta.percent === null ? '' : ` (${sign}${delta.percent}%)`;
+  cell.textContent = `${sign}${formatCompareValue(metric, delta.change)}${percent}`;
+  // Rising expenses are bad news; a cash difference is off either way
+  const goodWhenUp = metric !== 'expenses';
+  if (delta.change !== 0 && metric !== 'cash_difference') {
+    cell.className = (delta.change > 0) === goodWhenUp ? 'text-success' : 'text-danger';
+  }
+}
+
+function renderPeriodComparison(data) {
+  const container = document.getElementById('periodComparison');
+  const summary = document.getElementById('periodComparisonSummary');
+  if (!container) return;
+
+  const describe = range => (range ? `${range.from} – ${range.to} (${range.days} report(s))` : '');
+  if (summary) {
+    summary.textContent = `Current ${describe(data.current)} · Previous ${describe(data.previous)}`
+      + (data.last_year ? ` · Last year ${describe(data.last_year)}` : '');
+  }
+
+  const table = document.createElement('table');
+  table.className = 'table table-sm align-middle mb-0';
+  table.innerHTML = '<thead><tr><th>Metric</th><th>Current</th><th>Previous</th><th>Change</th>'
+    + (data.last_year ? '<th>Last Year</th><th>Change</th>' : '') + '</tr></thead>';
+  const body = document.createElement('tbody');
+  Object.keys(COMPARE_METRIC_LABELS).forEach(metric => {
+    const row = body.insertRow();
+    row.insertCell().textContent = COMPARE_METRIC_LABELS[metric];
+    row.insertCell().textContent = formatCompareValue(metric, data.current.totals[metric]);
+    row.insertCell().textContent = formatCompareValue(metric, data.previous.totals[metric]);
+    createDeltaCell(row, metric, data.deltas.previous[metric]);
+    if (data.last_year) {
+      row.insertCell().textContent = formatCompareValue(metric, data.last_year.totals[metric]);
+      createDeltaCell(row, metric, data.deltas.last_year[metric]);
+    }
+  });
+  table.appendChild(body);
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+/**
+ * Top sellers: item, category or class totals over a date range
+ */
+const ITEM_SALES_METRIC_LABELS = {
+  net: 'Net (THB)', gross: 'Gross (THB)', discount: 'Discount (THB)', quantity: 'Quantity', grams: 'Grams', receipts: 'Receipts'
+};
+let itemSalesChart = null;
+
+window.loadItemSales = async function() {
+  const from = document.getElementById('itemSalesFrom')?.value;
+  const to = document.getElementById('itemSalesTo')?.value;
+  if (!from || !to) return window.showMessage('Select a date range first', 'warning');
+  if (window.isAllStoresSelected()) return window.showMessage('Select a single store for top sellers', 'warning');
+  const summary = document.getElementById('itemSalesSummary');
+  if (summary) summary.textContent = 'Loading…';
+
+  const params = new URLSearchParams({
+    from,
+    to,
+    group: document.getElementById('itemSalesGroup')?.value || 'item',
+    sort: document.getElementById('itemSalesSort')?.value || 'net'
+  });
+  const classification = document.getElementById('itemSalesClassification')?.value;
+  if (classification) params.set('classification', classification);
+  const limit = document.getElementById('itemSalesLimit')?.value;
+  if (limit) params.set('limit', limit);
+
+  const res = await fetch(window.withStore(`/api/analytics/items?${params}`));
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    if (summary) summary.textContent = '';
+    return window.showMessage(data.message || 'Could not load the top sellers', 'danger');
+  }
+  renderItemSales(data);
+};
+
+function itemSalesLabel(row, group) {
+  return group === 'classification' ? (CLASSIFICATION_LABELS[row.name] || row.name) : row.name;
+}
+
+function renderItemSales(data) {
+  const container = document.getElementById('itemSalesList');
+  const summary = document.getElementById('itemSalesSummary');
+  if (!container) return;
+
+  if (summary) {
+    summary.textContent = `${data.from} – ${data.to} · ${data.days} day(s) · ${data.receipts} receipts · `
+      + `${data.totals.quantity} units · ${data.totals.grams} g · Net ${formatCurrency(data.totals.net)}`
+      + (data.count > data.rows.length ? ` · top ${data.rows.length} of ${data.count}` : '');
+  }
+  renderItemSalesChart(data);
+
+  if (!data.rows.length) {
+    container.innerHTML = '<p class="text-muted small">No sales in this range</p>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'table table-sm align-middle mb-0';
+  table.innerHTML = `<thead><tr><th>#</th><th>${data.group === 'item' ? 'Item' : data.group === 'category' ? 'Category' : 'Class'}</th>`
+    + '<th>Qty</th><th>Grams</th><th>Gross</th><th>Discount</th><th>Net</th><th>Share</th><th>Receipts</th></tr></thead>';
+  const body = document.createElement('tbody');
+  data.rows.forEach((item, index) => {
+    const row = body.insertRow();
+    row.insertCell().textContent = index + 1;
+    row.insertCell().textContent = itemSalesLabel(item, data.group);
+    row.insertCell().textContent = item.quantity;
+    row.insertCell().textContent = item.grams;
+    row.insertCell().textContent = formatCurrency(item.gross);
+    row.insertCell().textContent = formatCurrency(item.discount);
+    row.insertCell().textContent = formatCurrency(item.net);
+    row.insertCell().textContent = `${item.share}%`;
+    row.insertCell().textContent = item.receipts;
+  });
+  table.appendChild(body);
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+function renderItemSalesChart(data) {
+  const ctx = document.getElementById('itemSalesChart');
+  if (!ctx) return;
+  if (itemSalesChart) itemSalesChart.destroy();
+
+  // Sorting by name charts the net
+  const metric = ITEM_SALES_METRIC_LABELS[data.sort] ? data.sort : 'net';
+  itemSalesChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: data.rows.map(row => itemSalesLabel(row, data.group)),
+      datasets: [{
+        label: ITEM_SALES_METRIC_LABELS[metric],
+        data: data.rows.map(row => row[metric]),
+        backgroundColor: 'rgba(255, 204, 0, 0.6)',
+        borderColor: '#ffcc00',
+        borderWidth: 2
+      }]
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: true,
+          labels: { color: '#f5f1e8', font: { weight: 'bold', size: 14 }, padding: 20 }
+        },
+        tooltip: {
+          backgroundColor: 'rgba(0, 0, 0, 0.9)',
+          titleColor: '#ffffff',
+          bodyColor: '#ffffff',
+          padding: 12
+        }
+      },
+      scales: {
+        x: {
+          beginAtZero: true,
+          ticks: { color: '#f5f1e8', font: { weight: 'bold', size: 12 } },
+          grid: { color: 'rgba(255, 255, 255, 0.15)', drawBorder: false }
+        },
+        y: {
+          ticks: { color: '#f5f1e8', font: { weight: 'bold', size: 11 } },
+          grid: { color: 'rgba(255, 255, 255, 0.1)', drawBorder: false }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Sales heatmap: net sales, orders or grams per weekday and hour
+ */
+let salesHeatmap = null;
+
+window.loadSalesHeatmap = async function() {
+  const from = document.getElementById('heatmapFrom')?.value;
+  const to = document.getElementById('heatmapTo')?.value;
+  if (!from || !to) return window.showMessage('Select a date range first', 'warning');
+  if (window.isAllStoresSelected()) return window.showMessage('Select a single store for the heatmap', 'warning');
+  const summary = document.getElementById('salesHeatmapSummary');
+  if (summary) summary.textContent = 'Loading…';
+
+  const res = await fetch(window.withStore(`/api/analytics/heatmap?${new URLSearchParams({ from, to })}`));
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    if (summary) summary.textContent = '';
+    return window.showMessage(data.message || 'Could not load the sales heatmap', 'danger');
+  }
+  salesHeatmap = data;
+  renderSalesHeatmap();
+};
+
+window.renderSalesHeatmap = function() {
+  const container = document.getElementById('salesHeatmap');
+  const summary = document.getElementById('salesHeatmapSummary');
+  if (!container || !salesHeatmap) return;
+
+  const metric = document.getElementById('heatmapMetric')?.value || 'net_sales';
+  const average = document.getElementById('heatmapMode')?.value !== 'total';
+  const { totals } = salesHeatmap;
+  if (summary) {
+    summary.textContent = `${salesHeatmap.from} – ${salesHeatmap.to} · ${salesHeatmap.days} day(s) with sales · `
+      + `${totals.orders} orders · ${totals.grams} g · Net ${formatCurrency(totals.net_sales)} · ${salesHeatmap.timezone}`;
+  }
+
+  const values = salesHeatmap.cells.map((row, weekday) => row.map(cell => {
+    const days = salesHeatmap.weekday_days[weekday];
+    return average ? (days ? cell[metric] / days : 0) : cell[metric];
+  }));
+  const max = Math.max(0, ...values.flat());
+  const format = value => (metric === 'net_sales' ? Math.round(value).toLocaleString() : Number(value.toFixed(1)).toString());
+
+  const table = document.createElement('table');
+  table.className = 'table table-sm table-bordered align-middle mb-0';
+  const hours = Array.from({ length: 24 }, (_, hour) => `<th>${String(hour).padStart(2, '0')}</th>`).join('');
+  table.innerHTML = `<thead><tr><th></th>${hours}</tr></thead>`;
+  const body = document.createElement('tbody');
+  salesHeatmap.weekdays.forEach((weekday, index) => {
+    const row = body.insertRow();
+    row.insertCell().textContent = weekday;
+    values[index].forEach((value, hour) => {
+      const cell = row.insertCell();
+      const intensity = max > 0 ? value / max : 0;
+      cell.style.backgroundColor = `rgba(255, 204, 0, ${(intensity * 0.85).toFixed(2)})`;
+      cell.textContent = value > 0 ? format(value) : '';
+      const raw = salesHeatmap.cells[index][hour];
+      cell.title = `${weekday} ${String(hour).padStart(2, '0')}:00 · ${raw.orders} orders · ${raw.grams} g · ${formatCurrency(raw.net_sales)}`;
+    });
+  });
+  table.appendChild(body);
+  container.innerHTML = '';
+  container.appendChild(table);
+};
+
+/**
+ * Cash count: notes and coins in the drawer and the safe box
+ */
+const DENOMINATIONS = [1000, 500, 100, 50, 20, 10, 5, 2, 1];
+
+async function fetchDenominations(date) {
+  if (window.isAllStoresSelected()) {
+    renderDenominationGrid(null);
+    return null;
+  }
+  try {
+    const response = await fetch(window.withStore(`/api/reports/${date}/denominations`));
+    const data = response.ok ? await response.json() : null;
+    renderDenominationGrid(data);
+    return data;
+  } catch (error) {
+    console.error('Error fetching denominations:', error);
+    renderDenominationGrid(null);
+    return null;
+  }
+}
+
+function renderDenominationGrid(data) {
+  const container = document.getElementById('denominationGrid');
+  if (!container) return;
+
+  const quantityOf = (location, denomination) =>
+    data?.[location]?.find(c => c.denomination === denomination)?.quantity || 0;
+  const input = (location, denomination) => `
+    <input type="number" min="0" step="1" class="form-control form-control-sm text-end denomination-input"
+      data-location="${location}" data-denomination="${denomination}" value="${quantityOf(location, denomination)}"
+      oninput="updateDenominationTotals()" ${window.isAllStoresSelected() ? 'disabled' : ''} />`;
+
+  const rows = DENOMINATIONS.map(d => `
+    <tr>
+      <td><strong>${d.toLocaleString()}</strong></td>
+      <td>${input('drawer', d)}</td>
+      <td class="text-end" id="drawerAmount_${d}"></td>
+      <td>${input('safe', d)}</td>
+      <td class="text-end" id="safeAmount_${d}"></td>
+    </tr>`).join('');
+
+  container.innerHTML = `
+    <table class="table table-sm align-middle mb-0">
+      <thead>
+        <tr>
+          <th>Note/Coin</th><th>Drawer Qty</th><th class="text-end">Drawer THB</th>
+          <th>Safe Qty</th><th class="text-end">Safe THB</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        <tr class="fw-bold">
+          <td>Total</td><td></td><td class="text-end" id="drawerCountTotal"></td>
+          <td></td><td class="text-end" id="safeCountTotal"></td>
+        </tr>
+      </tfoot>
+    </table>`;
+  window.updateDenominationTotals();
+}
+
+function readDenominationInputs() {
+  const counts = { drawer: {}, safe: {} };
+  document.querySelectorAll('.denomination-input').forEach(el => {
+    counts[el.dataset.location][el.dataset.denomination] = Math.max(0, Math.floor(Number(el.value || 0)));
+  });
+  return counts;
+}
+
+window.updateDenominationTotals = function() {
+  const counts = readDenominationInputs();
+  ['drawer', 'safe'].forEach(location => {
+    let total = 0;
+    DENOMINATIONS.forEach(d => {
+      const amount = (counts[location][d] || 0) * d;
+      total += amount;
+      const cell = document.getElementById(`${location}Amount_${d}`);
+      if (cell) cell.textContent = amount.toFixed(2);
+    });
+    const totalCell = document.getElementById(`${location}CountTotal`);
+    if (totalCell) totalCell.textContent = formatCurrency(total);
+  });
+};
+
+window.saveDenominationCounts = async function() {
+  const btn = document.getElementById('saveDenominationsBtn');
+  if (btn && btn.disabled) return;
+
+  const date = document.getElementById('reportDate')?.value;
+  if (!date) return;
+  if (window.isAllStoresSelected()) {
+    return window.showMessage('Select a single store to count cash', 'warning');
+  }
+
+  if (btn) btn.disabled = true;
+  try {
+    const res = await fetch(`/api/reports/${date}/denominations`, {
+      method: 'PUT', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...readDenominationInputs(), store_id: window.getSelectedStore() })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || 'Could not save cash count');
+
+    renderDenominationGrid(data);
+    window.showMessage(`Cash count saved: drawer ${formatCurrency(data.totals.actual_cash_counted)}, safe ${formatCurrency(data.totals.safe_box_amount)}`, 'success');
+  } catch (e) {
+    console.error('Save cash count error:', e);
+    window.showMessage(e.message, 'danger');
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+};
+
 setupRealtimeListener();
 
 
@@ -1221,7 +2608,7 @@ async function renderHistoricalSalesTrendChart() {
   if (!ctx) return;
 
   try {
-    const res = await fetch('/api/reports/monthly/net-sales');
+    const res = await fetch(window.withStore('/api/reports/monthly/net-sales'));
     if (!res.ok) throw new Error('Failed to fetch monthly data');
     
     const data = await res.json();
@@ -1,6 +1,7 @@
 CREATE TABLE IF NOT EXISTS daily_reports (
   id SERIAL PRIMARY KEY,
-  date DATE NOT NULL UNIQUE,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  date DATE NOT NULL,
   net_sale NUMERIC(12,2) NOT NULL DEFAULT 0,
   cash_total NUMERIC(12,2) NOT NULL DEFAULT 0,
   card_total NUMERIC(12,2) NOT NULL DEFAULT 0,
@@ -8,6 +9,14 @@ CREATE TABLE IF NOT EXISTS daily_reports (
   total_orders INTEGER NOT NULL DEFAULT 0,
   total_grams NUMERIC(12,3) NOT NULL DEFAULT 0,
   fb_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  main_gross NUMERIC(12,2) NOT NULL DEFAULT 0,
+  main_discount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  main_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  accessory_gross NUMERIC(12,2) NOT NULL DEFAULT 0,
+  accessory_discount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  accessory_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  fb_gross NUMERIC(12,2) NOT NULL DEFAULT 0,
+  fb_discount NUMERIC(12,2) NOT NULL DEFAULT 0,
   expense NUMERIC(12,2) NOT NULL DEFAULT 0,
   tip NUMERIC(12,2) NOT NULL DEFAULT 0,
   "1k_qty" INTEGER NOT NULL DEFAULT 0,
@@ -18,15 +27,20 @@ CREATE TABLE IF NOT EXISTS daily_reports (
   actual_cash_counted NUMERIC(12,2) NOT NULL DEFAULT 0,
   expected_cash NUMERIC(12,2) NOT NULL DEFAULT 0,
   difference NUMERIC(12,2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  status_changed_at TIMESTAMP NULL,
+  status_reason VARCHAR(255) NULL,
   created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_daily_reports_date ON daily_reports (date);
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_daily_reports_store_date ON daily_reports (store_id, date);
 
 
 CREATE TABLE IF NOT EXISTS daily_expenses (
   id SERIAL PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
   date DATE NOT NULL,
   category VARCHAR(50) NOT NULL,
   description VARCHAR(255),
@@ -51,9 +65,300 @@ CREATE INDEX IF NOT EXISTS idx_item_classifications_name ON item_classifications
 
 CREATE TABLE IF NOT EXISTS daily_staff (
   id SERIAL PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
   date DATE NOT NULL,
+  staff_id INTEGER NULL,
   name VARCHAR(100) NOT NULL,
+  hours_worked NUMERIC(5,2) NULL,
   created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 CREATE INDEX IF NOT EXISTS idx_daily_staff_date ON daily_staff (date);
+
+CREATE TABLE IF NOT EXISTS loyverse_receipts (
+  id SERIAL PRIMARY KEY,
+  receipt_number VARCHAR(64) NOT NULL UNIQUE,
+  receipt_type VARCHAR(20) NOT NULL DEFAULT 'SALE',
+  refund_for VARCHAR(64),
+  store_id VARCHAR(64),
+  pos_device_id VARCHAR(64),
+  employee_id VARCHAR(64),
+  receipt_date TIMESTAMP NOT NULL,
+  loyverse_created_at TIMESTAMP,
+  loyverse_updated_at TIMESTAMP,
+  cancelled_at TIMESTAMP,
+  total_money NUMERIC(12,2) NOT NULL DEFAULT 0,
+  total_discount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  raw_json TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_loyverse_receipts_receipt_date ON loyverse_receipts (receipt_date);
+CREATE INDEX IF NOT EXISTS idx_loyverse_receipts_refund_for ON loyverse_receipts (refund_for);
+
+CREATE TABLE IF NOT EXISTS loyverse_receipt_line_items (
+  id SERIAL PRIMARY KEY,
+  receipt_number VARCHAR(64) NOT NULL,
+  line_index INTEGER NOT NULL DEFAULT 0,
+  item_id VARCHAR(64),
+  variant_id VARCHAR(64),
+  item_name VARCHAR(255),
+  variant_name VARCHAR(255),
+  sku VARCHAR(100),
+  category_name VARCHAR(120),
+  quantity NUMERIC(12,3) NOT NULL DEFAULT 0,
+  price NUMERIC(12,2) NOT NULL DEFAULT 0,
+  gross_total_money NUMERIC(12,2) NOT NULL DEFAULT 0,
+  total_money NUMERIC(12,2) NOT NULL DEFAULT 0,
+  total_discount NUMERIC(12,2) NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS idx_loyverse_receipt_line_items_receipt ON loyverse_receipt_line_items (receipt_number);
+CREATE INDEX IF NOT EXISTS idx_loyverse_receipt_line_items_item ON loyverse_receipt_line_items (item_id);
+
+CREATE TABLE IF NOT EXISTS loyverse_receipt_payments (
+  id SERIAL PRIMARY KEY,
+  receipt_number VARCHAR(64) NOT NULL,
+  payment_type_id VARCHAR(64),
+  name VARCHAR(120),
+  type VARCHAR(50),
+  money_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  paid_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_loyverse_receipt_payments_receipt ON loyverse_receipt_payments (receipt_number);
+
+CREATE TABLE IF NOT EXISTS loyverse_receipt_discounts (
+  id SERIAL PRIMARY KEY,
+  receipt_number VARCHAR(64) NOT NULL,
+  line_index INTEGER,
+  discount_id VARCHAR(64),
+  name VARCHAR(120),
+  type VARCHAR(50),
+  percentage NUMERIC(7,2),
+  money_amount NUMERIC(12,2) NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS idx_loyverse_receipt_discounts_receipt ON loyverse_receipt_discounts (receipt_number);
+
+CREATE TABLE IF NOT EXISTS loyverse_sync_state (
+  store_id VARCHAR(64) PRIMARY KEY,
+  updated_at_cursor TIMESTAMP,
+  covered_from TIMESTAMP,
+  last_synced_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_payment_types (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(120) NOT NULL DEFAULT '',
+  type VARCHAR(50) NOT NULL DEFAULT '',
+  fetched_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_categories (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(120) NOT NULL DEFAULT '',
+  fetched_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_items (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL DEFAULT '',
+  category_id VARCHAR(64),
+  category_name VARCHAR(120) NOT NULL DEFAULT '',
+  fetched_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_catalog_snapshots (
+  id SERIAL PRIMARY KEY,
+  kind VARCHAR(30) NOT NULL,
+  snapshot_date DATE NOT NULL,
+  payload TEXT NOT NULL,
+  fetched_at TIMESTAMP NOT NULL,
+  UNIQUE (kind, snapshot_date)
+);
+
+CREATE TABLE IF NOT EXISTS stores (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(120) NOT NULL DEFAULT '',
+  business_day_start VARCHAR(5) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS shifts (
+  id SERIAL PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  date DATE NOT NULL,
+  name VARCHAR(60) NOT NULL,
+  start_time VARCHAR(5) NOT NULL,
+  end_time VARCHAR(5) NOT NULL,
+  pos_shift_id VARCHAR(64),
+  staff_name VARCHAR(255) NOT NULL DEFAULT '',
+  opening_cash NUMERIC(12,2) NOT NULL DEFAULT 0,
+  actual_cash_counted NUMERIC(12,2) NOT NULL DEFAULT 0,
+  safe_drop NUMERIC(12,2) NOT NULL DEFAULT 0,
+  cash_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  card_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  transfer_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  net_sale NUMERIC(12,2) NOT NULL DEFAULT 0,
+  fb_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  total_orders INTEGER NOT NULL DEFAULT 0,
+  expected_cash NUMERIC(12,2) NOT NULL DEFAULT 0,
+  difference NUMERIC(12,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_shifts_store_date ON shifts (store_id, date);
+
+CREATE TABLE IF NOT EXISTS pos_shifts (
+  id VARCHAR(64) PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  pos_device_id VARCHAR(64),
+  business_date DATE NOT NULL,
+  opened_at TIMESTAMP NOT NULL,
+  closed_at TIMESTAMP,
+  starting_cash NUMERIC(12,2) NOT NULL DEFAULT 0,
+  paid_in NUMERIC(12,2) NOT NULL DEFAULT 0,
+  paid_out NUMERIC(12,2) NOT NULL DEFAULT 0,
+  expected_cash NUMERIC(12,2) NOT NULL DEFAULT 0,
+  actual_cash NUMERIC(12,2),
+  raw_json TEXT NOT NULL,
+  fetched_at TIMESTAMP NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_pos_shifts_store_date ON pos_shifts (store_id, business_date);
+
+CREATE TABLE IF NOT EXISTS pos_cash_movements (
+  id SERIAL PRIMARY KEY,
+  pos_shift_id VARCHAR(64) NOT NULL,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  business_date DATE NOT NULL,
+  type VARCHAR(20) NOT NULL,
+  amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  comment VARCHAR(255) NOT NULL DEFAULT '',
+  employee_id VARCHAR(64),
+  moved_at TIMESTAMP NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_pos_cash_movements_shift ON pos_cash_movements (pos_shift_id);
+CREATE INDEX IF NOT EXISTS idx_pos_cash_movements_store_date ON pos_cash_movements (store_id, business_date);
+
+CREATE TABLE IF NOT EXISTS cash_denomination_counts (
+  id SERIAL PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  date DATE NOT NULL,
+  location VARCHAR(10) NOT NULL,
+  denomination INT NOT NULL,
+  quantity INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (store_id, date, location, denomination)
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  date DATE NULL,
+  entity VARCHAR(30) NOT NULL,
+  entity_id VARCHAR(64) NULL,
+  action VARCHAR(20) NOT NULL,
+  actor VARCHAR(120) NOT NULL DEFAULT 'system',
+  old_values TEXT NULL,
+  new_values TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_audit_log_store_date ON audit_log (store_id, date);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at);
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(60) NOT NULL UNIQUE,
+  display_name VARCHAR(120) NOT NULL DEFAULT '',
+  password_hash VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'staff',
+  pin_hash VARCHAR(255) NULL,
+  pin_failed_attempts INTEGER NOT NULL DEFAULT 0,
+  pin_locked_until TIMESTAMP NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id VARCHAR(64) PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  method VARCHAR(10) NOT NULL DEFAULT 'password',
+  expires_at TIMESTAMP NOT NULL,
+  last_seen_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at);
+
+CREATE TABLE IF NOT EXISTS pin_devices (
+  id VARCHAR(64) PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_pin_devices_user ON pin_devices (user_id);
+CREATE INDEX IF NOT EXISTS idx_pin_devices_expires_at ON pin_devices (expires_at);
+
+CREATE TABLE IF NOT EXISTS staff (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  nickname VARCHAR(60) NULL,
+  role VARCHAR(60) NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  loyverse_employee_id VARCHAR(64) NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tip_entries (
+  id SERIAL PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  date DATE NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  note VARCHAR(255) NOT NULL DEFAULT '',
+  created_by VARCHAR(120) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_tip_entries_store_date ON tip_entries (store_id, date);
+
+CREATE TABLE IF NOT EXISTS tip_settings (
+  store_id VARCHAR(64) PRIMARY KEY,
+  split_method VARCHAR(10) NOT NULL DEFAULT 'equal',
+  role_weights TEXT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS classification_rules (
+  id SERIAL PRIMARY KEY,
+  match_type VARCHAR(20) NOT NULL,
+  pattern VARCHAR(255) NULL,
+  min_price NUMERIC(12,2) NULL,
+  classification VARCHAR(20) NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  note VARCHAR(255) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS item_gram_weights (
+  id SERIAL PRIMARY KEY,
+  item_id VARCHAR(64) NOT NULL,
+  variant_id VARCHAR(64) NOT NULL DEFAULT '',
+  item_name VARCHAR(255) NOT NULL DEFAULT '',
+  weighed BOOLEAN NOT NULL DEFAULT TRUE,
+  grams_per_unit NUMERIC(10,3) NULL,
+  note VARCHAR(255) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (item_id, variant_id)
+);
+
+CREATE TABLE IF NOT EXISTS schema_seeds (
+  name VARCHAR(64) PRIMARY KEY,
+  seeded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -1,6 +1,7 @@
 CREATE TABLE IF NOT EXISTS daily_reports (
   id INT AUTO_INCREMENT PRIMARY KEY,
-  date DATE NOT NULL UNIQUE,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  date DATE NOT NULL,
   net_sale DECIMAL(12,2) NOT NULL DEFAULT 0,
   cash_total DECIMAL(12,2) NOT NULL DEFAULT 0,
   card_total DECIMAL(12,2) NOT NULL DEFAULT 0,
@@ -8,6 +9,14 @@ CREATE TABLE IF NOT EXISTS daily_reports (
   total_orders INT NOT NULL DEFAULT 0,
   total_grams DECIMAL(12,3) NOT NULL DEFAULT 0,
   fb_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  main_gross DECIMAL(12,2) NOT NULL DEFAULT 0,
+  main_discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  main_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  accessory_gross DECIMAL(12,2) NOT NULL DEFAULT 0,
+  accessory_discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  accessory_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  fb_gross DECIMAL(12,2) NOT NULL DEFAULT 0,
+  fb_discount DECIMAL(12,2) NOT NULL DEFAULT 0,
   expense DECIMAL(12,2) NOT NULL DEFAULT 0,
   tip DECIMAL(12,2) NOT NULL DEFAULT 0,
   `1k_qty` INT NOT NULL DEFAULT 0,
@@ -18,13 +27,18 @@ CREATE TABLE IF NOT EXISTS daily_reports (
   actual_cash_counted DECIMAL(12,2) NOT NULL DEFAULT 0,
   expected_cash DECIMAL(12,2) NOT NULL DEFAULT 0,
   difference DECIMAL(12,2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  status_changed_at TIMESTAMP NULL,
+  status_reason VARCHAR(255) NULL,
   created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  INDEX idx_daily_reports_date (date)
+  INDEX idx_daily_reports_date (date),
+  UNIQUE KEY uniq_daily_reports_store_date (store_id, date)
 );
 
 CREATE TABLE IF NOT EXISTS daily_expenses (
   id INT AUTO_INCREMENT PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
   date DATE NOT NULL,
   category VARCHAR(50) NOT NULL,
   description VARCHAR(255),
@@ -45,9 +59,300 @@ CREATE TABLE IF NOT EXISTS item_classifications (
 
 CREATE TABLE IF NOT EXISTS daily_staff (
   id INT AUTO_INCREMENT PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
   date DATE NOT NULL,
+  staff_id INT NULL,
   name VARCHAR(100) NOT NULL,
+  hours_worked DECIMAL(5,2) NULL,
   created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   INDEX idx_daily_staff_date (date)
 );
+
+CREATE TABLE IF NOT EXISTS loyverse_receipts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  receipt_number VARCHAR(64) NOT NULL UNIQUE,
+  receipt_type VARCHAR(20) NOT NULL DEFAULT 'SALE',
+  refund_for VARCHAR(64),
+  store_id VARCHAR(64),
+  pos_device_id VARCHAR(64),
+  employee_id VARCHAR(64),
+  receipt_date DATETIME NOT NULL,
+  loyverse_created_at DATETIME,
+  loyverse_updated_at DATETIME,
+  cancelled_at DATETIME,
+  total_money DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total_discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  raw_json LONGTEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_loyverse_receipts_receipt_date (receipt_date),
+  INDEX idx_loyverse_receipts_refund_for (refund_for)
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_receipt_line_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  receipt_number VARCHAR(64) NOT NULL,
+  line_index INT NOT NULL DEFAULT 0,
+  item_id VARCHAR(64),
+  variant_id VARCHAR(64),
+  item_name VARCHAR(255),
+  variant_name VARCHAR(255),
+  sku VARCHAR(100),
+  category_name VARCHAR(120),
+  quantity DECIMAL(12,3) NOT NULL DEFAULT 0,
+  price DECIMAL(12,2) NOT NULL DEFAULT 0,
+  gross_total_money DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total_money DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total_discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  INDEX idx_loyverse_receipt_line_items_receipt (receipt_number),
+  INDEX idx_loyverse_receipt_line_items_item (item_id)
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_receipt_payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  receipt_number VARCHAR(64) NOT NULL,
+  payment_type_id VARCHAR(64),
+  name VARCHAR(120),
+  type VARCHAR(50),
+  money_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  paid_at DATETIME,
+  INDEX idx_loyverse_receipt_payments_receipt (receipt_number)
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_receipt_discounts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  receipt_number VARCHAR(64) NOT NULL,
+  line_index INT,
+  discount_id VARCHAR(64),
+  name VARCHAR(120),
+  type VARCHAR(50),
+  percentage DECIMAL(7,2),
+  money_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  INDEX idx_loyverse_receipt_discounts_receipt (receipt_number)
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_sync_state (
+  store_id VARCHAR(64) PRIMARY KEY,
+  updated_at_cursor DATETIME NULL,
+  covered_from DATETIME NULL,
+  last_synced_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_payment_types (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(120) NOT NULL DEFAULT '',
+  type VARCHAR(50) NOT NULL DEFAULT '',
+  fetched_at DATETIME NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_categories (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(120) NOT NULL DEFAULT '',
+  fetched_at DATETIME NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_items (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL DEFAULT '',
+  category_id VARCHAR(64),
+  category_name VARCHAR(120) NOT NULL DEFAULT '',
+  fetched_at DATETIME NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS loyverse_catalog_snapshots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  kind VARCHAR(30) NOT NULL,
+  snapshot_date DATE NOT NULL,
+  payload LONGTEXT NOT NULL,
+  fetched_at DATETIME NOT NULL,
+  UNIQUE KEY uniq_catalog_snapshot (kind, snapshot_date)
+);
+
+CREATE TABLE IF NOT EXISTS stores (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(120) NOT NULL DEFAULT '',
+  business_day_start VARCHAR(5) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS shifts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  date DATE NOT NULL,
+  name VARCHAR(60) NOT NULL,
+  start_time VARCHAR(5) NOT NULL,
+  end_time VARCHAR(5) NOT NULL,
+  pos_shift_id VARCHAR(64),
+  staff_name VARCHAR(255) NOT NULL DEFAULT '',
+  opening_cash DECIMAL(12,2) NOT NULL DEFAULT 0,
+  actual_cash_counted DECIMAL(12,2) NOT NULL DEFAULT 0,
+  safe_drop DECIMAL(12,2) NOT NULL DEFAULT 0,
+  cash_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  card_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  transfer_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  net_sale DECIMAL(12,2) NOT NULL DEFAULT 0,
+  fb_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total_orders INT NOT NULL DEFAULT 0,
+  expected_cash DECIMAL(12,2) NOT NULL DEFAULT 0,
+  difference DECIMAL(12,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_shifts_store_date (store_id, date)
+);
+
+CREATE TABLE IF NOT EXISTS pos_shifts (
+  id VARCHAR(64) PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  pos_device_id VARCHAR(64),
+  business_date DATE NOT NULL,
+  opened_at DATETIME NOT NULL,
+  closed_at DATETIME,
+  starting_cash DECIMAL(12,2) NOT NULL DEFAULT 0,
+  paid_in DECIMAL(12,2) NOT NULL DEFAULT 0,
+  paid_out DECIMAL(12,2) NOT NULL DEFAULT 0,
+  expected_cash DECIMAL(12,2) NOT NULL DEFAULT 0,
+  actual_cash DECIMAL(12,2),
+  raw_json LONGTEXT NOT NULL,
+  fetched_at DATETIME NOT NULL,
+  INDEX idx_pos_shifts_store_date (store_id, business_date)
+);
+
+CREATE TABLE IF NOT EXISTS pos_cash_movements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  pos_shift_id VARCHAR(64) NOT NULL,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  business_date DATE NOT NULL,
+  type VARCHAR(20) NOT NULL,
+  amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  comment VARCHAR(255) NOT NULL DEFAULT '',
+  employee_id VARCHAR(64),
+  moved_at DATETIME NOT NULL,
+  INDEX idx_pos_cash_movements_shift (pos_shift_id),
+  INDEX idx_pos_cash_movements_store_date (store_id, business_date)
+);
+
+CREATE TABLE IF NOT EXISTS cash_denomination_counts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  date DATE NOT NULL,
+  location VARCHAR(10) NOT NULL,
+  denomination INT NOT NULL,
+  quantity INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_cash_denomination_counts (store_id, date, location, denomination)
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  date DATE NULL,
+  entity VARCHAR(30) NOT NULL,
+  entity_id VARCHAR(64) NULL,
+  action VARCHAR(20) NOT NULL,
+  actor VARCHAR(120) NOT NULL DEFAULT 'system',
+  old_values LONGTEXT NULL,
+  new_values LONGTEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_audit_log_store_date (store_id, date),
+  INDEX idx_audit_log_created_at (created_at)
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(60) NOT NULL UNIQUE,
+  display_name VARCHAR(120) NOT NULL DEFAULT '',
+  password_hash VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'staff',
+  pin_hash VARCHAR(255) NULL,
+  pin_failed_attempts INT NOT NULL DEFAULT 0,
+  pin_locked_until DATETIME NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id VARCHAR(64) PRIMARY KEY,
+  user_id INT NOT NULL,
+  method VARCHAR(10) NOT NULL DEFAULT 'password',
+  expires_at DATETIME NOT NULL,
+  last_seen_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_sessions_user (user_id),
+  INDEX idx_sessions_expires_at (expires_at)
+);
+
+CREATE TABLE IF NOT EXISTS pin_devices (
+  id VARCHAR(64) PRIMARY KEY,
+  user_id INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_pin_devices_user (user_id),
+  INDEX idx_pin_devices_expires_at (expires_at)
+);
+
+CREATE TABLE IF NOT EXISTS staff (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  nickname VARCHAR(60) NULL,
+  role VARCHAR(60) NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  loyverse_employee_id VARCHAR(64) NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tip_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  store_id VARCHAR(64) NOT NULL DEFAULT '',
+  date DATE NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  note VARCHAR(255) NOT NULL DEFAULT '',
+  created_by VARCHAR(120) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_tip_entries_store_date (store_id, date)
+);
+
+CREATE TABLE IF NOT EXISTS tip_settings (
+  store_id VARCHAR(64) PRIMARY KEY,
+  split_method VARCHAR(10) NOT NULL DEFAULT 'equal',
+  role_weights LONGTEXT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS classification_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  match_type VARCHAR(20) NOT NULL,
+  pattern VARCHAR(255) NULL,
+  min_price DECIMAL(12,2) NULL,
+  classification VARCHAR(20) NOT NULL,
+  priority INT NOT NULL DEFAULT 0,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  note VARCHAR(255) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS item_gram_weights (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  item_id VARCHAR(64) NOT NULL,
+  variant_id VARCHAR(64) NOT NULL DEFAULT '',
+  item_name VARCHAR(255) NOT NULL DEFAULT '',
+  weighed TINYINT(1) NOT NULL DEFAULT 1,
+  grams_per_unit DECIMAL(10,3) NULL,
+  note VARCHAR(255) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_item_gram_weights (item_id, variant_id)
+);
+
+CREATE TABLE IF NOT EXISTS schema_seeds (
+  name VARCHAR(64) PRIMARY KEY,
+  seeded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const mysql = require('mysql2/promise');
 const { Pool: PostgresPool } = require('pg');
+const { FB_EXCEPTION_KEYWORDS } = require('../shared/salesLogic');
 
 const DIALECT = process.env.DATABASE_URL || process.env.POSTGRES_URL ? 'postgres' : 'mysql';
 const SAFE_BOX_BACKFILL_DATE = '2026-02-20';
@@ -41,9 +42,124 @@ const DAILY_REPORTS_REQUIRED_COLUMNS = [
     name: 'fb_total',
     mysqlDefinition: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
     postgresDefinition: 'NUMERIC(12,2) NOT NULL DEFAULT 0'
+  },
+  {
+    name: 'main_gross',
+    mysqlDefinition: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    postgresDefinition: 'NUMERIC(12,2) NOT NULL DEFAULT 0'
+  },
+  {
+    name: 'main_discount',
+    mysqlDefinition: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    postgresDefinition: 'NUMERIC(12,2) NOT NULL DEFAULT 0'
+  },
+  {
+    name: 'main_total',
+    mysqlDefinition: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    postgresDefinition: 'NUMERIC(12,2) NOT NULL DEFAULT 0'
+  },
+  {
+    name: 'accessory_gross',
+    mysqlDefinition: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    postgresDefinition: 'NUMERIC(12,2) NOT NULL DEFAULT 0'
+  },
+  {
+    name: 'accessory_discount',
+    mysqlDefinition: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    postgresDefinition: 'NUMERIC(12,2) NOT NULL DEFAULT 0'
+  },
+  {
+    name: 'accessory_total',
+    mysqlDefinition: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    postgresDefinition: 'NUMERIC(12,2) NOT NULL DEFAULT 0'
+  },
+  {
+    name: 'fb_gross',
+    mysqlDefinition: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    postgresDefinition: 'NUMERIC(12,2) NOT NULL DEFAULT 0'
+  },
+  {
+    name: 'fb_discount',
+    mysqlDefinition: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    postgresDefinition: 'NUMERIC(12,2) NOT NULL DEFAULT 0'
+  },
+  {
+    name: 'status',
+    mysqlDefinition: "VARCHAR(20) NOT NULL DEFAULT 'draft'",
+    postgresDefinition: "VARCHAR(20) NOT NULL DEFAULT 'draft'"
+  },
+  {
+    name: 'status_changed_at',
+    mysqlDefinition: 'TIMESTAMP NULL',
+    postgresDefinition: 'TIMESTAMP NULL'
+  },
+  {
+    name: 'status_reason',
+    mysqlDefinition: 'VARCHAR(255) NULL',
+    postgresDefinition: 'VARCHAR(255) NULL'
   }
 ];
 
+const STORES_REQUIRED_COLUMNS = [
+  {
+    name: 'business_day_start',
+    mysqlDefinition: 'VARCHAR(5) NULL',
+    postgresDefinition: 'VARCHAR(5) NULL'
+  }
+];
+
+const DAILY_STAFF_REQUIRED_COLUMNS = [
+  {
+    name: 'staff_id',
+    mysqlDefinition: 'INT NULL',
+    postgresDefinition: 'INTEGER NULL'
+  },
+  {
+    name: 'hours_worked',
+    mysqlDefinition: 'DECIMAL(5,2) NULL',
+    postgresDefinition: 'NUMERIC(5,2) NULL'
+  }
+];
+
+const USERS_REQUIRED_COLUMNS = [
+  {
+    name: 'pin_hash',
+    mysqlDefinition: 'VARCHAR(255) NULL',
+    postgresDefinition: 'VARCHAR(255) NULL'
+  },
+  {
+    name: 'pin_failed_attempts',
+    mysqlDefinition: 'INT NOT NULL DEFAULT 0',
+    postgresDefinition: 'INTEGER NOT NULL DEFAULT 0'
+  },
+  {
+    name: 'pin_locked_until',
+    mysqlDefinition: 'DATETIME NULL',
+    postgresDefinition: 'TIMESTAMP NULL'
+  }
+];
+
+const SESSIONS_REQUIRED_COLUMNS = [
+  {
+    name: 'method',
+    mysqlDefinition: "VARCHAR(10) NOT NULL DEFAULT 'password'",
+    postgresDefinition: "VARCHAR(10) NOT NULL DEFAULT 'password'"
+  },
+  {
+    name: 'last_seen_at',
+    mysqlDefinition: 'DATETIME NULL',
+    postgresDefinition: 'TIMESTAMP NULL'
+  }
+];
+
+// Tables that are scoped per Loyverse store ('' = rows saved before multi-store support)
+const STORE_SCOPED_TABLES = ['daily_reports', 'daily_expenses', 'daily_staff'];
+const STORE_ID_COLUMN = {
+  name: 'store_id',
+  mysqlDefinition: "VARCHAR(64) NOT NULL DEFAULT ''",
+  postgresDefinition: "VARCHAR(64) NOT NULL DEFAULT ''"
+};
+
 function parseDbPort(value) {
   const parsed = Number(value || 3306);
   return Number.isFinite(parsed) && parsed > 0 ? parsed : 3306;
@@ -132,7 +248,7 @@ function quoteDailyReportColumn(name) {
   return DIALECT === 'postgres' ? `"${name}"` : `\`${name}\``;
 }
 
-async function hasDailyReportColumn(columnName) {
+async function hasTableColumn(tableName, columnName) {
   if (DIALECT === 'postgres') {
     const result = await getPostgresPool().query(
       `SELECT 1
@@ -141,7 +257,7 @@ async function hasDailyReportColumn(columnName) {
          AND table_name = $1
          AND column_name = $2
        LIMIT 1`,
-      ['daily_reports', columnName]
+      [tableName, columnName]
     );
     return result.rowCount > 0;
   }
@@ -154,15 +270,15 @@ async function hasDailyReportColumn(columnName) {
        AND table_name = ?
        AND column_name = ?
      LIMIT 1`,
-    [mysqlConfig.database, 'daily_reports', columnName]
+    [mysqlConfig.database, tableName, columnName]
   );
 
   return rows.length > 0;
 }
 
-async function ensureDailyReportsColumns() {
-  for (const column of DAILY_REPORTS_REQUIRED_COLUMNS) {
-    const exists = await hasDailyReportColumn(column.name);
+async function ensureTableColumns(tableName, columns) {
+  for (const column of columns) {
+    const exists = await hasTableColumn(tableName, column.name);
     if (exists) {
       continue;
     }
@@ -171,13 +287,88 @@ async function ensureDailyReportsColumns() {
 
     if (DIALECT === 'postgres') {
       await getPostgresPool().query(
-        `ALTER TABLE daily_reports ADD COLUMN ${quotedColumnName} ${column.postgresDefinition}`
+        `ALTER TABLE ${tableName} ADD COLUMN ${quotedColumnName} ${column.postgresDefinition}`
       );
       continue;
     }
 
     await getMysqlPool().query(
-      `ALTER TABLE daily_reports ADD COLUMN ${quotedColumnName} ${column.mysqlDefinition}`
+      `ALTER TABLE ${tableName} ADD COLUMN ${quotedColumnName} ${column.mysqlDefinition}`
+    );
+  }
+}
+
+async function ensureDailyReportsColumns() {
+  await ensureTableColumns('daily_reports', DAILY_REPORTS_REQUIRED_COLUMNS);
+}
+
+async function ensureStoreColumns() {
+  for (const tableName of STORE_SCOPED_TABLES) {
+    const exists = await hasTableColumn(tableName, STORE_ID_COLUMN.name);
+    if (exists) {
+      continue;
+    }
+
+    if (DIALECT === 'postgres') {
+      await getPostgresPool().query(
+        `ALTER TABLE ${tableName} ADD COLUMN store_id ${STORE_ID_COLUMN.postgresDefinition}`
+      );
+      continue;
+    }
+
+    await getMysqlPool().query(
+      `ALTER TABLE ${tableName} ADD COLUMN store_id ${STORE_ID_COLUMN.mysqlDefinition}`
+    );
+  }
+}
+
+/**
+ * daily_reports used to be unique per date; it is now unique per (store_id, date).
+ */
+async function ensureStoreScopedReportKey() {
+  if (DIALECT === 'postgres') {
+    const result = await getPostgresPool().query(
+      `SELECT con.conname
+       FROM pg_constraint con
+       JOIN pg_attribute att ON att.attrelid = con.conrelid AND att.attnum = con.conkey[1]
+       WHERE con.conrelid = 'daily_reports'::regclass
+         AND con.contype = 'u'
+         AND array_length(con.conkey, 1) = 1
+         AND att.attname = 'date'`
+    );
+    for (const row of result.rows) {
+      await getPostgresPool().query(`ALTER TABLE daily_reports DROP CONSTRAINT "${row.conname}"`);
+    }
+    await getPostgresPool().query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS uniq_daily_reports_store_date ON daily_reports (store_id, date)'
+    );
+    return;
+  }
+
+  const mysqlConfig = getMysqlConfig();
+  const [indexes] = await getMysqlPool().query(
+    `SELECT index_name AS index_name, GROUP_CONCAT(column_name ORDER BY seq_in_index) AS columns_list
+     FROM information_schema.statistics
+     WHERE table_schema = ?
+       AND table_name = 'daily_reports'
+       AND non_unique = 0
+       AND index_name <> 'PRIMARY'
+     GROUP BY index_name`,
+    [mysqlConfig.database]
+  );
+
+  let hasStoreDateKey = false;
+  for (const index of indexes) {
+    if (index.columns_list === 'date') {
+      await getMysqlPool().query(`ALTER TABLE daily_reports DROP INDEX \`${index.index_name}\``);
+    } else if (index.columns_list === 'store_id,date') {
+      hasStoreDateKey = true;
+    }
+  }
+
+  if (!hasStoreDateKey) {
+    await getMysqlPool().query(
+      'ALTER TABLE daily_reports ADD UNIQUE KEY uniq_daily_reports_store_date (store_id, date)'
     );
   }
 }
@@ -211,6 +402,57 @@ async function applySafeBoxBackfill() {
   );
 }
 
+// Built-in F&B exceptions seeded as plain keyword rules applied to every
+// item; they only apply to items an F&B rule matches
+async function applyFbExceptionRules() {
+  const patterns = FB_EXCEPTION_KEYWORDS
+    .map((_, index) => (DIALECT === 'postgres' ? `$${index + 1}` : '?'))
+    .join(', ');
+  await query(
+    `UPDATE classification_rules
+     SET match_type = 'fb_exception'
+     WHERE match_type = 'keyword'
+       AND classification = 'main'
+       AND note = 'Built-in'
+       AND pattern IN (${patterns})`,
+    FB_EXCEPTION_KEYWORDS
+  );
+}
+
+/**
+ * Whether a one-time seed (e.g. the built-in gram weights) has run.
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function hasSeedMarker(name) {
+  const rows = await query(
+    `SELECT name FROM schema_seeds WHERE name = ${DIALECT === 'postgres' ? '$1' : '?'}`,
+    [name]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Record that a one-time seed has run, so it never runs again.
+ * @param {string} name
+ */
+async function writeSeedMarker(name) {
+  if (DIALECT === 'postgres') {
+    await query('INSERT INTO schema_seeds (name) VALUES ($1) ON CONFLICT (name) DO NOTHING', [name]);
+    return;
+  }
+  await query('INSERT IGNORE INTO schema_seeds (name) VALUES (?)', [name]);
+}
+
+// Installs that had gram weights before the seed marker existed are
+// already seeded
+async function markExistingSeeds() {
+  const rows = await query('SELECT COUNT(*) AS count FROM item_gram_weights');
+  if (Number(rows[0]?.count || 0) > 0) {
+    await writeSeedMarker('item_gram_weights');
+  }
+}
+
 async function ensureDatabase() {
   assertDbConfigured();
 
@@ -257,7 +499,15 @@ async function initializeSchema() {
   }
 
   await ensureDailyReportsColumns();
+  await ensureStoreColumns();
+  await ensureTableColumns('stores', STORES_REQUIRED_COLUMNS);
+  await ensureTableColumns('daily_staff', DAILY_STAFF_REQUIRED_COLUMNS);
+  await ensureTableColumns('users', USERS_REQUIRED_COLUMNS);
+  await ensureTableColumns('sessions', SESSIONS_REQUIRED_COLUMNS);
+  await ensureStoreScopedReportKey();
   await applySafeBoxBackfill();
+  await applyFbExceptionRules();
+  await markExistingSeeds();
 }
 
 async function query(sql, params = []) {
@@ -272,6 +522,45 @@ async function query(sql, params = []) {
   return result;
 }
 
+/**
+ * Run `work` in one transaction on a single connection. `work` gets a query
+ * function with the same signature and results as query(); everything is
+ * rolled back when it throws.
+ * @param {function(function(string, Array=): Promise<*>): Promise<*>} work
+ * @returns {Promise<*>} What work returns
+ */
+async function withTransaction(work) {
+  assertDbConfigured();
+
+  if (DIALECT === 'postgres') {
+    const client = await getPostgresPool().connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(async (sql, params = []) => (await client.query(sql, params)).rows);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const connection = await getMysqlPool().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(async (sql, params = []) => (await connection.execute(sql, params))[0]);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback().catch(() => {});
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 async function testConnection() {
   await query('SELECT 1');
 }
@@ -282,8 +571,11 @@ function getDialect() {
 
 module.exports = {
   query,
+  withTransaction,
   ensureDatabase,
   initializeSchema,
+  hasSeedMarker,
+  writeSeedMarker,
   testConnection,
   getDialect
 };
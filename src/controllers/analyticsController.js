@@ -0,0 +1,61 @@
+const { resolveStoreId } = require('../services/storeService');
+const { getItemSales, getSalesHeatmap } = require('../services/analyticsService');
+const { validateDateOrThrow } = require('./reportController');
+
+function parseLimit(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return Number(value);
+}
+
+/**
+ * GET /api/analytics/items?from=&to=&group=item|category|classification&sort=&order=&limit=&classification=&store=
+ * Quantity, grams, gross, discount and net per group over the archived
+ * receipts of the range, sorted (net, descending by default) and optionally
+ * cut to the top N.
+ */
+async function itemSalesHandler(req, res, next) {
+  try {
+    const { from, to, group, sort, order, classification } = req.query;
+    validateDateOrThrow(from);
+    validateDateOrThrow(to);
+    const storeId = await resolveStoreId(req.query.store);
+
+    res.json(await getItemSales({
+      from,
+      to,
+      storeId,
+      group: group || undefined,
+      sort: sort || undefined,
+      order: order || undefined,
+      limit: parseLimit(req.query.limit),
+      classification: classification || undefined
+    }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/analytics/heatmap?from=&to=&store=
+ * Net sales, orders and grams per weekday and hour over the archived
+ * receipts of the range.
+ */
+async function salesHeatmapHandler(req, res, next) {
+  try {
+    const { from, to } = req.query;
+    validateDateOrThrow(from);
+    validateDateOrThrow(to);
+    const storeId = await resolveStoreId(req.query.store);
+
+    res.json(await getSalesHeatmap({ from, to, storeId }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  itemSalesHandler,
+  salesHeatmapHandler
+};
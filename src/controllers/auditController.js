@@ -0,0 +1,45 @@
+const { resolveStoreId } = require('../services/storeService');
+const { listAuditEntries } = require('../services/auditService');
+const { buildClassificationAudit } = require('../services/classificationAuditService');
+const { validateDateOrThrow } = require('./reportController');
+
+/**
+ * GET /api/audit?date=YYYY-MM-DD&store=&entity=&limit=
+ * Audit entries, newest first. store=all lists every store.
+ */
+async function listAuditHandler(req, res, next) {
+  try {
+    const { date, entity, limit } = req.query;
+    if (date) {
+      validateDateOrThrow(date);
+    }
+    const storeId = await resolveStoreId(req.query.store, { allowAll: true });
+
+    const entries = await listAuditEntries({ date, storeId, entity, limit });
+    res.json({ date: date || null, store: storeId, entries });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/audit/classification?date=YYYY-MM-DD&store=
+ * Every line item of the day with the rule that classified it; price
+ * fallback, default and ambiguous (F&B and Main name rules) items are flagged.
+ */
+async function classificationAuditHandler(req, res, next) {
+  try {
+    const { date } = req.query;
+    validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store);
+
+    res.json(await buildClassificationAudit(date, storeId));
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listAuditHandler,
+  classificationAuditHandler
+};
@@ -0,0 +1,174 @@
+const { countUsers, createUser, authenticate, authenticatePin, listPinUsers } = require('../services/userService');
+const {
+  createSession,
+  deleteSession,
+  getSessionUser,
+  createPinDevice,
+  deletePinDevice
+} = require('../services/sessionService');
+const { recordAudit } = require('../services/auditService');
+const {
+  getSessionToken,
+  getDeviceToken,
+  setSessionCookie,
+  clearSessionCookie,
+  setDeviceCookie,
+  clearDeviceCookie
+} = require('../middleware/auth');
+
+/**
+ * Open a session on this device, ending the previous one. A password sign-in
+ * also (re-)enrolls the device for PIN switching.
+ */
+async function startSession(req, res, user, method = 'password') {
+  const previousToken = getSessionToken(req);
+  if (previousToken) {
+    await deleteSession(previousToken);
+  }
+
+  const { token, expiresAt } = await createSession(user.id, { method });
+  setSessionCookie(req, res, token, expiresAt);
+  if (method === 'password') {
+    const previousDevice = getDeviceToken(req);
+    if (previousDevice) {
+      await deletePinDevice(previousDevice);
+    }
+    const device = await createPinDevice(user.id);
+    setDeviceCookie(req, res, device.token, device.expiresAt);
+  }
+  return { user: await getSessionUser(token), expires_at: expiresAt.toISOString() };
+}
+
+/**
+ * GET /api/auth/me
+ * The signed-in user, or 401 with needs_setup when no account exists yet.
+ */
+async function meHandler(req, res, next) {
+  try {
+    if (req.user) {
+      return res.json({ user: req.user });
+    }
+    return res.status(401).json({ message: 'Sign in required', needs_setup: (await countUsers()) === 0 });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * POST /api/auth/setup
+ * Body: { username, password, display_name?, setup_token? }
+ * Creates the first owner account. Only works while there are no users;
+ * AUTH_SETUP_TOKEN, when set, must be provided as setup_token.
+ */
+async function setupHandler(req, res, next) {
+  try {
+    const payload = req.body || {};
+    if ((await countUsers()) > 0) {
+      const error = new Error('Setup is already complete');
+      error.status = 409;
+      throw error;
+    }
+    if (process.env.AUTH_SETUP_TOKEN && payload.setup_token !== process.env.AUTH_SETUP_TOKEN) {
+      const error = new Error('Invalid setup token');
+      error.status = 403;
+      throw error;
+    }
+
+    const user = await createUser({ ...payload, role: 'owner' });
+    await recordAudit({
+      entity: 'user', entityId: user.id, action: 'create', actor: user.username,
+      newValues: { username: user.username, role: user.role }
+    });
+    res.status(201).json(await startSession(req, res, user));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/auth/login
+ * Body: { username, password }
+ */
+async function loginHandler(req, res, next) {
+  try {
+    const { username, password } = req.body || {};
+    const user = await authenticate(username, password);
+    if (!user) {
+      const error = new Error('Invalid username or password');
+      error.status = 401;
+      throw error;
+    }
+    res.json(await startSession(req, res, user));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/auth/pin-users
+ * Names on the PIN quick-switch screen; only on a device signed in with a
+ * password (requirePinDevice).
+ */
+async function pinUsersHandler(req, res, next) {
+  try {
+    res.json({ users: await listPinUsers() });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/auth/pin
+ * Body: { user_id, pin }
+ * Quick switch on a device enrolled by a password sign-in (requirePinDevice).
+ * The PIN session replaces the current one, has staff rights only and ends
+ * after PIN_IDLE_MINUTES idle; the enrollment stays for the next switch.
+ */
+async function pinLoginHandler(req, res, next) {
+  try {
+    const { user_id: userId, pin } = req.body || {};
+    const user = userId ? await authenticatePin(userId, pin) : null;
+    if (!user) {
+      const error = new Error('Wrong PIN');
+      error.status = 401;
+      throw error;
+    }
+    res.json(await startSession(req, res, user, 'pin'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/auth/logout
+ */
+async function logoutHandler(req, res, next) {
+  try {
+    // Signing out of a PIN session keeps the device enrolled for the next PIN;
+    // signing out of a password session ends PIN switching on it too
+    const token = getSessionToken(req);
+    if (token) {
+      await deleteSession(token);
+    }
+    clearSessionCookie(res);
+    if (req.user?.session_method === 'password') {
+      const deviceToken = getDeviceToken(req);
+      if (deviceToken) {
+        await deletePinDevice(deviceToken);
+      }
+      clearDeviceCookie(res);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  meHandler,
+  setupHandler,
+  loginHandler,
+  pinUsersHandler,
+  pinLoginHandler,
+  logoutHandler
+};
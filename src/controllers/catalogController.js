@@ -0,0 +1,47 @@
+const { getCatalog } = require('../services/catalogService');
+
+function readDateFilter(req) {
+  const { date } = req.query;
+  if (date === undefined || date === '') {
+    return undefined;
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+    const error = new Error('Invalid date format. Use YYYY-MM-DD.');
+    error.status = 400;
+    throw error;
+  }
+  return String(date);
+}
+
+/**
+ * GET /api/catalog/items?date=YYYY-MM-DD
+ * Cached Loyverse items with their category; `date` returns the snapshot in effect that day.
+ */
+async function listCatalogItems(req, res, next) {
+  try {
+    const date = readDateFilter(req);
+    const items = await getCatalog('items', { date });
+    res.json({ date: date || null, count: items.length, items });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/catalog/categories?date=YYYY-MM-DD
+ */
+async function listCatalogCategories(req, res, next) {
+  try {
+    const date = readDateFilter(req);
+    const categories = await getCatalog('categories', { date });
+    res.json({ date: date || null, count: categories.length, categories });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listCatalogItems,
+  listCatalogCategories
+};
@@ -0,0 +1,131 @@
+const {
+  listClassificationRules,
+  getClassificationRule,
+  createClassificationRule,
+  updateClassificationRule,
+  deleteClassificationRule,
+  refreshClassificationRules
+} = require('../services/classificationRuleService');
+const { listItemWeights, refreshItemWeights } = require('../services/itemWeightService');
+const { classifyItemDetailed } = require('../services/itemClassifier');
+const { getActor, diffValues, pickValues, recordAudit } = require('../services/auditService');
+
+const AUDITED_COLUMNS = ['match_type', 'pattern', 'min_price', 'classification', 'priority', 'active', 'note'];
+
+async function findRuleOrThrow(id) {
+  const rule = await getClassificationRule(id);
+  if (!rule) {
+    const error = new Error('Classification rule not found');
+    error.status = 404;
+    throw error;
+  }
+  return rule;
+}
+
+/**
+ * GET /api/classification-rules
+ */
+async function listClassificationRulesHandler(req, res, next) {
+  try {
+    res.json({ rules: await listClassificationRules() });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/classification-rules/test?name=&category=&price=
+ * How an item would be classified with the current rules.
+ */
+async function testClassificationHandler(req, res, next) {
+  try {
+    await refreshClassificationRules();
+    const { name = '', category = '', price = 0 } = req.query;
+    res.json({ name, category, price: Number(price) || 0, ...classifyItemDetailed(name, category, Number(price) || 0) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sales-logic/config
+ * The active rules, gram weights and money divisor the browser's copy of the
+ * shared sales logic needs to classify items and count grams the way the
+ * server does.
+ */
+async function getSalesLogicConfigHandler(req, res, next) {
+  try {
+    await Promise.all([refreshClassificationRules(), refreshItemWeights()]);
+    const rules = await listClassificationRules();
+    res.json({
+      rules: rules.filter((rule) => rule.active),
+      item_weights: await listItemWeights(),
+      money_divisor: Number(process.env.LOYVERSE_MONEY_DIVISOR || 1)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/classification-rules
+ * Body: { match_type, pattern?, min_price?, classification, priority?, active?, note? }
+ */
+async function createClassificationRuleHandler(req, res, next) {
+  try {
+    const rule = await createClassificationRule(req.body || {});
+    await recordAudit({
+      entity: 'classification_rule', entityId: rule.id, action: 'create', actor: getActor(req),
+      newValues: pickValues(rule, AUDITED_COLUMNS)
+    });
+    res.status(201).json(rule);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/classification-rules/:id
+ */
+async function updateClassificationRuleHandler(req, res, next) {
+  try {
+    const before = await findRuleOrThrow(req.params.id);
+    const rule = await updateClassificationRule(before.id, req.body || {});
+    const changes = diffValues(before, rule, AUDITED_COLUMNS);
+    if (changes) {
+      await recordAudit({
+        entity: 'classification_rule', entityId: rule.id, action: 'update', actor: getActor(req),
+        oldValues: changes.old, newValues: changes.new
+      });
+    }
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/classification-rules/:id
+ */
+async function deleteClassificationRuleHandler(req, res, next) {
+  try {
+    const before = await findRuleOrThrow(req.params.id);
+    await deleteClassificationRule(before.id);
+    await recordAudit({
+      entity: 'classification_rule', entityId: before.id, action: 'delete', actor: getActor(req),
+      oldValues: pickValues(before, AUDITED_COLUMNS)
+    });
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listClassificationRulesHandler,
+  testClassificationHandler,
+  createClassificationRuleHandler,
+  updateClassificationRuleHandler,
+  deleteClassificationRuleHandler,
+  getSalesLogicConfigHandler
+};
@@ -0,0 +1,69 @@
+const { resolveStoreId } = require('../services/storeService');
+const { getDenominationCounts, saveDenominationCounts } = require('../services/denominationService');
+const { assertDayUnlocked } = require('../services/reportStatusService');
+const { assertCanEditDay } = require('../middleware/auth');
+const { getActor, diffValues, recordAudit } = require('../services/auditService');
+const { broadcast, validateDateOrThrow, addSignedInStaff } = require('./reportController');
+
+/**
+ * Flatten counts to { drawer_1000: qty, ..., safe_1: qty } for the audit log.
+ */
+function flattenCounts(counts) {
+  const flat = {};
+  for (const location of ['drawer', 'safe']) {
+    for (const { denomination, quantity } of counts[location]) {
+      flat[`${location}_${denomination}`] = quantity;
+    }
+  }
+  return flat;
+}
+
+/**
+ * GET /api/reports/:date/denominations?store=
+ */
+async function getDenominationsHandler(req, res, next) {
+  try {
+    const { date } = req.params;
+    validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store);
+    res.json(await getDenominationCounts(date, storeId));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/reports/:date/denominations
+ * Body: { store_id, drawer?: { "1000": qty, ... }, safe?: { "1000": qty, ... } }
+ */
+async function updateDenominationsHandler(req, res, next) {
+  try {
+    const { date } = req.params;
+    validateDateOrThrow(date);
+    const payload = req.body || {};
+    const storeId = await resolveStoreId(payload.store_id ?? req.query.store);
+    await assertDayUnlocked(date, storeId);
+    await assertCanEditDay(req, date, storeId);
+
+    const before = flattenCounts(await getDenominationCounts(date, storeId));
+    const counts = await saveDenominationCounts(date, storeId, payload);
+    const after = flattenCounts(counts);
+    await addSignedInStaff(req, date, storeId);
+    const changes = diffValues(before, after, Object.keys(after));
+    if (changes) {
+      await recordAudit({
+        storeId, date, entity: 'denominations', action: 'update', actor: getActor(req),
+        oldValues: changes.old, newValues: { ...changes.new, ...counts.totals }
+      });
+    }
+    broadcast({ type: 'REPORT_UPDATE', date, store_id: storeId });
+    res.json(counts);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getDenominationsHandler,
+  updateDenominationsHandler
+};
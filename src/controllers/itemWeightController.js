@@ -0,0 +1,76 @@
+const {
+  listItemWeights,
+  getItemWeight,
+  saveItemWeight,
+  deleteItemWeight
+} = require('../services/itemWeightService');
+const { getActor, diffValues, pickValues, recordAudit } = require('../services/auditService');
+
+const AUDITED_COLUMNS = ['item_id', 'variant_id', 'item_name', 'weighed', 'grams_per_unit', 'note'];
+
+/**
+ * GET /api/item-weights
+ */
+async function listItemWeightsHandler(req, res, next) {
+  try {
+    res.json({ weights: await listItemWeights() });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/item-weights
+ * Body: { item_id, variant_id?, item_name?, weighed?, grams_per_unit?, note? }
+ * Creates or replaces the entry for the item (or variant).
+ */
+async function saveItemWeightHandler(req, res, next) {
+  try {
+    const { before, weight } = await saveItemWeight(req.body || {});
+    if (!before) {
+      await recordAudit({
+        entity: 'item_weight', entityId: weight.id, action: 'create', actor: getActor(req),
+        newValues: pickValues(weight, AUDITED_COLUMNS)
+      });
+    } else {
+      const changes = diffValues(before, weight, AUDITED_COLUMNS);
+      if (changes) {
+        await recordAudit({
+          entity: 'item_weight', entityId: weight.id, action: 'update', actor: getActor(req),
+          oldValues: changes.old, newValues: changes.new
+        });
+      }
+    }
+    res.status(before ? 200 : 201).json(weight);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/item-weights/:id
+ */
+async function deleteItemWeightHandler(req, res, next) {
+  try {
+    const before = await getItemWeight(req.params.id);
+    if (!before) {
+      const error = new Error('Item weight not found');
+      error.status = 404;
+      throw error;
+    }
+    await deleteItemWeight(before.id);
+    await recordAudit({
+      entity: 'item_weight', entityId: before.id, action: 'delete', actor: getActor(req),
+      oldValues: pickValues(before, AUDITED_COLUMNS)
+    });
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listItemWeightsHandler,
+  saveItemWeightHandler,
+  deleteItemWeightHandler
+};
@@ -0,0 +1,36 @@
+const { resolveStoreId } = require('../services/storeService');
+const { importPosShifts, getCashReconciliation } = require('../services/posShiftService');
+const { validateDateOrThrow } = require('./reportController');
+
+/**
+ * GET /api/pos-shifts/:date?store=&refresh=0
+ * POS shifts and cash movements for the day next to daily_expenses. Shifts are
+ * re-imported from Loyverse unless refresh=0; a failed import falls back to
+ * the stored copy and reports the reason.
+ */
+async function getCashReconciliationHandler(req, res, next) {
+  try {
+    const { date } = req.params;
+    validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store);
+
+    let importError = null;
+    if (req.query.refresh !== '0') {
+      try {
+        await importPosShifts(date, storeId);
+      } catch (error) {
+        console.error(`[POS Shifts] Import failed for ${date}:`, error.message);
+        importError = error.message;
+      }
+    }
+
+    const reconciliation = await getCashReconciliation(date, storeId);
+    res.json({ ...reconciliation, import_error: importError });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getCashReconciliationHandler
+};
@@ -8,6 +8,18 @@ dayjs.extend(timezone);
 const { fetchSalesSummaryByDate } = require('../services/loyverseService');
 const { calculateReportValues, toNumber } = require('../utils/calculations');
 const { calculatePeriodBusinessSummary } = require('../services/settlementService');
+const { ALL_STORES, resolveStoreId, getBusinessDayStart } = require('../services/storeService');
+const { currentBusinessDate } = require('../utils/businessDay');
+const { listShifts, recomputeShiftSales, rollUpShifts } = require('../services/shiftService');
+const { getDenominationCounts, getDenominationTotals } = require('../services/denominationService');
+const { isDayLocked, assertDayUnlocked, changeReportStatus } = require('../services/reportStatusService');
+const { assertCanEditDay } = require('../middleware/auth');
+const { hasRole } = require('../services/userService');
+const { getStaffMember, findStaffMemberByName, getPosEmployeesForDay } = require('../services/staffService');
+const { getTipPool } = require('../services/tipService');
+const { SYSTEM_ACTORS, getActor, diffValues, pickValues, recordAudit } = require('../services/auditService');
+const { CLASS_TOTAL_COLUMNS, saveClassTotals } = require('../services/classTotalsService');
+const { seedItemWeights } = require('../services/itemWeightService');
 
 const isPostgres = getDialect() === 'postgres';
 
@@ -62,6 +74,34 @@ function oneKTotalColumn() {
   return isPostgres ? '"1k_total"' : '`1k_total`';
 }
 
+// Numeric columns summed for the consolidated "all stores" view
+const CONSOLIDATED_COLUMNS = [
+  'net_sale', 'cash_total', 'card_total', 'transfer_total', 'total_orders', 'total_grams',
+  'fb_total', 'expense', 'tip', '1k_qty', '1k_total', 'safe_box_amount', 'opening_cash',
+  'actual_cash_counted', 'expected_cash', 'difference', ...CLASS_TOTAL_COLUMNS
+];
+
+// Columns whose changes are written to the audit log
+const SYNCED_COLUMNS = ['net_sale', 'cash_total', 'card_total', 'transfer_total', 'total_orders', 'total_grams', 'fb_total', ...CLASS_TOTAL_COLUMNS];
+// Derived from the synced totals and the manual cash fields
+const CASH_BALANCE_COLUMNS = ['expected_cash', 'difference'];
+const REPORT_AUDIT_COLUMNS = [...CONSOLIDATED_COLUMNS, 'safe_box_label'];
+const EXPENSE_AUDIT_COLUMNS = ['category', 'description', 'amount'];
+
+function quoteColumn(name) {
+  return isPostgres ? `"${name}"` : `\`${name}\``;
+}
+
+/**
+ * WHERE fragment limiting a query to one store; empty for the "all" view.
+ */
+function storeCondition(storeId, index) {
+  if (storeId === ALL_STORES) {
+    return { sql: null, params: [] };
+  }
+  return { sql: `store_id = ${placeholder(index)}`, params: [storeId] };
+}
+
 function isValidDate(date) {
   if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
     return false;
@@ -97,70 +137,279 @@ function roundCurrency(value) {
   return Number(toNumber(value).toFixed(2));
 }
 
+async function findReport(date, storeId) {
+  const rows = await query(
+    `SELECT * FROM daily_reports WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}`,
+    [date, storeId]
+  );
+  return rows[0] || null;
+}
+
+async function auditReportSave(date, storeId, before, after, actor) {
+  const changes = diffValues(before, after, REPORT_AUDIT_COLUMNS);
+  if (!changes) {
+    return;
+  }
+  await recordAudit({
+    storeId, date, entity: 'report', entityId: after?.id, action: before ? 'update' : 'create', actor,
+    oldValues: before ? changes.old : null, newValues: changes.new
+  });
+}
+
+/**
+ * Expected cash and cash difference of a report once its synced totals are
+ * replaced by a summary's, keeping its manual fields.
+ * @returns {{expected_cash: number, difference: number}}
+ */
+function syncedCashBalance(report, summary) {
+  const { expected_cash, difference } = calculateReportValues({
+    ...report,
+    net_sale: toNumber(summary.net_sale),
+    cash_total: summary.cash_total,
+    card_total: summary.card_total,
+    transfer_total: summary.transfer_total
+  });
+  return { expected_cash, difference };
+}
+
+/**
+ * Upsert the Loyverse-derived totals of a synced day, leaving manual fields
+ * untouched, refresh its expected cash and difference, and split the day's
+ * sales over its shifts. Changed totals are written to the audit log.
+ */
+async function saveSyncedTotals(date, summary, storeId, actor = SYSTEM_ACTORS.SYSTEM) {
+  const before = await findReport(date, storeId);
+
+  const net_sale = toNumber(summary.net_sale);
+  const cash_total = toNumber(summary.cash_total);
+  const card_total = toNumber(summary.card_total);
+  const transfer_total = toNumber(summary.transfer_total);
+  const total_orders = toNumber(summary.total_orders);
+  const total_grams = toNumber(summary.total_grams);
+  const fb_total = toNumber(summary.fb_total);
+
+  const values = [
+    date, net_sale, cash_total, card_total, transfer_total,
+    total_orders, total_grams, fb_total, 0, 0, 0, 0, '1K Bill', 0, 0, 0, 0, 0, storeId
+  ];
+
+  if (isPostgres) {
+    await query(
+      `INSERT INTO daily_reports (
+        date, net_sale, cash_total, card_total, transfer_total,
+        total_orders, total_grams, fb_total, expense, tip,
+        ${oneKQtyColumn()}, ${oneKTotalColumn()}, safe_box_label,
+        safe_box_amount, opening_cash, actual_cash_counted, expected_cash, difference, store_id
+      ) VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)}, ${placeholder(4)}, ${placeholder(5)}, ${placeholder(6)}, ${placeholder(7)}, ${placeholder(8)}, ${placeholder(9)}, ${placeholder(10)}, ${placeholder(11)}, ${placeholder(12)}, ${placeholder(13)}, ${placeholder(14)}, ${placeholder(15)}, ${placeholder(16)}, ${placeholder(17)}, ${placeholder(18)}, ${placeholder(19)})
+      ON CONFLICT (store_id, date) DO UPDATE SET
+        net_sale = EXCLUDED.net_sale,
+        cash_total = EXCLUDED.cash_total,
+        card_total = EXCLUDED.card_total,
+        transfer_total = EXCLUDED.transfer_total,
+        total_orders = EXCLUDED.total_orders,
+        total_grams = EXCLUDED.total_grams,
+        fb_total = EXCLUDED.fb_total`,
+      values
+    );
+  } else {
+    await query(
+      `INSERT INTO daily_reports (
+        date, net_sale, cash_total, card_total, transfer_total,
+        total_orders, total_grams, fb_total, expense, tip,
+        ${oneKQtyColumn()}, ${oneKTotalColumn()}, safe_box_label,
+        safe_box_amount, opening_cash, actual_cash_counted, expected_cash, difference, store_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        net_sale = VALUES(net_sale),
+        cash_total = VALUES(cash_total),
+        card_total = VALUES(card_total),
+        transfer_total = VALUES(transfer_total),
+        total_orders = VALUES(total_orders),
+        total_grams = VALUES(total_grams),
+        fb_total = VALUES(fb_total)`,
+      values
+    );
+  }
+  await saveClassTotals(date, storeId, summary);
+
+  const balance = syncedCashBalance(await findReport(date, storeId), summary);
+  await query(
+    `UPDATE daily_reports SET expected_cash = ${placeholder(1)}, difference = ${placeholder(2)}
+     WHERE date = ${placeholder(3)} AND store_id = ${placeholder(4)}`,
+    [balance.expected_cash, balance.difference, date, storeId]
+  );
+
+  const after = await findReport(date, storeId);
+  const changes = diffValues(before, after, [...SYNCED_COLUMNS, ...CASH_BALANCE_COLUMNS]);
+  if (changes) {
+    await recordAudit({
+      storeId, date, entity: 'report', entityId: after?.id, action: 'sync', actor,
+      oldValues: before ? changes.old : null, newValues: changes.new
+    });
+  }
+
+  try {
+    await recomputeShiftSales(date, storeId, summary);
+  } catch (error) {
+    console.error(`[Shifts] Could not split sales for ${date}:`, error.message);
+  }
+}
+
+/**
+ * Rebuild the Loyverse-derived totals of the given days, by default from the
+ * receipt archive. Used for days touched by an incremental sync (e.g. late
+ * refunds) or a webhook.
+ * @param {Array<string>} dates - Dates in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyExisting=false] - Skip days that have no saved report yet
+ * @param {boolean} [options.archiveOnly=true] - Read the archive instead of calling Loyverse
+ * @param {string} [options.action='SYNC'] - Action sent with the SSE broadcast
+ * @param {string} [options.storeId=''] - Store whose reports are recomputed
+ * @param {string} [options.actor='system'] - Recorded in the audit log
+ * @returns {Promise<Array<string>>} Dates that were recomputed
+ */
+async function recomputeSyncedReports(dates, { onlyExisting = false, archiveOnly = true, action = 'SYNC', storeId = '', actor = SYSTEM_ACTORS.SYSTEM } = {}) {
+  const recomputed = [];
+
+  for (const date of dates || []) {
+    try {
+      if (await isDayLocked(date, storeId)) {
+        console.log(`[Sync] Skipping locked report for ${date}`);
+        continue;
+      }
+
+      if (onlyExisting) {
+        const existing = await query(
+          `SELECT id FROM daily_reports WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}`,
+          [date, storeId]
+        );
+        if (!existing.length) {
+          continue;
+        }
+      }
+
+      const summary = await fetchSalesSummaryByDate(date, { archiveOnly, storeId });
+      await saveSyncedTotals(date, summary, storeId, actor);
+      broadcast({ type: 'REPORT', date, store_id: storeId, action });
+      recomputed.push(date);
+    } catch (error) {
+      console.error(`[Sync] Failed to recompute report for ${date}:`, error.message);
+    }
+  }
+
+  return recomputed;
+}
+
+// Longest range one recompute request may cover
+const MAX_RECOMPUTE_DAYS = 366;
+
+/**
+ * Rebuild the Loyverse-derived totals (SYNCED_COLUMNS) of the saved reports
+ * between two dates from the receipt archive, with the current
+ * classification rules and gram weights. Manually entered fields are never
+ * touched. Locked days and days without archived receipts are skipped.
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {string} [options.storeId='']
+ * @param {boolean} [options.apply=false] - Save the changes; otherwise only report them
+ * @param {string} [options.actor='system'] - Recorded in the audit log
+ * @returns {Promise<Array<{date: string, status: string, changes: Object|null}>>}
+ *   status is changed, unchanged, locked, no_receipts or error
+ */
+async function recomputeReportRange(from, to, { storeId = '', apply = false, actor = SYSTEM_ACTORS.SYSTEM } = {}) {
+  const rows = await query(
+    `SELECT * FROM daily_reports
+     WHERE store_id = ${placeholder(1)} AND date >= ${placeholder(2)} AND date <= ${placeholder(3)}
+     ORDER BY date ASC`,
+    [storeId, from, to]
+  );
+
+  const days = [];
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const date = dayjs(row.date).format('YYYY-MM-DD');
+    try {
+      if (row.status === 'locked') {
+        days.push({ date, status: 'locked', changes: null });
+        continue;
+      }
+
+      const summary = await fetchSalesSummaryByDate(date, { archiveOnly: true, storeId });
+      // An empty archive would zero the day, so leave those reports as they are
+      if (!summary.orders?.length) {
+        days.push({ date, status: 'no_receipts', changes: null });
+        continue;
+      }
+
+      const changes = diffValues(row, { ...summary, ...syncedCashBalance(row, summary) }, [...SYNCED_COLUMNS, ...CASH_BALANCE_COLUMNS]);
+      if (changes && apply) {
+        await saveSyncedTotals(date, summary, storeId, actor);
+        broadcast({ type: 'REPORT', date, store_id: storeId, action: 'RECOMPUTE' });
+      }
+      days.push({ date, status: changes ? 'changed' : 'unchanged', changes });
+    } catch (error) {
+      console.error(`[Recompute] Failed to recompute report for ${date}:`, error.message);
+      days.push({ date, status: 'error', changes: null, error: error.message });
+    }
+  }
+
+  return days;
+}
+
+/**
+ * POST /api/reports/recompute?from=&to=&store=&apply=true
+ * Dry run by default: lists per day how the synced totals would change.
+ * With apply=true the changes are saved and audited.
+ */
+async function recomputeReports(req, res, next) {
+  try {
+    const { from, to } = req.query;
+    validateDateOrThrow(from);
+    validateDateOrThrow(to);
+    const span = dayjs(to).diff(dayjs(from), 'day');
+    if (span < 0 || span >= MAX_RECOMPUTE_DAYS) {
+      const error = new Error(`from must not be after to, and the range may cover at most ${MAX_RECOMPUTE_DAYS} days`);
+      error.status = 400;
+      throw error;
+    }
+    const storeId = await resolveStoreId(req.query.store);
+    const apply = String(req.query.apply ?? req.body?.apply ?? '').toLowerCase() === 'true';
+
+    const days = await recomputeReportRange(from, to, { storeId, apply, actor: getActor(req) });
+    res.json({
+      from,
+      to,
+      store: storeId,
+      applied: apply,
+      changed: days.filter((day) => day.status === 'changed').length,
+      days
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 async function syncFromLoyverse(req, res, next) {
   try {
     const { date } = req.query;
     validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store);
+    await assertDayUnlocked(date, storeId);
+    await assertCanEditDay(req, date, storeId);
 
-    const summary = await fetchSalesSummaryByDate(date);
+    const summary = await fetchSalesSummaryByDate(date, { storeId });
     
     // Auto-save/upsert to database
-    const net_sale = toNumber(summary.net_sale);
-    const cash_total = toNumber(summary.cash_total);
-    const card_total = toNumber(summary.card_total);
-    const transfer_total = toNumber(summary.transfer_total);
-    const total_orders = toNumber(summary.total_orders);
-    const total_grams = toNumber(summary.total_grams);
-    const fb_total = toNumber(summary.fb_total);
-
-    const values = [
-      date, net_sale, cash_total, card_total, transfer_total,
-      total_orders, total_grams, fb_total, 0, 0, 0, 0, '1K Bill', 0, 0, 0, 0, 0
-    ];
-
-    if (isPostgres) {
-      await query(
-        `INSERT INTO daily_reports (
-          date, net_sale, cash_total, card_total, transfer_total,
-          total_orders, total_grams, fb_total, expense, tip,
-          ${oneKQtyColumn()}, ${oneKTotalColumn()}, safe_box_label,
-          safe_box_amount, opening_cash, actual_cash_counted, expected_cash, difference
-        ) VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)}, ${placeholder(4)}, ${placeholder(5)}, ${placeholder(6)}, ${placeholder(7)}, ${placeholder(8)}, ${placeholder(9)}, ${placeholder(10)}, ${placeholder(11)}, ${placeholder(12)}, ${placeholder(13)}, ${placeholder(14)}, ${placeholder(15)}, ${placeholder(16)}, ${placeholder(17)}, ${placeholder(18)})
-        ON CONFLICT (date) DO UPDATE SET
-          net_sale = EXCLUDED.net_sale,
-          cash_total = EXCLUDED.cash_total,
-          card_total = EXCLUDED.card_total,
-          transfer_total = EXCLUDED.transfer_total,
-          total_orders = EXCLUDED.total_orders,
-          total_grams = EXCLUDED.total_grams,
-          fb_total = EXCLUDED.fb_total`,
-        values
-      );
-    } else {
-      await query(
-        `INSERT INTO daily_reports (
-          date, net_sale, cash_total, card_total, transfer_total,
-          total_orders, total_grams, fb_total, expense, tip,
-          ${oneKQtyColumn()}, ${oneKTotalColumn()}, safe_box_label,
-          safe_box_amount, opening_cash, actual_cash_counted, expected_cash, difference
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          net_sale = VALUES(net_sale),
-          cash_total = VALUES(cash_total),
-          card_total = VALUES(card_total),
-          transfer_total = VALUES(transfer_total),
-          total_orders = VALUES(total_orders),
-          total_grams = VALUES(total_grams),
-          fb_total = VALUES(fb_total)`,
-        values
-      );
-    }
+    const actor = getActor(req);
+    await saveSyncedTotals(date, summary, storeId, actor);
+    const otherDates = (summary.affected_dates || []).filter((affectedDate) => affectedDate !== date);
+    await recomputeSyncedReports(otherDates, { onlyExisting: true, storeId, actor });
 
-    broadcast({ type: 'REPORT', date, action: 'SYNC' });
+    broadcast({ type: 'REPORT', date, store_id: storeId, action: 'SYNC' });
     res.json(summary);
   } catch (error) {
     if (error.response && error.response.status === 402) {
-      const apiError = new Error('Loyverse API restriction: Cannot sync data older than 30 days. Please use manual entry or check existing records.');
+      const apiError = new Error('Loyverse API restriction: Cannot sync data older than 30 days and no archived receipts exist for this date. Please use manual entry or check existing records.');
       apiError.status = 402;
       return next(apiError);
     }
@@ -172,15 +421,37 @@ async function getReportByDate(req, res, next) {
   try {
     const { date } = req.params;
     validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store, { allowAll: true });
+
+    if (storeId === ALL_STORES) {
+      const sums = CONSOLIDATED_COLUMNS
+        .map((column) => `COALESCE(SUM(${quoteColumn(column)}), 0) AS ${quoteColumn(column)}`)
+        .join(', ');
+      const rows = await query(
+        `SELECT ${sums}, COUNT(*) AS store_count FROM daily_reports WHERE date = ${placeholder(1)}`,
+        [date]
+      );
+      const consolidated = rows[0];
 
-    const rows = await query(`SELECT * FROM daily_reports WHERE date = ${placeholder(1)}`, [date]);
+      if (!consolidated || Number(consolidated.store_count) === 0) {
+        return res.status(404).json({ message: 'Report not found for this date' });
+      }
+
+      return res.json({ ...consolidated, date, store_id: ALL_STORES });
+    }
+
+    const rows = await query(
+      `SELECT * FROM daily_reports WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}`,
+      [date, storeId]
+    );
     const reportList = Array.isArray(rows) ? rows : [];
 
     if (reportList.length === 0) {
       return res.status(404).json({ message: 'Report not found for this date' });
     }
 
-    return res.json(reportList[0]);
+    const shifts = await listShifts(date, storeId);
+    return res.json({ ...reportList[0], shifts, shift_rollup: rollUpShifts(shifts) });
   } catch (error) {
     return next(error);
   }
@@ -190,6 +461,10 @@ async function upsertReport(req, res, next) {
   try {
     const payload = req.body || {};
     validateDateOrThrow(payload.date);
+    const storeId = await resolveStoreId(payload.store_id ?? req.query.store);
+    await assertDayUnlocked(payload.date, storeId);
+    await assertCanEditDay(req, payload.date, storeId);
+    const before = await findReport(payload.date, storeId);
 
     const totalOrders = Number.isInteger(Number(payload.total_orders)) ? Number(payload.total_orders) : 0;
     if (totalOrders < 0) {
@@ -198,10 +473,16 @@ async function upsertReport(req, res, next) {
       throw error;
     }
 
-    const reportValues = calculateReportValues(payload);
-    const tip = toNumber(payload.tip);
+    // Counted days take the cash count, safe box and 1K bills from their counts
+    const countedTotals = await getDenominationTotals(payload.date, storeId);
+    const reportInput = countedTotals ? { ...payload, ...countedTotals } : payload;
+
+    const reportValues = calculateReportValues(reportInput);
+    // Days with tip entries take the tip from their pool
+    const tipPool = await getTipPool(payload.date, storeId);
+    const tip = tipPool ?? toNumber(payload.tip);
     const safeBoxLabel = normalizeSafeBoxLabel(payload.safe_box_label);
-    const oneKQty = toNonNegativeInteger(payload['1k_qty']);
+    const oneKQty = toNonNegativeInteger(reportInput['1k_qty']);
     const oneKTotal = roundCurrency(oneKQty * ONE_K_BILL_AMOUNT);
     const transferTotal = toNumber(payload.transfer_total);
     const totalGrams = toNumber(payload.total_grams);
@@ -225,7 +506,8 @@ async function upsertReport(req, res, next) {
       reportValues.opening_cash,
       reportValues.actual_cash_counted,
       reportValues.expected_cash,
-      reportValues.difference
+      reportValues.difference,
+      storeId
     ];
 
     if (isPostgres) {
@@ -248,9 +530,10 @@ async function upsertReport(req, res, next) {
           opening_cash,
           actual_cash_counted,
           expected_cash,
-          difference
-        ) VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)}, ${placeholder(4)}, ${placeholder(5)}, ${placeholder(6)}, ${placeholder(7)}, ${placeholder(8)}, ${placeholder(9)}, ${placeholder(10)}, ${placeholder(11)}, ${placeholder(12)}, ${placeholder(13)}, ${placeholder(14)}, ${placeholder(15)}, ${placeholder(16)}, ${placeholder(17)}, ${placeholder(18)})
-        ON CONFLICT (date) DO UPDATE SET
+          difference,
+          store_id
+        ) VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)}, ${placeholder(4)}, ${placeholder(5)}, ${placeholder(6)}, ${placeholder(7)}, ${placeholder(8)}, ${placeholder(9)}, ${placeholder(10)}, ${placeholder(11)}, ${placeholder(12)}, ${placeholder(13)}, ${placeholder(14)}, ${placeholder(15)}, ${placeholder(16)}, ${placeholder(17)}, ${placeholder(18)}, ${placeholder(19)})
+        ON CONFLICT (store_id, date) DO UPDATE SET
           net_sale = EXCLUDED.net_sale,
           cash_total = EXCLUDED.cash_total,
           card_total = EXCLUDED.card_total,
@@ -273,7 +556,8 @@ async function upsertReport(req, res, next) {
         values
       );
 
-      broadcast({ type: 'REPORT_UPDATE', date: payload.date });
+      await auditReportSave(payload.date, storeId, before, savedRows[0], getActor(req));
+      broadcast({ type: 'REPORT_UPDATE', date: payload.date, store_id: storeId });
       return res.status(201).json(savedRows[0]);
     }
 
@@ -296,8 +580,9 @@ async function upsertReport(req, res, next) {
         opening_cash,
         actual_cash_counted,
         expected_cash,
-        difference
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        difference,
+        store_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON DUPLICATE KEY UPDATE
         net_sale = VALUES(net_sale),
         cash_total = VALUES(cash_total),
@@ -320,14 +605,52 @@ async function upsertReport(req, res, next) {
       values
     );
 
-    broadcast({ type: 'REPORT_UPDATE', date: payload.date });
-    const savedRows = await query(`SELECT * FROM daily_reports WHERE date = ${placeholder(1)}`, [payload.date]);
-    return res.status(201).json(savedRows[0]);
+    const saved = await findReport(payload.date, storeId);
+    await auditReportSave(payload.date, storeId, before, saved, getActor(req));
+    broadcast({ type: 'REPORT_UPDATE', date: payload.date, store_id: storeId });
+    return res.status(201).json(saved);
   } catch (error) {
     return next(error);
   }
 }
 
+/**
+ * PUT /api/reports/:date/status
+ * Body: { store_id, status: "submitted" | "approved" | "locked" | "draft", reason? }
+ * Unlocking (locked -> draft) requires a reason.
+ */
+async function updateReportStatus(req, res, next) {
+  try {
+    const { date } = req.params;
+    validateDateOrThrow(date);
+    const payload = req.body || {};
+    const storeId = await resolveStoreId(payload.store_id ?? req.query.store);
+
+    // Staff can hand in today's report; reviewing it is a manager's job
+    if (!hasRole(req.user, 'manager')) {
+      if (payload.status !== 'submitted') {
+        const error = new Error('Only managers can approve, lock or reopen reports');
+        error.status = 403;
+        throw error;
+      }
+      await assertCanEditDay(req, date, storeId);
+    }
+
+    const transition = await changeReportStatus(date, storeId, payload.status, { reason: payload.reason });
+    const report = await findReport(date, storeId);
+    await recordAudit({
+      storeId, date, entity: 'report', entityId: report.id, action: 'status', actor: getActor(req),
+      oldValues: { status: transition.from },
+      newValues: { status: transition.to, status_reason: report.status_reason }
+    });
+    broadcast({ type: 'REPORT_UPDATE', date, store_id: storeId });
+
+    res.json({ ...report, transition });
+  } catch (error) {
+    next(error);
+  }
+}
+
 async function listReports(req, res, next) {
   try {
     const { from, to } = req.query;
@@ -337,9 +660,11 @@ async function listReports(req, res, next) {
         ? Math.min(Math.floor(requestedLimit), 500)
         : 100;
 
-    const conditions = [];
-    const params = [];
-    let index = 1;
+    const storeId = await resolveStoreId(req.query.store, { allowAll: true });
+    const store = storeCondition(storeId, 1);
+    const conditions = store.sql ? [store.sql] : [];
+    const params = [...store.params];
+    let index = params.length + 1;
 
     if (from) {
       validateDateOrThrow(from);
@@ -359,7 +684,7 @@ async function listReports(req, res, next) {
     if (conditions.length > 0) {
       sql += ` WHERE ${conditions.join(' AND ')}`;
     }
-    sql += ` ORDER BY date DESC LIMIT ${placeholder(index)}`;
+    sql += ` ORDER BY date DESC, store_id ASC LIMIT ${placeholder(index)}`;
     params.push(limit);
 
     const rows = await query(sql, params);
@@ -371,11 +696,16 @@ async function listReports(req, res, next) {
 
 async function getLast7DayNetSales(req, res, next) {
   try {
+    const storeId = await resolveStoreId(req.query.store, { allowAll: true });
+    const store = storeCondition(storeId, 1);
     const rows = await query(
-      `SELECT date, net_sale
+      `SELECT date, SUM(net_sale) AS net_sale
        FROM daily_reports
+       ${store.sql ? `WHERE ${store.sql}` : ''}
+       GROUP BY date
        ORDER BY date DESC
-       LIMIT 7`
+       LIMIT 7`,
+      store.params
     );
     const resultList = Array.isArray(rows) ? rows : [];
 
@@ -387,17 +717,19 @@ async function getLast7DayNetSales(req, res, next) {
 
 async function getMonthlyNetSales(req, res, next) {
   try {
-    const tz = process.env.LOYVERSE_TIMEZONE || 'Asia/Bangkok';
-    const now = dayjs().tz(tz);
-    const startOfMonth = now.startOf('month').format('YYYY-MM-DD');
-    const today = now.format('YYYY-MM-DD');
+    const storeId = await resolveStoreId(req.query.store, { allowAll: true });
+    const today = currentBusinessDate(await getBusinessDayStart(storeId));
+    const startOfMonth = `${today.slice(0, 7)}-01`;
 
+    const store = storeCondition(storeId, 3);
     const rows = await query(
-      `SELECT date, net_sale
+      `SELECT date, SUM(net_sale) AS net_sale
        FROM daily_reports
        WHERE date >= ${placeholder(1)} AND date <= ${placeholder(2)}
+       ${store.sql ? `AND ${store.sql}` : ''}
+       GROUP BY date
        ORDER BY date ASC`,
-      [startOfMonth, today]
+      [startOfMonth, today, ...store.params]
     );
     
     return res.json(Array.isArray(rows) ? rows : []);
@@ -406,12 +738,41 @@ async function getMonthlyNetSales(req, res, next) {
   }
 }
 
+function summarizeReportRows(rows) {
+  const classTotals = {};
+  for (const classification of ['main', 'accessory', 'fb']) {
+    classTotals[classification] = {
+      gross: roundCurrency(rows.reduce((sum, row) => sum + toNumber(row[`${classification}_gross`]), 0)),
+      discount: roundCurrency(rows.reduce((sum, row) => sum + toNumber(row[`${classification}_discount`]), 0)),
+      net: roundCurrency(rows.reduce((sum, row) => sum + toNumber(row[`${classification}_total`]), 0))
+    };
+  }
+
+  return {
+    ...calculatePeriodBusinessSummary(
+      rows.map((row) => ({
+        cashSales: toNumber(row.cash_total),
+        cardSales: toNumber(row.card_total),
+        transferSales: toNumber(row.transfer_total),
+        netSales: toNumber(row.net_sale),
+        expenses: toNumber(row.expense),
+        tips: toNumber(row.tip),
+        safeBoxAmount: toNumber(row.safe_box_amount)
+      }))
+    ),
+    // Gross, discount and net per classification
+    classTotals
+  };
+}
+
 async function getReportsSummary(req, res, next) {
   try {
     const { from, to } = req.query;
-    const conditions = [];
-    const params = [];
-    let index = 1;
+    const storeId = await resolveStoreId(req.query.store, { allowAll: true });
+    const store = storeCondition(storeId, 1);
+    const conditions = store.sql ? [store.sql] : [];
+    const params = [...store.params];
+    let index = params.length + 1;
 
     if (from) {
       validateDateOrThrow(from);
@@ -427,7 +788,7 @@ async function getReportsSummary(req, res, next) {
       index += 1;
     }
 
-    let sql = 'SELECT date, cash_total, card_total, transfer_total, net_sale, expense, tip, safe_box_amount FROM daily_reports';
+    let sql = `SELECT store_id, date, cash_total, card_total, transfer_total, net_sale, expense, tip, safe_box_amount, fb_total, ${CLASS_TOTAL_COLUMNS.join(', ')} FROM daily_reports`;
     if (conditions.length > 0) {
       sql += ` WHERE ${conditions.join(' AND ')}`;
     }
@@ -435,30 +796,204 @@ async function getReportsSummary(req, res, next) {
 
     const rows = await query(sql, params);
     const resultList = Array.isArray(rows) ? rows : [];
-
-    const summary = calculatePeriodBusinessSummary(
-      resultList.map((row) => ({
-        cashSales: toNumber(row.cash_total),
-        cardSales: toNumber(row.card_total),
-        transferSales: toNumber(row.transfer_total),
-        netSales: toNumber(row.net_sale),
-        expenses: toNumber(row.expense),
-        tips: toNumber(row.tip),
-        safeBoxAmount: toNumber(row.safe_box_amount)
-      }))
-    );
-
-    return res.json({
+    const summary = summarizeReportRows(resultList);
+    const response = {
       from: from || null,
       to: to || null,
-      days: resultList.length,
+      store: storeId,
+      days: new Set(resultList.map((row) => dayjs(row.date).format('YYYY-MM-DD'))).size,
       ...summary
-    });
+    };
+
+    // Consolidated view: also break the totals down per store
+    if (storeId === ALL_STORES) {
+      const rowsByStore = new Map();
+      for (const row of resultList) {
+        if (!rowsByStore.has(row.store_id)) {
+          rowsByStore.set(row.store_id, []);
+        }
+        rowsByStore.get(row.store_id).push(row);
+      }
+      response.stores = [...rowsByStore.entries()].map(([rowStoreId, storeRows]) => ({
+        store_id: rowStoreId,
+        days: storeRows.length,
+        ...summarizeReportRows(storeRows)
+      }));
+    }
+
+    return res.json(response);
   } catch (error) {
     return next(error);
   }
 }
 
+const COMPARE_PERIODS = ['week', 'month', 'year'];
+// Period-to-date totals compared, as report columns
+const COMPARE_METRICS = {
+  net_sale: 'net_sale',
+  orders: 'total_orders',
+  grams: 'total_grams',
+  fb_total: 'fb_total',
+  expenses: 'expense',
+  cash_difference: 'difference'
+};
+
+function getPeriodStart(period, day) {
+  if (period === 'week') {
+    return day.subtract((day.day() + 6) % 7, 'day');
+  }
+  return day.startOf(period);
+}
+
+/**
+ * The first `offset` + 1 days of the period starting at `start`, cut at the
+ * period's end (e.g. day 31 of a 30-day month).
+ */
+function getPeriodToDateRange(period, start, offset) {
+  const end = period === 'week' ? start.add(6, 'day') : start.endOf(period);
+  const to = start.add(offset, 'day');
+  return {
+    from: start.format('YYYY-MM-DD'),
+    to: (to.isAfter(end) ? end : to).format('YYYY-MM-DD')
+  };
+}
+
+/**
+ * Ranges compared for `date`: the week (Monday-Sunday), month or year up to
+ * and including date, the same days of the previous period and, for weeks and
+ * months, of the same period last year (52 weeks back for weeks, so weekdays
+ * line up). The previous year ends on the same calendar day, not after the
+ * same number of days, so leap days do not shift it.
+ * @param {string} period - week, month or year
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{current: Object, previous: Object, last_year: Object|null}} each { from, to }
+ */
+function getComparisonRanges(period, date) {
+  const day = dayjs(date);
+  const start = getPeriodStart(period, day);
+  const offset = day.diff(start, 'day');
+  const previousStart = getPeriodStart(period, start.subtract(1, period));
+
+  let lastYear = null;
+  if (period === 'week') {
+    lastYear = getPeriodToDateRange(period, start.subtract(52, 'week'), offset);
+  } else if (period === 'month') {
+    lastYear = getPeriodToDateRange(period, start.subtract(1, 'year'), offset);
+  }
+
+  const previous = period === 'year'
+    ? { from: previousStart.format('YYYY-MM-DD'), to: day.subtract(1, 'year').format('YYYY-MM-DD') }
+    : getPeriodToDateRange(period, previousStart, offset);
+
+  return {
+    current: getPeriodToDateRange(period, start, offset),
+    previous,
+    last_year: lastYear
+  };
+}
+
+async function sumComparisonRange({ from, to }, storeId) {
+  const store = storeCondition(storeId, 3);
+  const sums = Object.entries(COMPARE_METRICS)
+    .map(([metric, column]) => `COALESCE(SUM(${column}), 0) AS ${metric}`);
+  const rows = await query(
+    `SELECT COUNT(*) AS days, ${sums.join(', ')}
+     FROM daily_reports
+     WHERE date >= ${placeholder(1)} AND date <= ${placeholder(2)}
+     ${store.sql ? `AND ${store.sql}` : ''}`,
+    [from, to, ...store.params]
+  );
+  const row = (Array.isArray(rows) ? rows[0] : null) || {};
+
+  const totals = {};
+  for (const metric of Object.keys(COMPARE_METRICS)) {
+    const value = toNumber(row[metric]);
+    totals[metric] = metric === 'grams' ? Number(value.toFixed(3)) : roundCurrency(value);
+  }
+  return { from, to, days: toNumber(row.days), totals };
+}
+
+function compareTotals(current, baseline) {
+  const deltas = {};
+  for (const metric of Object.keys(COMPARE_METRICS)) {
+    const change = current.totals[metric] - baseline.totals[metric];
+    deltas[metric] = {
+      change: metric === 'grams' ? Number(change.toFixed(3)) : roundCurrency(change),
+      // No percentage against an empty or zero baseline
+      percent: baseline.totals[metric] !== 0
+        ? roundCurrency(change / Math.abs(baseline.totals[metric]) * 100)
+        : null
+    };
+  }
+  return deltas;
+}
+
+/**
+ * GET /api/reports/compare?period=week|month|year&date=YYYY-MM-DD&store=
+ * Period-to-date totals (net sale, orders, grams, F&B, expenses, cash
+ * difference) from the saved reports against the same days of the previous
+ * period and of the same period last year, with absolute and percent deltas.
+ * date defaults to the current business date; store=all compares every store.
+ */
+async function getReportsComparison(req, res, next) {
+  try {
+    const period = req.query.period || 'month';
+    if (!COMPARE_PERIODS.includes(period)) {
+      const error = new Error(`period must be one of: ${COMPARE_PERIODS.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    const storeId = await resolveStoreId(req.query.store, { allowAll: true });
+    const date = req.query.date || currentBusinessDate(await getBusinessDayStart(storeId));
+    validateDateOrThrow(date);
+
+    const ranges = getComparisonRanges(period, date);
+    const current = await sumComparisonRange(ranges.current, storeId);
+    const previous = await sumComparisonRange(ranges.previous, storeId);
+    const lastYear = ranges.last_year ? await sumComparisonRange(ranges.last_year, storeId) : null;
+
+    res.json({
+      period,
+      date,
+      store: storeId,
+      current,
+      previous,
+      last_year: lastYear,
+      deltas: {
+        previous: compareTotals(current, previous),
+        last_year: lastYear ? compareTotals(current, lastYear) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/reports/:date/breakdown?store=
+ * The day's line items by classification (Main, Accessory, F&B) with count,
+ * gross, discount and net (total) each, from the same receipts as the sync.
+ */
+async function getReportBreakdown(req, res, next) {
+  try {
+    const { date } = req.params;
+    validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store);
+
+    const { fetchAndClassifyReceipts, getReceiptBreakdown, generateReceiptSummary } = require('../services/classifiedReceiptService');
+    const { receipts } = await fetchAndClassifyReceipts(date, { storeId, includeFree: true });
+
+    res.json({
+      date,
+      store_id: storeId,
+      breakdown: getReceiptBreakdown(receipts),
+      summary: generateReceiptSummary(receipts)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Export report to Excel
  */
@@ -466,15 +1001,17 @@ async function exportToExcel(req, res, next) {
   try {
     const { date } = req.params;
     validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store);
 
     const { generateExcelReport } = require('../services/excelExportService');
-    const { classifyItems } = require('../services/itemClassifier');
-    const { fetchClosedReceiptsByDate, filterOutRefundReceipts } = require('../services/loyverseService');
+    const { refreshClassificationRules } = require('../services/classificationRuleService');
+    const { refreshItemWeights } = require('../services/itemWeightService');
+    const { loadReceiptsForDate, fetchItemCategoryMap, selectClosedReceiptsForDay } = require('../services/loyverseService');
 
     // Get report data
     const reportRows = await query(
-      `SELECT * FROM daily_reports WHERE date = ${placeholder(1)}`,
-      [date]
+      `SELECT * FROM daily_reports WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}`,
+      [date, storeId]
     );
     const reportList = Array.isArray(reportRows) ? reportRows : [];
     const reportData = reportList[0];
@@ -485,10 +1022,12 @@ async function exportToExcel(req, res, next) {
       throw error;
     }
 
-    // Get receipts from Loyverse and filter out refunds
-    const allReceipts = await fetchClosedReceiptsByDate(date);
-    const receipts = filterOutRefundReceipts(allReceipts);
-    const classifiedReceipts = classifyItems(receipts);
+    // Get receipts from Loyverse (or the local archive) and keep the same
+    // receipts the sales summary counts
+    const dayStartMinutes = await getBusinessDayStart(storeId);
+    const { receipts: allReceipts } = await loadReceiptsForDate(date, { storeId, dayStartMinutes });
+    const receipts = selectClosedReceiptsForDay(allReceipts, date, dayStartMinutes, await fetchItemCategoryMap(date));
+    await Promise.all([refreshClassificationRules(), refreshItemWeights()]);
 
     //     // Get expenses from query param (if provided by frontend LocalStorage)
     let expenses = [];
@@ -501,20 +1040,25 @@ async function exportToExcel(req, res, next) {
     } else {
       // Fallback to database if no query param
       expenses = await query(
-        `SELECT * FROM daily_expenses WHERE date = ${placeholder(1)} ORDER BY created_at DESC`,
-        [date]
+        `SELECT * FROM daily_expenses WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)} ORDER BY created_at DESC`,
+        [date, storeId]
       );
     }
 
     // Get closing staff
     const staffRows = await query(
-      `SELECT name FROM daily_staff WHERE date = ${placeholder(1)} ORDER BY created_at DESC`,
-      [date]
+      `SELECT name FROM daily_staff WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)} ORDER BY created_at DESC`,
+      [date, storeId]
     );
     const staffList = Array.isArray(staffRows) ? staffRows : [];
     const closingStaff = staffList.length > 0 ? staffList.map(s => s.name).join(', ') : 'N/A';
 
-    const buffer = await generateExcelReport(date, reportData, receipts, expenses, closingStaff);
+    const denominations = await getDenominationCounts(date, storeId);
+
+    const buffer = await generateExcelReport(
+      date, reportData, receipts, expenses, closingStaff,
+      denominations.has_counts ? denominations : null
+    );
 
     // Send file
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
@@ -533,6 +1077,9 @@ async function addExpense(req, res, next) {
     const { date, category, description, amount } = req.body;
 
     validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.body.store_id ?? req.query.store);
+    await assertDayUnlocked(date, storeId);
+    await assertCanEditDay(req, date, storeId);
 
     if (!category || !amount) {
       const error = new Error('Category and amount are required');
@@ -548,19 +1095,26 @@ async function addExpense(req, res, next) {
     }
 
     const sql = isPostgres
-      ? `INSERT INTO daily_expenses (date, category, description, amount, created_at) VALUES ($1, $2, $3, $4, NOW()) RETURNING *`
-      : `INSERT INTO daily_expenses (date, category, description, amount, created_at) VALUES (?, ?, ?, ?, NOW())`;
+      ? `INSERT INTO daily_expenses (date, category, description, amount, store_id, created_at) VALUES ($1, $2, $3, $4, $5, NOW()) RETURNING *`
+      : `INSERT INTO daily_expenses (date, category, description, amount, store_id, created_at) VALUES (?, ?, ?, ?, ?, NOW())`;
 
-    console.log(`[EXPENSE] Saving expense for ${date}:`, { category, amount: expenseAmount });
-    const result = await query(sql, [date, category, description || '', expenseAmount]);
+    console.log(`[EXPENSE] Saving expense for ${date}:`, { category, amount: expenseAmount, storeId });
+    const result = await query(sql, [date, category, description || '', expenseAmount, storeId]);
     console.log(`[EXPENSE] Result:`, result);
 
+    const expense = isPostgres ? result[0] : { id: result.insertId, date, category, description, amount: expenseAmount, store_id: storeId };
+    await addSignedInStaff(req, date, storeId);
+    await recordAudit({
+      storeId, date, entity: 'expense', entityId: expense.id, action: 'create', actor: getActor(req),
+      newValues: pickValues({ category, description: description || '', amount: expenseAmount }, EXPENSE_AUDIT_COLUMNS)
+    });
+
     // Broadcast update
-    broadcast({ type: 'EXPENSE_UPDATE', date });
+    broadcast({ type: 'EXPENSE_UPDATE', date, store_id: storeId });
 
     res.status(201).json({
       success: true,
-      expense: isPostgres ? result[0] : { id: result.insertId, date, category, description, amount: expenseAmount }
+      expense
     });
   } catch (error) {
     console.error(`[EXPENSE] Failed to save expense:`, error.message, error.stack);
@@ -579,15 +1133,23 @@ async function removeExpense(req, res, next) {
       ? `DELETE FROM daily_expenses WHERE id = $1 RETURNING *`
       : `DELETE FROM daily_expenses WHERE id = ?`;
 
-    const rows = await query(`SELECT date FROM daily_expenses WHERE id = ${placeholder(1)}`, [id]);
+    const rows = await query(`SELECT * FROM daily_expenses WHERE id = ${placeholder(1)}`, [id]);
     const resultList = Array.isArray(rows) ? rows : [];
     const date = resultList[0]?.date;
+    if (date) {
+      await assertDayUnlocked(dayjs(date).format('YYYY-MM-DD'), resultList[0].store_id);
+      await assertCanEditDay(req, dayjs(date).format('YYYY-MM-DD'), resultList[0].store_id);
+    }
 
     await query(sql, [id]);
 
     if (date) {
       const formattedDate = dayjs(date).format('YYYY-MM-DD');
-      broadcast({ type: 'EXPENSE_UPDATE', date: formattedDate });
+      await recordAudit({
+        storeId: resultList[0].store_id, date: formattedDate, entity: 'expense', entityId: id, action: 'delete',
+        actor: getActor(req), oldValues: pickValues(resultList[0], EXPENSE_AUDIT_COLUMNS)
+      });
+      broadcast({ type: 'EXPENSE_UPDATE', date: formattedDate, store_id: resultList[0].store_id });
     }
 
     res.json({ success: true, message: 'Expense deleted' });
@@ -603,15 +1165,16 @@ async function listExpenses(req, res, next) {
   try {
     const { date } = req.params;
     validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store, { allowAll: true });
+    const store = storeCondition(storeId, 2);
 
-    const sql = isPostgres
-      ? `SELECT * FROM daily_expenses WHERE date = $1 ORDER BY created_at DESC`
-      : `SELECT * FROM daily_expenses WHERE date = ? ORDER BY created_at DESC`;
+    const sql = `SELECT * FROM daily_expenses WHERE date = ${placeholder(1)}${store.sql ? ` AND ${store.sql}` : ''} ORDER BY created_at DESC`;
 
-    const expenses = await query(sql, [date]);
+    const expenses = await query(sql, [date, ...store.params]);
 
     res.json({
       date,
+      store: storeId,
       expenses: Array.isArray(expenses) ? expenses : [],
       total: (Array.isArray(expenses) ? expenses : []).reduce((sum, e) => sum + toNumber(e.amount), 0)
     });
@@ -622,31 +1185,43 @@ async function listExpenses(req, res, next) {
 
 /**
  * Add staff
+ * Body: { date, store_id, staff_id } — `name` is still accepted when it
+ * matches a registry member's name or nickname.
  */
 async function addStaff(req, res, next) {
   try {
-    const { date, name } = req.body;
+    const { date, name, staff_id: staffId } = req.body;
     validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.body.store_id ?? req.query.store);
+    await assertDayUnlocked(date, storeId);
+    await assertCanEditDay(req, date, storeId);
 
-    if (!name) {
-      const error = new Error('Name is required');
+    if (!staffId && !name) {
+      const error = new Error('staff_id is required');
       error.status = 400;
       throw error;
     }
 
-    const sql = isPostgres
-      ? `INSERT INTO daily_staff (date, name) VALUES ($1, $2) RETURNING *`
-      : `INSERT INTO daily_staff (date, name) VALUES (?, ?)`;
-    
-    console.log(`[STAFF] Saving staff for ${date}:`, { name });
-    const result = await query(sql, [date, name]);
-    console.log(`[STAFF] Result:`, result);
+    const member = staffId ? await getStaffMember(staffId) : await findStaffMemberByName(name);
+    if (!member || !member.active) {
+      const error = new Error(staffId
+        ? 'Staff member not found or inactive'
+        : `"${name}" is not in the staff registry; add them there first`);
+      error.status = 400;
+      throw error;
+    }
+
+    if (await findDailyStaff(date, storeId, member)) {
+      const error = new Error(`${member.name} is already on this day`);
+      error.status = 409;
+      throw error;
+    }
 
-    broadcast({ type: 'STAFF_UPDATE', date });
+    const staff = await insertStaff(req, date, member, storeId);
 
     res.status(201).json({
       success: true,
-      staff: isPostgres ? result[0] : { id: result.insertId, date, name }
+      staff
     });
   } catch (error) {
     console.error(`[STAFF] Failed to save staff:`, error.message, error.stack);
@@ -654,15 +1229,74 @@ async function addStaff(req, res, next) {
   }
 }
 
+/**
+ * Day entry of a staff member: by registry id, or by name for entries
+ * without one.
+ */
+async function findDailyStaff(date, storeId, member) {
+  const [column, value] = member.id ? ['staff_id', member.id] : ['LOWER(name)', String(member.name).toLowerCase()];
+  const rows = await query(
+    `SELECT id FROM daily_staff
+     WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)} AND ${column} = ${placeholder(3)}`,
+    [date, storeId, value]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * @param {Object} member - Registry member { id, name }; id is null for unregistered names
+ */
+async function insertStaff(req, date, member, storeId) {
+  const sql = isPostgres
+    ? `INSERT INTO daily_staff (date, staff_id, name, store_id) VALUES ($1, $2, $3, $4) RETURNING *`
+    : `INSERT INTO daily_staff (date, staff_id, name, store_id) VALUES (?, ?, ?, ?)`;
+
+  const { id: staffId = null, name } = member;
+  console.log(`[STAFF] Saving staff for ${date}:`, { staffId, name, storeId });
+  const result = await query(sql, [date, staffId, name, storeId]);
+  console.log(`[STAFF] Result:`, result);
+
+  const staff = isPostgres ? result[0] : { id: result.insertId, date, staff_id: staffId, name, store_id: storeId };
+  await recordAudit({
+    storeId, date, entity: 'staff', entityId: staff.id, action: 'create', actor: getActor(req),
+    newValues: { staff_id: staffId, name }
+  });
+
+  broadcast({ type: 'STAFF_UPDATE', date, store_id: storeId });
+  return staff;
+}
+
+/**
+ * Add the signed-in staff member to the day's closing staff, once, when they
+ * record expenses or counts. Managers signed in with a password are fixing a
+ * day rather than working it, so they are not added.
+ */
+async function addSignedInStaff(req, date, storeId) {
+  const user = req.user;
+  if (!user || (hasRole(user, 'manager') && user.session_method !== 'pin')) {
+    return;
+  }
+
+  // Accounts are matched to the registry by name or nickname
+  const member = (await findStaffMemberByName(user.display_name)) || { id: null, name: user.display_name };
+  if (!(await findDailyStaff(date, storeId, member))) {
+    await insertStaff(req, date, member, storeId);
+  }
+}
+
 /**
  * Remove staff
  */
 async function removeStaff(req, res, next) {
   try {
     const { id } = req.params;
-    const rows = await query(`SELECT date FROM daily_staff WHERE id = ${placeholder(1)}`, [id]);
+    const rows = await query(`SELECT date, store_id, name FROM daily_staff WHERE id = ${placeholder(1)}`, [id]);
     const resultList = Array.isArray(rows) ? rows : [];
     const date = resultList[0]?.date;
+    if (date) {
+      await assertDayUnlocked(dayjs(date).format('YYYY-MM-DD'), resultList[0].store_id);
+      await assertCanEditDay(req, dayjs(date).format('YYYY-MM-DD'), resultList[0].store_id);
+    }
 
     const sql = isPostgres
       ? `DELETE FROM daily_staff WHERE id = $1`
@@ -672,7 +1306,11 @@ async function removeStaff(req, res, next) {
 
     if (date) {
       const formattedDate = dayjs(date).format('YYYY-MM-DD');
-      broadcast({ type: 'STAFF_UPDATE', date: formattedDate });
+      await recordAudit({
+        storeId: resultList[0].store_id, date: formattedDate, entity: 'staff', entityId: id, action: 'delete',
+        actor: getActor(req), oldValues: { name: resultList[0].name }
+      });
+      broadcast({ type: 'STAFF_UPDATE', date: formattedDate, store_id: resultList[0].store_id });
     }
 
     res.json({ success: true, message: 'Staff deleted' });
@@ -681,6 +1319,54 @@ async function removeStaff(req, res, next) {
   }
 }
 
+/**
+ * PUT /api/staff/:id
+ * Body: { hours_worked } (null clears it). Hours are used by the tip split.
+ */
+async function updateStaff(req, res, next) {
+  try {
+    const { id } = req.params;
+    const rows = await query(`SELECT * FROM daily_staff WHERE id = ${placeholder(1)}`, [id]);
+    const before = rows[0];
+    if (!before) {
+      const error = new Error('Staff entry not found');
+      error.status = 404;
+      throw error;
+    }
+    const date = dayjs(before.date).format('YYYY-MM-DD');
+    await assertDayUnlocked(date, before.store_id);
+    await assertCanEditDay(req, date, before.store_id);
+
+    const raw = (req.body || {}).hours_worked;
+    const hours = raw === null || raw === '' || raw === undefined ? null : Number(raw);
+    if (hours !== null && !(Number.isFinite(hours) && hours >= 0 && hours <= 24)) {
+      const error = new Error('hours_worked must be between 0 and 24');
+      error.status = 400;
+      throw error;
+    }
+    const hoursWorked = hours === null ? null : roundCurrency(hours);
+
+    await query(
+      `UPDATE daily_staff SET hours_worked = ${placeholder(1)}${isPostgres ? ', updated_at = CURRENT_TIMESTAMP' : ''} WHERE id = ${placeholder(2)}`,
+      [hoursWorked, id]
+    );
+
+    const previousHours = before.hours_worked === null || before.hours_worked === undefined ? null : Number(before.hours_worked);
+    if (previousHours !== hoursWorked) {
+      await recordAudit({
+        storeId: before.store_id, date, entity: 'staff', entityId: id, action: 'update', actor: getActor(req),
+        oldValues: { name: before.name, hours_worked: previousHours },
+        newValues: { name: before.name, hours_worked: hoursWorked }
+      });
+      broadcast({ type: 'STAFF_UPDATE', date, store_id: before.store_id });
+    }
+
+    res.json({ ...before, date, hours_worked: hoursWorked });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * List staff for a date
  */
@@ -688,16 +1374,23 @@ async function listStaff(req, res, next) {
   try {
     const { date } = req.params;
     validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store, { allowAll: true });
+    const store = storeCondition(storeId, 2);
 
-    const sql = isPostgres
-      ? `SELECT * FROM daily_staff WHERE date = $1 ORDER BY created_at DESC`
-      : `SELECT * FROM daily_staff WHERE date = ? ORDER BY created_at DESC`;
+    const sql = `SELECT ds.*, s.nickname, s.role
+      FROM daily_staff ds
+      LEFT JOIN staff s ON s.id = ds.staff_id
+      WHERE ds.date = ${placeholder(1)}${store.sql ? ` AND ds.${store.sql}` : ''}
+      ORDER BY ds.created_at DESC`;
 
-    const staff = await query(sql, [date]);
+    const staff = await query(sql, [date, ...store.params]);
 
     res.json({
       date,
-      staff: Array.isArray(staff) ? staff : []
+      store: storeId,
+      staff: Array.isArray(staff) ? staff : [],
+      // Loyverse employees who rang up receipts that day, for the picker
+      pos_employees: storeId === ALL_STORES ? [] : await getPosEmployeesForDay(date, storeId)
     });
   } catch (error) {
     next(error);
@@ -708,6 +1401,7 @@ async function manualDbInit(req, res, next) {
   try {
     const { initializeSchema } = require('../config/db');
     await initializeSchema();
+    await seedItemWeights();
     res.json({ success: true, message: 'Database schema initialized successfully' });
   } catch (error) {
     console.error('[DB] Manual initialization failed:', error.message);
@@ -718,18 +1412,29 @@ async function manualDbInit(req, res, next) {
 module.exports = {
   manualDbInit,
   eventsHandler,
+  broadcast,
+  validateDateOrThrow,
+  recomputeSyncedReports,
+  recomputeReportRange,
+  recomputeReports,
   syncFromLoyverse,
   getReportByDate,
   upsertReport,
+  updateReportStatus,
   listReports,
   getLast7DayNetSales,
   getMonthlyNetSales,
   getReportsSummary,
+  getReportsComparison,
+  getComparisonRanges,
+  getReportBreakdown,
   exportToExcel,
   addExpense,
   removeExpense,
   listExpenses,
   addStaff,
+  addSignedInStaff,
   removeStaff,
+  updateStaff,
   listStaff
 };
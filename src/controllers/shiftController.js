@@ -0,0 +1,150 @@
+const dayjs = require('dayjs');
+const { fetchSalesSummaryByDate } = require('../services/loyverseService');
+const { resolveStoreId } = require('../services/storeService');
+const { assertDayUnlocked } = require('../services/reportStatusService');
+const { assertCanEditDay } = require('../middleware/auth');
+const { getActor, diffValues, pickValues, recordAudit } = require('../services/auditService');
+const {
+  EDITABLE_COLUMNS,
+  listShifts,
+  getShiftById,
+  createShift,
+  updateShift,
+  deleteShift,
+  recomputeShiftSales,
+  rollUpShifts
+} = require('../services/shiftService');
+const { broadcast, validateDateOrThrow } = require('./reportController');
+
+async function getShiftOrThrow(id) {
+  const shift = await getShiftById(id);
+  if (!shift) {
+    const error = new Error('Shift not found');
+    error.status = 404;
+    throw error;
+  }
+  return shift;
+}
+
+/**
+ * Split the day's receipts over its shifts again. A failed Loyverse call
+ * keeps the saved shift and reports the reason instead of failing the save.
+ */
+async function refreshShiftSales(date, storeId) {
+  try {
+    const summary = await fetchSalesSummaryByDate(date, { storeId });
+    const { unassigned } = await recomputeShiftSales(date, storeId, summary);
+    return { unassigned, sales_error: null };
+  } catch (error) {
+    console.error(`[Shifts] Could not split sales for ${date}:`, error.message);
+    return { unassigned: null, sales_error: error.message };
+  }
+}
+
+async function respondWithShifts(res, date, storeId, extra = {}, status = 200) {
+  const shifts = await listShifts(date, storeId);
+  res.status(status).json({
+    date,
+    store: storeId,
+    shifts,
+    rollup: rollUpShifts(shifts),
+    ...extra
+  });
+}
+
+/**
+ * GET /api/shifts/:date?store=
+ */
+async function listShiftsHandler(req, res, next) {
+  try {
+    const { date } = req.params;
+    validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store);
+    await respondWithShifts(res, date, storeId);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/shifts
+ * Body: { date, store_id, name, start_time, end_time, pos_shift_id?, staff_name?,
+ *         opening_cash?, actual_cash_counted?, safe_drop? }
+ */
+async function createShiftHandler(req, res, next) {
+  try {
+    const payload = req.body || {};
+    validateDateOrThrow(payload.date);
+    const storeId = await resolveStoreId(payload.store_id ?? req.query.store);
+    await assertDayUnlocked(payload.date, storeId);
+    await assertCanEditDay(req, payload.date, storeId);
+
+    const id = await createShift(payload.date, storeId, payload);
+    await recordAudit({
+      storeId, date: payload.date, entity: 'shift', entityId: id, action: 'create', actor: getActor(req),
+      newValues: pickValues(await getShiftById(id), EDITABLE_COLUMNS)
+    });
+    const salesResult = await refreshShiftSales(payload.date, storeId);
+
+    broadcast({ type: 'SHIFT_UPDATE', date: payload.date, store_id: storeId });
+    await respondWithShifts(res, payload.date, storeId, salesResult, 201);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/shifts/:id
+ */
+async function updateShiftHandler(req, res, next) {
+  try {
+    const shift = await getShiftOrThrow(req.params.id);
+    const date = dayjs(shift.date).format('YYYY-MM-DD');
+    await assertDayUnlocked(date, shift.store_id);
+    await assertCanEditDay(req, date, shift.store_id);
+
+    await updateShift(shift.id, req.body || {});
+    const changes = diffValues(shift, await getShiftById(shift.id), EDITABLE_COLUMNS);
+    if (changes) {
+      await recordAudit({
+        storeId: shift.store_id, date, entity: 'shift', entityId: shift.id, action: 'update', actor: getActor(req),
+        oldValues: changes.old, newValues: changes.new
+      });
+    }
+    const salesResult = await refreshShiftSales(date, shift.store_id);
+
+    broadcast({ type: 'SHIFT_UPDATE', date, store_id: shift.store_id });
+    await respondWithShifts(res, date, shift.store_id, salesResult);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/shifts/:id
+ */
+async function deleteShiftHandler(req, res, next) {
+  try {
+    const shift = await getShiftOrThrow(req.params.id);
+    const date = dayjs(shift.date).format('YYYY-MM-DD');
+    await assertDayUnlocked(date, shift.store_id);
+    await assertCanEditDay(req, date, shift.store_id);
+
+    await deleteShift(shift.id);
+    await recordAudit({
+      storeId: shift.store_id, date, entity: 'shift', entityId: shift.id, action: 'delete', actor: getActor(req),
+      oldValues: pickValues(shift, EDITABLE_COLUMNS)
+    });
+    broadcast({ type: 'SHIFT_UPDATE', date, store_id: shift.store_id });
+    await respondWithShifts(res, date, shift.store_id);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listShiftsHandler,
+  createShiftHandler,
+  updateShiftHandler,
+  deleteShiftHandler
+};
@@ -0,0 +1,92 @@
+const {
+  listStaffMembers,
+  getStaffMember,
+  createStaffMember,
+  updateStaffMember,
+  importLoyverseEmployees
+} = require('../services/staffService');
+const { getActor, diffValues, pickValues, recordAudit } = require('../services/auditService');
+
+const AUDITED_COLUMNS = ['name', 'nickname', 'role', 'active', 'loyverse_employee_id'];
+
+/**
+ * GET /api/staff-members?include_inactive=1
+ */
+async function listStaffMembersHandler(req, res, next) {
+  try {
+    const includeInactive = ['1', 'true'].includes(String(req.query.include_inactive || '').toLowerCase());
+    res.json({ staff: await listStaffMembers({ includeInactive }) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/staff-members
+ * Body: { name, nickname?, role?, loyverse_employee_id? }
+ */
+async function createStaffMemberHandler(req, res, next) {
+  try {
+    const member = await createStaffMember(req.body || {});
+    await recordAudit({
+      entity: 'staff_member', entityId: member.id, action: 'create', actor: getActor(req),
+      newValues: pickValues(member, AUDITED_COLUMNS)
+    });
+    res.status(201).json(member);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/staff-members/:id
+ * Body: { name?, nickname?, role?, active?, loyverse_employee_id? }
+ */
+async function updateStaffMemberHandler(req, res, next) {
+  try {
+    const before = await getStaffMember(req.params.id);
+    if (!before) {
+      const error = new Error('Staff member not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const member = await updateStaffMember(before.id, req.body || {});
+    const changes = diffValues(before, member, AUDITED_COLUMNS);
+    if (changes) {
+      await recordAudit({
+        entity: 'staff_member', entityId: member.id, action: 'update', actor: getActor(req),
+        oldValues: changes.old, newValues: changes.new
+      });
+    }
+    res.json(member);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/staff-members/import-loyverse
+ * Pulls Loyverse /employees into the registry.
+ */
+async function importLoyverseEmployeesHandler(req, res, next) {
+  try {
+    const result = await importLoyverseEmployees();
+    if (result.created || result.linked || result.updated) {
+      await recordAudit({
+        entity: 'staff_member', action: 'import', actor: getActor(req),
+        newValues: { created: result.created, linked: result.linked, updated: result.updated }
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listStaffMembersHandler,
+  createStaffMemberHandler,
+  updateStaffMemberHandler,
+  importLoyverseEmployeesHandler
+};
@@ -0,0 +1,45 @@
+const {
+  listStores,
+  syncStores,
+  getDefaultStoreId,
+  resolveStoreId,
+  updateStoreSettings
+} = require('../services/storeService');
+const { toStartMinutes, formatStartMinutes } = require('../utils/businessDay');
+
+/**
+ * GET /api/stores?refresh=1
+ * Known Loyverse stores and the store used when a request names none.
+ */
+async function listStoresHandler(req, res, next) {
+  try {
+    const stores = req.query.refresh ? await syncStores() : await listStores();
+    res.json({
+      default_store_id: await getDefaultStoreId(),
+      default_business_day_start: formatStartMinutes(toStartMinutes()),
+      stores
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/stores/:id
+ * Body: { business_day_start: "HH:mm" | null }
+ */
+async function updateStoreHandler(req, res, next) {
+  try {
+    const storeId = await resolveStoreId(req.params.id);
+    await updateStoreSettings(storeId, req.body || {});
+    const stores = await listStores();
+    res.json(stores.find((store) => store.id === storeId));
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listStoresHandler,
+  updateStoreHandler
+};
@@ -0,0 +1,168 @@
+const dayjs = require('dayjs');
+const { resolveStoreId } = require('../services/storeService');
+const { assertDayUnlocked } = require('../services/reportStatusService');
+const { assertCanEditDay } = require('../middleware/auth');
+const { getActor, recordAudit } = require('../services/auditService');
+const {
+  getTipEntry,
+  addTipEntry,
+  deleteTipEntry,
+  importCardTips,
+  getTipSettings,
+  saveTipSettings,
+  calculateTipSplit,
+  getTipStatements
+} = require('../services/tipService');
+const { broadcast, validateDateOrThrow } = require('./reportController');
+
+/**
+ * GET /api/tips/:date?store=STORE_ID
+ * The day's tip entries and how the pool is split among its staff.
+ */
+async function getDayTipsHandler(req, res, next) {
+  try {
+    const { date } = req.params;
+    validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store);
+    res.json(await calculateTipSplit(date, storeId));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/tips
+ * Body: { date, store_id, source: 'cash_jar' | 'other', amount, note? }
+ */
+async function addTipHandler(req, res, next) {
+  try {
+    const payload = req.body || {};
+    validateDateOrThrow(payload.date);
+    const storeId = await resolveStoreId(payload.store_id ?? req.query.store);
+    await assertDayUnlocked(payload.date, storeId);
+    await assertCanEditDay(req, payload.date, storeId);
+
+    const entry = await addTipEntry(payload.date, storeId, payload, getActor(req));
+    await recordAudit({
+      storeId, date: payload.date, entity: 'tip', entityId: entry.id, action: 'create', actor: getActor(req),
+      newValues: { source: entry.source, amount: entry.amount, note: entry.note }
+    });
+    broadcast({ type: 'TIP_UPDATE', date: payload.date, store_id: storeId });
+
+    res.status(201).json(await calculateTipSplit(payload.date, storeId));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/tips/:id
+ */
+async function deleteTipHandler(req, res, next) {
+  try {
+    const entry = await getTipEntry(req.params.id);
+    if (!entry) {
+      const error = new Error('Tip entry not found');
+      error.status = 404;
+      throw error;
+    }
+    await assertDayUnlocked(entry.date, entry.store_id);
+    await assertCanEditDay(req, entry.date, entry.store_id);
+
+    await deleteTipEntry(entry.id);
+    await recordAudit({
+      storeId: entry.store_id, date: entry.date, entity: 'tip', entityId: entry.id, action: 'delete', actor: getActor(req),
+      oldValues: { source: entry.source, amount: entry.amount, note: entry.note }
+    });
+    broadcast({ type: 'TIP_UPDATE', date: entry.date, store_id: entry.store_id });
+
+    res.json(await calculateTipSplit(entry.date, entry.store_id));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/tips/:date/import-card?store=STORE_ID
+ * Replaces the day's card tip entry with the tips on its Loyverse card receipts.
+ */
+async function importCardTipsHandler(req, res, next) {
+  try {
+    const { date } = req.params;
+    validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.body?.store_id ?? req.query.store);
+    await assertDayUnlocked(date, storeId);
+    await assertCanEditDay(req, date, storeId);
+
+    const { entry, previous, receipts } = await importCardTips(date, storeId, getActor(req));
+    if ((previous?.amount || 0) !== (entry?.amount || 0)) {
+      await recordAudit({
+        storeId, date, entity: 'tip', entityId: entry?.id ?? previous?.id, action: 'sync', actor: getActor(req),
+        oldValues: { source: 'card', amount: previous?.amount || 0 },
+        newValues: { source: 'card', amount: entry?.amount || 0, receipts }
+      });
+      broadcast({ type: 'TIP_UPDATE', date, store_id: storeId });
+    }
+
+    res.json({ card_receipts: receipts, ...(await calculateTipSplit(date, storeId)) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/tips/settings?store=STORE_ID
+ */
+async function getTipSettingsHandler(req, res, next) {
+  try {
+    const storeId = await resolveStoreId(req.query.store);
+    res.json({ store: storeId, ...(await getTipSettings(storeId)) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/tips/settings
+ * Body: { store_id, split_method: 'equal' | 'hours' | 'role', role_weights?: { [role]: weight } }
+ */
+async function updateTipSettingsHandler(req, res, next) {
+  try {
+    const payload = req.body || {};
+    const storeId = await resolveStoreId(payload.store_id ?? req.query.store);
+    const before = await getTipSettings(storeId);
+    const settings = await saveTipSettings(storeId, payload);
+    await recordAudit({
+      storeId, entity: 'tip_settings', entityId: storeId, action: 'update', actor: getActor(req),
+      oldValues: before, newValues: settings
+    });
+    res.json({ store: storeId, ...settings });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/tips/statements?period=week|month&date=YYYY-MM-DD&store=STORE_ID
+ * Per-person tip totals for the week (Monday-Sunday) or month containing date.
+ */
+async function getTipStatementsHandler(req, res, next) {
+  try {
+    const date = req.query.date || dayjs().format('YYYY-MM-DD');
+    validateDateOrThrow(date);
+    const storeId = await resolveStoreId(req.query.store, { allowAll: true });
+    res.json(await getTipStatements({ period: req.query.period || 'week', date, storeId }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getDayTipsHandler,
+  addTipHandler,
+  deleteTipHandler,
+  importCardTipsHandler,
+  getTipSettingsHandler,
+  updateTipSettingsHandler,
+  getTipStatementsHandler
+};
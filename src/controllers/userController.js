@@ -0,0 +1,85 @@
+const { listUsers, getUserById, createUser, updateUser } = require('../services/userService');
+const { deleteUserSessions } = require('../services/sessionService');
+const { getActor, diffValues, recordAudit } = require('../services/auditService');
+
+const AUDITED_COLUMNS = ['display_name', 'role', 'has_pin', 'active'];
+
+/**
+ * GET /api/users
+ */
+async function listUsersHandler(req, res, next) {
+  try {
+    res.json({ users: await listUsers() });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/users
+ * Body: { username, password, display_name?, role?, pin? }
+ */
+async function createUserHandler(req, res, next) {
+  try {
+    const user = await createUser(req.body || {});
+    await recordAudit({
+      entity: 'user', entityId: user.id, action: 'create', actor: getActor(req),
+      newValues: { username: user.username, display_name: user.display_name, role: user.role, has_pin: user.has_pin }
+    });
+    res.status(201).json(user);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/users/:id
+ * Body: { display_name?, role?, password?, pin?, active? }
+ * A password change or deactivation signs the user out everywhere.
+ */
+async function updateUserHandler(req, res, next) {
+  try {
+    const before = await getUserById(req.params.id);
+    if (!before) {
+      const error = new Error('User not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const payload = req.body || {};
+    if (before.id === req.user.id && (payload.role !== undefined || payload.active === false)) {
+      const error = new Error('You cannot change your own role or deactivate yourself');
+      error.status = 400;
+      throw error;
+    }
+
+    const user = await updateUser(before.id, payload);
+    if (payload.password !== undefined || user.active === false) {
+      await deleteUserSessions(user.id);
+    }
+
+    // has_pin does not show a PIN replaced by another one
+    const changes = diffValues(before, user, AUDITED_COLUMNS);
+    if (changes || payload.password !== undefined || payload.pin !== undefined) {
+      await recordAudit({
+        entity: 'user', entityId: user.id, action: 'update', actor: getActor(req),
+        oldValues: changes ? changes.old : null,
+        newValues: {
+          ...(changes ? changes.new : {}),
+          ...(payload.password !== undefined ? { password: 'changed' } : {}),
+          ...(payload.pin ? { pin: 'changed' } : {})
+        }
+      });
+    }
+
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listUsersHandler,
+  createUserHandler,
+  updateUserHandler
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { archiveReceipts } = require('../services/receiptArchiveService');
+const { collectAffectedDates, getFirstCoveredDate, isIncrementalSyncEnabled } = require('../services/receiptSyncService');
+const { SYSTEM_ACTORS } = require('../services/auditService');
+const { recomputeSyncedReports } = require('./reportController');
+
+const RECEIPT_EVENT_TYPES = new Set(['receipts.update', 'receipts.create']);
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Accept the request when it carries a valid HMAC signature
+ * (X-Loyverse-Signature, base64 HMAC-SHA1 of the raw body) or the shared
+ * ?token= configured for webhooks registered with a personal access token.
+ */
+function assertAuthenticWebhook(req) {
+  const secret = process.env.LOYVERSE_WEBHOOK_SECRET;
+  const sharedToken = process.env.LOYVERSE_WEBHOOK_TOKEN;
+
+  if (!secret && !sharedToken) {
+    const error = new Error('Loyverse webhook receiver is not configured');
+    error.status = 503;
+    throw error;
+  }
+
+  const signature = req.get('X-Loyverse-Signature');
+  if (secret && signature && req.rawBody) {
+    const expected = crypto.createHmac('sha1', secret).update(req.rawBody).digest('base64');
+    if (safeEqual(signature, expected)) {
+      return;
+    }
+  }
+
+  if (sharedToken && safeEqual(req.query.token, sharedToken)) {
+    return;
+  }
+
+  const error = new Error('Invalid webhook signature');
+  error.status = 401;
+  throw error;
+}
+
+/**
+ * Receipts of a webhook payload per store_id ('' when unscoped).
+ * @param {Array<Object>} receipts
+ * @returns {Map<string, Array<Object>>}
+ */
+function groupReceiptsByStore(receipts) {
+  const receiptsByStore = new Map();
+  for (const receipt of receipts) {
+    const storeId = receipt.store_id || '';
+    if (!receiptsByStore.has(storeId)) {
+      receiptsByStore.set(storeId, []);
+    }
+    receiptsByStore.get(storeId).push(receipt);
+  }
+  return receiptsByStore;
+}
+
+/**
+ * Split affected dates into those the archive holds completely (on or after
+ * firstCoveredDate) and those that need a window fetch.
+ * @param {string[]} dates
+ * @param {string|null} firstCoveredDate - null when nothing is covered
+ * @returns {{archived: string[], fetched: string[]}}
+ */
+function splitByArchiveCoverage(dates, firstCoveredDate) {
+  const archived = [];
+  const fetched = [];
+  for (const date of dates) {
+    (firstCoveredDate && date >= firstCoveredDate ? archived : fetched).push(date);
+  }
+  return { archived, fetched };
+}
+
+/**
+ * Loyverse receipts.update webhook: archive the receipts, recompute the
+ * affected days and notify open dashboards over SSE.
+ */
+async function receiveLoyverseWebhook(req, res, next) {
+  try {
+    assertAuthenticWebhook(req);
+
+    const payload = req.body || {};
+    const eventType = String(payload.type || '').toLowerCase();
+    if (eventType && !RECEIPT_EVENT_TYPES.has(eventType)) {
+      return res.json({ received: 0, ignored: eventType });
+    }
+
+    const receipts = Array.isArray(payload.receipts)
+      ? payload.receipts
+      : (payload.receipt ? [payload.receipt] : []);
+
+    const archived = await archiveReceipts(receipts);
+
+    const recomputed = [];
+    for (const [storeId, storeReceipts] of groupReceiptsByStore(receipts)) {
+      const affectedDates = await collectAffectedDates(storeReceipts);
+      // Only days the incremental sync has fully archived are rebuilt from
+      // the archive; a single webhook receipt is never a whole day. Reports
+      // are only updated, never created from a webhook.
+      const firstCoveredDate = isIncrementalSyncEnabled() ? await getFirstCoveredDate(storeId) : null;
+      const { archived: archivedDates, fetched: fetchedDates } = splitByArchiveCoverage(affectedDates, firstCoveredDate);
+      const options = { onlyExisting: true, action: 'WEBHOOK', storeId, actor: SYSTEM_ACTORS.WEBHOOK };
+      const dates = [
+        ...await recomputeSyncedReports(archivedDates, { ...options, archiveOnly: true }),
+        ...await recomputeSyncedReports(fetchedDates, { ...options, archiveOnly: false })
+      ];
+      recomputed.push(...dates.sort().map((date) => ({ store_id: storeId, date })));
+    }
+
+    res.json({ received: archived, dates: recomputed });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  assertAuthenticWebhook,
+  groupReceiptsByStore,
+  splitByArchiveCoverage,
+  receiveLoyverseWebhook
+};
@@ -0,0 +1,30 @@
+const cron = require('node-cron');
+const { refreshAllCatalogs } = require('../services/catalogService');
+
+function scheduleCatalogRefreshJob() {
+  const cronExpression = process.env.CATALOG_REFRESH_TIME || '15 * * * *';
+
+  if (String(cronExpression).toLowerCase() === 'off') {
+    return null;
+  }
+
+  if (!cron.validate(cronExpression)) {
+    throw new Error(`Invalid CATALOG_REFRESH_TIME cron expression: ${cronExpression}`);
+  }
+
+  const task = cron.schedule(cronExpression, async () => {
+    try {
+      await refreshAllCatalogs();
+      console.log('[Cron] Catalog refresh completed successfully');
+    } catch (error) {
+      console.error('[Cron] Catalog refresh failed:', error.message);
+    }
+  });
+
+  console.log(`[Cron] Catalog refresh scheduled with expression: ${cronExpression}`);
+  return task;
+}
+
+module.exports = {
+  scheduleCatalogRefreshJob
+};
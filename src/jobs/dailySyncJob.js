@@ -1,13 +1,13 @@
 const cron = require('node-cron');
-const dayjs = require('dayjs');
-const utc = require('dayjs/plugin/utc');
-const timezone = require('dayjs/plugin/timezone');
 const { query, getDialect } = require('../config/db');
-
-dayjs.extend(utc);
-dayjs.extend(timezone);
 const { fetchSalesSummaryByDate } = require('../services/loyverseService');
+const { listStores, getBusinessDayStart } = require('../services/storeService');
+const { isDayLocked } = require('../services/reportStatusService');
+const { SYSTEM_ACTORS, diffValues, recordAudit } = require('../services/auditService');
+const { currentBusinessDate } = require('../utils/businessDay');
 const { calculateReportValues, toNumber } = require('../utils/calculations');
+const { CLASS_TOTAL_COLUMNS, saveClassTotals } = require('../services/classTotalsService');
+const { recomputeShiftSales } = require('../services/shiftService');
 
 const isPostgres = getDialect() === 'postgres';
 const ONE_K_BILL_AMOUNT = 1000;
@@ -49,7 +49,7 @@ function hasValue(value) {
   return value !== null && value !== undefined && String(value).trim() !== '';
 }
 
-async function resolveOpeningCashForDate(date, currentReportOpeningCash) {
+async function resolveOpeningCashForDate(date, currentReportOpeningCash, storeId = '') {
   if (hasValue(currentReportOpeningCash)) {
     return roundCurrency(toNumber(currentReportOpeningCash));
   }
@@ -57,10 +57,10 @@ async function resolveOpeningCashForDate(date, currentReportOpeningCash) {
   const rows = await query(
     `SELECT actual_cash_counted, expected_cash
      FROM daily_reports
-     WHERE date < ${placeholder(1)}
+     WHERE date < ${placeholder(1)} AND store_id = ${placeholder(2)}
      ORDER BY date DESC
      LIMIT 1`,
-    [date]
+    [date, storeId]
   );
 
   const previous = rows[0];
@@ -79,14 +79,42 @@ async function resolveOpeningCashForDate(date, currentReportOpeningCash) {
   return 0;
 }
 
-async function runDailySync() {
-  const tz = process.env.LOYVERSE_TIMEZONE || 'Asia/Bangkok';
-  const today = dayjs().tz(tz).format('YYYY-MM-DD');
-  const sales = await fetchSalesSummaryByDate(today);
+const AUDITED_COLUMNS = [
+  'net_sale', 'cash_total', 'card_total', 'transfer_total', 'total_orders', 'total_grams', 'fb_total',
+  'opening_cash', 'expected_cash', 'difference', ...CLASS_TOTAL_COLUMNS
+];
+
+async function selectReport(date, storeId) {
+  const rows = await query(
+    `SELECT * FROM daily_reports WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}`,
+    [date, storeId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Store the day's class totals and split its sales over its shifts, as a
+ * manual sync does.
+ */
+async function saveSalesBreakdown(date, storeId, sales) {
+  await saveClassTotals(date, storeId, sales);
+  try {
+    await recomputeShiftSales(date, storeId, sales);
+  } catch (error) {
+    console.error(`[Cron] Could not split sales for ${date}:`, error.message);
+  }
+}
+
+async function syncStoreForDate(today, storeId) {
+  if (await isDayLocked(today, storeId)) {
+    console.log(`[Cron] Skipping locked report for ${today}`);
+    return;
+  }
+
+  const sales = await fetchSalesSummaryByDate(today, { storeId });
 
-  const existing = await query(`SELECT * FROM daily_reports WHERE date = ${placeholder(1)}`, [today]);
-  const existingReport = existing[0] || {};
-  const openingCash = await resolveOpeningCashForDate(today, existingReport.opening_cash);
+  const existingReport = (await selectReport(today, storeId)) || {};
+  const openingCash = await resolveOpeningCashForDate(today, existingReport.opening_cash, storeId);
 
   const calculated = calculateReportValues({
     opening_cash: openingCash,
@@ -117,7 +145,8 @@ async function runDailySync() {
     openingCash,
     toNumber(existingReport.actual_cash_counted),
     calculated.expected_cash,
-    calculated.difference
+    calculated.difference,
+    storeId
   ];
 
   if (isPostgres) {
@@ -140,9 +169,10 @@ async function runDailySync() {
         opening_cash,
         actual_cash_counted,
         expected_cash,
-        difference
-      ) VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)}, ${placeholder(4)}, ${placeholder(5)}, ${placeholder(6)}, ${placeholder(7)}, ${placeholder(8)}, ${placeholder(9)}, ${placeholder(10)}, ${placeholder(11)}, ${placeholder(12)}, ${placeholder(13)}, ${placeholder(14)}, ${placeholder(15)}, ${placeholder(16)}, ${placeholder(17)}, ${placeholder(18)})
-      ON CONFLICT (date) DO UPDATE SET
+        difference,
+        store_id
+      ) VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)}, ${placeholder(4)}, ${placeholder(5)}, ${placeholder(6)}, ${placeholder(7)}, ${placeholder(8)}, ${placeholder(9)}, ${placeholder(10)}, ${placeholder(11)}, ${placeholder(12)}, ${placeholder(13)}, ${placeholder(14)}, ${placeholder(15)}, ${placeholder(16)}, ${placeholder(17)}, ${placeholder(18)}, ${placeholder(19)})
+      ON CONFLICT (store_id, date) DO UPDATE SET
         net_sale = EXCLUDED.net_sale,
         cash_total = EXCLUDED.cash_total,
         card_total = EXCLUDED.card_total,
@@ -163,6 +193,7 @@ async function runDailySync() {
         updated_at = CURRENT_TIMESTAMP`,
       values
     );
+    await saveSalesBreakdown(today, storeId, sales);
     return;
   }
 
@@ -185,8 +216,9 @@ async function runDailySync() {
       opening_cash,
       actual_cash_counted,
       expected_cash,
-      difference
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      difference,
+      store_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON DUPLICATE KEY UPDATE
       net_sale = VALUES(net_sale),
       cash_total = VALUES(cash_total),
@@ -208,6 +240,28 @@ async function runDailySync() {
       updated_at = CURRENT_TIMESTAMP`,
     values
   );
+  await saveSalesBreakdown(today, storeId, sales);
+}
+
+async function runDailySync() {
+  const stores = await listStores();
+  const storeIds = stores.length ? stores.map((store) => store.id) : [''];
+
+  for (const storeId of storeIds) {
+    // A run after midnight still closes the previous night for late-closing stores
+    const businessDate = currentBusinessDate(await getBusinessDayStart(storeId));
+    const before = await selectReport(businessDate, storeId);
+    await syncStoreForDate(businessDate, storeId);
+
+    const after = await selectReport(businessDate, storeId);
+    const changes = diffValues(before, after, AUDITED_COLUMNS);
+    if (changes) {
+      await recordAudit({
+        storeId, date: businessDate, entity: 'report', entityId: after?.id, action: 'sync', actor: SYSTEM_ACTORS.CRON,
+        oldValues: before ? changes.old : null, newValues: changes.new
+      });
+    }
+  }
 }
 
 function scheduleDailySyncJob() {
@@ -0,0 +1,67 @@
+const { listStores } = require('../services/storeService');
+const { SYSTEM_ACTORS } = require('../services/auditService');
+const { validateDateOrThrow, recomputeReportRange } = require('../controllers/reportController');
+
+/**
+ * Recompute the synced totals of every store's saved reports between two
+ * dates, e.g. after classification rules or gram weights changed. Without
+ * apply nothing is written and the per-day differences are only returned.
+ * @param {Object} options
+ * @param {string} options.from - First date (YYYY-MM-DD)
+ * @param {string} options.to - Last date (YYYY-MM-DD)
+ * @param {boolean} [options.apply=false]
+ * @returns {Promise<Array<{store_id: string, days: Array<Object>}>>}
+ */
+async function runReportRecompute({ from, to, apply = false }) {
+  validateDateOrThrow(from);
+  validateDateOrThrow(to);
+
+  const stores = await listStores();
+  const storeIds = stores.length ? stores.map((store) => store.id) : [''];
+  const results = [];
+  for (const storeId of storeIds) {
+    const days = await recomputeReportRange(from, to, { storeId, apply, actor: SYSTEM_ACTORS.SYSTEM });
+    results.push({ store_id: storeId, days });
+  }
+  return results;
+}
+
+function parseArgs(argv) {
+  const args = { apply: false };
+  for (const arg of argv) {
+    if (arg === '--apply') {
+      args.apply = true;
+    } else if (arg.startsWith('--from=')) {
+      args.from = arg.slice('--from='.length);
+    } else if (arg.startsWith('--to=')) {
+      args.to = arg.slice('--to='.length);
+    }
+  }
+  return args;
+}
+
+// npm run recompute -- --from=YYYY-MM-DD --to=YYYY-MM-DD [--apply]
+if (require.main === module) {
+  require('dotenv').config();
+  const args = parseArgs(process.argv.slice(2));
+
+  runReportRecompute(args)
+    .then((results) => {
+      for (const { store_id: storeId, days } of results) {
+        for (const day of days) {
+          const detail = day.changes ? ` ${JSON.stringify(day.changes.old)} -> ${JSON.stringify(day.changes.new)}` : '';
+          console.log(`[Recompute] ${storeId || 'default'} ${day.date} ${day.status}${detail}`);
+        }
+      }
+      console.log(args.apply ? '[Recompute] Changes saved' : '[Recompute] Dry run; pass --apply to save the changes');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('[Recompute] Failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runReportRecompute
+};
@@ -0,0 +1,142 @@
+const { getSessionUser, createPinDevice, isPinDevice } = require('../services/sessionService');
+const { hasRole } = require('../services/userService');
+const { getBusinessDayStart } = require('../services/storeService');
+const { currentBusinessDate } = require('../utils/businessDay');
+
+const SESSION_COOKIE = 'sid';
+// Enrollment of a shared device for PIN switching, given on a password
+// sign-in. Its token only unlocks the PIN endpoints, never an API session
+const DEVICE_COOKIE = 'pin_device';
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function getDeviceToken(req) {
+  return parseCookies(req.headers.cookie)[DEVICE_COOKIE] || null;
+}
+
+function cookieOptions(req, expiresAt) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || req.get('x-forwarded-proto') === 'https',
+    expires: expiresAt,
+    path: '/'
+  };
+}
+
+function setSessionCookie(req, res, token, expiresAt) {
+  res.cookie(SESSION_COOKIE, token, cookieOptions(req, expiresAt));
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+function setDeviceCookie(req, res, token, expiresAt) {
+  res.cookie(DEVICE_COOKIE, token, cookieOptions(req, expiresAt));
+}
+
+function clearDeviceCookie(res) {
+  res.clearCookie(DEVICE_COOKIE, { path: '/' });
+}
+
+/**
+ * Attach the signed-in user (if any) to req.user.
+ */
+async function loadSession(req, res, next) {
+  try {
+    req.user = await getSessionUser(getSessionToken(req));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Allow the request only for users with at least the given role.
+ * @param {string} role - staff, manager or owner
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      const error = new Error('Sign in required');
+      error.status = 401;
+      return next(error);
+    }
+    if (!hasRole(req.user, role)) {
+      const error = new Error(`This action requires the ${role} role`);
+      error.status = 403;
+      return next(error);
+    }
+    return next();
+  };
+}
+
+/**
+ * Allow PIN switching only on a device enrolled by a password sign-in. A
+ * device signed in with a password before enrollment existed is enrolled
+ * on its first PIN request.
+ */
+async function requirePinDevice(req, res, next) {
+  try {
+    if (await isPinDevice(getDeviceToken(req))) {
+      return next();
+    }
+    if (req.user?.session_method === 'password') {
+      const { token, expiresAt } = await createPinDevice(req.user.id);
+      setDeviceCookie(req, res, token, expiresAt);
+      return next();
+    }
+
+    const error = new Error('Sign in with a password on this device before using PIN switching');
+    error.status = 401;
+    throw error;
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Staff may only change the business day that is currently open; managers
+ * and owners may change any day.
+ * @param {import('express').Request} req
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ */
+async function assertCanEditDay(req, date, storeId) {
+  if (hasRole(req.user, 'manager')) {
+    return;
+  }
+  const today = currentBusinessDate(await getBusinessDayStart(storeId));
+  if (date !== today) {
+    const error = new Error(`Staff can only change today's report (${today})`);
+    error.status = 403;
+    throw error;
+  }
+}
+
+module.exports = {
+  getSessionToken,
+  getDeviceToken,
+  setSessionCookie,
+  clearSessionCookie,
+  setDeviceCookie,
+  clearDeviceCookie,
+  loadSession,
+  requireRole,
+  requirePinDevice,
+  assertCanEditDay
+};
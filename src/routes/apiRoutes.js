@@ -3,32 +3,110 @@ const {
   syncFromLoyverse,
   getReportByDate,
   upsertReport,
+  updateReportStatus,
   listReports,
   getLast7DayNetSales,
   getMonthlyNetSales,
   getReportsSummary,
+  getReportsComparison,
+  recomputeReports,
+  getReportBreakdown,
   exportToExcel,
   addExpense,
   removeExpense,
   listExpenses,
   addStaff,
   removeStaff,
+  updateStaff,
   listStaff,
   eventsHandler,
   manualDbInit
 } = require('../controllers/reportController');
+const { receiveLoyverseWebhook } = require('../controllers/webhookController');
+const { listCatalogItems, listCatalogCategories } = require('../controllers/catalogController');
+const { listStoresHandler, updateStoreHandler } = require('../controllers/storeController');
+const {
+  listShiftsHandler,
+  createShiftHandler,
+  updateShiftHandler,
+  deleteShiftHandler
+} = require('../controllers/shiftController');
+const { getCashReconciliationHandler } = require('../controllers/posShiftController');
+const { getDenominationsHandler, updateDenominationsHandler } = require('../controllers/denominationController');
+const { listAuditHandler, classificationAuditHandler } = require('../controllers/auditController');
+const { itemSalesHandler, salesHeatmapHandler } = require('../controllers/analyticsController');
+const {
+  meHandler,
+  setupHandler,
+  loginHandler,
+  pinUsersHandler,
+  pinLoginHandler,
+  logoutHandler
+} = require('../controllers/authController');
+const { listUsersHandler, createUserHandler, updateUserHandler } = require('../controllers/userController');
+const {
+  listStaffMembersHandler,
+  createStaffMemberHandler,
+  updateStaffMemberHandler,
+  importLoyverseEmployeesHandler
+} = require('../controllers/staffMemberController');
+const {
+  getDayTipsHandler,
+  addTipHandler,
+  deleteTipHandler,
+  importCardTipsHandler,
+  getTipSettingsHandler,
+  updateTipSettingsHandler,
+  getTipStatementsHandler
+} = require('../controllers/tipController');
+const {
+  listClassificationRulesHandler,
+  testClassificationHandler,
+  createClassificationRuleHandler,
+  updateClassificationRuleHandler,
+  deleteClassificationRuleHandler,
+  getSalesLogicConfigHandler
+} = require('../controllers/classificationRuleController');
+const {
+  listItemWeightsHandler,
+  saveItemWeightHandler,
+  deleteItemWeightHandler
+} = require('../controllers/itemWeightController');
+const { loadSession, requireRole, requirePinDevice } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Roles: staff < manager < owner. Staff writes are limited to today in the controllers.
+const staff = requireRole('staff');
+const manager = requireRole('manager');
+const owner = requireRole('owner');
+
+router.use(loadSession);
+
+// Authentication
+router.get('/auth/me', meHandler);
+router.post('/auth/setup', setupHandler);
+router.post('/auth/login', loginHandler);
+router.get('/auth/pin-users', requirePinDevice, pinUsersHandler);
+router.post('/auth/pin', requirePinDevice, pinLoginHandler);
+router.post('/auth/logout', logoutHandler);
+
+// User accounts
+router.get('/users', owner, listUsersHandler);
+router.post('/users', owner, createUserHandler);
+router.put('/users/:id', owner, updateUserHandler);
+
 // Diagnostics
-router.get('/db/init', manualDbInit);
+router.get('/db/init', owner, manualDbInit);
 
 // Real-time events
-router.get('/events', eventsHandler);
+router.get('/events', staff, eventsHandler);
 
-router.get('/loyverse/sync', syncFromLoyverse);
+router.get('/loyverse/sync', staff, syncFromLoyverse);
+// Authenticated by its signature instead of a session
+router.post('/loyverse/webhooks', receiveLoyverseWebhook);
 
-router.get('/loyverse/debug-items', async (req, res) => {
+router.get('/loyverse/debug-items', owner, async (req, res) => {
   try {
     const axios = require('axios');
     const token = process.env.LOYVERSE_API_TOKEN;
@@ -52,24 +130,87 @@ router.get('/loyverse/debug-items', async (req, res) => {
   }
 });
 
-router.get('/reports/last-7/net-sales', getLast7DayNetSales);
-router.get('/reports/monthly/net-sales', getMonthlyNetSales);
-router.get('/reports/summary', getReportsSummary);
-router.get('/reports', listReports);
-router.get('/reports/:date', getReportByDate);
-router.post('/reports', upsertReport);
+// Loyverse stores
+router.get('/stores', staff, listStoresHandler);
+router.put('/stores/:id', owner, updateStoreHandler);
+
+// Cached Loyverse catalog
+router.get('/catalog/items', staff, listCatalogItems);
+router.get('/catalog/categories', staff, listCatalogCategories);
+
+router.get('/reports/last-7/net-sales', staff, getLast7DayNetSales);
+router.get('/reports/monthly/net-sales', staff, getMonthlyNetSales);
+router.get('/reports/summary', staff, getReportsSummary);
+router.get('/reports/compare', staff, getReportsComparison);
+// Rebuild synced totals of past days with the current rules and gram weights
+router.post('/reports/recompute', owner, recomputeReports);
+router.get('/reports', staff, listReports);
+router.get('/reports/:date', staff, getReportByDate);
+router.get('/reports/:date/breakdown', staff, getReportBreakdown);
+router.post('/reports', staff, upsertReport);
+router.put('/reports/:date/status', staff, updateReportStatus);
 
 // Excel export
-router.get('/reports/:date/export', exportToExcel);
+router.get('/reports/:date/export', owner, exportToExcel);
+
+// Drawer and safe box note/coin counts
+router.get('/reports/:date/denominations', staff, getDenominationsHandler);
+router.put('/reports/:date/denominations', staff, updateDenominationsHandler);
 
 // Expense management
-router.post('/expenses', addExpense);
-router.delete('/expenses/:id', removeExpense);
-router.get('/expenses/:date', listExpenses);
+router.post('/expenses', staff, addExpense);
+router.delete('/expenses/:id', staff, removeExpense);
+router.get('/expenses/:date', staff, listExpenses);
 
 // Staff management
-router.post('/staff', addStaff);
-router.delete('/staff/:id', removeStaff);
-router.get('/staff/:date', listStaff);
+router.post('/staff', staff, addStaff);
+router.put('/staff/:id', staff, updateStaff);
+router.delete('/staff/:id', staff, removeStaff);
+router.get('/staff/:date', staff, listStaff);
+
+// Staff registry (daily staff entries point at these)
+router.get('/staff-members', staff, listStaffMembersHandler);
+router.post('/staff-members', manager, createStaffMemberHandler);
+router.post('/staff-members/import-loyverse', manager, importLoyverseEmployeesHandler);
+router.put('/staff-members/:id', manager, updateStaffMemberHandler);
+
+// Item classification rules (Main / F&B / Accessory)
+router.get('/sales-logic/config', staff, getSalesLogicConfigHandler);
+router.get('/classification-rules', manager, listClassificationRulesHandler);
+router.get('/classification-rules/test', manager, testClassificationHandler);
+router.post('/classification-rules', owner, createClassificationRuleHandler);
+router.put('/classification-rules/:id', owner, updateClassificationRuleHandler);
+router.delete('/classification-rules/:id', owner, deleteClassificationRuleHandler);
+
+// Gram weight per Loyverse item or variant
+router.get('/item-weights', manager, listItemWeightsHandler);
+router.put('/item-weights', manager, saveItemWeightHandler);
+router.delete('/item-weights/:id', manager, deleteItemWeightHandler);
+
+// Tips (pooled per day, split among the day's staff)
+router.get('/tips/settings', staff, getTipSettingsHandler);
+router.put('/tips/settings', owner, updateTipSettingsHandler);
+router.get('/tips/statements', manager, getTipStatementsHandler);
+router.get('/tips/:date', staff, getDayTipsHandler);
+router.post('/tips', staff, addTipHandler);
+router.post('/tips/:date/import-card', staff, importCardTipsHandler);
+router.delete('/tips/:id', staff, deleteTipHandler);
+
+// Shifts (separate cash counts within a day)
+router.get('/shifts/:date', staff, listShiftsHandler);
+router.post('/shifts', staff, createShiftHandler);
+router.put('/shifts/:id', staff, updateShiftHandler);
+router.delete('/shifts/:id', staff, deleteShiftHandler);
+
+// Loyverse POS shifts and cash movements vs daily_expenses
+router.get('/pos-shifts/:date', staff, getCashReconciliationHandler);
+
+// Change history
+router.get('/audit', manager, listAuditHandler);
+router.get('/audit/classification', manager, classificationAuditHandler);
+
+// Sales analytics from the receipt archive
+router.get('/analytics/items', manager, itemSalesHandler);
+router.get('/analytics/heatmap', manager, salesHeatmapHandler);
 
 module.exports = router;
@@ -7,7 +7,9 @@ const morgan = require('morgan');
 const apiRoutes = require('./routes/apiRoutes');
 const { ensureDatabase, initializeSchema, testConnection, getDialect } = require('./config/db');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { seedItemWeights } = require('./services/itemWeightService');
 const { scheduleDailySyncJob } = require('./jobs/dailySyncJob');
+const { scheduleCatalogRefreshJob } = require('./jobs/catalogRefreshJob');
 
 const app = express();
 const port = Number(process.env.PORT || 4000);
@@ -18,7 +20,12 @@ app.use(helmet({
   contentSecurityPolicy: false
 }));
 app.use(morgan('dev'));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw payload so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 app.use('/api', (req, res, next) => {
@@ -35,6 +42,8 @@ app.get('/api/health', (req, res) => {
 app.use('/api', apiRoutes);
 app.use('/api', notFoundHandler);
 
+// Logic shared with the browser (window.SalesLogic)
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
 app.use(express.static(path.join(__dirname, '../public')));
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -63,6 +72,7 @@ async function initializeDatabaseOnStartup() {
     if (shouldAutoInitDb()) {
       await ensureDatabase();
       await initializeSchema();
+      await seedItemWeights();
     }
 
     // Skip test connection on Vercel if database is not required
@@ -85,6 +95,7 @@ async function startServer() {
   await initializeDatabaseOnStartup();
   if (!isVercelRuntime) {
     scheduleDailySyncJob();
+    scheduleCatalogRefreshJob();
   }
 
   app.listen(port, () => {
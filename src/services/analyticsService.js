@@ -0,0 +1,295 @@
+/**
+ * Analytics Service
+ * Sales analytics over a range of business days, built from the receipt
+ * archive so no Loyverse requests are made. Each day uses the same receipts
+ * and classification as its sales summary.
+ */
+
+const dayjs = require('dayjs');
+const { analyzeReceipt, roundCurrency } = require('../shared/salesLogic');
+const { refreshClassificationRules } = require('./classificationRuleService');
+const { refreshItemWeights } = require('./itemWeightService');
+const { loadReceiptsForDate, createItemCategoryMapLoader, selectClosedReceiptsForDay } = require('./loyverseService');
+const { getBusinessDayStart } = require('./storeService');
+const { getTimezone } = require('../utils/businessDay');
+
+const MAX_ANALYTICS_DAYS = 366;
+const ITEM_GROUPS = ['item', 'category', 'classification'];
+const ITEM_SORT_FIELDS = ['net', 'gross', 'discount', 'quantity', 'grams', 'receipts', 'name'];
+const CLASSIFICATIONS = ['main', 'accessory', 'fb'];
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Check a from/to date range and return its dates in order.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+function listRangeDates(from, to) {
+  const span = dayjs(to).diff(dayjs(from), 'day');
+  if (span < 0 || span >= MAX_ANALYTICS_DAYS) {
+    throw badRequest(`from must not be after to, and the range may cover at most ${MAX_ANALYTICS_DAYS} days`);
+  }
+  const dates = [];
+  for (let i = 0; i <= span; i++) {
+    dates.push(dayjs(from).add(i, 'day').format('YYYY-MM-DD'));
+  }
+  return dates;
+}
+
+/**
+ * Analyze the archived receipts of every business day in a range, one day at
+ * a time. The callback gets each day's analyzeReceipt results.
+ * @param {string[]} dates
+ * @param {string} storeId
+ * @param {function(string, Array<Object>): void} onDay
+ */
+async function forEachAnalyzedDay(dates, storeId, onDay) {
+  const dayStartMinutes = await getBusinessDayStart(storeId);
+  const loadItemCategoryMap = createItemCategoryMapLoader();
+  await Promise.all([refreshClassificationRules(), refreshItemWeights()]);
+
+  for (const date of dates) {
+    const { receipts } = await loadReceiptsForDate(date, { archiveOnly: true, storeId, dayStartMinutes });
+    if (!receipts.length) {
+      continue;
+    }
+    const closedReceipts = selectClosedReceiptsForDay(receipts, date, dayStartMinutes, await loadItemCategoryMap(date));
+    onDay(date, closedReceipts.map((receipt) => analyzeReceipt(receipt)));
+  }
+}
+
+function groupKeyOf(item, group) {
+  if (group === 'classification') {
+    return item.classification;
+  }
+  if (group === 'category') {
+    return item.category || 'uncategorized';
+  }
+  return item.item_id || `name:${item.item_name.toLowerCase()}`;
+}
+
+function newItemGroup(item, group, key) {
+  const row = { key, name: key };
+  if (group === 'item') {
+    Object.assign(row, {
+      name: item.item_name,
+      item_id: item.item_id,
+      category: item.category || '',
+      classification: item.classification
+    });
+  }
+  return Object.assign(row, {
+    quantity: 0,
+    grams: 0,
+    gross: 0,
+    discount: 0,
+    net: 0,
+    receipts: 0,
+    lastReceipt: null
+  });
+}
+
+function compareRows(sort, order) {
+  const direction = order === 'asc' ? 1 : -1;
+  if (sort === 'name') {
+    return (a, b) => direction * String(a.name).localeCompare(String(b.name));
+  }
+  return (a, b) => direction * (a[sort] - b[sort]) || String(a.name).localeCompare(String(b.name));
+}
+
+/**
+ * Quantity, grams, gross, discount and net per item, category or
+ * classification over a date range, from the receipt archive.
+ * @param {Object} options
+ * @param {string} options.from - First date (YYYY-MM-DD)
+ * @param {string} options.to - Last date (YYYY-MM-DD)
+ * @param {string} [options.storeId='']
+ * @param {string} [options.group='item'] - item, category or classification
+ * @param {string} [options.sort='net'] - net, gross, discount, quantity, grams, receipts or name
+ * @param {string} [options.order='desc'] - asc or desc
+ * @param {number} [options.limit] - Keep only the first N rows after sorting
+ * @param {string} [options.classification] - Only count main, accessory or fb items
+ * @returns {Promise<Object>} { from, to, store_id, group, sort, order, days, receipts, totals, count, rows }
+ */
+async function getItemSales({
+  from,
+  to,
+  storeId = '',
+  group = 'item',
+  sort = 'net',
+  order = 'desc',
+  limit,
+  classification
+}) {
+  if (!ITEM_GROUPS.includes(group)) {
+    throw badRequest(`group must be one of: ${ITEM_GROUPS.join(', ')}`);
+  }
+  if (!ITEM_SORT_FIELDS.includes(sort)) {
+    throw badRequest(`sort must be one of: ${ITEM_SORT_FIELDS.join(', ')}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw badRequest('order must be asc or desc');
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw badRequest('limit must be a positive whole number');
+  }
+  if (classification && !CLASSIFICATIONS.includes(classification)) {
+    throw badRequest(`classification must be one of: ${CLASSIFICATIONS.join(', ')}`);
+  }
+
+  const dates = listRangeDates(from, to);
+  const groups = new Map();
+  const totals = { quantity: 0, grams: 0, gross: 0, discount: 0, net: 0 };
+  let receiptCount = 0;
+  let daysWithReceipts = 0;
+
+  await forEachAnalyzedDay(dates, storeId, (date, analyses) => {
+    daysWithReceipts += 1;
+    for (const analysis of analyses) {
+      receiptCount += 1;
+      const receiptKey = `${date}|${analysis.receipt_number}`;
+      for (const item of analysis.items) {
+        if (classification && item.classification !== classification) {
+          continue;
+        }
+        const key = groupKeyOf(item, group);
+        if (!groups.has(key)) {
+          groups.set(key, newItemGroup(item, group, key));
+        }
+        const row = groups.get(key);
+        row.quantity += item.quantity;
+        row.grams += item.grams;
+        row.gross += item.gross;
+        row.discount += item.discount;
+        row.net += item.net;
+        if (row.lastReceipt !== receiptKey) {
+          row.receipts += 1;
+          row.lastReceipt = receiptKey;
+        }
+
+        totals.quantity += item.quantity;
+        totals.grams += item.grams;
+        totals.gross += item.gross;
+        totals.discount += item.discount;
+        totals.net += item.net;
+      }
+    }
+  });
+
+  const rows = [...groups.values()].map(({ lastReceipt, ...row }) => ({
+    ...row,
+    quantity: Number(row.quantity.toFixed(3)),
+    grams: Number(row.grams.toFixed(3)),
+    gross: roundCurrency(row.gross),
+    discount: roundCurrency(row.discount),
+    net: roundCurrency(row.net),
+    share: totals.net > 0 ? roundCurrency(row.net / totals.net * 100) : 0
+  }));
+  rows.sort(compareRows(sort, order));
+
+  return {
+    from,
+    to,
+    store_id: storeId,
+    group,
+    sort,
+    order,
+    classification: classification || null,
+    days: daysWithReceipts,
+    receipts: receiptCount,
+    totals: {
+      quantity: Number(totals.quantity.toFixed(3)),
+      grams: Number(totals.grams.toFixed(3)),
+      gross: roundCurrency(totals.gross),
+      discount: roundCurrency(totals.discount),
+      net: roundCurrency(totals.net)
+    },
+    count: rows.length,
+    rows: limit ? rows.slice(0, limit) : rows
+  };
+}
+
+// Monday-first weekday index (0 = Mon ... 6 = Sun) of a YYYY-MM-DD date
+function weekdayIndex(date) {
+  return (dayjs(date).day() + 6) % 7;
+}
+
+/**
+ * Net sales, orders and grams per weekday and hour over a date range, from
+ * the receipt archive. The weekday is the receipt's business date, so with a
+ * 04:00 day start a 02:00 sale counts as the night before; the hour is the
+ * receipt's local clock hour.
+ * @param {Object} options
+ * @param {string} options.from - First date (YYYY-MM-DD)
+ * @param {string} options.to - Last date (YYYY-MM-DD)
+ * @param {string} [options.storeId='']
+ * @returns {Promise<Object>} { from, to, store_id, timezone, weekdays, weekday_days, days, receipts, totals, cells }
+ *   cells[weekday][hour] is { net_sales, orders, grams }; weekday_days counts
+ *   the dates of each weekday in the range, to average the cells per day
+ */
+async function getSalesHeatmap({ from, to, storeId = '' }) {
+  const dates = listRangeDates(from, to);
+  const timezone = getTimezone();
+  const cells = WEEKDAYS.map(() => Array.from({ length: 24 }, () => ({ net_sales: 0, orders: 0, grams: 0 })));
+  const weekdayDays = WEEKDAYS.map(() => 0);
+  dates.forEach((date) => { weekdayDays[weekdayIndex(date)] += 1; });
+  const totals = { net_sales: 0, orders: 0, grams: 0 };
+  let daysWithReceipts = 0;
+
+  await forEachAnalyzedDay(dates, storeId, (date, analyses) => {
+    daysWithReceipts += 1;
+    const row = cells[weekdayIndex(date)];
+    for (const analysis of analyses) {
+      const time = dayjs(analysis.time);
+      if (!time.isValid()) {
+        continue;
+      }
+      const cell = row[time.tz(timezone).hour()];
+      cell.net_sales += analysis.net_sales;
+      cell.orders += 1;
+      cell.grams += analysis.gram_qty;
+      totals.net_sales += analysis.net_sales;
+      totals.orders += 1;
+      totals.grams += analysis.gram_qty;
+    }
+  });
+
+  for (const row of cells) {
+    for (const cell of row) {
+      cell.net_sales = roundCurrency(cell.net_sales);
+      cell.grams = Number(cell.grams.toFixed(3));
+    }
+  }
+
+  return {
+    from,
+    to,
+    store_id: storeId,
+    timezone,
+    weekdays: WEEKDAYS,
+    weekday_days: weekdayDays,
+    days: daysWithReceipts,
+    receipts: totals.orders,
+    totals: {
+      net_sales: roundCurrency(totals.net_sales),
+      orders: totals.orders,
+      grams: Number(totals.grams.toFixed(3))
+    },
+    cells
+  };
+}
+
+module.exports = {
+  MAX_ANALYTICS_DAYS,
+  listRangeDates,
+  forEachAnalyzedDay,
+  getItemSales,
+  getSalesHeatmap
+};
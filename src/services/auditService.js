@@ -0,0 +1,183 @@
+/**
+ * Audit Service
+ * Append-only history of changes to reports, expenses, staff, shifts and cash
+ * counts: who changed what, when, with the old and new values.
+ */
+
+const dayjs = require('dayjs');
+const { query, getDialect } = require('../config/db');
+const { ALL_STORES } = require('./storeService');
+
+const isPostgres = getDialect() === 'postgres';
+
+// Actors for changes that no dashboard user made
+const SYSTEM_ACTORS = {
+  CRON: 'cron',
+  WEBHOOK: 'loyverse-webhook',
+  SYSTEM: 'system'
+};
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+/**
+ * Who made a request, as stored in audit_log.actor: the signed-in username,
+ * or the client IP for unauthenticated calls.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function getActor(req) {
+  if (req?.user?.username) {
+    return req.user.username;
+  }
+  return `ip:${req?.ip || 'unknown'}`.slice(0, 120);
+}
+
+function normalizeValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return dayjs(value).format('YYYY-MM-DD HH:mm:ss');
+  }
+  if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)))) {
+    return Number(Number(value).toFixed(3));
+  }
+  return value;
+}
+
+/**
+ * Old and new values of the columns that differ between two row snapshots.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @param {Array<string>} columns
+ * @returns {{old: Object, new: Object}|null} null when nothing changed
+ */
+function diffValues(before, after, columns) {
+  const changes = { old: {}, new: {} };
+  let changed = false;
+
+  for (const column of columns) {
+    const oldValue = normalizeValue(before?.[column]);
+    const newValue = normalizeValue(after?.[column]);
+    if (oldValue !== newValue) {
+      changes.old[column] = oldValue;
+      changes.new[column] = newValue;
+      changed = true;
+    }
+  }
+
+  return changed ? changes : null;
+}
+
+/**
+ * Pick the given columns of a row, normalized for storage.
+ */
+function pickValues(row, columns) {
+  if (!row) {
+    return null;
+  }
+  return Object.fromEntries(columns.map((column) => [column, normalizeValue(row[column])]));
+}
+
+/**
+ * Append an entry to the audit log. Failures are logged, not thrown, so a
+ * broken log never blocks the change itself.
+ * @param {Object} entry
+ * @param {string} [entry.storeId='']
+ * @param {string|null} [entry.date] - Report date the change belongs to
+ * @param {string} entry.entity - report, expense, staff, staff_member, shift, denominations, tip,
+ *   tip_settings, classification_rule, item_weight, user
+ * @param {string|number|null} [entry.entityId]
+ * @param {string} entry.action - create, update, delete, sync, status, import
+ * @param {string} [entry.actor='system']
+ * @param {Object|null} [entry.oldValues]
+ * @param {Object|null} [entry.newValues]
+ */
+async function recordAudit({
+  storeId = '',
+  date = null,
+  entity,
+  entityId = null,
+  action,
+  actor = SYSTEM_ACTORS.SYSTEM,
+  oldValues = null,
+  newValues = null
+}) {
+  try {
+    await query(
+      `INSERT INTO audit_log (store_id, date, entity, entity_id, action, actor, old_values, new_values)
+       VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)}, ${placeholder(4)}, ${placeholder(5)}, ${placeholder(6)}, ${placeholder(7)}, ${placeholder(8)})`,
+      [
+        storeId,
+        date,
+        entity,
+        entityId === null || entityId === undefined ? null : String(entityId),
+        action,
+        String(actor || SYSTEM_ACTORS.SYSTEM).slice(0, 120),
+        oldValues ? JSON.stringify(oldValues) : null,
+        newValues ? JSON.stringify(newValues) : null
+      ]
+    );
+  } catch (error) {
+    console.error(`[Audit] Could not record ${entity} ${action} for ${date}:`, error.message);
+  }
+}
+
+function parseJson(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Audit entries, newest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.date] - Report date in YYYY-MM-DD format
+ * @param {string} [filters.storeId] - 'all' for every store
+ * @param {string} [filters.entity]
+ * @param {number} [filters.limit=200]
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAuditEntries({ date, storeId = ALL_STORES, entity, limit = 200 } = {}) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(`${sql} = ${placeholder(params.length)}`);
+  };
+
+  if (date) add('date', date);
+  if (storeId !== ALL_STORES) add('store_id', storeId);
+  if (entity) add('entity', entity);
+
+  const rows = await query(
+    `SELECT * FROM audit_log
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${Math.min(Math.max(Math.floor(Number(limit)) || 200, 1), 1000)}`,
+    params
+  );
+
+  return (Array.isArray(rows) ? rows : []).map((row) => ({
+    ...row,
+    date: row.date ? dayjs(row.date).format('YYYY-MM-DD') : null,
+    old_values: parseJson(row.old_values),
+    new_values: parseJson(row.new_values)
+  }));
+}
+
+module.exports = {
+  SYSTEM_ACTORS,
+  getActor,
+  diffValues,
+  pickValues,
+  recordAudit,
+  listAuditEntries
+};
@@ -0,0 +1,342 @@
+/**
+ * Catalog Service
+ * Caches Loyverse payment types, categories and items in the database with a
+ * TTL, refreshing stale entries in the background. Each refresh also writes a
+ * dated snapshot so receipts from earlier days are classified with the
+ * catalog that existed on that day.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { query, withTransaction, getDialect } = require('../config/db');
+const { loyverseClient, getHeaders, withoutRequestBudget, partialFailureError } = require('./loyverseClient');
+const { toSqlDateTime, fromSqlDateTime } = require('./receiptArchiveService');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const isPostgres = getDialect() === 'postgres';
+const DEFAULT_TTL_MINUTES = 60;
+const MAX_ITEM_PAGES = 20;
+const INSERT_CHUNK_SIZE = 100;
+
+const CATALOG_KINDS = {
+  payment_types: {
+    table: 'loyverse_payment_types',
+    columns: ['id', 'name', 'type'],
+    label: 'payment types'
+  },
+  categories: {
+    table: 'loyverse_categories',
+    columns: ['id', 'name'],
+    label: 'categories'
+  },
+  items: {
+    table: 'loyverse_items',
+    columns: ['id', 'name', 'category_id', 'category_name'],
+    label: 'items'
+  }
+};
+
+const refreshesInFlight = new Map();
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function getTtlMinutes() {
+  const ttl = parseInt(process.env.CATALOG_CACHE_TTL_MINUTES || String(DEFAULT_TTL_MINUTES), 10);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_MINUTES;
+}
+
+function todayLocalDate() {
+  const tz = process.env.LOYVERSE_TIMEZONE || 'Asia/Bangkok';
+  return dayjs().tz(tz).format('YYYY-MM-DD');
+}
+
+function getKindOrThrow(kind) {
+  const definition = CATALOG_KINDS[kind];
+  if (!definition) {
+    throw new Error(`Unknown catalog kind: ${kind}`);
+  }
+  return definition;
+}
+
+async function downloadPaymentTypes() {
+  const response = await loyverseClient.get('/payment_types', {
+    headers: getHeaders()
+  });
+
+  const paymentTypes =
+    response.data?.payment_types ||
+    response.data?.items ||
+    response.data?.data ||
+    [];
+
+  return paymentTypes
+    .filter((type) => type.id || type.payment_type_id)
+    .map((type) => ({
+      id: type.id || type.payment_type_id,
+      name: type.name || type.payment_type || '',
+      type: type.type || ''
+    }));
+}
+
+async function downloadCategories() {
+  const response = await loyverseClient.get('/categories', {
+    headers: getHeaders()
+  });
+  const categories = response.data?.categories || response.data?.data || [];
+
+  return categories
+    .filter((cat) => cat.id || cat.category_id)
+    .map((cat) => ({
+      id: cat.id || cat.category_id,
+      name: String(cat.name || cat.category_name || '').trim().toLowerCase()
+    }));
+}
+
+async function downloadItems() {
+  const categories = await getCatalog('categories');
+  const categoryIdNameMap = new Map(categories.map((cat) => [cat.id, cat.name]));
+
+  const items = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const params = { limit: 250 };
+    if (cursor) params.cursor = cursor;
+
+    const response = await loyverseClient.get('/items', {
+      headers: getHeaders(),
+      params
+    });
+
+    const payload = response.data || {};
+    items.push(...(payload.items || payload.data || []));
+    cursor = payload.cursor || null;
+    pages += 1;
+  } while (cursor && pages < MAX_ITEM_PAGES);
+
+  return items
+    .filter((item) => item.id || item.item_id)
+    .map((item) => {
+      // Loyverse Items API returns category_id, not category_name
+      const categoryId = item.category_id || null;
+      const categoryName = categoryId
+        ? (categoryIdNameMap.get(categoryId) || '')
+        : (item.category_name || item.category || '');
+      return {
+        id: item.id || item.item_id,
+        name: item.item_name || item.name || '',
+        category_id: categoryId,
+        category_name: String(categoryName).trim().toLowerCase()
+      };
+    });
+}
+
+const DOWNLOADERS = {
+  payment_types: downloadPaymentTypes,
+  categories: downloadCategories,
+  items: downloadItems
+};
+
+/**
+ * Swap the current catalog of a kind for the downloaded records in one
+ * transaction, so readers never see it empty or half written and a failed
+ * insert keeps the previous copy. A repeated id keeps its last record.
+ */
+async function replaceCurrentRows(kind, records, fetchedAt) {
+  const { table, columns } = getKindOrThrow(kind);
+  const allColumns = [...columns, 'fetched_at'];
+  const uniqueRecords = [...new Map(records.map((record) => [record.id, record])).values()];
+
+  await withTransaction(async (txQuery) => {
+    await txQuery(`DELETE FROM ${table}`);
+
+    for (let start = 0; start < uniqueRecords.length; start += INSERT_CHUNK_SIZE) {
+      const chunk = uniqueRecords.slice(start, start + INSERT_CHUNK_SIZE);
+      const values = [];
+      const rows = chunk.map((record) => {
+        const rowValues = [...columns.map((column) => record[column] ?? null), fetchedAt];
+        const rowPlaceholders = rowValues.map((value) => {
+          values.push(value);
+          return placeholder(values.length);
+        });
+        return `(${rowPlaceholders.join(', ')})`;
+      });
+
+      await txQuery(
+        `INSERT INTO ${table} (${allColumns.join(', ')}) VALUES ${rows.join(', ')}`,
+        values
+      );
+    }
+  });
+}
+
+async function saveSnapshot(kind, records, fetchedAt) {
+  const values = [kind, todayLocalDate(), JSON.stringify(records), fetchedAt];
+
+  if (isPostgres) {
+    await query(
+      `INSERT INTO loyverse_catalog_snapshots (kind, snapshot_date, payload, fetched_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (kind, snapshot_date) DO UPDATE SET
+         payload = EXCLUDED.payload,
+         fetched_at = EXCLUDED.fetched_at`,
+      values
+    );
+    return;
+  }
+
+  await query(
+    `INSERT INTO loyverse_catalog_snapshots (kind, snapshot_date, payload, fetched_at)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       payload = VALUES(payload),
+       fetched_at = VALUES(fetched_at)`,
+    values
+  );
+}
+
+/**
+ * Download one catalog kind from Loyverse and store it as the current
+ * catalog and as today's snapshot. Concurrent refreshes of a kind share
+ * one download.
+ * @param {string} kind - payment_types | categories | items
+ * @returns {Promise<Array>} Normalized records
+ */
+function refreshCatalog(kind) {
+  getKindOrThrow(kind);
+
+  if (refreshesInFlight.has(kind)) {
+    return refreshesInFlight.get(kind);
+  }
+
+  const refresh = (async () => {
+    const records = await DOWNLOADERS[kind]();
+    const fetchedAt = toSqlDateTime(new Date());
+    await replaceCurrentRows(kind, records, fetchedAt);
+    await saveSnapshot(kind, records, fetchedAt);
+    console.log(`[Catalog] Refreshed ${kind}: ${records.length} records`);
+    return records;
+  })().finally(() => {
+    refreshesInFlight.delete(kind);
+  });
+
+  refreshesInFlight.set(kind, refresh);
+  return refresh;
+}
+
+/**
+ * Refresh every catalog kind (used by the scheduled job).
+ */
+async function refreshAllCatalogs() {
+  for (const kind of Object.keys(CATALOG_KINDS)) {
+    await refreshCatalog(kind);
+  }
+}
+
+async function readCurrentRows(kind) {
+  const { table, columns } = getKindOrThrow(kind);
+  const rows = await query(`SELECT ${columns.join(', ')}, fetched_at FROM ${table} ORDER BY name ASC`);
+  return Array.isArray(rows) ? rows : [];
+}
+
+async function getLastFetchedAt(kind) {
+  const rows = await query(
+    `SELECT MAX(fetched_at) AS fetched_at FROM loyverse_catalog_snapshots WHERE kind = ${placeholder(1)}`,
+    [kind]
+  );
+  return fromSqlDateTime(rows[0]?.fetched_at);
+}
+
+async function readSnapshot(kind, date) {
+  const rows = await query(
+    `SELECT snapshot_date, payload
+     FROM loyverse_catalog_snapshots
+     WHERE kind = ${placeholder(1)} AND snapshot_date <= ${placeholder(2)}
+     ORDER BY snapshot_date DESC
+     LIMIT 1`,
+    [kind, date]
+  );
+  if (!rows[0]) {
+    return null;
+  }
+  return JSON.parse(rows[0].payload);
+}
+
+/**
+ * Date of the snapshot getCatalog would use for `date`, or null when it would
+ * serve the current catalog (today, later, or no snapshot that old). Lets
+ * callers that read many dates load each snapshot once.
+ * @param {string} kind - payment_types | categories | items
+ * @param {string} [date] - Date in YYYY-MM-DD format
+ * @returns {Promise<string|null>}
+ */
+async function findSnapshotDate(kind, date) {
+  getKindOrThrow(kind);
+  if (!date || date >= todayLocalDate()) {
+    return null;
+  }
+  const rows = await query(
+    `SELECT snapshot_date
+     FROM loyverse_catalog_snapshots
+     WHERE kind = ${placeholder(1)} AND snapshot_date <= ${placeholder(2)}
+     ORDER BY snapshot_date DESC
+     LIMIT 1`,
+    [kind, date]
+  );
+  return rows[0] ? dayjs(rows[0].snapshot_date).format('YYYY-MM-DD') : null;
+}
+
+/**
+ * Read a catalog kind from the cache.
+ * Without a date (or for today) the current catalog is returned: a missing
+ * cache is filled synchronously, a stale one is served while a background
+ * refresh runs. For earlier dates the latest snapshot taken on or before
+ * that date is used, falling back to the current catalog.
+ * @param {string} kind - payment_types | categories | items
+ * @param {Object} [options]
+ * @param {string} [options.date] - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Normalized records
+ */
+async function getCatalog(kind, { date } = {}) {
+  const { label } = getKindOrThrow(kind);
+
+  if (date && date < todayLocalDate()) {
+    const snapshot = await readSnapshot(kind, date);
+    if (snapshot) {
+      return snapshot;
+    }
+  }
+
+  const fetchedAt = await getLastFetchedAt(kind);
+  if (!fetchedAt) {
+    try {
+      return await refreshCatalog(kind);
+    } catch (error) {
+      console.error(`[Catalog] Initial ${kind} download failed:`, error.message);
+      throw partialFailureError(label, error);
+    }
+  }
+
+  if (dayjs.utc().diff(fetchedAt, 'minute') >= getTtlMinutes()) {
+    // Not charged to the caller's sync budget, which it is not part of
+    withoutRequestBudget(() => refreshCatalog(kind)).catch((error) => {
+      console.error(`[Catalog] Background ${kind} refresh failed, serving cached copy:`, error.message);
+    });
+  }
+
+  return readCurrentRows(kind);
+}
+
+module.exports = {
+  CATALOG_KINDS,
+  getCatalog,
+  findSnapshotDate,
+  refreshCatalog,
+  refreshAllCatalogs
+};
@@ -0,0 +1,61 @@
+/**
+ * Class Totals Service
+ * Gross, discount and net sales per classification (Main, Accessory, F&B)
+ * stored on each daily report next to the other synced totals. fb_total is
+ * the F&B net, as before; Main no longer includes accessories here.
+ */
+
+const { query, getDialect } = require('../config/db');
+
+const isPostgres = getDialect() === 'postgres';
+
+// daily_reports columns filled from the sales summary, besides fb_total
+const CLASS_TOTAL_COLUMNS = [
+  'main_gross', 'main_discount', 'main_total',
+  'accessory_gross', 'accessory_discount', 'accessory_total',
+  'fb_gross', 'fb_discount'
+];
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+/**
+ * Flatten summarizeClassTotals output into the daily_reports column names.
+ * @param {{main: Object, accessory: Object, fb: Object}} classTotals
+ * @returns {Object}
+ */
+function toClassTotalColumns(classTotals) {
+  const columns = {};
+  for (const classification of ['main', 'accessory', 'fb']) {
+    const totals = classTotals?.[classification] || {};
+    columns[`${classification}_gross`] = totals.gross || 0;
+    columns[`${classification}_discount`] = totals.discount || 0;
+    columns[`${classification}_total`] = totals.net || 0;
+  }
+  delete columns.fb_total;
+  return columns;
+}
+
+/**
+ * Store the class totals of a sales summary on the day's report, which must
+ * already exist.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @param {Object} summary - fetchSalesSummaryByDate result
+ */
+async function saveClassTotals(date, storeId, summary) {
+  const assignments = CLASS_TOTAL_COLUMNS.map((column, index) => `${column} = ${placeholder(index + 1)}`);
+  const values = CLASS_TOTAL_COLUMNS.map((column) => Number(summary[column]) || 0);
+  await query(
+    `UPDATE daily_reports SET ${assignments.join(', ')}
+     WHERE date = ${placeholder(values.length + 1)} AND store_id = ${placeholder(values.length + 2)}`,
+    [...values, date, storeId]
+  );
+}
+
+module.exports = {
+  CLASS_TOTAL_COLUMNS,
+  toClassTotalColumns,
+  saveClassTotals
+};
@@ -0,0 +1,153 @@
+/**
+ * Classification Audit Service
+ * Explains how each line item of a business day was classified: the rule
+ * that decided it, items that only reached the unit price fallback or the
+ * 'main' default, and names that match both F&B and Main rules (e.g.
+ * "Budweiser" against "bud"), where only the rule priority decides.
+ */
+
+const { analyzeReceipt, findMatchingRules, roundCurrency } = require('../shared/salesLogic');
+const { refreshClassificationRules } = require('./classificationRuleService');
+const { loadReceiptsForDate, fetchItemCategoryMap, selectClosedReceiptsForDay } = require('./loyverseService');
+const { withRequestBudget } = require('./loyverseClient');
+const { getBusinessDayStart } = require('./storeService');
+
+// Rules that look at the item name; category and price rules say nothing
+// about what the name means
+const NAME_MATCH_TYPES = new Set(['item', 'keyword', 'regex']);
+
+/**
+ * How a classification was reached: item, keyword, regex, category,
+ * price_fallback or default.
+ */
+function describeBasis(rule) {
+  if (!rule) {
+    return 'default';
+  }
+  return rule.match_type === 'price' ? 'price_fallback' : rule.match_type;
+}
+
+function summarizeRule(rule) {
+  return {
+    id: rule.id ?? null,
+    match_type: rule.match_type,
+    pattern: rule.pattern,
+    min_price: rule.min_price ?? null,
+    classification: rule.classification,
+    priority: rule.priority
+  };
+}
+
+/**
+ * Audit one analyzed line item.
+ * @param {Object} item - analyzeReceipt item
+ * @param {Object} analysis - analyzeReceipt result the item belongs to
+ * @returns {Object}
+ */
+function auditLineItem(item, analysis) {
+  const basis = describeBasis(item.rule);
+  const nameRules = findMatchingRules(item.item_name, item.category || 'uncategorized', item.unit_price)
+    .filter((rule) => NAME_MATCH_TYPES.has(rule.match_type));
+  const fbRules = nameRules.filter((rule) => rule.classification === 'fb');
+  const mainRules = nameRules.filter((rule) => rule.classification === 'main');
+
+  const flags = [];
+  if (basis === 'price_fallback' || basis === 'default') {
+    flags.push(basis);
+  }
+  if (fbRules.length > 0 && mainRules.length > 0) {
+    flags.push('ambiguous');
+  }
+
+  return {
+    receipt_number: analysis.receipt_number,
+    time: analysis.time,
+    item_name: item.item_name,
+    category: item.category || '',
+    quantity: item.quantity,
+    unit_price: item.unit_price,
+    net: item.net,
+    classification: item.classification,
+    basis,
+    rule: item.rule ? summarizeRule(item.rule) : null,
+    flags,
+    fb_rules: fbRules.map(summarizeRule),
+    main_rules: mainRules.map(summarizeRule)
+  };
+}
+
+/**
+ * Group flagged line items by name so each ambiguous or fallback item shows
+ * up once with its quantity and net total.
+ */
+function groupFlaggedItems(items) {
+  const groups = new Map();
+  for (const item of items) {
+    if (!item.flags.length) {
+      continue;
+    }
+    const key = `${item.item_name.toLowerCase()}|${item.classification}|${item.basis}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        item_name: item.item_name,
+        category: item.category,
+        classification: item.classification,
+        basis: item.basis,
+        rule: item.rule,
+        flags: item.flags,
+        fb_rules: item.fb_rules,
+        main_rules: item.main_rules,
+        quantity: 0,
+        net: 0
+      });
+    }
+    const group = groups.get(key);
+    group.quantity += item.quantity;
+    group.net = roundCurrency(group.net + item.net);
+  }
+  return [...groups.values()].sort((a, b) => a.item_name.localeCompare(b.item_name));
+}
+
+/**
+ * Classification audit for a store's business day, using the receipts the
+ * sales summary counts and the current classification rules.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @returns {Promise<Object>}
+ */
+function buildClassificationAudit(date, storeId) {
+  return withRequestBudget(async () => {
+    const dayStartMinutes = await getBusinessDayStart(storeId);
+    const { receipts, source } = await loadReceiptsForDate(date, { storeId, dayStartMinutes });
+    const closedReceipts = selectClosedReceiptsForDay(receipts, date, dayStartMinutes, await fetchItemCategoryMap(date));
+    await refreshClassificationRules();
+
+    const items = [];
+    for (const receipt of closedReceipts) {
+      const analysis = analyzeReceipt(receipt);
+      analysis.items.forEach((item) => items.push(auditLineItem(item, analysis)));
+    }
+
+    const totals = { main: 0, fb: 0, accessory: 0 };
+    const flagCounts = { price_fallback: 0, default: 0, ambiguous: 0 };
+    for (const item of items) {
+      totals[item.classification] = roundCurrency((totals[item.classification] || 0) + item.net);
+      item.flags.forEach((flag) => { flagCounts[flag] += 1; });
+    }
+
+    return {
+      date,
+      store_id: storeId,
+      receipt_source: source,
+      receipts: closedReceipts.length,
+      totals,
+      flag_counts: flagCounts,
+      flagged_items: groupFlaggedItems(items),
+      items
+    };
+  });
+}
+
+module.exports = {
+  buildClassificationAudit
+};
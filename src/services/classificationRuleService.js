@@ -0,0 +1,263 @@
+/**
+ * Classification Rule Service
+ * Stores the item classification rules (exact item, keyword, regex, category,
+ * price threshold, each with a priority) and keeps itemClassifier's in-memory
+ * copy of the active rules fresh. An empty table is seeded with the built-in
+ * keyword lists and any exact items saved in item_classifications.
+ */
+
+const { query, getDialect } = require('../config/db');
+const {
+  CLASSIFICATIONS,
+  MATCH_TYPES,
+  buildDefaultRules,
+  setClassificationRules
+} = require('./itemClassifier');
+
+const isPostgres = getDialect() === 'postgres';
+// How long the in-memory rules are used before they are read again, so every
+// serverless instance picks up rule changes made on another one
+const RULE_CACHE_TTL_MS = 60 * 1000;
+// Exact items from the legacy item_classifications table outrank the keyword rules
+const LEGACY_ITEM_PRIORITY = 500;
+
+let rulesLoadedAt = 0;
+let pendingRefresh = null;
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function toRule(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    match_type: row.match_type,
+    pattern: row.pattern ?? null,
+    min_price: row.min_price === null || row.min_price === undefined ? null : Number(row.min_price),
+    classification: row.classification,
+    priority: Number(row.priority || 0),
+    active: Boolean(Number(row.active)),
+    note: row.note || '',
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Validate a rule, merged over the current values when updating.
+ * @returns {Object} Column values to store
+ */
+function normalizeRuleInput(input, current = {}) {
+  const rule = { ...current, ...input };
+  const matchType = String(rule.match_type || '').trim();
+  if (!MATCH_TYPES.includes(matchType)) {
+    throw badRequest(`match_type must be one of: ${MATCH_TYPES.join(', ')}`);
+  }
+  if (!CLASSIFICATIONS.includes(rule.classification)) {
+    throw badRequest(`classification must be one of: ${CLASSIFICATIONS.join(', ')}`);
+  }
+  const priority = Number(rule.priority ?? 0);
+  if (!Number.isInteger(priority)) {
+    throw badRequest('priority must be a whole number');
+  }
+
+  let pattern = null;
+  let minPrice = null;
+  if (matchType === 'price') {
+    minPrice = Number(rule.min_price);
+    if (rule.min_price === null || rule.min_price === '' || !Number.isFinite(minPrice) || minPrice < 0) {
+      throw badRequest('Price rules need a min_price of 0 or more');
+    }
+  } else {
+    pattern = String(rule.pattern ?? '').trim().slice(0, 255);
+    if (!pattern) {
+      throw badRequest('pattern is required');
+    }
+    if (matchType === 'regex') {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        throw badRequest(`Invalid regex: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    match_type: matchType,
+    pattern,
+    min_price: minPrice,
+    classification: rule.classification,
+    priority,
+    active: rule.active === undefined ? true : Boolean(rule.active),
+    note: String(rule.note || '').trim().slice(0, 255)
+  };
+}
+
+/**
+ * All rules, highest priority first.
+ * @returns {Promise<Array<Object>>}
+ */
+async function listClassificationRules() {
+  const rows = await query('SELECT * FROM classification_rules ORDER BY priority DESC, id ASC');
+  return (Array.isArray(rows) ? rows : []).map(toRule);
+}
+
+async function getClassificationRule(id) {
+  const rows = await query(`SELECT * FROM classification_rules WHERE id = ${placeholder(1)}`, [id]);
+  return toRule(rows[0]);
+}
+
+async function insertRule(values) {
+  const params = [
+    values.match_type,
+    values.pattern,
+    values.min_price,
+    values.classification,
+    values.priority,
+    values.active,
+    values.note
+  ];
+  if (isPostgres) {
+    const rows = await query(
+      `INSERT INTO classification_rules (match_type, pattern, min_price, classification, priority, active, note)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      params
+    );
+    return rows[0].id;
+  }
+  const result = await query(
+    `INSERT INTO classification_rules (match_type, pattern, min_price, classification, priority, active, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    params
+  );
+  return result.insertId;
+}
+
+/**
+ * Seed an empty rules table with the built-in rules and the exact items from
+ * item_classifications.
+ * @returns {Promise<number>} Number of rules added
+ */
+async function seedClassificationRules() {
+  const rows = await query('SELECT COUNT(*) AS count FROM classification_rules');
+  if (Number(rows[0]?.count || 0) > 0) {
+    return 0;
+  }
+
+  let legacyItems = [];
+  try {
+    legacyItems = await query('SELECT item_name, category FROM item_classifications');
+  } catch (error) {
+    console.warn('[Classification] Could not read item_classifications:', error.message);
+  }
+
+  const seeds = [
+    ...(Array.isArray(legacyItems) ? legacyItems : []).map((row) => ({
+      match_type: 'item',
+      pattern: row.item_name,
+      classification: row.category,
+      priority: LEGACY_ITEM_PRIORITY,
+      note: 'From item_classifications'
+    })),
+    ...buildDefaultRules().map((rule) => ({ ...rule, note: 'Built-in' }))
+  ];
+
+  let added = 0;
+  for (const seed of seeds) {
+    try {
+      await insertRule(normalizeRuleInput(seed));
+      added += 1;
+    } catch (error) {
+      console.warn(`[Classification] Skipped seed rule "${seed.pattern}": ${error.message}`);
+    }
+  }
+  console.log(`[Classification] Seeded ${added} classification rules`);
+  return added;
+}
+
+async function loadRules() {
+  await seedClassificationRules();
+  const rules = await listClassificationRules();
+  setClassificationRules(rules.filter((rule) => rule.active));
+  rulesLoadedAt = Date.now();
+}
+
+/**
+ * Reload the active rules into itemClassifier when they are older than the
+ * cache TTL (or always with force). If the database cannot be read the rules
+ * already in memory (initially the built-in ones) keep being used.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false]
+ */
+async function refreshClassificationRules({ force = false } = {}) {
+  if (!force && Date.now() - rulesLoadedAt < RULE_CACHE_TTL_MS) {
+    return;
+  }
+  if (!pendingRefresh) {
+    pendingRefresh = loadRules()
+      .catch((error) => {
+        console.warn('[Classification] Using cached rules:', error.message);
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  await pendingRefresh;
+}
+
+/**
+ * Add a rule.
+ * @param {Object} input - { match_type, pattern?, min_price?, classification, priority?, active?, note? }
+ * @returns {Promise<Object>}
+ */
+async function createClassificationRule(input) {
+  const id = await insertRule(normalizeRuleInput(input));
+  await refreshClassificationRules({ force: true });
+  return getClassificationRule(id);
+}
+
+/**
+ * Update a rule.
+ * @param {number|string} id
+ * @param {Object} input - Any of the fields accepted by createClassificationRule
+ * @returns {Promise<Object>}
+ */
+async function updateClassificationRule(id, input) {
+  const current = await getClassificationRule(id);
+  const values = normalizeRuleInput(input, current);
+  const columns = Object.keys(values);
+  const assignments = columns.map((column, index) => `${column} = ${placeholder(index + 1)}`);
+  if (isPostgres) {
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+  }
+  await query(
+    `UPDATE classification_rules SET ${assignments.join(', ')} WHERE id = ${placeholder(columns.length + 1)}`,
+    [...columns.map((column) => values[column]), id]
+  );
+  await refreshClassificationRules({ force: true });
+  return getClassificationRule(id);
+}
+
+async function deleteClassificationRule(id) {
+  await query(`DELETE FROM classification_rules WHERE id = ${placeholder(1)}`, [id]);
+  await refreshClassificationRules({ force: true });
+}
+
+module.exports = {
+  listClassificationRules,
+  getClassificationRule,
+  createClassificationRule,
+  updateClassificationRule,
+  deleteClassificationRule,
+  seedClassificationRules,
+  refreshClassificationRules
+};
@@ -3,21 +3,33 @@
  * Integrates Loyverse receipt fetching with item classification
  */
 
-const { fetchReceiptsByDate } = require('./loyverseService');
+const { loadReceiptsForDate, fetchItemCategoryMap, selectClosedReceiptsForDay } = require('./loyverseService');
 const { classifyItems, getClassificationStats } = require('./itemClassifier');
+const { refreshClassificationRules } = require('./classificationRuleService');
+const { withRequestBudget } = require('./loyverseClient');
+const { getBusinessDayStart } = require('./storeService');
+const { roundCurrency } = require('../utils/calculations');
 
 /**
- * Fetch and classify receipts for a given date
+ * Fetch and classify the receipts of a store's business day, the same
+ * receipts the sales summary counts
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {string} [options.storeId]
+ * @param {boolean} [options.includeFree=false] - Keep 100% discounted and zero-priced items
  * @returns {Promise<Object>} Classified receipts and statistics
  */
-async function fetchAndClassifyReceipts(date) {
+async function fetchAndClassifyReceipts(date, { storeId, includeFree = false } = {}) {
   try {
-    // Fetch receipts from Loyverse
-    const receipts = await fetchReceiptsByDate(date);
+    const receipts = await withRequestBudget(async () => {
+      const dayStartMinutes = await getBusinessDayStart(storeId);
+      const { receipts: allReceipts } = await loadReceiptsForDate(date, { storeId, dayStartMinutes });
+      return selectClosedReceiptsForDay(allReceipts, date, dayStartMinutes, await fetchItemCategoryMap(date));
+    });
+    await refreshClassificationRules();
 
     // Classify items
-    const classifiedReceipts = classifyItems(receipts);
+    const classifiedReceipts = classifyItems(receipts, { includeFree });
 
     // Get statistics
     const stats = getClassificationStats(classifiedReceipts);
@@ -38,40 +50,31 @@ async function fetchAndClassifyReceipts(date) {
 /**
  * Get receipt breakdown by category
  * @param {Array} classifiedReceipts - Classified receipt items
- * @returns {Object} Breakdown by category
+ * @returns {Object} Breakdown by category: items, count, gross, discount and total (net)
  */
 function getReceiptBreakdown(classifiedReceipts) {
   const mainItems = classifiedReceipts.filter(r => r.classification === 'main');
   const fbItems = classifiedReceipts.filter(r => r.classification === 'fb');
   const accessoryItems = classifiedReceipts.filter(r => r.classification === 'accessory');
 
-  const calculateTotal = (items) => {
-    return items.reduce((sum, item) => {
-      const price = parseFloat(item.netPrice) || 0;
+  const sumField = (items, field) => {
+    return roundCurrency(items.reduce((sum, item) => {
+      const price = parseFloat(item[field]) || 0;
       return sum + price;
-    }, 0);
+    }, 0));
   };
+  const describe = (items) => ({
+    count: items.length,
+    gross: sumField(items, 'grossPrice'),
+    discount: sumField(items, 'discountAmount'),
+    total: sumField(items, 'netPrice')
+  });
 
   return {
-    main: {
-      items: mainItems,
-      count: mainItems.length,
-      total: calculateTotal(mainItems)
-    },
-    fb: {
-      items: fbItems,
-      count: fbItems.length,
-      total: calculateTotal(fbItems)
-    },
-    accessory: {
-      items: accessoryItems,
-      count: accessoryItems.length,
-      total: calculateTotal(accessoryItems)
-    },
-    combined: {
-      count: classifiedReceipts.length,
-      total: calculateTotal(classifiedReceipts)
-    }
+    main: { items: mainItems, ...describe(mainItems) },
+    fb: { items: fbItems, ...describe(fbItems) },
+    accessory: { items: accessoryItems, ...describe(accessoryItems) },
+    combined: describe(classifiedReceipts)
   };
 }
 
@@ -0,0 +1,213 @@
+/**
+ * Denomination Service
+ * Note and coin counts of the cash drawer and the safe box. When a day has
+ * counts, actual_cash_counted, safe_box_amount and the 1K bill fields of its
+ * report are derived from them instead of being typed in.
+ */
+
+const { query, getDialect } = require('../config/db');
+const { calculateReportValues, roundCurrency, toNumber } = require('../utils/calculations');
+
+const isPostgres = getDialect() === 'postgres';
+
+// Thai baht notes and coins, largest first
+const DENOMINATIONS = [1000, 500, 100, 50, 20, 10, 5, 2, 1];
+const LOCATIONS = ['drawer', 'safe'];
+const ONE_K_BILL_AMOUNT = 1000;
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function quoteColumn(name) {
+  return isPostgres ? `"${name}"` : `\`${name}\``;
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Validate a payload shaped { drawer: { "1000": 2, ... }, safe: { ... } }.
+ * Locations that are left out are not touched.
+ */
+function normalizeCountsInput(input) {
+  const counts = {};
+
+  for (const location of LOCATIONS) {
+    if (input[location] === undefined) {
+      continue;
+    }
+    const given = input[location] || {};
+    counts[location] = {};
+
+    for (const denomination of DENOMINATIONS) {
+      const raw = given[denomination] ?? 0;
+      const quantity = Number(raw === '' ? 0 : raw);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        throw badRequest(`${location} count for ${denomination} must be a whole number of zero or more`);
+      }
+      counts[location][denomination] = quantity;
+    }
+  }
+
+  if (Object.keys(counts).length === 0) {
+    throw badRequest('Provide drawer and/or safe counts');
+  }
+  return counts;
+}
+
+/**
+ * Totals derived from the counts: the drawer is the cash counted at close,
+ * the safe is the safe box amount and its 1,000 baht notes are the 1K bills.
+ */
+function summarizeCounts(rows) {
+  const totals = { drawer: 0, safe: 0 };
+  let oneKQty = 0;
+
+  for (const row of rows) {
+    const quantity = toNumber(row.quantity);
+    totals[row.location] += quantity * Number(row.denomination);
+    if (row.location === 'safe' && Number(row.denomination) === ONE_K_BILL_AMOUNT) {
+      oneKQty += quantity;
+    }
+  }
+
+  return {
+    actual_cash_counted: roundCurrency(totals.drawer),
+    safe_box_amount: roundCurrency(totals.safe),
+    '1k_qty': oneKQty,
+    '1k_total': roundCurrency(oneKQty * ONE_K_BILL_AMOUNT)
+  };
+}
+
+async function listCountRows(date, storeId) {
+  const rows = await query(
+    `SELECT location, denomination, quantity FROM cash_denomination_counts
+     WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}`,
+    [date, storeId]
+  );
+  return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * Counts of a day per location, every denomination included.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @returns {Promise<Object>}
+ */
+async function getDenominationCounts(date, storeId) {
+  const rows = await listCountRows(date, storeId);
+  const quantityOf = (location, denomination) => {
+    const row = rows.find((candidate) => candidate.location === location && Number(candidate.denomination) === denomination);
+    return row ? toNumber(row.quantity) : 0;
+  };
+
+  const result = { date, store: storeId, has_counts: rows.length > 0, denominations: DENOMINATIONS };
+  for (const location of LOCATIONS) {
+    result[location] = DENOMINATIONS.map((denomination) => {
+      const quantity = quantityOf(location, denomination);
+      return { denomination, quantity, amount: roundCurrency(quantity * denomination) };
+    });
+  }
+  result.totals = summarizeCounts(rows);
+  return result;
+}
+
+/**
+ * Report fields derived from the day's counts, or null when nothing was counted.
+ * @param {string} date
+ * @param {string} storeId
+ * @returns {Promise<Object|null>}
+ */
+async function getDenominationTotals(date, storeId) {
+  const rows = await listCountRows(date, storeId);
+  return rows.length > 0 ? summarizeCounts(rows) : null;
+}
+
+async function upsertCount(date, storeId, location, denomination, quantity) {
+  if (isPostgres) {
+    await query(
+      `INSERT INTO cash_denomination_counts (store_id, date, location, denomination, quantity)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (store_id, date, location, denomination) DO UPDATE SET
+         quantity = EXCLUDED.quantity,
+         updated_at = CURRENT_TIMESTAMP`,
+      [storeId, date, location, denomination, quantity]
+    );
+    return;
+  }
+
+  await query(
+    `INSERT INTO cash_denomination_counts (store_id, date, location, denomination, quantity)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE quantity = VALUES(quantity)`,
+    [storeId, date, location, denomination, quantity]
+  );
+}
+
+/**
+ * Write the count-derived fields to the day's report (creating it when the
+ * day was counted before it was synced) and recalculate expected cash and
+ * difference.
+ */
+async function applyCountsToReport(date, storeId, totals) {
+  const existing = await query(
+    `SELECT * FROM daily_reports WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}`,
+    [date, storeId]
+  );
+  if (!existing.length) {
+    await query(
+      `INSERT INTO daily_reports (date, store_id) VALUES (${placeholder(1)}, ${placeholder(2)})`,
+      [date, storeId]
+    );
+  }
+
+  const report = existing[0] || {};
+  const values = calculateReportValues({ ...report, ...totals });
+  const columns = {
+    ...totals,
+    expected_cash: values.expected_cash,
+    difference: values.difference
+  };
+
+  const names = Object.keys(columns);
+  const assignments = names.map((name, index) => `${quoteColumn(name)} = ${placeholder(index + 1)}`);
+  if (isPostgres) {
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+  }
+  await query(
+    `UPDATE daily_reports SET ${assignments.join(', ')}
+     WHERE date = ${placeholder(names.length + 1)} AND store_id = ${placeholder(names.length + 2)}`,
+    [...names.map((name) => columns[name]), date, storeId]
+  );
+}
+
+/**
+ * Save the drawer and/or safe counts of a day and update its report.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @param {Object} input - { drawer?: { [denomination]: quantity }, safe?: { ... } }
+ * @returns {Promise<Object>} Saved counts, as returned by getDenominationCounts
+ */
+async function saveDenominationCounts(date, storeId, input) {
+  const counts = normalizeCountsInput(input || {});
+
+  for (const location of Object.keys(counts)) {
+    for (const denomination of DENOMINATIONS) {
+      await upsertCount(date, storeId, location, denomination, counts[location][denomination]);
+    }
+  }
+
+  await applyCountsToReport(date, storeId, summarizeCounts(await listCountRows(date, storeId)));
+  return getDenominationCounts(date, storeId);
+}
+
+module.exports = {
+  DENOMINATIONS,
+  getDenominationCounts,
+  getDenominationTotals,
+  saveDenominationCounts
+};
@@ -1,25 +1,25 @@
 const ExcelJS = require('exceljs');
+const { buildExportItems, analyzeReceipt, summarizeClassTotals } = require('../shared/salesLogic');
+
+const CLASS_LABELS = [['main', 'Main'], ['accessory', 'Accessory'], ['fb', 'F&B']];
 
 /**
- * Check if a receipt is a refund receipt
+ * Gross / discount / net per classification: from the receipts when there
+ * are any, otherwise the totals saved on the report.
  */
-function isRefundReceipt(receipt) {
-  if (!receipt || typeof receipt !== 'object') return false;
-  
-  // Check receipt type
-  const receiptType = String(receipt.receipt_type || receipt.type || '').toUpperCase();
-  if (receiptType === 'REFUND') return true;
-  
-  // Check for refund flags
-  if (receipt.is_refunded === true || receipt.refunded === true || receipt.is_returned === true) return true;
-  if (receipt.refunded_at || receipt.returned_at) return true;
-  
-  // Check for refund collections
-  const hasRefunds = Array.isArray(receipt.refunds) && receipt.refunds.length > 0;
-  const hasRefundItems = Array.isArray(receipt.refund_items) && receipt.refund_items.length > 0;
-  const hasReturns = Array.isArray(receipt.returns) && receipt.returns.length > 0;
-  
-  return hasRefunds || hasRefundItems || hasReturns;
+function resolveClassTotals(reportData, receipts) {
+  if (receipts.length > 0) {
+    return summarizeClassTotals(receipts.map((receipt) => analyzeReceipt(receipt)));
+  }
+  const totals = {};
+  CLASS_LABELS.forEach(([classification]) => {
+    totals[classification] = {
+      gross: Number(reportData[`${classification}_gross`] || 0),
+      discount: Number(reportData[`${classification}_discount`] || 0),
+      net: Number(reportData[`${classification}_total`] || 0)
+    };
+  });
+  return totals;
 }
 
 /**
@@ -29,9 +29,10 @@ function isRefundReceipt(receipt) {
  * @param {Array} receipts - Original Loyverse receipts
  * @param {Array} expenses - Daily expenses
  * @param {string} closingStaff - Closing staff names (optional)
+ * @param {Object|null} denominations - Drawer and safe counts from getDenominationCounts (optional)
  * @returns {Promise<Buffer>} Excel file buffer
  */
-async function generateExcelReport(date, reportData, receipts, expenses, closingStaff = 'N/A') {
+async function generateExcelReport(date, reportData, receipts, expenses, closingStaff = 'N/A', denominations = null) {
   const workbook = new ExcelJS.Workbook();
   const sheet = workbook.addWorksheet('Daily Report');
   sheet.properties.defaultRowHeight = 22;
@@ -62,244 +63,8 @@ async function generateExcelReport(date, reportData, receipts, expenses, closing
   const rowLight = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFFBF4' } };
   const rowDark = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF4E0' } };
 
-  // Item Classification Logic
-  const flowerStrains = [
-    'grape soda', 'gelonade', 'blue pave', 'devil driver', 'lemon cherry gelato', 
-    'moonbow', 'emergen c', 'tea time', 'silver shadow', 
-    'rozay cake', 'truffaloha', 'the planet of grape', 'crunch berriez',
-    'big foot', 'honey bee', 'jealousy mintz', 'crystal candy',
-    'alien mint', 'rocket fuel', 'gold dust', 'darth vader',
-    'cherry pop tarts', 'white cherry gelato', 'dosidos', 'obama runtz',
-    'free pina colada', 'free kanobi sunset', 'fakescotti', 'pina colada', 'thc gummy', 'flower', 
-    'bud', 'pre-roll', 'joint', 'cheese candy', 'vino tinto', 'mac stormper', 
-    'r2d2 fluid', 'planet of the grape', 'moonlight sonata', 'american pie', 
-    'gastro pop', 'dulce de uva', 'gelato 41', 'rs11', 'frost boof', 
-    'lemon cherry martini', 'royal marker', 'cherry rage', 'mac 1 x permanent', 
-    '3 hour tour', 'creature feature', 'trich tyson', 'groot snack', 'groot\'s snack'
-  ];
-
-  const fbKeywords = [
-    'water', 'soda', 'beer', 'drink', 'beverage', 'alcohol', 'wine', 
-    'cider', 'spirit', 'cocktail', 'milk', 'coffee', 'tea', 'juice', 
-    'corona', 'sato', 'budweiser', 'singha', 'asahi', 'chang', 'leo', 
-    'cocacola', 'coke', 'sprite', 'tonic water',
-    'cookie', 'brownie', 'cake', 'soju', 'snack', 'food', 'bakery'
-  ];
-  
-  const accessoryKeywords = [
-    'accessories', 'merchandise', 'bong', 'paper', 'tip', 'grinder',
-    'shirt', 'hat', 'lighter', 'the lobby', 'merch', 'ashtray', 'ash tray',
-    'pipe', 'small pipe', 'best buds grinder', 'best buds shirt',
-    'nf best buds shirt', 'sw best buds shirt', 'balm 10g', 'pillow mist', 'balm', 'plastic tray'
-  ];
-
-  function toMoneyNumber(value) {
-    if (value === null || value === undefined) return null;
-    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
-    if (typeof value === 'string') {
-      const parsed = Number(value);
-      return Number.isFinite(parsed) ? parsed : null;
-    }
-    if (typeof value === 'object') {
-      if (Object.prototype.hasOwnProperty.call(value, 'amount')) {
-        return toMoneyNumber(value.amount);
-      }
-      if (Object.prototype.hasOwnProperty.call(value, 'value')) {
-        return toMoneyNumber(value.value);
-      }
-    }
-    return null;
-  }
-
-  function getMoney(...candidates) {
-    for (const candidate of candidates) {
-      const amount = toMoneyNumber(candidate);
-      if (amount !== null) return amount;
-    }
-    return null;
-  }
-
-  const flowerItems = [];
-  const fbItems = [];
-  let totalFlowerGrams = 0;
-  let calculatedFbTotal = 0;
-
-    receipts.forEach(receipt => {
-      // Receipts are already filtered by filterOutRefundReceipts() in the controller.
-      // This extra check is a safety guard to skip any remaining refund/voided receipts.
-      if (isRefundReceipt(receipt)) return;
-      
-      // [FIX] Check for 100% receipt-level discount
-      const receiptDiscounts = receipt.total_discounts || receipt.discounts || receipt.applied_discounts || [];
-      const has100PercentReceiptDiscount = receiptDiscounts.some(d => {
-        const p = d.percentage || d.percent || d.rate;
-        return p >= 99.99;
-      });
-
-      const items = receipt.line_items || receipt.items || [];
-
-    const paymentMethod = (receipt.payments && receipt.payments[0]?.payment_type?.name) || 
-                           (receipt.payments && receipt.payments[0]?.name) || 'N/A';
-    const receiptNumber = receipt.receipt_number || receipt.number || 'N/A';
-    
-    const orderDiscount = getMoney(
-      receipt.total_discount_money,
-      receipt.total_discounts_money,
-      receipt.total_discount,
-      receipt.discount_money,
-      receipt.discount_amount,
-      receipt.discount
-    ) || 0;
-    const orderTotal = getMoney(
-      receipt.total_money,
-      receipt.total_price_money,
-      receipt.amount_money,
-      receipt.amount
-    ) || 0;
-    const hasOrderDiscount = orderDiscount > 0;
-
-    items.forEach(item => {
-      let itemName = String(item.name || item.item_name || "").toLowerCase();
-      let category = String(item.category_name || "").toLowerCase();
-      let qty = Number(item.quantity || item.qty || 0);
-      
-      let grossPrice = getMoney(
-        item.gross_total_money,
-        item.subtotal_money,
-        item.total_before_discount_money,
-        item.total_before_discounts_money,
-        item.original_total_money
-      );
-      const lineItemDiscount = getMoney(
-        item.total_discount_money,
-        item.total_discounts_money,
-        item.discount_money,
-        item.discount_amount,
-        item.discount
-      ) || 0;
-      const explicitNetPrice = getMoney(
-        item.total_money,
-        item.total_price_money,
-        item.line_total_money
-      );
-
-      if (grossPrice === null) {
-        const unitPrice = getMoney(item.price_money, item.unit_price_money, item.price, item.unit_price);
-        if (unitPrice !== null && qty > 0) {
-          grossPrice = unitPrice * qty;
-        }
-      }
-
-      if (grossPrice === null && explicitNetPrice !== null) {
-        grossPrice = explicitNetPrice + lineItemDiscount;
-      }
-
-      if (grossPrice === null) {
-        grossPrice = 0;
-      }
-
-      const hasExplicitLineNet = explicitNetPrice !== null;
-      let itemNetPrice = hasExplicitLineNet ? explicitNetPrice : Math.max(0, grossPrice - lineItemDiscount);
-      
-      if (!hasExplicitLineNet && hasOrderDiscount && orderTotal > 0 && itemNetPrice > 0) {
-        let allocatedOrderDiscount = (itemNetPrice / (orderTotal + orderDiscount)) * orderDiscount;
-        itemNetPrice = Math.max(0, itemNetPrice - allocatedOrderDiscount);
-      }
-
-      const totalItemDiscount = Math.max(0, grossPrice - itemNetPrice);
-      const discountPercent = grossPrice > 0 ? (totalItemDiscount / grossPrice * 100) : 0;
-      
-      // Rule: Skip items where price is 0 OR discount is 100% from TOTALS, but we might want to list them
-      // Based on user request: "The planet of grape" at 100% discount should not be counted in total grams
-      // but should be shown in the list with 100% discount.
-      
-      const is100PercentDiscount = itemNetPrice <= 0.01 || discountPercent >= 99.99;
-      const discountStr = (totalItemDiscount > 0.01 || is100PercentDiscount) 
-        ? `${discountPercent.toFixed(0)}% (${totalItemDiscount.toFixed(2)} THB)` 
-        : '-';
-
-      let isThcGummy = itemName.includes('thc gummy');
-      let isAccessory = accessoryKeywords.some(k => itemName.includes(k) || category.includes(k));
-      let isLobbyShirt = itemName.includes('the lobby shirt');
-      let isBalm = itemName.includes('balm');
-      let isPillowMist = itemName.includes('pillow mist');
-
-      let isFB = !isAccessory && (
-        fbKeywords.some(k => itemName.includes(k) || category.includes(k)) ||
-        itemName.includes('budweiser') ||
-        category.includes('soft drink') || 
-        category.includes('snacks') || 
-        category.includes('beverage') ||
-        category.includes('drink') ||
-        category.includes('food') ||
-        category.includes('bakery') ||
-        (['tea'].some(k => itemName.includes(k) || category.includes(k)) && !itemName.includes('tea time'))
-      );
-
-      // Exception: 'tea time', 'gummy', 'grape soda', and 'gelonade' should not be F&B
-      if (isFB && (itemName.includes('tea time') || itemName.includes('gummy') || itemName.includes('grape soda') || itemName.includes('gelonade') || itemName.includes('groot'))) {
-        isFB = false;
-      }
-
-      let isFlowerStrain = !isFB && !isAccessory && flowerStrains.some(strain => {
-        if (strain === 'grape soda' || strain === 'gelonade') {
-          return itemName === strain || itemName.includes(strain);
-        }
-        return itemName.includes(strain);
-      });
-
-      if (!isFlowerStrain && !isFB && !isThcGummy && !isAccessory) {
-        const unitPrice = itemNetPrice / (qty || 1);
-        if (unitPrice > 50) {
-          isFlowerStrain = true;
-        } else if (unitPrice > 0) {
-          isFB = true;
-        } else {
-          isFlowerStrain = true;
-        }
-      }
-
-      const exportType = isFB ? 'F&B' : (isAccessory ? 'Accessories' : 'Flower/Main');
-      
-      // Determine display values
-      let displayQty = qty;
-      let displayGram = '-';
-      
-      // For flower strains (not gummy, not accessories), show gram instead of qty
-      if (isFlowerStrain && !isThcGummy && !isAccessory && !isLobbyShirt && !isBalm && !isPillowMist) {
-        displayQty = '-';
-        displayGram = `${qty.toFixed(3)} G`;
-        // Only add to total grams if NOT 100% discounted AND price > 0 AND no 100% receipt discount
-        if (!is100PercentDiscount && itemNetPrice > 0.01 && !has100PercentReceiptDiscount) {
-          totalFlowerGrams += qty;
-        }
-      }
-
-      const unitPrice = grossPrice / (qty || 1);
-
-      const exportItem = {
-        type: exportType,
-        name: item.name || item.item_name,
-        qty: displayQty,
-        gram: displayGram,
-        unitPrice: unitPrice,
-        discount: discountStr,
-        netPrice: itemNetPrice,
-        payment: paymentMethod,
-        note: receiptNumber
-      };
-
-      if (isFB) {
-        fbItems.push(exportItem);
-        // Only add to total revenue if NOT 100% discounted
-        if (!is100PercentDiscount) {
-          calculatedFbTotal += itemNetPrice;
-        }
-      } else {
-        flowerItems.push(exportItem);
-      }
-    });
-  });
+  // Item rows come from the same shared logic the dashboard Excel export uses
+  const { flowerItems, fbItems, totalFlowerGrams, totalFbAmount: calculatedFbTotal } = buildExportItems(receipts);
 
   // --- ROW 1: TITLE ---
   sheet.mergeCells('A1:I1');
@@ -393,6 +158,77 @@ async function generateExcelReport(date, reportData, receipts, expenses, closing
   sheet.getCell(`D${currentRow}`).value = 'Closing Staff:';
   sheet.getCell(`E${currentRow}`).value = closingStaff;
 
+  // --- SALES BY CLASS ---
+  currentRow += 2;
+  sheet.mergeCells(`A${currentRow}:I${currentRow}`);
+  const classTitle = sheet.getCell(`A${currentRow}`);
+  classTitle.value = 'SALES BY CLASS';
+  classTitle.fill = sectionFill;
+  classTitle.font = { bold: true, color: { argb: 'FFF1D8AC' } };
+  classTitle.alignment = { horizontal: 'center' };
+
+  currentRow++;
+  const classHeader = sheet.getRow(currentRow);
+  classHeader.values = ['Class', 'Gross', 'Discount', 'Net'];
+  classHeader.eachCell((cell) => {
+    cell.fill = headerFill;
+    cell.font = { bold: true, color: { argb: 'FF2A2010' } };
+    cell.border = border;
+    cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+
+  const classTotals = resolveClassTotals(reportData, Array.isArray(receipts) ? receipts : []);
+  CLASS_LABELS.forEach(([classification, label], index) => {
+    const totals = classTotals[classification];
+    const row = sheet.getRow(++currentRow);
+    row.values = [label, totals.gross, totals.discount, totals.net];
+    row.eachCell((cell) => {
+      cell.fill = index % 2 === 0 ? rowLight : rowDark;
+      cell.border = border;
+      if (cell.col > 1) cell.numFmt = '#,##0.00';
+    });
+  });
+
+  // --- CASH COUNT ---
+  if (denominations) {
+    currentRow += 2;
+    sheet.mergeCells(`A${currentRow}:I${currentRow}`);
+    const countTitle = sheet.getCell(`A${currentRow}`);
+    countTitle.value = 'CASH COUNT';
+    countTitle.fill = sectionFill;
+    countTitle.font = { bold: true, color: { argb: 'FFF1D8AC' } };
+    countTitle.alignment = { horizontal: 'center' };
+
+    currentRow++;
+    const countHeader = sheet.getRow(currentRow);
+    countHeader.values = ['Note/Coin', 'Drawer Qty', 'Drawer Amount', 'Safe Qty', 'Safe Amount'];
+    countHeader.eachCell((cell) => {
+      cell.fill = headerFill;
+      cell.font = { bold: true, color: { argb: 'FF2A2010' } };
+      cell.border = border;
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+    });
+
+    denominations.drawer.forEach((drawerCount, index) => {
+      const safeCount = denominations.safe[index];
+      const row = sheet.getRow(++currentRow);
+      row.values = [drawerCount.denomination, drawerCount.quantity, drawerCount.amount, safeCount.quantity, safeCount.amount];
+      row.eachCell((cell) => {
+        cell.fill = index % 2 === 0 ? rowLight : rowDark;
+        cell.border = border;
+        if (cell.col === 3 || cell.col === 5) cell.numFmt = '#,##0.00';
+      });
+    });
+
+    const totalsRow = sheet.getRow(++currentRow);
+    totalsRow.values = ['Total', '', denominations.totals.actual_cash_counted, '', denominations.totals.safe_box_amount];
+    totalsRow.eachCell((cell) => {
+      cell.font = { bold: true };
+      cell.border = border;
+      if (cell.col === 3 || cell.col === 5) cell.numFmt = '#,##0.00';
+    });
+  }
+
   return await workbook.xlsx.writeBuffer();
 }
 
@@ -1,133 +1,53 @@
 /**
  * Item Classification Service
- * Classifies items into 'Main' (Flower/Accessories) or 'F&B' (Food & Beverage)
- * based on item names and categories.
+ * Classifies items into 'Main' (Flower), 'F&B' (Food & Beverage) or
+ * 'Accessory' by evaluating classification rules (exact item, keyword, regex,
+ * category, price threshold, F&B exception) in priority order. The rules live in the
+ * classification_rules table; the rule engine and the keyword lists that seed
+ * it are in src/shared/salesLogic.js, which the browser uses too.
  */
 
-const MAIN_KEYWORDS = [
-  'grape soda', 'gelonade', 'blue pave', 'devil driver', 'lemon cherry gelato', 
-  'moonbow', 'emergen c', 'tea time', 'silver shadow', 
-  'rozay cake', 'truffaloha', 'the planet of grape', 'crunch berriez',
-  'big foot', 'honey bee', 'jealousy mintz', 'crystal candy',
-  'alien mint', 'rocket fuel', 'gold dust', 'darth vader',
-  'cherry pop tarts', 'white cherry gelato', 'dosidos', 'obama runtz',
-  'free pina colada', 'free kanobi sunset', 'fakescotti', 'pina colada', 'thc gummy', 'flower', 
-  'bud', 'pre-roll', 'joint', 'cheese candy', 'vino tinto', 'mac stormper', 
-  'r2d2 fluid', 'planet of the grape', 'moonlight sonata', 'american pie', 
-  'gastro pop', 'dulce de uva', 'gelato 41', 'rs11', 'frost boof', 
-  'lemon cherry martini', 'royal marker', 'cherry rage', 'mac 1 x permanent', 
-  '3 hour tour', 'creature feature', 'trich tyson', 'groot snack', 'groot\'s snack'
-];
-
-const FB_KEYWORDS = [
-  'water', 'soda', 'beer', 'drink', 'beverage', 'alcohol', 'wine', 
-  'cider', 'spirit', 'cocktail', 'milk', 'coffee', 'tea', 'juice', 
-  'corona', 'sato', 'budweiser', 'singha', 'asahi', 'chang', 'leo', 
-  'cocacola', 'coke', 'sprite', 'tonic water', 'soda water',
-  'cookie', 'brownie', 'cake', 'soju', 'snack', 'food', 'bakery'
-];
-
-const ACCESSORY_KEYWORDS = [
-  'accessories', 'merchandise', 'bong', 'paper', 'tip', 'grinder',
-  'shirt', 'hat', 'lighter', 'the lobby', 'merch', 'ashtray', 'ash tray',
-  'pipe', 'small pipe', 'best buds grinder', 'best buds shirt',
-  'nf best buds shirt', 'sw best buds shirt', 'balm 10g', 'pillow mist', 'balm', 'plastic tray'
-];
-
-/**
- * Classifies an item based on its name and category.
- * @param {string} itemName - The name of the item.
- * @param {string} categoryName - The name of the category.
- * @param {number} unitPrice - The unit price of the item (optional fallback).
- * @returns {string} - 'main', 'fb', or 'accessory'
- */
-function classifyItem(itemName, categoryName = '', unitPrice = 0) {
-  const name = String(itemName || '').toLowerCase();
-  const cat = String(categoryName || '').toLowerCase();
-
-  // 1. Check for Accessories first so items like "Best buds hat" don't get caught by "bud"
-  if (ACCESSORY_KEYWORDS.some(keyword => name.includes(keyword)) ||
-      cat.includes('accessories') ||
-      cat.includes('merchandise')) {
-    return 'accessory';
-  }
-
-  // 2. Check for F&B keywords BEFORE Main keywords
-  // This is critical to ensure beverages like "Budweiser" aren't caught by the "bud" keyword in MAIN_KEYWORDS
-  const isFB = FB_KEYWORDS.some(keyword => name.includes(keyword)) || 
-      cat.includes('soft drink') || 
-      cat.includes('alcohol') ||
-      cat.includes('snacks') || 
-      cat.includes('beverage') ||
-      cat.includes('drink') ||
-      cat.includes('food') ||
-      cat.includes('bakery');
-  
-  if (isFB) {
-    // Exception: 'tea time', 'gummy', 'grape soda', and 'gelonade' should not be F&B
-    if (name.includes('tea time') || name.includes('gummy') || name.includes('grape soda') || name.includes('gelonade') || name.includes('groot')) return 'main';
-    return 'fb';
-  }
-
-  // 3. Check for Main/Flower keywords
-  if (MAIN_KEYWORDS.some(keyword => {
-    if (keyword === 'grape soda') {
-      return name === 'grape soda' || name.includes('grape soda');
-    }
-    return name.includes(keyword);
-  })) {
-    return 'main';
-  }
-
-  // 4. Fallback to price if name doesn't match anything
-  if (unitPrice > 50) {
-    return 'main';
-  } else if (unitPrice > 0) {
-    return 'fb';
-  }
-
-  // Default fallback
-  return 'main';
-}
+const {
+  MAIN_KEYWORDS,
+  FB_KEYWORDS,
+  ACCESSORY_KEYWORDS,
+  CLASSIFICATIONS,
+  MATCH_TYPES,
+  buildDefaultRules,
+  setClassificationRules,
+  classifyItem,
+  classifyItemDetailed,
+  findMatchingRules,
+  analyzeReceipt
+} = require('../shared/salesLogic');
 
 /**
  * Bulk classify items from a list of receipts.
  * @param {Array} receipts - List of Loyverse receipts.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeFree=false] - Keep 100% discounted and zero-priced items
  * @returns {Array} - List of classified items.
  */
-function classifyItems(receipts) {
+function classifyItems(receipts, { includeFree = false } = {}) {
   const classifiedItems = [];
   if (!Array.isArray(receipts)) return classifiedItems;
 
   receipts.forEach(receipt => {
-    const items = receipt.line_items || receipt.items || [];
-    items.forEach(item => {
-      const itemName = item.name || item.item_name || '';
-      const categoryName = item.category_name || '';
-      const qty = Number(item.quantity || item.qty || 0);
-      
-      // Extract prices and discounts
-      const grossPrice = Number(item.gross_total_money?.amount || item.subtotal_money?.amount || 0);
-      const totalDiscount = Number(item.total_discount_money?.amount || item.discount_money?.amount || 0);
-      const netPrice = Number(item.total_money?.amount || item.total_price_money?.amount || (grossPrice - totalDiscount));
-      
-      // Calculate discount percentage
-      const discountPercent = grossPrice > 0 ? (totalDiscount / grossPrice * 100) : 0;
-      
+    const lineItems = receipt.line_items || receipt.items || [];
+    analyzeReceipt(receipt).items.forEach((item, index) => {
       // RULE: Exclude items with 100% discount or price 0
-      if (netPrice <= 0.01 || discountPercent >= 99.99) {
+      if (item.is_free && !includeFree) {
         return;
       }
 
-      const unitPrice = qty > 0 ? netPrice / qty : 0;
-
-      const type = classifyItem(itemName, categoryName, unitPrice);
       classifiedItems.push({
-        ...item,
-        classification: type,
-        category: type, // Ensure compatibility with services using .category
-        unitPrice: unitPrice,
-        netPrice: netPrice
+        ...lineItems[index],
+        classification: item.classification,
+        category: item.classification, // Ensure compatibility with services using .category
+        unitPrice: item.unit_price,
+        grossPrice: item.gross,
+        discountAmount: item.discount,
+        netPrice: item.net
       });
     });
   });
@@ -166,7 +86,13 @@ function getClassificationStats(classifiedItems) {
 }
 
 module.exports = {
+  CLASSIFICATIONS,
+  MATCH_TYPES,
+  buildDefaultRules,
+  setClassificationRules,
   classifyItem,
+  classifyItemDetailed,
+  findMatchingRules,
   classifyItems,
   getClassificationStats,
   MAIN_KEYWORDS,
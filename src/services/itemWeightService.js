@@ -0,0 +1,273 @@
+/**
+ * Item Weight Service
+ * Stores how many grams one unit of a Loyverse item (or one of its variants)
+ * weighs, or that it is not sold by weight, and keeps the shared sales
+ * logic's in-memory copy fresh. Gram totals are quantity x grams per unit;
+ * main items without an entry count one gram per unit and are reported as
+ * having an unknown weight.
+ */
+
+const { query, getDialect, hasSeedMarker, writeSeedMarker } = require('../config/db');
+const { setItemWeights } = require('../shared/salesLogic');
+const catalog = require('./catalogService');
+const { loyverseClient, getHeaders } = require('./loyverseClient');
+
+const isPostgres = getDialect() === 'postgres';
+// How long the in-memory weights are used before they are read again, so every
+// serverless instance picks up changes made on another one
+const WEIGHT_CACHE_TTL_MS = 60 * 1000;
+// Items the gram count used to skip by name; an empty table starts with these
+// catalog items marked as not weighed
+const LEGACY_UNWEIGHED_KEYWORDS = ['the lobby shirt', 'thc gummy', 'balm', 'pillow mist'];
+// Lemon Cherry sold as a 7G pack, which the gram count used to spot by a net
+// price of 4970 or more; an empty table starts with those variants at 7 g
+const LEGACY_7G_KEYWORD = 'lemon cherry';
+const LEGACY_7G_OPTION = /^7\s*g$/i;
+const SEED_MARKER = 'item_gram_weights';
+
+let weightsLoadedAt = 0;
+let pendingRefresh = null;
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function toWeight(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    item_id: row.item_id,
+    variant_id: row.variant_id || '',
+    item_name: row.item_name || '',
+    weighed: Boolean(Number(row.weighed)),
+    grams_per_unit: row.grams_per_unit === null || row.grams_per_unit === undefined ? null : Number(row.grams_per_unit),
+    note: row.note || '',
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Validate a weight entry.
+ * @returns {Object} Column values to store
+ */
+function normalizeWeightInput(input) {
+  const itemId = String(input.item_id || '').trim();
+  if (!itemId) {
+    throw badRequest('item_id is required');
+  }
+
+  const weighed = input.weighed === undefined ? true : Boolean(input.weighed);
+  let gramsPerUnit = null;
+  if (weighed) {
+    gramsPerUnit = Number(input.grams_per_unit);
+    if (input.grams_per_unit === null || input.grams_per_unit === '' || !Number.isFinite(gramsPerUnit) || gramsPerUnit <= 0) {
+      throw badRequest('Weighed items need grams_per_unit above 0');
+    }
+    gramsPerUnit = Number(gramsPerUnit.toFixed(3));
+  }
+
+  return {
+    item_id: itemId.slice(0, 64),
+    variant_id: String(input.variant_id || '').trim().slice(0, 64),
+    item_name: String(input.item_name || '').trim().slice(0, 255),
+    weighed,
+    grams_per_unit: gramsPerUnit,
+    note: String(input.note || '').trim().slice(0, 255)
+  };
+}
+
+/**
+ * All gram weights, by item name.
+ * @returns {Promise<Array<Object>>}
+ */
+async function listItemWeights() {
+  const rows = await query('SELECT * FROM item_gram_weights ORDER BY item_name ASC, variant_id ASC');
+  return (Array.isArray(rows) ? rows : []).map(toWeight);
+}
+
+async function getItemWeight(id) {
+  const rows = await query(`SELECT * FROM item_gram_weights WHERE id = ${placeholder(1)}`, [id]);
+  return toWeight(rows[0]);
+}
+
+async function findItemWeightEntry(itemId, variantId) {
+  const rows = await query(
+    `SELECT * FROM item_gram_weights WHERE item_id = ${placeholder(1)} AND variant_id = ${placeholder(2)}`,
+    [itemId, variantId]
+  );
+  return toWeight(rows[0]);
+}
+
+async function upsertWeight(values) {
+  const params = [
+    values.item_id,
+    values.variant_id,
+    values.item_name,
+    values.weighed,
+    values.grams_per_unit,
+    values.note
+  ];
+  if (isPostgres) {
+    await query(
+      `INSERT INTO item_gram_weights (item_id, variant_id, item_name, weighed, grams_per_unit, note)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (item_id, variant_id) DO UPDATE SET
+         item_name = EXCLUDED.item_name,
+         weighed = EXCLUDED.weighed,
+         grams_per_unit = EXCLUDED.grams_per_unit,
+         note = EXCLUDED.note,
+         updated_at = CURRENT_TIMESTAMP`,
+      params
+    );
+    return;
+  }
+  await query(
+    `INSERT INTO item_gram_weights (item_id, variant_id, item_name, weighed, grams_per_unit, note)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE item_name = VALUES(item_name), weighed = VALUES(weighed),
+       grams_per_unit = VALUES(grams_per_unit), note = VALUES(note)`,
+    params
+  );
+}
+
+/**
+ * The 7G variants of an item. The cached catalog keeps no variants, so they
+ * are read from Loyverse.
+ * @param {string} itemId
+ * @returns {Promise<Array<string>>} variant ids
+ */
+async function fetch7gVariantIds(itemId) {
+  const response = await loyverseClient.get(`/items/${encodeURIComponent(itemId)}`, {
+    headers: getHeaders()
+  });
+  const variants = response.data?.variants || [];
+  return variants
+    .filter((variant) => [variant.option1_value, variant.option2_value, variant.option3_value]
+      .some((value) => LEGACY_7G_OPTION.test(String(value || '').trim())))
+    .map((variant) => variant.variant_id || variant.id)
+    .filter(Boolean);
+}
+
+/**
+ * Seed the weights table once, after schema setup, with the catalog items
+ * whose names the gram count used to skip, marked as not weighed, and the
+ * Lemon Cherry 7G variants at 7 g. When the catalog cannot be read nothing
+ * is marked and the next schema setup tries again.
+ * @returns {Promise<number>} Number of entries added
+ */
+async function seedItemWeights() {
+  if (await hasSeedMarker(SEED_MARKER)) {
+    return 0;
+  }
+
+  let items = [];
+  try {
+    items = await catalog.getCatalog('items');
+  } catch (error) {
+    console.warn('[Weights] Could not read the item catalog:', error.message);
+    return 0;
+  }
+
+  const seeds = items.filter((item) => {
+    const name = String(item.name || '').toLowerCase();
+    return LEGACY_UNWEIGHED_KEYWORDS.some((keyword) => name.includes(keyword));
+  });
+  for (const item of seeds) {
+    await upsertWeight(normalizeWeightInput({ item_id: item.id, item_name: item.name, weighed: false, note: 'Built-in' }));
+  }
+  if (seeds.length > 0) {
+    console.log(`[Weights] Seeded ${seeds.length} not-weighed items`);
+  }
+
+  let packs = 0;
+  const lemonCherryItems = items.filter((item) => String(item.name || '').toLowerCase().includes(LEGACY_7G_KEYWORD));
+  for (const item of lemonCherryItems) {
+    let variantIds = [];
+    try {
+      variantIds = await fetch7gVariantIds(item.id);
+    } catch (error) {
+      console.warn(`[Weights] Could not read the variants of ${item.name}:`, error.message);
+      continue;
+    }
+    for (const variantId of variantIds) {
+      await upsertWeight(normalizeWeightInput({
+        item_id: item.id,
+        variant_id: variantId,
+        item_name: item.name,
+        grams_per_unit: 7,
+        note: 'Built-in 7G pack'
+      }));
+      packs += 1;
+    }
+  }
+  if (packs > 0) {
+    console.log(`[Weights] Seeded ${packs} Lemon Cherry 7G variants`);
+  }
+
+  await writeSeedMarker(SEED_MARKER);
+  return seeds.length + packs;
+}
+
+async function loadWeights() {
+  setItemWeights(await listItemWeights());
+  weightsLoadedAt = Date.now();
+}
+
+/**
+ * Reload the gram weights into the shared sales logic when they are older
+ * than the cache TTL (or always with force). If the database cannot be read
+ * the weights already in memory keep being used.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false]
+ */
+async function refreshItemWeights({ force = false } = {}) {
+  if (!force && Date.now() - weightsLoadedAt < WEIGHT_CACHE_TTL_MS) {
+    return;
+  }
+  if (!pendingRefresh) {
+    pendingRefresh = loadWeights()
+      .catch((error) => {
+        console.warn('[Weights] Using cached item weights:', error.message);
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  await pendingRefresh;
+}
+
+/**
+ * Set the gram weight of an item, or of one of its variants.
+ * @param {Object} input - { item_id, variant_id?, item_name?, weighed?, grams_per_unit?, note? }
+ * @returns {Promise<{before: Object|null, weight: Object}>}
+ */
+async function saveItemWeight(input) {
+  const values = normalizeWeightInput(input || {});
+  const before = await findItemWeightEntry(values.item_id, values.variant_id);
+  await upsertWeight(values);
+  await refreshItemWeights({ force: true });
+  return { before, weight: await findItemWeightEntry(values.item_id, values.variant_id) };
+}
+
+async function deleteItemWeight(id) {
+  await query(`DELETE FROM item_gram_weights WHERE id = ${placeholder(1)}`, [id]);
+  await refreshItemWeights({ force: true });
+}
+
+module.exports = {
+  listItemWeights,
+  getItemWeight,
+  saveItemWeight,
+  deleteItemWeight,
+  seedItemWeights,
+  refreshItemWeights
+};
@@ -0,0 +1,161 @@
+/**
+ * Loyverse HTTP client
+ * Shared axios instance with retries (exponential backoff, Retry-After) and
+ * an optional per-sync request budget.
+ */
+
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_REQUEST_BUDGET = 200;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+const RETRYABLE_ERROR_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ENOTFOUND']);
+
+const budgetStorage = new AsyncLocalStorage();
+
+const loyverseClient = axios.create({
+  baseURL: process.env.LOYVERSE_API_BASE_URL || 'https://api.loyverse.com/v1.0',
+  timeout: 30000
+});
+
+function getHeaders() {
+  const token = process.env.LOYVERSE_API_TOKEN;
+  if (!token) {
+    throw new Error('LOYVERSE_API_TOKEN is not configured');
+  }
+
+  return {
+    Authorization: `Bearer ${token}`
+  };
+}
+
+function getMaxRetries() {
+  const retries = parseInt(process.env.LOYVERSE_MAX_RETRIES || String(DEFAULT_MAX_RETRIES), 10);
+  return Number.isFinite(retries) && retries >= 0 ? retries : DEFAULT_MAX_RETRIES;
+}
+
+function getRequestBudget() {
+  const budget = parseInt(process.env.LOYVERSE_REQUEST_BUDGET || String(DEFAULT_REQUEST_BUDGET), 10);
+  return Number.isFinite(budget) && budget > 0 ? budget : DEFAULT_REQUEST_BUDGET;
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_ERROR_CODES.has(error.code);
+}
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date.
+ */
+function parseRetryAfter(headerValue) {
+  if (!headerValue) {
+    return null;
+  }
+
+  const seconds = Number(headerValue);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const retryAt = Date.parse(headerValue);
+  return Number.isFinite(retryAt) ? Math.max(0, retryAt - Date.now()) : null;
+}
+
+function getRetryDelay(error, attempt) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, MAX_DELAY_MS);
+  }
+
+  const backoff = BASE_DELAY_MS * (2 ** attempt);
+  const jitter = Math.random() * BASE_DELAY_MS;
+  return Math.min(backoff + jitter, MAX_DELAY_MS);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+loyverseClient.interceptors.request.use((config) => {
+  const budget = budgetStorage.getStore();
+  if (budget) {
+    if (budget.used >= budget.limit) {
+      const error = new Error(`Loyverse request budget of ${budget.limit} calls was used up before the sync finished. Totals were not updated; please try again later.`);
+      error.status = 503;
+      throw error;
+    }
+    budget.used += 1;
+  }
+  return config;
+});
+
+loyverseClient.interceptors.response.use(null, async (error) => {
+  const config = error.config;
+  if (!config || !isRetryable(error)) {
+    throw error;
+  }
+
+  const attempt = config.__retryCount || 0;
+  if (attempt >= getMaxRetries()) {
+    throw error;
+  }
+
+  config.__retryCount = attempt + 1;
+  const delay = getRetryDelay(error, attempt);
+  console.warn(`[Loyverse API] ${config.url} failed (${error.response?.status || error.code}), retry ${attempt + 1} in ${Math.round(delay)}ms`);
+  await sleep(delay);
+  return loyverseClient.request(config);
+});
+
+/**
+ * Run fn with a cap on the number of Loyverse calls (retries included).
+ * Nested calls share the outer budget.
+ * @param {Function} fn
+ * @returns {Promise<*>}
+ */
+function withRequestBudget(fn) {
+  if (budgetStorage.getStore()) {
+    return fn();
+  }
+  return budgetStorage.run({ limit: getRequestBudget(), used: 0 }, fn);
+}
+
+/**
+ * Run fn outside any request budget, for work a sync starts but does not
+ * wait for (e.g. a background catalog refresh).
+ * @param {Function} fn
+ * @returns {*}
+ */
+function withoutRequestBudget(fn) {
+  return budgetStorage.exit(fn);
+}
+
+/**
+ * Wrap a failed catalog lookup so the caller gets a clear 502 instead of
+ * silently misclassified totals.
+ * @param {string} resource - Human readable name, e.g. "payment types"
+ * @param {Error} cause
+ * @returns {Error}
+ */
+function partialFailureError(resource, cause) {
+  if (cause.status === 502 || cause.status === 503) {
+    return cause;
+  }
+  const reason = cause.response?.status ? `HTTP ${cause.response.status}` : cause.message;
+  const error = new Error(`Loyverse ${resource} could not be loaded (${reason}). Totals were not updated to avoid misclassified payments or items; please try again.`);
+  error.status = 502;
+  return error;
+}
+
+module.exports = {
+  loyverseClient,
+  getHeaders,
+  withRequestBudget,
+  withoutRequestBudget,
+  partialFailureError
+};
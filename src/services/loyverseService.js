@@ -1,164 +1,104 @@
-const axios = require('axios');
-const dayjs = require('dayjs');
-const utc = require('dayjs/plugin/utc');
-const timezone = require('dayjs/plugin/timezone');
 const { calculateNetSale, normalizeMoney, roundCurrency, toNumber } = require('../utils/calculations');
-const itemClassifier = require('./itemClassifier');
-
-dayjs.extend(utc);
-dayjs.extend(timezone);
-
-const loyverseClient = axios.create({
-  baseURL: process.env.LOYVERSE_API_BASE_URL || 'https://api.loyverse.com/v1.0',
-  timeout: 30000
-});
-
-function getHeaders() {
-  const token = process.env.LOYVERSE_API_TOKEN;
-  if (!token) {
-    throw new Error('LOYVERSE_API_TOKEN is not configured');
-  }
-
-  return {
-    Authorization: `Bearer ${token}`
-  };
-}
+const {
+  isCompletedReceipt,
+  filterOutRefundReceipts,
+  extractDiscountEntriesFromReceipt,
+  analyzeReceipt,
+  collectUnknownWeights,
+  summarizeClassTotals
+} = require('../shared/salesLogic');
+const { refreshClassificationRules } = require('./classificationRuleService');
+const { refreshItemWeights } = require('./itemWeightService');
+const { toClassTotalColumns } = require('./classTotalsService');
+const receiptArchive = require('./receiptArchiveService');
+const receiptSync = require('./receiptSyncService');
+const catalog = require('./catalogService');
+const { loyverseClient, getHeaders, withRequestBudget } = require('./loyverseClient');
+const { getBusinessDayStart } = require('./storeService');
+const { getBusinessDayBounds, toBusinessDate, formatStartMinutes } = require('../utils/businessDay');
+
+// The window fetch filters on created_at, which is when a receipt reached
+// Loyverse; a POS that was offline at closing uploads the day's last receipts
+// later. Incremental sync (the default) follows updated_at and needs none of
+// this; it only applies to LOYVERSE_SYNC_MODE=window and 402 fallbacks.
+const LATE_UPLOAD_HOURS = 2;
 
-function getDateBounds(date) {
+/**
+ * created_at range of the window fetch for a business day: the day itself
+ * plus LATE_UPLOAD_HOURS for late uploads. The extra receipts belong to the
+ * next day, so callers must keep only the day's own receipts with
+ * selectClosedReceiptsForDay.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} [dayStartMinutes=0]
+ * @returns {{startIso: string, endIso: string}}
+ */
+function getDateBounds(date, dayStartMinutes = 0) {
   if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
     throw new Error('Invalid date format. Use YYYY-MM-DD.');
   }
-  const tz = process.env.LOYVERSE_TIMEZONE || 'Asia/Bangkok';
 
-  const cutoffMinutes = Math.max(
-    0,
-    parseInt(process.env.DAY_BOUNDARY_CUTOFF_MINUTES || '1', 10)
-  );
-
-  // Expand the fetch window by 1 hour on both ends to catch late-syncing receipts
-  const startLocal = dayjs
-    .tz(`${date} 00:00:00`, tz)
-    .subtract(1, 'hour');
-
-  const endLocal = dayjs
-    .tz(`${date} 00:00:00`, tz)
-    .add(1, 'day')
-    .add(2, 'hour'); // Look 2 hours into the next day for late syncs
+  const { start, end } = getBusinessDayBounds(date, dayStartMinutes);
 
   return {
-    startIso: startLocal.utc().toISOString(),
-    endIso: endLocal.utc().toISOString()
+    startIso: start.utc().toISOString(),
+    endIso: end.add(LATE_UPLOAD_HOURS, 'hour').utc().toISOString()
   };
 }
 
-async function fetchPaymentTypeMap() {
-  try {
-    const response = await loyverseClient.get('/payment_types', {
-      headers: getHeaders()
-    });
-
-    const paymentTypes =
-      response.data?.payment_types ||
-      response.data?.items ||
-      response.data?.data ||
-      [];
-
-    const map = new Map();
-    for (const type of paymentTypes) {
-      const id = type.id || type.payment_type_id;
-      if (!id) {
-        continue;
-      }
-      map.set(id, {
-        name: type.name || type.payment_type || '',
-        type: type.type || ''
-      });
-    }
-
-    return map;
-  } catch (error) {
-    return new Map();
-  }
-}
-
 /**
- * Fetches all categories from Loyverse and returns a Map of category_id -> category_name (lowercase).
+ * Map of payment_type_id -> { name, type }, from the cached catalog.
+ * @param {string} [date] - Use the catalog snapshot that applied on this date
  */
-async function fetchCategoryIdNameMap() {
-  try {
-    const response = await loyverseClient.get('/categories', {
-      headers: getHeaders()
+async function fetchPaymentTypeMap(date) {
+  const paymentTypes = await catalog.getCatalog('payment_types', { date });
+
+  const map = new Map();
+  for (const type of paymentTypes) {
+    map.set(type.id, {
+      name: type.name || '',
+      type: type.type || ''
     });
-    const categories = response.data?.categories || response.data?.data || [];
-    const map = new Map();
-    for (const cat of categories) {
-      const id = cat.id || cat.category_id;
-      const name = cat.name || cat.category_name || '';
-      if (id) map.set(id, String(name).trim().toLowerCase());
-    }
-    console.log(`[Loyverse API] Category id->name map built: ${map.size} categories`);
-    return map;
-  } catch (error) {
-    console.error('[Loyverse API] fetchCategoryIdNameMap failed:', error.message);
-    return new Map();
   }
+
+  return map;
 }
 
 /**
- * Fetches all items from Loyverse and builds a Map of item_id -> category_name (lowercase).
- * Uses category_id -> category_name map to resolve names.
- * Falls back to empty Map on error so the rest of the report still works.
+ * Map of item_id -> category_name (lowercase), from the cached catalog.
+ * @param {string} [date] - Use the catalog snapshot that applied on this date
  */
-async function fetchItemCategoryMap() {
-  try {
-    // Step 1: get category_id -> category_name map
-    const categoryIdNameMap = await fetchCategoryIdNameMap();
-
-    // Step 2: fetch all items with pagination
-    const items = [];
-    let cursor = null;
-    let pages = 0;
-    const MAX_PAGES = 20;
-
-    do {
-      const params = { limit: 250 };
-      if (cursor) params.cursor = cursor;
+async function fetchItemCategoryMap(date) {
+  const items = await catalog.getCatalog('items', { date });
 
-      const response = await loyverseClient.get('/items', {
-        headers: getHeaders(),
-        params
-      });
-
-      const payload = response.data || {};
-      const pageItems = payload.items || payload.data || [];
-      items.push(...pageItems);
-      cursor = payload.cursor || null;
-      pages += 1;
-    } while (cursor && pages < MAX_PAGES);
+  const map = new Map();
+  for (const item of items) {
+    map.set(item.id, String(item.category_name || '').trim().toLowerCase());
+  }
 
-    // Step 3: build item_id -> category_name map
-    const map = new Map();
-    for (const item of items) {
-      const id = item.id || item.item_id;
-      if (!id) continue;
-      // Loyverse Items API returns category_id, not category_name
-      const categoryId = item.category_id;
-      const categoryName = categoryId
-        ? (categoryIdNameMap.get(categoryId) || '')
-        : (item.category_name || item.category || '');
-      map.set(id, String(categoryName).trim().toLowerCase());
-    }
+  console.log(`[Catalog] Item category map built: ${map.size} items`);
+  return map;
+}
 
-    console.log(`[Loyverse API] Item category map built: ${map.size} items`);
-    return map;
-  } catch (error) {
-    console.error('[Loyverse API] fetchItemCategoryMap failed:', error.message);
-    return new Map();
-  }
+/**
+ * Item category maps for many dates, e.g. an analytics range: each dated
+ * snapshot, and the current catalog for dates without one, is read and
+ * mapped once per loader.
+ * @returns {function(string): Promise<Map<string, string>>} date -> map
+ */
+function createItemCategoryMapLoader() {
+  const maps = new Map();
+  return async (date) => {
+    const snapshotDate = await catalog.findSnapshotDate('items', date);
+    const key = snapshotDate || 'current';
+    if (!maps.has(key)) {
+      maps.set(key, fetchItemCategoryMap(snapshotDate || undefined));
+    }
+    return maps.get(key);
+  };
 }
 
-async function fetchClosedReceiptsByDate(date) {
-  const { startIso, endIso } = getDateBounds(date);
+async function fetchClosedReceiptsByDate(date, storeId, dayStartMinutes = 0) {
+  const { startIso, endIso } = getDateBounds(date, dayStartMinutes);
   console.log(`[Loyverse API] Fetching receipts for date: ${date}`);
   console.log(`[Loyverse API] Time range - Start: ${startIso}, End: ${endIso}`);
 
@@ -173,6 +113,10 @@ async function fetchClosedReceiptsByDate(date) {
       limit: 250
     };
 
+    if (storeId) {
+      params.store_id = storeId;
+    }
+
     if (cursor) {
       params.cursor = cursor;
     }
@@ -205,11 +149,66 @@ async function fetchClosedReceiptsByDate(date) {
 
   console.log(`[Loyverse API] Total receipts fetched: ${receipts.length}`);
 
-  // Note: Manual override for #2-21386 is no longer needed due to the updated getDateBounds logic.
-
   return receipts;
 }
 
+/**
+ * Load receipts for a date, keeping the local archive up to date.
+ * In incremental mode only receipts changed since the last run are fetched
+ * and the day is read back from the archive. Otherwise the day window is
+ * fetched, falling back to the archive when Loyverse refuses the request
+ * (402 for dates older than the 30-day API window). The result can hold
+ * receipts of neighbouring days and refunds; selectClosedReceiptsForDay
+ * narrows it to the day's sales.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {boolean} [options.archiveOnly=false] - Skip Loyverse and read the archive only
+ * @param {string} [options.storeId] - Only receipts from this Loyverse store
+ * @returns {Promise<{receipts: Array, source: string, affectedDates: Array<string>}>}
+ */
+async function loadReceiptsForDate(date, { archiveOnly = false, storeId, dayStartMinutes } = {}) {
+  if (dayStartMinutes === undefined) {
+    dayStartMinutes = await getBusinessDayStart(storeId);
+  }
+
+  if (archiveOnly) {
+    const archived = await receiptArchive.getArchivedReceiptsByDate(date, { storeId, dayStartMinutes });
+    return { receipts: archived, source: 'archive', affectedDates: [] };
+  }
+
+  if (receiptSync.isIncrementalSyncEnabled()) {
+    const incremental = await receiptSync.loadReceiptsIncrementally(date, storeId);
+    if (incremental) {
+      return incremental;
+    }
+  }
+
+  let receipts;
+  try {
+    receipts = await fetchClosedReceiptsByDate(date, storeId, dayStartMinutes);
+  } catch (error) {
+    if (error.response?.status !== 402) {
+      throw error;
+    }
+
+    const archived = await receiptArchive.getArchivedReceiptsByDate(date, { storeId, dayStartMinutes });
+    if (archived.length === 0) {
+      throw error;
+    }
+
+    console.log(`[Loyverse API] ${date} is outside the API window, using ${archived.length} archived receipts`);
+    return { receipts: archived, source: 'archive', affectedDates: [] };
+  }
+
+  try {
+    await receiptArchive.archiveReceipts(receipts);
+  } catch (archiveError) {
+    console.error('[Archive] Failed to archive receipts:', archiveError.message);
+  }
+
+  return { receipts, source: 'loyverse', affectedDates: [date] };
+}
+
 function classifyPaymentType(paymentTypeText) {
   const normalized = String(paymentTypeText || '').toUpperCase();
 
@@ -242,474 +241,40 @@ function classifyPaymentType(paymentTypeText) {
   return 'other';
 }
 
-function hasRefundData(receipt) {
-  const refundedFlags = [
-    receipt.is_refunded,
-    receipt.refunded,
-    receipt.is_returned
-  ];
-  if (refundedFlags.some((flag) => flag === true)) {
-    return true;
-  }
-
-  if (receipt.refunded_at || receipt.returned_at) {
-    return true;
-  }
-
-  const refundCollections = [
-    receipt.refunds,
-    receipt.refund_items,
-    receipt.returns
-  ];
-
-  return refundCollections.some((collection) => Array.isArray(collection) && collection.length > 0);
-}
-
-function isVoidedReceipt(receipt) {
-  const status = String(receipt.status || '').toUpperCase();
-  const voidStatuses = new Set(['VOIDED', 'VOID', 'CANCELLED', 'CANCELED', 'DELETED']);
-
-  return (
-    voidStatuses.has(status) ||
-    receipt.voided_at ||
-    receipt.cancelled_at ||
-    receipt.canceled_at ||
-    receipt.deleted_at ||
-    receipt.is_voided === true
-  );
-}
-
-// --- THE REFUND GHOST FIX ---
-function isCompletedReceipt(receipt) {
-  // Explicitly REJECT the Loyverse "Refund" receipt type
-  const receiptType = String(receipt.receipt_type || receipt.type || '').toUpperCase();
-  if (receiptType === 'REFUND') {
-    return false;
-  }
-
-  // Reject the original receipt if it has been voided or refunded
-  if (isVoidedReceipt(receipt) || hasRefundData(receipt)) {
-    return false;
-  }
-
-  // Reject if the receipt has a negative total (indicative of a refund)
-  const total = normalizeMoney(pickMoneyValue(
-    receipt?.total_money,
-    receipt?.total_price_money,
-    receipt?.amount_money,
-    receipt?.amount
-  ) ?? 0);
-  if (total < 0) {
-    return false;
-  }
-
-  // Only accept valid closed/paid statuses
-  const status = String(receipt.status || '').toUpperCase();
-  const completedStatuses = new Set(['', 'CLOSED', 'COMPLETED', 'PAID']);
-  return completedStatuses.has(status);
-}
-
-/**
- * Filter receipts to exclude refund-related receipts
- * @param {Array} receipts - Raw receipts from Loyverse
- * @returns {Array} Filtered receipts excluding refunds
- */
-function filterOutRefundReceipts(receipts) {
-  if (!Array.isArray(receipts)) return [];
-  
-  // 1. Identify all refund receipts and the original receipts they point to
-  const refundReceiptNumbers = new Set();
-  const originalReceiptNumbersToExclude = new Set();
-  
-  receipts.forEach(receipt => {
-    const type = String(receipt.receipt_type || receipt.type || '').toUpperCase();
-    const receiptNumber = String(receipt.receipt_number || receipt.number || '').trim();
-    
-    if (type === 'REFUND') {
-      refundReceiptNumbers.add(receiptNumber);
-      
-      // Look for the original receipt number in the refund data
-      // Loyverse often puts the original receipt number in refund_for or similar fields
-      const originalNumber = receipt.refund_for || receipt.refund_for_receipt_number || receipt.original_receipt_number;
-      if (originalNumber) {
-        originalReceiptNumbersToExclude.add(String(originalNumber).trim());
-      }
-      
-      // Also check if it's in the note or description (common in some setups)
-      const note = String(receipt.note || '').toUpperCase();
-      const match = note.match(/REFUND\s+(?:OF\s+)?#?([0-9-]+)/);
-      if (match && match[1]) {
-        originalReceiptNumbersToExclude.add(match[1].trim());
-      }
-    }
-    
-    // Check if the receipt itself is marked as refunded
-    if (hasRefundData(receipt)) {
-      originalReceiptNumbersToExclude.add(receiptNumber);
-    }
-  });
-  
-  // 2. Filter out both the refund receipts and the original receipts that were refunded
-  return receipts.filter(receipt => {
-    const receiptNumber = String(receipt.receipt_number || receipt.number || '').trim();
-    
-    // Exclude if it's a refund receipt
-    if (refundReceiptNumbers.has(receiptNumber)) return false;
-    
-    // Exclude if it's an original receipt that was later refunded
-    if (originalReceiptNumbersToExclude.has(receiptNumber)) return false;
-    
-    // Standard completion check
-    return isCompletedReceipt(receipt);
-  });
-}
-
-function normalizeCategoryValue(rawCategory) {
-  return String(rawCategory || '').trim().toLowerCase();
-}
-
-function getReceiptIdentifier(receipt) {
-  return (
-    receipt.receipt_number ||
-    receipt.number ||
-    receipt.id ||
-    receipt.receipt_id ||
-    'unknown-receipt'
-  );
-}
-
-function extractLineItemCategory(lineItem) {
-  if (!lineItem || typeof lineItem !== 'object') {
-    return '';
-  }
-
-  // Loyverse API uses category_name on line_items
-  if (lineItem.category_name) {
-    return normalizeCategoryValue(lineItem.category_name);
-  }
-
-  if (Object.prototype.hasOwnProperty.call(lineItem, 'category')) {
-    return normalizeCategoryValue(lineItem.category);
-  }
-
-  return '';
-}
-
-function extractLineItemQty(lineItem) {
-  const qty =
-    lineItem?.quantity ??
-    lineItem?.qty ??
-    lineItem?.count ??
-    lineItem?.item_quantity ??
-    0;
-
-  const normalized = toNumber(qty);
-  return Number.isFinite(normalized) && normalized > 0 ? normalized : 0;
-}
-
-function extractMoneyValue(value) {
-  if (value === null || value === undefined) {
-    return null;
-  }
-
-  if (typeof value === 'number') {
-    return Number.isFinite(value) ? value : null;
-  }
-
-  if (typeof value === 'string') {
-    const parsed = Number(value);
-    return Number.isFinite(parsed) ? parsed : null;
-  }
-
-  if (typeof value === 'object') {
-    if (Object.prototype.hasOwnProperty.call(value, 'amount')) {
-      return extractMoneyValue(value.amount);
-    }
-    if (Object.prototype.hasOwnProperty.call(value, 'value')) {
-      return extractMoneyValue(value.value);
-    }
-  }
-
-  return null;
-}
-
-function pickMoneyValue(...candidates) {
-  for (const candidate of candidates) {
-    const value = extractMoneyValue(candidate);
-    if (value !== null) {
-      return value;
-    }
-  }
-  return null;
-}
-
-function extractLineItemPrice(lineItem) {
-  // --- Zero-Value Gatekeeper Rule ---
-  // Prioritize net amount (after discounts) using nullish coalescing to catch 0
-  const directAmount = pickMoneyValue(
-    lineItem?.total_money,
-    lineItem?.total_price_money,
-    lineItem?.line_total_money,
-    lineItem?.total,
-    lineItem?.total_price,
-    lineItem?.line_total,
-    lineItem?.amount
-  );
-
-  if (directAmount !== null && directAmount !== undefined) {
-    return normalizeMoney(directAmount);
-  }
-
-  const grossAmount = pickMoneyValue(
-    lineItem?.gross_total_money,
-    lineItem?.gross_sales_money,
-    lineItem?.subtotal_money,
-    lineItem?.total_before_discount_money,
-    lineItem?.total_before_discounts_money,
-    lineItem?.original_total_money
-  );
-
-  if (grossAmount !== null && grossAmount !== undefined) {
-    const gross = normalizeMoney(grossAmount);
-    const discount = normalizeMoney(pickMoneyValue(
-      lineItem?.total_discount_money,
-      lineItem?.total_discounts_money,
-      lineItem?.discount_money,
-      lineItem?.discount_amount,
-      lineItem?.discount
-    ) ?? 0);
-    return roundCurrency(gross - discount);
-  }
-
-  const unitPrice = pickMoneyValue(
-    lineItem?.price_money,
-    lineItem?.unit_price_money,
-    lineItem?.price,
-    lineItem?.unit_price
-  ) ?? 0;
-
-  const qty = extractLineItemQty(lineItem);
-  return roundCurrency(normalizeMoney(unitPrice) * qty);
-}
-
-function extractLineItemGrossPrice(lineItem) {
-  const grossAmount = pickMoneyValue(
-    lineItem?.gross_total_money,
-    lineItem?.gross_sales_money,
-    lineItem?.subtotal_money,
-    lineItem?.total_before_discount_money,
-    lineItem?.total_before_discounts_money,
-    lineItem?.original_total_money
-  );
-
-  if (grossAmount !== null && grossAmount !== undefined) {
-    return normalizeMoney(grossAmount);
-  }
-
-  const netAmount = pickMoneyValue(
-    lineItem?.total_money,
-    lineItem?.total_price_money,
-    lineItem?.line_total_money,
-    lineItem?.total,
-    lineItem?.total_price,
-    lineItem?.line_total,
-    lineItem?.amount
-  );
-
-  const lineDiscount = pickMoneyValue(
-    lineItem?.total_discount_money,
-    lineItem?.total_discounts_money,
-    lineItem?.discount_money,
-    lineItem?.discount_amount,
-    lineItem?.discount
-  );
-
-  if (netAmount !== null) {
-    return roundCurrency(normalizeMoney(netAmount) + normalizeMoney(lineDiscount ?? 0));
-  }
-
-  const unitPrice = pickMoneyValue(
-    lineItem?.price_money,
-    lineItem?.unit_price_money,
-    lineItem?.price,
-    lineItem?.unit_price
-  ) ?? 0;
-  const qty = extractLineItemQty(lineItem);
-  return roundCurrency(normalizeMoney(unitPrice) * qty);
-}
-
-function extractReceiptDiscountAmount(receipt) {
-  return Math.abs(normalizeMoney(pickMoneyValue(
-    receipt?.total_discounts_money,
-    receipt?.total_discount_money,
-    receipt?.total_discount,
-    receipt?.discount_money,
-    receipt?.discount_amount,
-    receipt?.discount
-  ) ?? 0));
-}
-
-function buildAutomatedReceiptRow(receipt, itemCategoryMap = new Map()) {
-  const lineItems = receipt.line_items || receipt.items || [];
-  const receiptNumber = getReceiptIdentifier(receipt);
-  const time = receipt.receipt_date || receipt.created_at || null;
-  const strictCategoryRequired = String(process.env.LOYVERSE_STRICT_CATEGORY || 'false').toLowerCase() === 'true';
-
-  let totalGram = 0;
-  let numeratorPrice = 0;
-  let denominatorPrice = 0;
-  let mainGrossTotal = 0;
-  let fbGrossTotal = 0;
-  let netSales = 0;
-  let mainItemName = '';
-
-  for (let index = 0; index < lineItems.length; index += 1) {
-    const lineItem = lineItems[index];
-    let itemName = String(lineItem.item_name || lineItem.name || "").toLowerCase();
-    let category = extractLineItemCategory(lineItem);
-    if (!category) {
-      const itemId = lineItem.item_id || lineItem.id;
-      if (itemId && itemCategoryMap.has(itemId)) {
-        category = itemCategoryMap.get(itemId);
-      }
-    }
-    let normalizedCategory = category || 'uncategorized';
-    const itemTotal = extractLineItemPrice(lineItem);
-    const itemGrossTotal = extractLineItemGrossPrice(lineItem);
-    
-    // Skip items where price is 0 OR discount is 100%
-    const itemDiscount = Math.max(0, itemGrossTotal - itemTotal);
-    const itemDiscountPercent = itemGrossTotal > 0 ? (itemDiscount / itemGrossTotal * 100) : 0;
-    
-    // Strictly exclude items with 100% discount or price 0 from gram totals
-    // We check both the line-level total AND whether the receipt has a 100% discount entry
-    const discountEntries = extractDiscountEntriesFromReceipt(receipt);
-    const has100PercentReceiptDiscount = discountEntries.some(d => d.percentage >= 99.99);
-    
-    // An item is effectively free if its net price is 0 OR the receipt has a 100% discount
-    const isEffectivelyFree = itemTotal <= 0.01 || itemDiscountPercent >= 99.99 || has100PercentReceiptDiscount;
-
-    let qty = extractLineItemQty(lineItem);
-
-    // --- [1] LEMON CHERRY OVERRIDE (7G Fix) ---
-    if (itemName.includes('lemon cherry') && itemTotal >= 4970) {
-      qty = 7; 
-    }
-
-    // --- [2] CATEGORY IDENTIFICATION (Using itemClassifier) ---
-    const unitPrice = qty > 0 ? roundCurrency(itemTotal / qty) : itemTotal;
-    const classification = itemClassifier.classifyItem(itemName, normalizedCategory, unitPrice);
-    
-    const isFlowerStrain = classification === 'main';
-    const isFB = classification === 'fb';
-    const isAcc = classification === 'accessory';
-
-    // --- [3] THE BEST BUDS ROUTING LOGIC ---
-    if (isFB) {
-      // Group B: F&B
-      // Action -> ညာဘက်မှာထားမယ်, Gram 0.000
-      denominatorPrice += itemTotal;
-      fbGrossTotal += itemGrossTotal;
-    } else if (isAcc) {
-      // Group C: Real Accessories
-      // Action -> ဘယ်ဘက်မှာထားမယ်, Gram 0.000
-      numeratorPrice += itemTotal;
-      mainGrossTotal += itemGrossTotal;
-    } else {
-      // Group A: Main Flowers (ပန်းသီးသန့်)
-      // Action -> ဘယ်ဘက်မှာထားမယ်, Gram ပေါင်းမယ်
-      numeratorPrice += itemTotal;
-      mainGrossTotal += itemGrossTotal;
-      
-      // --- [NEW] Gram Exclusion Logic ---
-      // Strictly exclude F&B and Accessories from gram totals
-      // Also exclude specific items that might be classified as 'main' but shouldn't have grams
-      const isLobbyShirt = itemName.includes('the lobby shirt');
-      const isThcGummy = itemName.includes('thc gummy');
-      const isBalm = itemName.includes('balm');
-      const isPillowMist = itemName.includes('pillow mist');
-      
-      if (!isFB && !isAcc && !isLobbyShirt && !isThcGummy && !isBalm && !isPillowMist && !isEffectivelyFree) {
-        totalGram += qty;
-        if (!mainItemName) {
-          mainItemName = String(lineItem.item_name || lineItem.name || "").trim();
-        }
-      }
-    }
-
-    netSales += itemTotal;
-  }
-
-  // Receipt-level discount fallback:
-  // If API did not fully push discounts down to line item totals, allocate the remainder.
-  // - If discount likely applies to whole receipt, split remainder proportionally (Main + F&B).
-  // - Otherwise, apply remainder to the side that already carries more line-level discount.
-  const receiptDiscount = extractReceiptDiscountAmount(receipt);
-  const mainLineDiscount = Math.max(0, roundCurrency(mainGrossTotal - numeratorPrice));
-  const fbLineDiscount = Math.max(0, roundCurrency(fbGrossTotal - denominatorPrice));
-  const knownLineDiscount = roundCurrency(mainLineDiscount + fbLineDiscount);
-  let remainingReceiptDiscount = roundCurrency(Math.max(0, receiptDiscount - knownLineDiscount));
-
-  if (remainingReceiptDiscount > 0.01) {
-    const hasBothSidesSales = numeratorPrice > 0.01 && denominatorPrice > 0.01;
-    const discountEntries = extractDiscountEntriesFromReceipt(receipt);
-    const receiptDiscountPercentage = pickPreferredDiscountPercentage(
-      discountEntries.map((entry) => entry?.percentage)
-    );
-
-    const likelyWholeReceiptDiscount = hasBothSidesSales && (
-      (mainLineDiscount <= 0.01 && fbLineDiscount <= 0.01) ||
-      (receiptDiscountPercentage !== null && receiptDiscountPercentage > 0 && receiptDiscountPercentage < 100)
-    );
-
-    if (likelyWholeReceiptDiscount) {
-        const splitBase = roundCurrency(numeratorPrice + denominatorPrice);
-        if (splitBase > 0.01) {
-          const mainShare = numeratorPrice / splitBase;
-          const fbShare = denominatorPrice / splitBase;
-
-          const mainDeduct = roundCurrency(remainingReceiptDiscount * mainShare);
-          const fbDeduct = roundCurrency(remainingReceiptDiscount * fbShare);
-
-          numeratorPrice = roundCurrency(numeratorPrice - mainDeduct);
-          denominatorPrice = roundCurrency(denominatorPrice - fbDeduct);
-          remainingReceiptDiscount = roundCurrency(remainingReceiptDiscount - mainDeduct - fbDeduct);
-        }
-    } else {
-      // Re-evaluate the remaining discount distribution to be simpler and more direct
-      // Distribute remaining discount proportionally if both sides have sales
-      if (numeratorPrice > 0.01 && denominatorPrice > 0.01) {
-        const totalSales = numeratorPrice + denominatorPrice;
-        const mainDeduct = roundCurrency(remainingReceiptDiscount * (numeratorPrice / totalSales));
-        const fbDeduct = roundCurrency(remainingReceiptDiscount * (denominatorPrice / totalSales));
-        numeratorPrice = roundCurrency(numeratorPrice - mainDeduct);
-        denominatorPrice = roundCurrency(denominatorPrice - fbDeduct);
-      } else if (numeratorPrice > 0.01) {
-        // If only main sales, apply all remaining discount to main
-        numeratorPrice = roundCurrency(numeratorPrice - remainingReceiptDiscount);
-      } else if (denominatorPrice > 0.01) {
-        // If only F&B sales, apply all remaining discount to F&B
-        denominatorPrice = roundCurrency(denominatorPrice - remainingReceiptDiscount);
-      }
-    }
-
-    netSales = roundCurrency(numeratorPrice + denominatorPrice);
-  }
-
+function toAutomatedReceiptRow(analysis) {
   return {
-    receipt_number: receiptNumber,
-    time,
-    gram_qty: roundCurrency(totalGram),
-    item_name: mainItemName || 'Accessories',
-    numerator_price: roundCurrency(numeratorPrice),
-    denominator_price: roundCurrency(denominatorPrice),
-    price_split: `${roundCurrency(numeratorPrice)} / ${roundCurrency(denominatorPrice)}`,
-    net_sales: roundCurrency(netSales)
+    receipt_number: analysis.receipt_number,
+    time: analysis.time,
+    gram_qty: analysis.gram_qty,
+    item_name: analysis.item_name,
+    numerator_price: analysis.main_total,
+    denominator_price: analysis.fb_total,
+    price_split: `${analysis.main_total} / ${analysis.fb_total}`,
+    net_sales: analysis.net_sales,
+    items: analysis.items.map((item) => ({
+      item_name: item.item_name,
+      category_name: item.category,
+      classification: item.classification,
+      quantity: item.quantity,
+      gram_qty: item.gram_qty,
+      grams: item.grams,
+      unknown_weight: item.unknown_weight,
+      price: item.net,
+      is_free: item.is_free
+    }))
   };
 }
 
+/**
+ * One row per receipt (grams, Main / F&B split, net sales) with day totals,
+ * the day's gross / discount / net per classification, and the main items
+ * sold without a gram weight.
+ * @param {Array} receipts
+ * @param {Map<string, string>} [itemCategoryMap]
+ */
 function buildAutomatedReportRows(receipts, itemCategoryMap = new Map()) {
-  const rows = receipts.map(receipt => buildAutomatedReceiptRow(receipt, itemCategoryMap));
+  const analyses = receipts.map(receipt => analyzeReceipt(receipt, { itemCategoryMap }));
+  const rows = analyses.map(toAutomatedReceiptRow);
 
   const totals = rows.reduce(
     (acc, row) => {
@@ -734,8 +299,10 @@ function buildAutomatedReportRows(receipts, itemCategoryMap = new Map()) {
       total_numerator_price: roundCurrency(totals.total_numerator_price),
       total_denominator_price: roundCurrency(totals.total_denominator_price),
       total_price_split: `${roundCurrency(totals.total_numerator_price)} / ${roundCurrency(totals.total_denominator_price)}`,
-      total_net_sales: roundCurrency(totals.total_net_sales)
-    }
+      total_net_sales: roundCurrency(totals.total_net_sales),
+      class_totals: summarizeClassTotals(analyses)
+    },
+    unknown_weight_items: collectUnknownWeights(analyses)
   };
 }
 
@@ -814,438 +381,59 @@ function extractPaymentEntries(receipt, paymentTypeMap) {
   ];
 }
 
-function extractDiscountValue(entry) {
-  const rawAmount =
-    entry?.money_amount ??
-    entry?.amount_money?.amount ??
-    entry?.amount_money ??
-    entry?.amount ??
-    entry?.discount_money ??
-    entry?.discount_amount ??
-    entry?.total_discount_money ??
-    entry?.value ??
-    0;
-
-  return normalizeMoney(rawAmount);
-}
-
-function normalizePercentageValue(value) {
-  if (value === null || value === undefined || value === '') {
-    return null;
-  }
-
-  const normalizedRaw =
-    typeof value === 'string'
-      ? value.replace('%', '').trim()
-      : value;
-  const parsed = Number(normalizedRaw);
-  if (!Number.isFinite(parsed) || parsed === 0) {
-    return null;
-  }
-
-  const absolute = Math.abs(parsed);
-  const percentage = absolute > 0 && absolute <= 1 ? absolute * 100 : absolute;
-  return roundCurrency(percentage);
-}
-
-function deriveDiscountPercentageFromBase(discountAmount, baseAmount) {
-  const normalizedDiscount = Math.abs(normalizeMoney(discountAmount));
-  const normalizedBase = Math.abs(normalizeMoney(baseAmount));
-
-  if (normalizedDiscount <= 0 || normalizedBase <= normalizedDiscount) {
-    return null;
-  }
-
-  const percentage = roundCurrency((normalizedDiscount / normalizedBase) * 100);
-  if (!Number.isFinite(percentage) || percentage <= 0 || percentage >= 100) {
-    return null;
-  }
-
-  return percentage;
-}
-
-function pickPreferredDiscountPercentage(candidates) {
-  const normalized = candidates
-    .map((candidate) => normalizePercentageValue(candidate))
-    .filter((value) => Number.isFinite(value) && value > 0 && value < 100)
-    .map((value) => roundCurrency(value));
-
-  if (!normalized.length) {
-    return null;
-  }
-
-  const frequencyMap = new Map();
-  for (const value of normalized) {
-    frequencyMap.set(value, (frequencyMap.get(value) || 0) + 1);
-  }
-
-  const unique = [...frequencyMap.keys()];
-  unique.sort((a, b) => {
-    const freqDiff = (frequencyMap.get(b) || 0) - (frequencyMap.get(a) || 0);
-    if (freqDiff !== 0) {
-      return freqDiff;
-    }
-
-    const decimalA = Math.abs(a - Math.round(a));
-    const decimalB = Math.abs(b - Math.round(b));
-
-    if (decimalA !== decimalB) {
-      return decimalA - decimalB;
-    }
-
-    return b - a;
+/**
+ * The completed receipts that belong to a business day: refunds, refunded
+ * originals and voided receipts are dropped, as are receipts from the extra
+ * fetch window around the day. Line items without a category_name get it
+ * from itemCategoryMap so the browser classifies them the same way.
+ * @param {Array} receipts
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} dayStartMinutes
+ * @param {Map<string, string>} [itemCategoryMap]
+ * @returns {Array}
+ */
+function selectClosedReceiptsForDay(receipts, date, dayStartMinutes, itemCategoryMap = new Map()) {
+  // 1. Filter out refunds and voided receipts
+  // 2. STRICT DATE FILTERING: Only keep receipts whose business day matches the requested date
+  const closedReceipts = filterOutRefundReceipts(receipts).filter(receipt => {
+    const rDate = receipt.receipt_date || receipt.created_at;
+    if (!rDate) return false;
+    return toBusinessDate(rDate, dayStartMinutes) === date;
   });
 
-  return unique[0];
-}
-
-function pushMoneyCandidate(target, rawValue) {
-  const amount = Math.abs(normalizeMoney(rawValue));
-  if (amount > 0) {
-    target.push(amount);
-  }
-}
-
-function deriveDiscountPercentageFromContext(discountAmount, context) {
-  if (!context || typeof context !== 'object') {
-    return null;
-  }
-
-  const normalizedDiscount = Math.abs(normalizeMoney(discountAmount));
-  if (normalizedDiscount <= 0) {
-    return null;
-  }
-
-  const grossCandidates = [];
-  const netCandidates = [];
-
-  const grossFields = [
-    context.gross_sales_money,
-    context.gross_total_money,
-    context.total_before_discount_money,
-    context.total_before_discounts_money,
-    context.original_total_money,
-    context.subtotal_before_discounts_money
-  ];
-
-  const netFields = [
-    context.total_money,
-    context.total,
-    context.total_paid_money,
-    context.net_sales_money,
-    context.subtotal_money
-  ];
-
-  for (const field of grossFields) {
-    pushMoneyCandidate(grossCandidates, field);
-  }
-  for (const field of netFields) {
-    pushMoneyCandidate(netCandidates, field);
-  }
-
-  const quantity = toNumber(context.quantity);
-  const normalizedQuantity = Number.isFinite(quantity) && quantity > 0 ? quantity : 1;
-  const unitPriceFields = [
-    context.price_money,
-    context.price,
-    context.unit_price_money,
-    context.unit_price,
-    context.base_price_money,
-    context.item_price_money
-  ];
-
-  for (const unitPrice of unitPriceFields) {
-    const normalizedUnitPrice = Math.abs(normalizeMoney(unitPrice));
-    if (normalizedUnitPrice > 0) {
-      grossCandidates.push(normalizedUnitPrice * normalizedQuantity);
-    }
-  }
-
-  const percentages = [];
-  for (const gross of grossCandidates) {
-    const p = deriveDiscountPercentageFromBase(normalizedDiscount, gross);
-    if (p !== null) percentages.push(p);
-  }
-  for (const net of netCandidates) {
-    const p = deriveDiscountPercentageFromBase(normalizedDiscount, net + normalizedDiscount);
-    if (p !== null) percentages.push(p);
-  }
-
-  return pickPreferredDiscountPercentage(percentages);
-}
-
-function deriveDiscountPercentageFromReceiptLineItems(discountAmount, receipt) {
-  const lineItems = receipt.line_items || receipt.items || [];
-  if (!Array.isArray(lineItems) || !lineItems.length) {
-    return null;
-  }
-
-  const candidates = [];
-  for (const line of lineItems) {
-    const p = extractDiscountPercentage(line);
-    if (p !== null) candidates.push(p);
-  }
-
-  return pickPreferredDiscountPercentage(candidates);
-}
-
-function extractDiscountPercentage(entry, options = {}) {
-  const { depth = 0, visited = new Set() } = options;
-  if (depth > 3 || !entry || typeof entry !== 'object' || visited.has(entry)) {
-    return null;
-  }
-  visited.add(entry);
-
-  const directCandidates = [
-    entry.percentage,
-    entry.percent,
-    entry.rate,
-    entry.value_percentage,
-    entry.discount_percentage,
-    entry.percent_off,
-    entry.discount_percent
-  ];
-
-  for (const candidate of directCandidates) {
-    const percentage = normalizePercentageValue(candidate);
-    if (percentage !== null) {
-      return percentage;
-    }
-  }
-
-  const typeText = [
-    entry.type,
-    entry.discount_type,
-    entry.value_type,
-    entry.calculation_type,
-    entry.amount_type
-  ]
-    .filter(Boolean)
-    .join(' ')
-    .toUpperCase();
-
-  const valueCandidateRaw =
-    typeof entry.value === 'string'
-      ? entry.value.replace('%', '').trim()
-      : entry.value;
-  if (typeText.includes('PERCENT')) {
-    const percentage = normalizePercentageValue(valueCandidateRaw);
-    if (percentage !== null) {
-      return percentage;
-    }
-  }
-
-  const textFields = [
-    entry.name,
-    entry.title,
-    entry.label,
-    entry.description,
-    entry.reason,
-    entry.note
-  ]
-    .filter(Boolean)
-    .map((value) => String(value))
-    .join(' ');
-
-  const match = textFields.match(/(\d+(?:\.\d+)?)\s*%/);
-  if (match) {
-    const percentage = normalizePercentageValue(match[1]);
-    if (percentage !== null) {
-      return percentage;
-    }
-  }
-
-  const nestedDiscountFields = [
-    entry.discount,
-    entry.discounts,
-    entry.applied_discount,
-    entry.applied_discounts,
-    entry.discount_data,
-    entry.discount_detail,
-    entry.discount_details
-  ];
-
-  for (const nestedField of nestedDiscountFields) {
-    if (!nestedField) {
-      continue;
-    }
-
-    if (Array.isArray(nestedField)) {
-      for (const nestedEntry of nestedField) {
-        const percentage = extractDiscountPercentage(nestedEntry, {
-          depth: depth + 1,
-          visited
-        });
-        if (percentage !== null) {
-          return percentage;
+  for (const receipt of closedReceipts) {
+    const lineItems = receipt.line_items || receipt.items || [];
+    for (const lineItem of lineItems) {
+      if (!lineItem.category_name) {
+        const itemId = lineItem.item_id || lineItem.id;
+        if (itemId && itemCategoryMap.has(itemId)) {
+          lineItem.category_name = itemCategoryMap.get(itemId);
         }
       }
-      continue;
-    }
-
-    if (typeof nestedField === 'object') {
-      const percentage = extractDiscountPercentage(nestedField, {
-        depth: depth + 1,
-        visited
-      });
-      if (percentage !== null) {
-        return percentage;
-      }
     }
   }
 
-  return null;
+  return closedReceipts;
 }
 
-function createDiscountEntry(amount, percentage = null, time = null, receiptNumber = null) {
-  const normalizedAmount = roundCurrency(Math.abs(amount));
-  const normalizedPercentage = normalizePercentageValue(percentage);
-
-  // Keep 100% discounts even if amount is 0, or any discount with a positive amount
-  if (normalizedAmount <= 0 && (normalizedPercentage === null || normalizedPercentage < 99.99)) {
-    return null;
-  }
-
-  return {
-    amount: normalizedAmount,
-    percentage: Number.isFinite(normalizedPercentage) && normalizedPercentage > 0 ? normalizedPercentage : null,
-    time,
-    receiptNumber
-  };
-}
-
-function extractDiscountEntriesFromReceipt(receipt) {
-  const receiptLevelCandidates = [
-    receipt.total_discounts_money,
-    receipt.total_discount_money,
-    receipt.total_discount,
-    receipt.discount_money,
-    receipt.discount_amount,
-    receipt.discount
-  ];
-
-  const entries = [];
-
-  const receiptDiscountLists = [
-    receipt.total_discounts,
-    receipt.discounts,
-    receipt.applied_discounts
-  ];
-
-  for (const list of receiptDiscountLists) {
-    if (!Array.isArray(list)) {
-      continue;
-    }
-    for (const discount of list) {
-      const amount = Math.abs(extractDiscountValue(discount));
-      const percentage =
-        extractDiscountPercentage(discount) ??
-        deriveDiscountPercentageFromReceiptLineItems(amount, receipt) ??
-        deriveDiscountPercentageFromContext(amount, discount) ??
-        deriveDiscountPercentageFromContext(amount, receipt);
-      const entry = createDiscountEntry(
-        amount, 
-        percentage, 
-        receipt.receipt_date || receipt.created_at || null,
-        receipt.receipt_number || receipt.number || null
-      );
-      if (entry) {
-        entries.push(entry);
-      }
-    }
-  }
-
-  const lineItems = receipt.line_items || receipt.items || [];
-  if (Array.isArray(lineItems)) {
-    for (const line of lineItems) {
-      const lineLevelCandidates = [
-        line.total_discounts_money,
-        line.total_discount_money,
-        line.discount_money,
-        line.discount_amount,
-        line.discount
-      ];
-
-      let lineDiscount = null;
-      for (const candidate of lineLevelCandidates) {
-        const amount = Math.abs(normalizeMoney(candidate));
-        if (amount > 0) {
-          const percentage =
-            extractDiscountPercentage(line) ??
-            deriveDiscountPercentageFromContext(amount, line) ??
-            deriveDiscountPercentageFromContext(amount, receipt);
-          lineDiscount = createDiscountEntry(
-            amount, 
-            percentage, 
-            receipt.receipt_date || receipt.created_at || null,
-            receipt.receipt_number || receipt.number || null
-          );
-          break;
-        }
-      }
-
-      if (lineDiscount) {
-        entries.push(lineDiscount);
-        continue;
-      }
-
-      const lineDiscountLists = [line.discounts, line.applied_discounts];
-      for (const list of lineDiscountLists) {
-        if (!Array.isArray(list)) {
-          continue;
-        }
-        for (const discount of list) {
-          const amount = Math.abs(extractDiscountValue(discount));
-          const percentage =
-            extractDiscountPercentage(discount) ??
-            extractDiscountPercentage(line) ??
-            deriveDiscountPercentageFromContext(amount, discount) ??
-            deriveDiscountPercentageFromContext(amount, line) ??
-            deriveDiscountPercentageFromContext(amount, receipt);
-          const entry = createDiscountEntry(
-        amount, 
-        percentage, 
-        receipt.receipt_date || receipt.created_at || null,
-        receipt.receipt_number || receipt.number || null
-      );
-          if (entry) {
-            entries.push(entry);
-          }
-        }
-      }
-    }
-  }
-
-  if (entries.length > 0) {
-    return entries;
-  }
-
-  const fallbackPercentage = extractDiscountPercentage(receipt);
-  for (const candidate of receiptLevelCandidates) {
-    const amount = Math.abs(normalizeMoney(candidate));
-    const percentage =
-      fallbackPercentage ??
-      deriveDiscountPercentageFromContext(amount, receipt);
-    const entry = createDiscountEntry(
-        amount, 
-        percentage, 
-        receipt.receipt_date || receipt.created_at || null,
-        receipt.receipt_number || receipt.number || null
-      );
-    if (entry) {
-      return [entry];
-    }
-  }
-
-  return [];
+/**
+ * Build the sales summary for a date. All Loyverse calls made for one
+ * summary share a single request budget.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options] - See loadReceiptsForDate
+ */
+function fetchSalesSummaryByDate(date, options = {}) {
+  return withRequestBudget(() => buildSalesSummaryByDate(date, options));
 }
 
-async function fetchSalesSummaryByDate(date) {
-  const paymentTypeMap = await fetchPaymentTypeMap();
-  const itemCategoryMap = await fetchItemCategoryMap();
-  const receipts = await fetchClosedReceiptsByDate(date);
+async function buildSalesSummaryByDate(date, options) {
+  await Promise.all([refreshClassificationRules(), refreshItemWeights()]);
+  const paymentTypeMap = await fetchPaymentTypeMap(date);
+  const itemCategoryMap = await fetchItemCategoryMap(date);
+  const dayStartMinutes = await getBusinessDayStart(options.storeId);
+  const { receipts, source: receiptSource, affectedDates } = await loadReceiptsForDate(date, { ...options, dayStartMinutes });
   
-  console.log(`[DEBUG] Total receipts fetched: ${receipts.length}`);
+  console.log(`[DEBUG] Total receipts fetched: ${receipts.length} (${receiptSource})`);
   
   const totals = {
     total_cash: 0,
@@ -1261,40 +449,18 @@ async function fetchSalesSummaryByDate(date) {
     discount_entry_details: []
   };
 
-  // 1. Filter out refunds and voided receipts
-  let closedReceipts = filterOutRefundReceipts(receipts);
+  const closedReceipts = selectClosedReceiptsForDay(receipts, date, dayStartMinutes, itemCategoryMap);
 
-  // 2. STRICT DATE FILTERING: Only keep receipts where receipt_date matches the requested date
-  const tz = process.env.LOYVERSE_TIMEZONE || 'Asia/Bangkok';
-  closedReceipts = closedReceipts.filter(receipt => {
-    const rDate = receipt.receipt_date || receipt.created_at;
-    if (!rDate) return false;
-    const localDate = dayjs(rDate).tz(tz).format('YYYY-MM-DD');
-    return localDate === date;
-  });
-
-  // Enrich each receipt's line_items with category_name from itemCategoryMap
-  // so the frontend can classify items correctly
-  for (const receipt of closedReceipts) {
-    const lineItems = receipt.line_items || receipt.items || [];
-    for (const lineItem of lineItems) {
-      if (!lineItem.category_name) {
-        const itemId = lineItem.item_id || lineItem.id;
-        if (itemId && itemCategoryMap.has(itemId)) {
-          lineItem.category_name = itemCategoryMap.get(itemId);
-        }
-      }
-    }
-  }
+  const automatedReport = buildAutomatedReportRows(closedReceipts, itemCategoryMap);
 
-    for (const receipt of closedReceipts) {
+  for (const [index, receipt] of closedReceipts.entries()) {
     const paymentEntries = extractPaymentEntries(receipt, paymentTypeMap);
     const discountEntries = extractDiscountEntriesFromReceipt(receipt);
     
     // Calculate split for this receipt to apply to payment entries
-    const receiptRow = buildAutomatedReceiptRow(receipt, itemCategoryMap);
+    const receiptRow = automatedReport.rows[index];
     
-    // The buildAutomatedReceiptRow already uses extractLineItemPrice which returns NET amount (after discounts)
+    // The split uses NET amounts (after line and receipt discounts)
     const mainAccTotal = receiptRow.numerator_price;
     const fbTotal = receiptRow.denominator_price;
     const netSalesTotal = receiptRow.net_sales;
@@ -1358,7 +524,6 @@ async function fetchSalesSummaryByDate(date) {
   totals.total_transfer = roundCurrency(totals.total_transfer);
   totals.total_discount = roundCurrency(totals.total_discount);
   totals.total_orders = closedReceipts.length;
-  const automatedReport = buildAutomatedReportRows(closedReceipts, itemCategoryMap);
 
   const netSale = calculateNetSale({
     cash_total: totals.total_cash,
@@ -1375,6 +540,7 @@ async function fetchSalesSummaryByDate(date) {
     total_orders: totals.total_orders,
     total_grams: automatedReport.totals.total_gram_qty,
     fb_total: automatedReport.totals.total_denominator_price,
+    ...toClassTotalColumns(automatedReport.totals.class_totals),
     unclassified_amount: roundCurrency(totals.unclassified_amount),
     cash_entries: totals.cash_entries,
     card_entries: totals.card_entries,
@@ -1384,18 +550,26 @@ async function fetchSalesSummaryByDate(date) {
     discount_entry_details: totals.discount_entry_details,
     automated_report_rows: automatedReport.rows,
     automated_report_totals: automatedReport.totals,
-    orders: closedReceipts
+    unknown_weight_items: automatedReport.unknown_weight_items,
+    orders: closedReceipts,
+    receipt_source: receiptSource,
+    affected_dates: affectedDates,
+    store_id: options.storeId || '',
+    business_day_start: formatStartMinutes(dayStartMinutes)
   };
 }
 
 module.exports = {
   fetchSalesSummaryByDate,
+  createItemCategoryMapLoader,
   fetchClosedReceiptsByDate,
+  loadReceiptsForDate,
   fetchPaymentTypeMap,
   extractPaymentEntries,
   classifyPaymentType,
   isCompletedReceipt,
   buildAutomatedReportRows,
   fetchItemCategoryMap,
-  filterOutRefundReceipts
+  filterOutRefundReceipts,
+  selectClosedReceiptsForDay
 };
@@ -0,0 +1,270 @@
+/**
+ * POS Shift Service
+ * Imports Loyverse POS shifts (drawer float, expected cash, pay-ins and
+ * pay-outs) and reconciles their cash movements with daily_expenses.
+ */
+
+const { query, getDialect } = require('../config/db');
+const { loyverseClient, getHeaders } = require('./loyverseClient');
+const { getBusinessDayStart } = require('./storeService');
+const { fromSqlDateTime, toSqlDateTime } = require('./receiptArchiveService');
+const { getBusinessDayBounds, toBusinessDate } = require('../utils/businessDay');
+const { normalizeMoney, roundCurrency, toNumber } = require('../utils/calculations');
+
+const isPostgres = getDialect() === 'postgres';
+const MAX_PAGES = 20;
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function toIsoColumns(row, columns) {
+  const copy = { ...row };
+  for (const column of columns) {
+    const parsed = fromSqlDateTime(row[column]);
+    copy[column] = parsed ? parsed.toISOString() : null;
+  }
+  return copy;
+}
+
+/**
+ * Fetch the POS shifts opened during a business day.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} [storeId]
+ * @returns {Promise<Array>} Raw Loyverse shifts
+ */
+async function fetchPosShiftsByDate(date, storeId) {
+  const dayStartMinutes = await getBusinessDayStart(storeId);
+  const { start, end } = getBusinessDayBounds(date, dayStartMinutes);
+
+  const shifts = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const params = {
+      created_at_min: start.utc().toISOString(),
+      created_at_max: end.utc().toISOString(),
+      limit: 250
+    };
+    if (storeId) params.store_id = storeId;
+    if (cursor) params.cursor = cursor;
+
+    const response = await loyverseClient.get('/shifts', {
+      headers: getHeaders(),
+      params
+    });
+
+    const payload = response.data || {};
+    shifts.push(...(payload.shifts || payload.items || payload.data || []));
+    cursor = payload.cursor || null;
+    pages += 1;
+  } while (cursor && pages < MAX_PAGES);
+
+  return shifts;
+}
+
+async function upsertPosShift(shift, storeId, businessDate, fetchedAt) {
+  const values = [
+    shift.id,
+    storeId,
+    shift.pos_device_id || null,
+    businessDate,
+    toSqlDateTime(shift.opened_at),
+    toSqlDateTime(shift.closed_at),
+    normalizeMoney(shift.starting_cash),
+    normalizeMoney(shift.paid_in),
+    normalizeMoney(shift.paid_out),
+    normalizeMoney(shift.expected_cash),
+    shift.actual_cash === null || shift.actual_cash === undefined ? null : normalizeMoney(shift.actual_cash),
+    JSON.stringify(shift),
+    fetchedAt
+  ];
+
+  if (isPostgres) {
+    await query(
+      `INSERT INTO pos_shifts (
+        id, store_id, pos_device_id, business_date, opened_at, closed_at,
+        starting_cash, paid_in, paid_out, expected_cash, actual_cash, raw_json, fetched_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (id) DO UPDATE SET
+        store_id = EXCLUDED.store_id,
+        pos_device_id = EXCLUDED.pos_device_id,
+        business_date = EXCLUDED.business_date,
+        opened_at = EXCLUDED.opened_at,
+        closed_at = EXCLUDED.closed_at,
+        starting_cash = EXCLUDED.starting_cash,
+        paid_in = EXCLUDED.paid_in,
+        paid_out = EXCLUDED.paid_out,
+        expected_cash = EXCLUDED.expected_cash,
+        actual_cash = EXCLUDED.actual_cash,
+        raw_json = EXCLUDED.raw_json,
+        fetched_at = EXCLUDED.fetched_at`,
+      values
+    );
+    return;
+  }
+
+  await query(
+    `INSERT INTO pos_shifts (
+      id, store_id, pos_device_id, business_date, opened_at, closed_at,
+      starting_cash, paid_in, paid_out, expected_cash, actual_cash, raw_json, fetched_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      store_id = VALUES(store_id),
+      pos_device_id = VALUES(pos_device_id),
+      business_date = VALUES(business_date),
+      opened_at = VALUES(opened_at),
+      closed_at = VALUES(closed_at),
+      starting_cash = VALUES(starting_cash),
+      paid_in = VALUES(paid_in),
+      paid_out = VALUES(paid_out),
+      expected_cash = VALUES(expected_cash),
+      actual_cash = VALUES(actual_cash),
+      raw_json = VALUES(raw_json),
+      fetched_at = VALUES(fetched_at)`,
+    values
+  );
+}
+
+async function replaceCashMovements(shift, storeId, businessDate) {
+  await query(`DELETE FROM pos_cash_movements WHERE pos_shift_id = ${placeholder(1)}`, [shift.id]);
+
+  for (const movement of shift.cash_movements || []) {
+    await query(
+      `INSERT INTO pos_cash_movements (
+        pos_shift_id, store_id, business_date, type, amount, comment, employee_id, moved_at
+      ) VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)}, ${placeholder(4)}, ${placeholder(5)}, ${placeholder(6)}, ${placeholder(7)}, ${placeholder(8)})`,
+      [
+        shift.id,
+        storeId,
+        businessDate,
+        String(movement.type || '').toUpperCase(),
+        normalizeMoney(movement.money_amount ?? movement.amount),
+        String(movement.comment || '').slice(0, 255),
+        movement.employee_id || null,
+        toSqlDateTime(movement.created_at || shift.opened_at)
+      ]
+    );
+  }
+}
+
+/**
+ * Pull the POS shifts of a business day from Loyverse and store them with
+ * their cash movements, under the store the report is kept for.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @returns {Promise<number>} Number of shifts imported
+ */
+async function importPosShifts(date, storeId) {
+  const shifts = await fetchPosShiftsByDate(date, storeId);
+  const dayStartMinutes = await getBusinessDayStart(storeId);
+  const fetchedAt = toSqlDateTime(new Date());
+  let imported = 0;
+
+  for (const shift of shifts) {
+    if (!shift.id || !shift.opened_at) {
+      continue;
+    }
+    const businessDate = toBusinessDate(shift.opened_at, dayStartMinutes);
+    await upsertPosShift(shift, storeId, businessDate, fetchedAt);
+    await replaceCashMovements(shift, storeId, businessDate);
+    imported += 1;
+  }
+
+  console.log(`[POS Shifts] Imported ${imported} shifts for ${date}`);
+  return imported;
+}
+
+/**
+ * Stored POS shift by Loyverse shift id.
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getPosShift(id) {
+  const rows = await query(`SELECT * FROM pos_shifts WHERE id = ${placeholder(1)}`, [id]);
+  return rows[0] ? toIsoColumns(rows[0], ['opened_at', 'closed_at']) : null;
+}
+
+async function listPosShifts(date, storeId) {
+  const rows = await query(
+    `SELECT id, store_id, pos_device_id, business_date, opened_at, closed_at,
+            starting_cash, paid_in, paid_out, expected_cash, actual_cash
+     FROM pos_shifts
+     WHERE business_date = ${placeholder(1)} AND store_id = ${placeholder(2)}
+     ORDER BY opened_at ASC`,
+    [date, storeId]
+  );
+  return (Array.isArray(rows) ? rows : []).map((row) => toIsoColumns(row, ['opened_at', 'closed_at']));
+}
+
+async function listCashMovements(date, storeId) {
+  const rows = await query(
+    `SELECT id, pos_shift_id, type, amount, comment, employee_id, moved_at
+     FROM pos_cash_movements
+     WHERE business_date = ${placeholder(1)} AND store_id = ${placeholder(2)}
+     ORDER BY moved_at ASC, id ASC`,
+    [date, storeId]
+  );
+  return (Array.isArray(rows) ? rows : []).map((row) => toIsoColumns(row, ['moved_at']));
+}
+
+function sameAmount(a, b) {
+  return Math.abs(toNumber(a) - toNumber(b)) < 0.005;
+}
+
+/**
+ * Pair POS pay-outs with daily_expenses of the same amount. Whatever is left
+ * on either side was logged in only one place.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @returns {Promise<Object>}
+ */
+async function getCashReconciliation(date, storeId) {
+  const [posShifts, movements, expenses] = await Promise.all([
+    listPosShifts(date, storeId),
+    listCashMovements(date, storeId),
+    query(
+      `SELECT id, category, description, amount, created_at
+       FROM daily_expenses
+       WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}
+       ORDER BY created_at ASC`,
+      [date, storeId]
+    )
+  ]);
+
+  const unmatchedExpenses = [...expenses];
+  const payOuts = movements
+    .filter((movement) => movement.type === 'PAY_OUT')
+    .map((movement) => {
+      const index = unmatchedExpenses.findIndex((expense) => sameAmount(expense.amount, movement.amount));
+      const expense = index >= 0 ? unmatchedExpenses.splice(index, 1)[0] : null;
+      return { ...movement, expense_id: expense ? expense.id : null, status: expense ? 'matched' : 'pos_only' };
+    });
+
+  const sum = (rows) => roundCurrency(rows.reduce((total, row) => total + toNumber(row.amount), 0));
+  const posPaidOut = sum(payOuts);
+  const reportExpenses = sum(expenses);
+
+  return {
+    date,
+    store: storeId,
+    pos_shifts: posShifts,
+    pay_outs: payOuts,
+    pay_ins: movements.filter((movement) => movement.type === 'PAY_IN'),
+    report_only: unmatchedExpenses,
+    totals: {
+      pos_paid_out: posPaidOut,
+      pos_paid_in: sum(movements.filter((movement) => movement.type === 'PAY_IN')),
+      report_expenses: reportExpenses,
+      difference: roundCurrency(reportExpenses - posPaidOut)
+    }
+  };
+}
+
+module.exports = {
+  fetchPosShiftsByDate,
+  importPosShifts,
+  getPosShift,
+  getCashReconciliation
+};
@@ -0,0 +1,342 @@
+/**
+ * Receipt Archive Service
+ * Keeps a local copy of every Loyverse receipt we sync so reports can be
+ * rebuilt after the Loyverse API stops serving them (30-day window).
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { query, withTransaction, getDialect } = require('../config/db');
+const { normalizeMoney, toNumber } = require('../utils/calculations');
+const { getBusinessDayBounds } = require('../utils/businessDay');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const isPostgres = getDialect() === 'postgres';
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function placeholders(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => placeholder(offset + i + 1)).join(', ');
+}
+
+function toSqlDateTime(value) {
+  if (!value) {
+    return null;
+  }
+  const parsed = dayjs(value);
+  return parsed.isValid() ? parsed.utc().format('YYYY-MM-DD HH:mm:ss') : null;
+}
+
+/**
+ * Read back a UTC DATETIME/TIMESTAMP column. Both drivers hand these out as
+ * Date objects in the process timezone, so re-read the wall-clock value as UTC.
+ */
+function fromSqlDateTime(value) {
+  if (!value) {
+    return null;
+  }
+  const wallClock = value instanceof Date ? dayjs(value).format('YYYY-MM-DD HH:mm:ss') : String(value);
+  const parsed = dayjs.utc(wallClock);
+  return parsed.isValid() ? parsed : null;
+}
+
+function getReceiptNumber(receipt) {
+  return String(receipt?.receipt_number || receipt?.number || '').trim();
+}
+
+function getReceiptDate(receipt) {
+  return receipt?.receipt_date || receipt?.created_at || null;
+}
+
+function truncate(value, length) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return String(value).slice(0, length);
+}
+
+async function upsertReceiptRow(receipt, txQuery) {
+  const receiptNumber = getReceiptNumber(receipt);
+  const values = [
+    receiptNumber,
+    String(receipt.receipt_type || receipt.type || 'SALE').toUpperCase(),
+    truncate(receipt.refund_for, 64),
+    truncate(receipt.store_id, 64),
+    truncate(receipt.pos_device_id, 64),
+    truncate(receipt.employee_id, 64),
+    toSqlDateTime(getReceiptDate(receipt)),
+    toSqlDateTime(receipt.created_at),
+    toSqlDateTime(receipt.updated_at),
+    toSqlDateTime(receipt.cancelled_at),
+    normalizeMoney(receipt.total_money),
+    normalizeMoney(receipt.total_discount ?? receipt.total_discount_money),
+    JSON.stringify(receipt)
+  ];
+
+  const columns = `receipt_number, receipt_type, refund_for, store_id, pos_device_id, employee_id,
+        receipt_date, loyverse_created_at, loyverse_updated_at, cancelled_at,
+        total_money, total_discount, raw_json`;
+
+  if (isPostgres) {
+    await txQuery(
+      `INSERT INTO loyverse_receipts (${columns})
+       VALUES (${placeholders(values.length)})
+       ON CONFLICT (receipt_number) DO UPDATE SET
+         receipt_type = EXCLUDED.receipt_type,
+         refund_for = EXCLUDED.refund_for,
+         store_id = EXCLUDED.store_id,
+         pos_device_id = EXCLUDED.pos_device_id,
+         employee_id = EXCLUDED.employee_id,
+         receipt_date = EXCLUDED.receipt_date,
+         loyverse_created_at = EXCLUDED.loyverse_created_at,
+         loyverse_updated_at = EXCLUDED.loyverse_updated_at,
+         cancelled_at = EXCLUDED.cancelled_at,
+         total_money = EXCLUDED.total_money,
+         total_discount = EXCLUDED.total_discount,
+         raw_json = EXCLUDED.raw_json,
+         updated_at = CURRENT_TIMESTAMP`,
+      values
+    );
+    return;
+  }
+
+  await txQuery(
+    `INSERT INTO loyverse_receipts (${columns})
+     VALUES (${placeholders(values.length)})
+     ON DUPLICATE KEY UPDATE
+       receipt_type = VALUES(receipt_type),
+       refund_for = VALUES(refund_for),
+       store_id = VALUES(store_id),
+       pos_device_id = VALUES(pos_device_id),
+       employee_id = VALUES(employee_id),
+       receipt_date = VALUES(receipt_date),
+       loyverse_created_at = VALUES(loyverse_created_at),
+       loyverse_updated_at = VALUES(loyverse_updated_at),
+       cancelled_at = VALUES(cancelled_at),
+       total_money = VALUES(total_money),
+       total_discount = VALUES(total_discount),
+       raw_json = VALUES(raw_json),
+       updated_at = CURRENT_TIMESTAMP`,
+    values
+  );
+}
+
+async function replaceReceiptChildren(receipt, txQuery) {
+  const receiptNumber = getReceiptNumber(receipt);
+
+  await txQuery(`DELETE FROM loyverse_receipt_line_items WHERE receipt_number = ${placeholder(1)}`, [receiptNumber]);
+  await txQuery(`DELETE FROM loyverse_receipt_payments WHERE receipt_number = ${placeholder(1)}`, [receiptNumber]);
+  await txQuery(`DELETE FROM loyverse_receipt_discounts WHERE receipt_number = ${placeholder(1)}`, [receiptNumber]);
+
+  const lineItems = receipt.line_items || receipt.items || [];
+  for (let index = 0; index < lineItems.length; index += 1) {
+    const line = lineItems[index] || {};
+    await txQuery(
+      `INSERT INTO loyverse_receipt_line_items (
+        receipt_number, line_index, item_id, variant_id, item_name, variant_name, sku,
+        category_name, quantity, price, gross_total_money, total_money, total_discount
+      ) VALUES (${placeholders(13)})`,
+      [
+        receiptNumber,
+        index,
+        truncate(line.item_id || line.id, 64),
+        truncate(line.variant_id, 64),
+        truncate(line.item_name || line.name, 255),
+        truncate(line.variant_name, 255),
+        truncate(line.sku, 100),
+        truncate(line.category_name, 120),
+        toNumber(line.quantity ?? line.qty),
+        normalizeMoney(line.price ?? line.price_money),
+        normalizeMoney(line.gross_total_money),
+        normalizeMoney(line.total_money),
+        normalizeMoney(line.total_discount ?? line.total_discount_money)
+      ]
+    );
+
+    for (const discount of line.line_discounts || line.discounts || []) {
+      await insertDiscountRow(txQuery, receiptNumber, index, discount);
+    }
+  }
+
+  for (const payment of receipt.payments || []) {
+    await txQuery(
+      `INSERT INTO loyverse_receipt_payments (
+        receipt_number, payment_type_id, name, type, money_amount, paid_at
+      ) VALUES (${placeholders(6)})`,
+      [
+        receiptNumber,
+        truncate(payment.payment_type_id, 64),
+        truncate(payment.name, 120),
+        truncate(payment.type, 50),
+        normalizeMoney(payment.money_amount ?? payment.amount_money ?? payment.amount),
+        toSqlDateTime(payment.paid_at)
+      ]
+    );
+  }
+
+  for (const discount of receipt.total_discounts || receipt.discounts || []) {
+    await insertDiscountRow(txQuery, receiptNumber, null, discount);
+  }
+}
+
+async function insertDiscountRow(txQuery, receiptNumber, lineIndex, discount) {
+  const percentage = discount?.percentage ?? discount?.percent;
+  await txQuery(
+    `INSERT INTO loyverse_receipt_discounts (
+      receipt_number, line_index, discount_id, name, type, percentage, money_amount
+    ) VALUES (${placeholders(7)})`,
+    [
+      receiptNumber,
+      lineIndex,
+      truncate(discount?.id || discount?.discount_id, 64),
+      truncate(discount?.name, 120),
+      truncate(discount?.type, 50),
+      percentage === undefined || percentage === null ? null : toNumber(percentage),
+      normalizeMoney(discount?.money_amount ?? discount?.amount_money ?? discount?.amount)
+    ]
+  );
+}
+
+/**
+ * Store (or refresh) receipts in the local archive.
+ * @param {Array} receipts - Raw receipts from Loyverse
+ * @returns {Promise<number>} Number of receipts archived
+ */
+async function archiveReceipts(receipts) {
+  if (!Array.isArray(receipts)) return 0;
+
+  let archived = 0;
+  for (const receipt of receipts) {
+    if (!receipt || !getReceiptNumber(receipt) || !getReceiptDate(receipt)) {
+      continue;
+    }
+    // One transaction per receipt: the row upsert locks the receipt, so a
+    // webhook and a sync archiving it at once take turns, and a failed insert
+    // keeps the previous child rows
+    await withTransaction(async (txQuery) => {
+      await upsertReceiptRow(receipt, txQuery);
+      await replaceReceiptChildren(receipt, txQuery);
+    });
+    archived += 1;
+  }
+
+  console.log(`[Archive] Stored ${archived} receipts`);
+  return archived;
+}
+
+function getLocalDayBounds(date, dayStartMinutes) {
+  const { start, end } = getBusinessDayBounds(date, dayStartMinutes);
+  return {
+    start: start.utc().format('YYYY-MM-DD HH:mm:ss'),
+    end: end.utc().format('YYYY-MM-DD HH:mm:ss')
+  };
+}
+
+function parseArchivedRows(rows) {
+  const receipts = [];
+  for (const row of Array.isArray(rows) ? rows : []) {
+    try {
+      receipts.push(JSON.parse(row.raw_json));
+    } catch (error) {
+      console.error(`[Archive] Could not parse receipt ${row.receipt_number}:`, error.message);
+    }
+  }
+  return receipts;
+}
+
+/**
+ * Load archived receipts whose receipt_date falls in the given business day.
+ * Refunds issued on later days for those receipts are included too, so
+ * filterOutRefundReceipts can drop the refunded originals.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {string} [options.storeId] - Only receipts from this Loyverse store
+ * @param {number} [options.dayStartMinutes=0] - Business day start, minutes after midnight
+ * @returns {Promise<Array>} Raw receipts as originally returned by Loyverse
+ */
+async function getArchivedReceiptsByDate(date, { storeId, dayStartMinutes = 0 } = {}) {
+  const { start, end } = getLocalDayBounds(date, dayStartMinutes);
+  const params = [start, end, start, end];
+  let storeFilter = '';
+  if (storeId) {
+    params.push(storeId);
+    storeFilter = `AND store_id = ${placeholder(params.length)}`;
+  }
+
+  const rows = await query(
+    `SELECT receipt_number, raw_json
+     FROM loyverse_receipts
+     WHERE (
+         (receipt_date >= ${placeholder(1)} AND receipt_date < ${placeholder(2)})
+         OR (
+           receipt_type = 'REFUND'
+           AND refund_for IN (
+             SELECT original.receipt_number
+             FROM loyverse_receipts original
+             WHERE original.receipt_date >= ${placeholder(3)} AND original.receipt_date < ${placeholder(4)}
+           )
+         )
+       )
+       ${storeFilter}
+     ORDER BY receipt_date ASC`,
+    params
+  );
+  return parseArchivedRows(rows);
+}
+
+/**
+ * Look up archived receipts by receipt number.
+ * @param {Array<string>} receiptNumbers
+ * @returns {Promise<Map<string, Object>>} receipt_number -> raw receipt
+ */
+async function getArchivedReceiptsByNumber(receiptNumbers) {
+  const numbers = [...new Set((receiptNumbers || []).map((n) => String(n || '').trim()).filter(Boolean))];
+  const receipts = new Map();
+  if (numbers.length === 0) {
+    return receipts;
+  }
+
+  const rows = await query(
+    `SELECT receipt_number, raw_json
+     FROM loyverse_receipts
+     WHERE receipt_number IN (${placeholders(numbers.length)})`,
+    numbers
+  );
+
+  for (const receipt of parseArchivedRows(rows)) {
+    receipts.set(getReceiptNumber(receipt), receipt);
+  }
+  return receipts;
+}
+
+/**
+ * Check whether the archive holds any receipt for the given business day.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} [dayStartMinutes=0] - Business day start, minutes after midnight
+ * @returns {Promise<boolean>}
+ */
+async function hasArchivedReceipts(date, dayStartMinutes = 0) {
+  const { start, end } = getLocalDayBounds(date, dayStartMinutes);
+  const rows = await query(
+    `SELECT 1 AS found
+     FROM loyverse_receipts
+     WHERE receipt_date >= ${placeholder(1)} AND receipt_date < ${placeholder(2)}
+     LIMIT 1`,
+    [start, end]
+  );
+  return Array.isArray(rows) && rows.length > 0;
+}
+
+module.exports = {
+  archiveReceipts,
+  fromSqlDateTime,
+  getArchivedReceiptsByDate,
+  getArchivedReceiptsByNumber,
+  hasArchivedReceipts,
+  toSqlDateTime
+};
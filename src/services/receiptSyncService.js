@@ -0,0 +1,286 @@
+/**
+ * Receipt Sync Service
+ * Incremental receipt sync: remembers a per-store updated_at high-water mark
+ * and only asks Loyverse for receipts created or changed since the last run.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { query, getDialect } = require('../config/db');
+const receiptArchive = require('./receiptArchiveService');
+const { loyverseClient, getHeaders } = require('./loyverseClient');
+const { syncStores, getBusinessDayStart } = require('./storeService');
+const { toBusinessDate, firstFullBusinessDate } = require('../utils/businessDay');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const isPostgres = getDialect() === 'postgres';
+const UNSCOPED_STORE = '';
+const DEFAULT_BOOTSTRAP_DAYS = 7;
+const MAX_BOOTSTRAP_DAYS = 30;
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function isIncrementalSyncEnabled() {
+  return String(process.env.LOYVERSE_SYNC_MODE || 'incremental').toLowerCase() !== 'window';
+}
+
+function getBootstrapDays() {
+  const days = parseInt(process.env.LOYVERSE_SYNC_BOOTSTRAP_DAYS || String(DEFAULT_BOOTSTRAP_DAYS), 10);
+  if (!Number.isFinite(days) || days < 1) {
+    return DEFAULT_BOOTSTRAP_DAYS;
+  }
+  return Math.min(days, MAX_BOOTSTRAP_DAYS);
+}
+
+async function fetchStoreIds() {
+  const stores = await syncStores();
+  const ids = stores.map((store) => store.id);
+  return ids.length > 0 ? ids : [UNSCOPED_STORE];
+}
+
+async function getSyncState(storeId) {
+  const rows = await query(
+    `SELECT store_id, updated_at_cursor, covered_from, last_synced_at
+     FROM loyverse_sync_state
+     WHERE store_id = ${placeholder(1)}`,
+    [storeId]
+  );
+  return rows[0] || null;
+}
+
+async function saveSyncState(storeId, { updatedAtCursor, coveredFrom, lastSyncedAt }) {
+  const values = [
+    storeId,
+    receiptArchive.toSqlDateTime(updatedAtCursor),
+    receiptArchive.toSqlDateTime(coveredFrom),
+    receiptArchive.toSqlDateTime(lastSyncedAt)
+  ];
+
+  if (isPostgres) {
+    await query(
+      `INSERT INTO loyverse_sync_state (store_id, updated_at_cursor, covered_from, last_synced_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (store_id) DO UPDATE SET
+         updated_at_cursor = EXCLUDED.updated_at_cursor,
+         covered_from = EXCLUDED.covered_from,
+         last_synced_at = EXCLUDED.last_synced_at,
+         updated_at = CURRENT_TIMESTAMP`,
+      values
+    );
+    return;
+  }
+
+  await query(
+    `INSERT INTO loyverse_sync_state (store_id, updated_at_cursor, covered_from, last_synced_at)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       updated_at_cursor = VALUES(updated_at_cursor),
+       covered_from = VALUES(covered_from),
+       last_synced_at = VALUES(last_synced_at)`,
+    values
+  );
+}
+
+async function fetchReceiptsUpdatedSince(storeId, updatedAtMin) {
+  const receipts = [];
+  let cursor;
+  let pages = 0;
+
+  do {
+    const params = {
+      updated_at_min: updatedAtMin,
+      limit: 250
+    };
+
+    if (storeId) {
+      params.store_id = storeId;
+    }
+
+    if (cursor) {
+      params.cursor = cursor;
+    }
+
+    const response = await loyverseClient.get('/receipts', {
+      headers: getHeaders(),
+      params
+    });
+
+    const payload = response.data || {};
+    receipts.push(...(payload.receipts || payload.items || payload.data || []));
+
+    const nextCursor = payload.cursor || payload.next_cursor || payload.nextCursor || null;
+    cursor = nextCursor && nextCursor !== cursor ? nextCursor : null;
+    pages += 1;
+
+    if (pages > 100) {
+      throw new Error('Loyverse pagination limit exceeded while fetching receipts');
+    }
+  } while (cursor);
+
+  return receipts;
+}
+
+/**
+ * Work out which business dates changed, including the original day of any
+ * refund that arrived later. Each receipt is dated with its store's
+ * business day start.
+ */
+async function collectAffectedDates(receipts) {
+  const dates = new Set();
+  const refundedNumbers = [];
+  const dayStarts = new Map();
+
+  const businessDateOf = async (receipt) => {
+    const storeId = receipt.store_id || UNSCOPED_STORE;
+    if (!dayStarts.has(storeId)) {
+      dayStarts.set(storeId, await getBusinessDayStart(storeId));
+    }
+    return toBusinessDate(receipt.receipt_date || receipt.created_at, dayStarts.get(storeId));
+  };
+
+  for (const receipt of receipts) {
+    const businessDate = await businessDateOf(receipt);
+    if (businessDate) {
+      dates.add(businessDate);
+    }
+
+    const type = String(receipt.receipt_type || receipt.type || '').toUpperCase();
+    const originalNumber = receipt.refund_for || receipt.refund_for_receipt_number || receipt.original_receipt_number;
+    if (type === 'REFUND' && originalNumber) {
+      refundedNumbers.push(originalNumber);
+    }
+  }
+
+  const originals = await receiptArchive.getArchivedReceiptsByNumber(refundedNumbers);
+  for (const original of originals.values()) {
+    const businessDate = await businessDateOf(original);
+    if (businessDate) {
+      dates.add(businessDate);
+    }
+  }
+
+  return [...dates].sort();
+}
+
+async function syncStore(storeId, now) {
+  const state = await getSyncState(storeId);
+  const previousCursor = receiptArchive.fromSqlDateTime(state?.updated_at_cursor);
+  const coveredFrom = receiptArchive.fromSqlDateTime(state?.covered_from)
+    || now.subtract(getBootstrapDays(), 'day');
+  const updatedAtMin = previousCursor || coveredFrom;
+
+  const receipts = await fetchReceiptsUpdatedSince(storeId, updatedAtMin.toISOString());
+  await receiptArchive.archiveReceipts(receipts);
+
+  let nextCursor = previousCursor || coveredFrom;
+  for (const receipt of receipts) {
+    const updatedAt = dayjs(receipt.updated_at || receipt.created_at);
+    if (updatedAt.isValid() && updatedAt.isAfter(nextCursor)) {
+      nextCursor = updatedAt.utc();
+    }
+  }
+
+  await saveSyncState(storeId, {
+    updatedAtCursor: nextCursor,
+    coveredFrom,
+    lastSyncedAt: now
+  });
+
+  console.log(`[Sync] Store ${storeId || '(all)'}: ${receipts.length} receipts changed since ${updatedAtMin.toISOString()}`);
+  return receipts;
+}
+
+/**
+ * Pull every receipt created or changed since the last run, for every store,
+ * into the archive.
+ * @returns {Promise<{changed: Array, coveredSince: dayjs.Dayjs|null}>}
+ */
+async function runIncrementalSync() {
+  const now = dayjs.utc();
+  const storeIds = await fetchStoreIds();
+  const changed = [];
+
+  for (const storeId of storeIds) {
+    changed.push(...await syncStore(storeId, now));
+  }
+
+  return {
+    changed,
+    coveredSince: await getCoveredSince(storeIds)
+  };
+}
+
+/**
+ * Instant from which every store's receipts are complete in the archive.
+ */
+async function getCoveredSince(storeIds) {
+  let latest = null;
+  for (const storeId of storeIds) {
+    const state = await getSyncState(storeId);
+    const coveredFrom = receiptArchive.fromSqlDateTime(state?.covered_from);
+    if (!coveredFrom) {
+      return null;
+    }
+    if (!latest || coveredFrom.isAfter(latest)) {
+      latest = coveredFrom;
+    }
+  }
+
+  return latest;
+}
+
+/**
+ * First business date of a store that the archive holds completely, or null
+ * before the store's first incremental sync. Earlier dates need a window
+ * fetch.
+ * @param {string} storeId
+ * @returns {Promise<string|null>}
+ */
+async function getFirstCoveredDate(storeId) {
+  const coveredSince = await getCoveredSince([storeId || UNSCOPED_STORE]);
+  return coveredSince ? firstFullBusinessDate(coveredSince, await getBusinessDayStart(storeId)) : null;
+}
+
+/**
+ * Incrementally sync, then serve the date from the archive when the archive
+ * fully covers it. Returns null when the caller should fall back to the
+ * date-window fetch (dates before the first incremental sync).
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} [storeId] - Only read (and report affected dates for) this store
+ * @returns {Promise<{receipts: Array, source: string, affectedDates: Array<string>}|null>}
+ */
+async function loadReceiptsIncrementally(date, storeId) {
+  const result = await runIncrementalSync();
+  if (!result.coveredSince) {
+    return null;
+  }
+
+  // Only business days that start after the covered instant are complete
+  const dayStartMinutes = await getBusinessDayStart(storeId);
+  if (date < firstFullBusinessDate(result.coveredSince, dayStartMinutes)) {
+    return null;
+  }
+
+  const changed = storeId
+    ? result.changed.filter((receipt) => receipt.store_id === storeId)
+    : result.changed;
+
+  return {
+    receipts: await receiptArchive.getArchivedReceiptsByDate(date, { storeId, dayStartMinutes }),
+    source: 'incremental',
+    affectedDates: await collectAffectedDates(changed)
+  };
+}
+
+module.exports = {
+  collectAffectedDates,
+  getFirstCoveredDate,
+  isIncrementalSyncEnabled,
+  runIncrementalSync,
+  loadReceiptsIncrementally
+};
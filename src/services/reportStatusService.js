@@ -0,0 +1,126 @@
+/**
+ * Report Status Service
+ * A daily report moves draft -> submitted (closing staff) -> approved
+ * (manager) -> locked. Locked days reject every write until they are
+ * unlocked with a reason, which sends them back to draft.
+ */
+
+const { query, getDialect } = require('../config/db');
+
+const isPostgres = getDialect() === 'postgres';
+
+const STATUSES = ['draft', 'submitted', 'approved', 'locked'];
+const LOCKED = 'locked';
+
+// Allowed moves; stepping back lets a report be corrected before it is locked
+const TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['approved', 'draft'],
+  approved: ['locked', 'submitted'],
+  locked: ['draft']
+};
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function lockedError(date) {
+  const error = new Error(`Report for ${date} is locked. Unlock it with a reason before making changes.`);
+  error.status = 423;
+  return error;
+}
+
+/**
+ * Status of a day's report; days without a report are drafts.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @returns {Promise<string>}
+ */
+async function getReportStatus(date, storeId) {
+  const rows = await query(
+    `SELECT status FROM daily_reports WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}`,
+    [date, storeId]
+  );
+  return rows[0]?.status || 'draft';
+}
+
+async function isDayLocked(date, storeId) {
+  return (await getReportStatus(date, storeId)) === LOCKED;
+}
+
+/**
+ * Throw a 423 when the day's report is locked.
+ * @param {string} date
+ * @param {string} storeId
+ */
+async function assertDayUnlocked(date, storeId) {
+  if (await isDayLocked(date, storeId)) {
+    throw lockedError(date);
+  }
+}
+
+/**
+ * Move a day's report to another status.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @param {string} status - Target status
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Required when unlocking, optional otherwise
+ * @returns {Promise<{from: string, to: string}>}
+ */
+async function changeReportStatus(date, storeId, status, { reason } = {}) {
+  if (!STATUSES.includes(status)) {
+    const error = new Error(`status must be one of: ${STATUSES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const rows = await query(
+    `SELECT status FROM daily_reports WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}`,
+    [date, storeId]
+  );
+  if (!rows.length) {
+    const error = new Error('Report not found for this date');
+    error.status = 404;
+    throw error;
+  }
+
+  const current = rows[0].status || 'draft';
+  if (!TRANSITIONS[current].includes(status)) {
+    const error = new Error(`Cannot change a ${current} report to ${status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  const note = String(reason || '').trim();
+  if (current === LOCKED && !note) {
+    const error = new Error('A reason is required to unlock a report');
+    error.status = 400;
+    throw error;
+  }
+
+  const assignments = [
+    `status = ${placeholder(1)}`,
+    'status_changed_at = CURRENT_TIMESTAMP',
+    `status_reason = ${placeholder(2)}`
+  ];
+  if (isPostgres) {
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+  }
+  await query(
+    `UPDATE daily_reports SET ${assignments.join(', ')}
+     WHERE date = ${placeholder(3)} AND store_id = ${placeholder(4)}`,
+    [status, note ? note.slice(0, 255) : null, date, storeId]
+  );
+
+  console.log(`[Status] ${date} (${storeId || 'default store'}): ${current} -> ${status}${note ? ` (${note})` : ''}`);
+  return { from: current, to: status };
+}
+
+module.exports = {
+  STATUSES,
+  getReportStatus,
+  isDayLocked,
+  assertDayUnlocked,
+  changeReportStatus
+};
@@ -0,0 +1,195 @@
+/**
+ * Session Service
+ * Login sessions behind an opaque cookie token. Only a SHA-256 of the token
+ * is stored, so a leaked sessions table cannot be replayed. PIN sessions from
+ * the shared counter tablet have staff rights only and also end after
+ * PIN_IDLE_MINUTES without requests. The tablet itself is enrolled for PIN
+ * switching with a separate device token that opens no API calls.
+ */
+
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const { query, getDialect } = require('../config/db');
+const { fromSqlDateTime, toSqlDateTime } = require('./receiptArchiveService');
+
+const isPostgres = getDialect() === 'postgres';
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function getSessionTtlHours() {
+  const hours = Number(process.env.SESSION_TTL_HOURS || 12);
+  return Number.isFinite(hours) && hours > 0 ? hours : 12;
+}
+
+function getPinIdleMinutes() {
+  const minutes = Number(process.env.PIN_IDLE_MINUTES || 5);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 5;
+}
+
+// PIN sessions act as staff whatever the account's role, so a guessed PIN
+// never opens manager or owner actions
+const PIN_SESSION_ROLE = 'staff';
+
+// last_seen_at is only rewritten when older than this, to spare the database
+const LAST_SEEN_RESOLUTION_SECONDS = 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Open a session for a user.
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {string} [options.method='password'] - 'password' or 'pin'
+ * @returns {Promise<{token: string, expiresAt: Date}>}
+ */
+async function createSession(userId, { method = 'password' } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = dayjs().add(getSessionTtlHours(), 'hour').toDate();
+
+  // Expiry is stored in UTC, like every other DATETIME written by this app
+  await query(`DELETE FROM sessions WHERE expires_at < ${placeholder(1)}`, [toSqlDateTime(new Date())]);
+
+  await query(
+    `INSERT INTO sessions (id, user_id, method, expires_at, last_seen_at)
+     VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)}, ${placeholder(4)}, ${placeholder(5)})`,
+    [hashToken(token), userId, method, toSqlDateTime(expiresAt), toSqlDateTime(new Date())]
+  );
+
+  return { token, expiresAt };
+}
+
+/**
+ * Active user behind a session token, or null when the token is unknown,
+ * expired, idle too long (PIN sessions) or belongs to a deactivated account.
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+async function getSessionUser(token) {
+  if (!token) {
+    return null;
+  }
+
+  const rows = await query(
+    `SELECT s.expires_at, s.method, s.last_seen_at, u.id, u.username, u.display_name, u.role, u.active
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = ${placeholder(1)}`,
+    [hashToken(token)]
+  );
+  const row = rows[0];
+  if (!row) {
+    return null;
+  }
+
+  const now = dayjs();
+  const expiresAt = fromSqlDateTime(row.expires_at);
+  const lastSeenAt = fromSqlDateTime(row.last_seen_at);
+  const isPin = row.method === 'pin';
+  const idle = isPin && (!lastSeenAt || lastSeenAt.add(getPinIdleMinutes(), 'minute').isBefore(now));
+  if (!expiresAt || expiresAt.isBefore(now) || idle || !Boolean(Number(row.active))) {
+    await deleteSession(token);
+    return null;
+  }
+
+  if (!lastSeenAt || now.diff(lastSeenAt, 'second') >= LAST_SEEN_RESOLUTION_SECONDS) {
+    await query(
+      `UPDATE sessions SET last_seen_at = ${placeholder(1)} WHERE id = ${placeholder(2)}`,
+      [toSqlDateTime(now.toDate()), hashToken(token)]
+    );
+  }
+
+  return {
+    id: row.id,
+    username: row.username,
+    display_name: row.display_name || row.username,
+    role: isPin ? PIN_SESSION_ROLE : row.role,
+    account_role: row.role,
+    session_method: isPin ? 'pin' : 'password',
+    idle_timeout_minutes: isPin ? getPinIdleMinutes() : null
+  };
+}
+
+async function deleteSession(token) {
+  await query(`DELETE FROM sessions WHERE id = ${placeholder(1)}`, [hashToken(token)]);
+}
+
+/**
+ * Sign a user out everywhere (after a password change or deactivation),
+ * including the devices they enrolled for PIN switching.
+ * @param {number} userId
+ */
+async function deleteUserSessions(userId) {
+  await query(`DELETE FROM sessions WHERE user_id = ${placeholder(1)}`, [userId]);
+  await query(`DELETE FROM pin_devices WHERE user_id = ${placeholder(1)}`, [userId]);
+}
+
+/**
+ * Enroll a device for PIN switching after a password sign-in. The token only
+ * unlocks the PIN endpoints, never a session.
+ * @param {number} userId - The user who signed in with a password
+ * @returns {Promise<{token: string, expiresAt: Date}>}
+ */
+async function createPinDevice(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = dayjs().add(getSessionTtlHours(), 'hour').toDate();
+
+  await query(`DELETE FROM pin_devices WHERE expires_at < ${placeholder(1)}`, [toSqlDateTime(new Date())]);
+  await query(
+    `INSERT INTO pin_devices (id, user_id, expires_at) VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)})`,
+    [hashToken(token), userId, toSqlDateTime(expiresAt)]
+  );
+
+  return { token, expiresAt };
+}
+
+/**
+ * Whether a device token is enrolled, unexpired and its enrolling account
+ * still active.
+ * @param {string} token
+ * @returns {Promise<boolean>}
+ */
+async function isPinDevice(token) {
+  if (!token) {
+    return false;
+  }
+
+  const rows = await query(
+    `SELECT d.expires_at, u.active
+     FROM pin_devices d
+     JOIN users u ON u.id = d.user_id
+     WHERE d.id = ${placeholder(1)}`,
+    [hashToken(token)]
+  );
+  const row = rows[0];
+  if (!row) {
+    return false;
+  }
+
+  const expiresAt = fromSqlDateTime(row.expires_at);
+  if (!expiresAt || expiresAt.isBefore(dayjs()) || !Boolean(Number(row.active))) {
+    await deletePinDevice(token);
+    return false;
+  }
+  return true;
+}
+
+async function deletePinDevice(token) {
+  await query(`DELETE FROM pin_devices WHERE id = ${placeholder(1)}`, [hashToken(token)]);
+}
+
+module.exports = {
+  PIN_SESSION_ROLE,
+  getSessionTtlHours,
+  getPinIdleMinutes,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  deleteUserSessions,
+  createPinDevice,
+  isPinDevice,
+  deletePinDevice
+};
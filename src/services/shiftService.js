@@ -0,0 +1,338 @@
+/**
+ * Shift Service
+ * Shifts split a business day into cash-counted periods (e.g. day and night).
+ * Each shift gets the receipts that fall inside its time window, or those rung
+ * up on a Loyverse POS shift when one is linked, plus its own drawer count.
+ */
+
+const dayjs = require('dayjs');
+const { query, getDialect } = require('../config/db');
+const { loyverseClient, getHeaders } = require('./loyverseClient');
+const { getBusinessDayStart } = require('./storeService');
+const { getPosShift } = require('./posShiftService');
+const { getBusinessDayBounds, isValidBusinessDayStart } = require('../utils/businessDay');
+const { calculateReportValues, roundCurrency, toNumber } = require('../utils/calculations');
+
+const isPostgres = getDialect() === 'postgres';
+
+const EDITABLE_COLUMNS = [
+  'name', 'start_time', 'end_time', 'pos_shift_id', 'staff_name',
+  'opening_cash', 'actual_cash_counted', 'safe_drop'
+];
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate and normalize a shift payload. Partial payloads are allowed for updates.
+ */
+function normalizeShiftInput(input, { partial = false } = {}) {
+  const shift = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name ?? '').trim();
+    if (!name) {
+      throw badRequest('Shift name is required');
+    }
+    shift.name = name.slice(0, 60);
+  }
+
+  for (const key of ['start_time', 'end_time']) {
+    if (!partial || input[key] !== undefined) {
+      if (!isValidBusinessDayStart(input[key])) {
+        throw badRequest(`${key} must be HH:mm (00:00-23:59)`);
+      }
+      shift[key] = input[key];
+    }
+  }
+
+  if (input.pos_shift_id !== undefined) {
+    shift.pos_shift_id = String(input.pos_shift_id || '').trim() || null;
+  }
+  if (input.staff_name !== undefined) {
+    shift.staff_name = String(input.staff_name || '').trim().slice(0, 255);
+  }
+
+  for (const key of ['opening_cash', 'actual_cash_counted', 'safe_drop']) {
+    if (input[key] !== undefined) {
+      const value = toNumber(input[key]);
+      if (value < 0) {
+        throw badRequest(`${key} must be zero or more`);
+      }
+      shift[key] = roundCurrency(value);
+    }
+  }
+
+  return shift;
+}
+
+/**
+ * Instants covered by a shift on its business day. A shift ending at or
+ * before its start time runs past midnight.
+ */
+function getShiftWindow(date, shift, dayStartMinutes) {
+  const { start: dayStart } = getBusinessDayBounds(date, dayStartMinutes);
+  const startOffset = (minutesOf(shift.start_time) - dayStartMinutes + 1440) % 1440;
+  let endOffset = (minutesOf(shift.end_time) - dayStartMinutes + 1440) % 1440;
+  if (endOffset <= startOffset) {
+    endOffset += 1440;
+  }
+  return {
+    start: dayStart.add(startOffset, 'minute'),
+    end: dayStart.add(endOffset, 'minute')
+  };
+}
+
+/**
+ * Opening/closing times and device of a Loyverse POS shift, from the imported
+ * copy once it is closed.
+ */
+async function fetchPosShiftWindow(posShiftId) {
+  let posShift = await getPosShift(posShiftId);
+  if (!posShift || !posShift.closed_at) {
+    const response = await loyverseClient.get(`/shifts/${encodeURIComponent(posShiftId)}`, {
+      headers: getHeaders()
+    });
+    posShift = response.data || {};
+  }
+  return {
+    posDeviceId: posShift.pos_device_id || null,
+    start: dayjs(posShift.opened_at),
+    end: posShift.closed_at ? dayjs(posShift.closed_at) : dayjs()
+  };
+}
+
+function isWithin(time, window) {
+  const instant = dayjs(time);
+  return instant.isValid() && !instant.isBefore(window.start) && instant.isBefore(window.end);
+}
+
+/**
+ * Assign each receipt of a sales summary to the first matching shift and
+ * total the payment entries per shift.
+ * @param {Object} summary - Result of fetchSalesSummaryByDate
+ * @param {Array<Object>} shifts
+ * @param {number} dayStartMinutes
+ * @returns {Promise<{byShift: Map<number, Object>, unassigned: Object}>}
+ */
+async function splitSummaryByShifts(summary, shifts, dayStartMinutes) {
+  const matchers = [];
+  for (const shift of shifts) {
+    if (shift.pos_shift_id) {
+      const window = await fetchPosShiftWindow(shift.pos_shift_id);
+      matchers.push({
+        id: shift.id,
+        matches: (receipt) => (!window.posDeviceId || receipt.pos_device_id === window.posDeviceId)
+          && isWithin(receipt.receipt_date || receipt.created_at, window)
+      });
+      continue;
+    }
+
+    const window = getShiftWindow(summary.date, shift, dayStartMinutes);
+    matchers.push({
+      id: shift.id,
+      matches: (receipt) => isWithin(receipt.receipt_date || receipt.created_at, window)
+    });
+  }
+
+  const emptyTotals = () => ({ cash_total: 0, card_total: 0, transfer_total: 0, fb_total: 0, total_orders: 0 });
+  const byShift = new Map(shifts.map((shift) => [shift.id, emptyTotals()]));
+  const unassigned = emptyTotals();
+  const bucketByReceipt = new Map();
+
+  for (const receipt of summary.orders || []) {
+    const matcher = matchers.find((candidate) => candidate.matches(receipt));
+    const bucket = matcher ? byShift.get(matcher.id) : unassigned;
+    bucket.total_orders += 1;
+    bucketByReceipt.set(receipt.receipt_number || receipt.number, bucket);
+  }
+
+  const addEntries = (entries, column) => {
+    for (const entry of entries || []) {
+      const bucket = bucketByReceipt.get(entry.receiptNumber) || unassigned;
+      bucket[column] += toNumber(entry.amount);
+      bucket.fb_total += toNumber(entry.fb_total);
+    }
+  };
+  addEntries(summary.cash_entries, 'cash_total');
+  addEntries(summary.card_entries, 'card_total');
+  addEntries(summary.transfer_entries, 'transfer_total');
+
+  return { byShift, unassigned };
+}
+
+function calculateShiftValues(shift, sales) {
+  const calculated = calculateReportValues({
+    opening_cash: shift.opening_cash,
+    cash_total: sales.cash_total,
+    card_total: sales.card_total,
+    transfer_total: sales.transfer_total,
+    safe_box_amount: shift.safe_drop,
+    actual_cash_counted: shift.actual_cash_counted
+  });
+
+  return {
+    cash_total: calculated.cash_total,
+    card_total: calculated.card_total,
+    transfer_total: calculated.transfer_total,
+    net_sale: calculated.net_sale,
+    fb_total: roundCurrency(sales.fb_total),
+    total_orders: sales.total_orders,
+    expected_cash: calculated.expected_cash,
+    difference: calculated.difference
+  };
+}
+
+/**
+ * Shifts of a business day, in the order they happen (a shift starting after
+ * midnight comes after the evening shift).
+ */
+async function listShifts(date, storeId) {
+  const rows = await query(
+    `SELECT * FROM shifts
+     WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)}
+     ORDER BY id ASC`,
+    [date, storeId]
+  );
+  const dayStartMinutes = await getBusinessDayStart(storeId);
+  const offsetOf = (shift) => (minutesOf(shift.start_time) - dayStartMinutes + 1440) % 1440;
+  return (Array.isArray(rows) ? rows : []).sort((a, b) => offsetOf(a) - offsetOf(b));
+}
+
+async function getShiftById(id) {
+  const rows = await query(`SELECT * FROM shifts WHERE id = ${placeholder(1)}`, [id]);
+  return rows[0] || null;
+}
+
+async function saveShiftColumns(id, values) {
+  const columns = Object.keys(values);
+  if (columns.length === 0) {
+    return;
+  }
+  const assignments = columns.map((column, index) => `${column} = ${placeholder(index + 1)}`);
+  if (isPostgres) {
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+  }
+  await query(
+    `UPDATE shifts SET ${assignments.join(', ')} WHERE id = ${placeholder(columns.length + 1)}`,
+    [...columns.map((column) => values[column]), id]
+  );
+}
+
+/**
+ * Re-split the day's receipts over its shifts and store each shift's sales,
+ * expected cash and difference.
+ * @param {string} date
+ * @param {string} storeId
+ * @param {Object} summary - Result of fetchSalesSummaryByDate for that date and store
+ * @returns {Promise<{shifts: Array, unassigned: Object}>}
+ */
+async function recomputeShiftSales(date, storeId, summary) {
+  const shifts = await listShifts(date, storeId);
+  if (shifts.length === 0) {
+    return { shifts, unassigned: null };
+  }
+
+  const dayStartMinutes = await getBusinessDayStart(storeId);
+  const { byShift, unassigned } = await splitSummaryByShifts(summary, shifts, dayStartMinutes);
+
+  for (const shift of shifts) {
+    const values = calculateShiftValues(shift, byShift.get(shift.id));
+    await saveShiftColumns(shift.id, values);
+    Object.assign(shift, values);
+  }
+
+  return {
+    shifts,
+    unassigned: {
+      cash_total: roundCurrency(unassigned.cash_total),
+      card_total: roundCurrency(unassigned.card_total),
+      transfer_total: roundCurrency(unassigned.transfer_total),
+      total_orders: unassigned.total_orders
+    }
+  };
+}
+
+/**
+ * Day-level roll-up: the first shift's float, the last shift's count and the
+ * sum of everything in between.
+ * @param {Array<Object>} shifts - Ordered by start time
+ * @returns {Object|null}
+ */
+function rollUpShifts(shifts) {
+  if (!shifts || shifts.length === 0) {
+    return null;
+  }
+
+  const sum = (column) => roundCurrency(shifts.reduce((total, shift) => total + toNumber(shift[column]), 0));
+  return {
+    shift_count: shifts.length,
+    opening_cash: roundCurrency(toNumber(shifts[0].opening_cash)),
+    actual_cash_counted: roundCurrency(toNumber(shifts[shifts.length - 1].actual_cash_counted)),
+    safe_drop: sum('safe_drop'),
+    cash_total: sum('cash_total'),
+    card_total: sum('card_total'),
+    transfer_total: sum('transfer_total'),
+    net_sale: sum('net_sale'),
+    fb_total: sum('fb_total'),
+    total_orders: shifts.reduce((total, shift) => total + toNumber(shift.total_orders), 0),
+    difference: sum('difference')
+  };
+}
+
+async function createShift(date, storeId, input) {
+  const shift = normalizeShiftInput(input);
+  const values = {
+    pos_shift_id: null,
+    staff_name: '',
+    opening_cash: 0,
+    actual_cash_counted: 0,
+    safe_drop: 0,
+    ...shift
+  };
+  const columns = ['store_id', 'date', ...EDITABLE_COLUMNS];
+  const params = [storeId, date, ...EDITABLE_COLUMNS.map((column) => values[column])];
+  const placeholders = params.map((_, index) => placeholder(index + 1)).join(', ');
+
+  if (isPostgres) {
+    const rows = await query(
+      `INSERT INTO shifts (${columns.join(', ')}) VALUES (${placeholders}) RETURNING id`,
+      params
+    );
+    return rows[0].id;
+  }
+
+  const result = await query(`INSERT INTO shifts (${columns.join(', ')}) VALUES (${placeholders})`, params);
+  return result.insertId;
+}
+
+async function updateShift(id, input) {
+  await saveShiftColumns(id, normalizeShiftInput(input, { partial: true }));
+}
+
+async function deleteShift(id) {
+  await query(`DELETE FROM shifts WHERE id = ${placeholder(1)}`, [id]);
+}
+
+module.exports = {
+  EDITABLE_COLUMNS,
+  listShifts,
+  getShiftById,
+  createShift,
+  updateShift,
+  deleteShift,
+  recomputeShiftSales,
+  rollUpShifts
+};
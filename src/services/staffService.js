@@ -0,0 +1,281 @@
+/**
+ * Staff Service
+ * Registry of staff members (name, nickname, role, active flag) that
+ * daily_staff rows point at, optionally linked to a Loyverse employee so the
+ * receipts they rang up can be attributed to them.
+ */
+
+const { query, getDialect } = require('../config/db');
+const { loyverseClient, getHeaders } = require('./loyverseClient');
+const { getBusinessDayStart } = require('./storeService');
+const { getBusinessDayBounds } = require('../utils/businessDay');
+
+const isPostgres = getDialect() === 'postgres';
+const MAX_EMPLOYEE_PAGES = 20;
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function toStaffMember(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    nickname: row.nickname || null,
+    role: row.role || null,
+    active: Boolean(Number(row.active)),
+    loyverse_employee_id: row.loyverse_employee_id || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function optionalText(value, length) {
+  const text = String(value ?? '').trim().slice(0, length);
+  return text || null;
+}
+
+/**
+ * Staff members, active first, then by name.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ * @returns {Promise<Array<Object>>}
+ */
+async function listStaffMembers({ includeInactive = false } = {}) {
+  const rows = await query(
+    `SELECT * FROM staff
+     ${includeInactive ? '' : `WHERE active = ${isPostgres ? 'TRUE' : '1'}`}
+     ORDER BY active DESC, name ASC`
+  );
+  return (Array.isArray(rows) ? rows : []).map(toStaffMember);
+}
+
+async function getStaffMember(id) {
+  const rows = await query(`SELECT * FROM staff WHERE id = ${placeholder(1)}`, [id]);
+  return toStaffMember(rows[0]);
+}
+
+/**
+ * Active staff member whose name or nickname matches, ignoring case.
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+async function findStaffMemberByName(name) {
+  const value = String(name || '').trim();
+  if (!value) {
+    return null;
+  }
+  const rows = await query(
+    `SELECT * FROM staff
+     WHERE active = ${isPostgres ? 'TRUE' : '1'}
+       AND (LOWER(name) = LOWER(${placeholder(1)}) OR LOWER(nickname) = LOWER(${placeholder(2)}))
+     ORDER BY id ASC`,
+    [value, value]
+  );
+  return toStaffMember(rows[0]);
+}
+
+async function assertEmployeeIdFree(employeeId, exceptId = null) {
+  if (!employeeId) {
+    return;
+  }
+  const rows = await query(`SELECT id FROM staff WHERE loyverse_employee_id = ${placeholder(1)}`, [employeeId]);
+  if (rows.some((row) => Number(row.id) !== Number(exceptId))) {
+    const error = new Error('This Loyverse employee is already linked to another staff member');
+    error.status = 409;
+    throw error;
+  }
+}
+
+/**
+ * Add a staff member.
+ * @param {Object} input - { name, nickname?, role?, loyverse_employee_id? }
+ * @returns {Promise<Object>}
+ */
+async function createStaffMember(input) {
+  const name = optionalText(input.name, 100);
+  if (!name) {
+    throw badRequest('Name is required');
+  }
+  const employeeId = optionalText(input.loyverse_employee_id, 64);
+  await assertEmployeeIdFree(employeeId);
+
+  const params = [name, optionalText(input.nickname, 60), optionalText(input.role, 60), employeeId];
+
+  if (isPostgres) {
+    const rows = await query(
+      `INSERT INTO staff (name, nickname, role, loyverse_employee_id)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      params
+    );
+    return getStaffMember(rows[0].id);
+  }
+
+  const result = await query(
+    'INSERT INTO staff (name, nickname, role, loyverse_employee_id) VALUES (?, ?, ?, ?)',
+    params
+  );
+  return getStaffMember(result.insertId);
+}
+
+/**
+ * Update a staff member. Deactivated members stay on past days but are no
+ * longer offered in the picker.
+ * @param {number|string} id
+ * @param {Object} input - { name?, nickname?, role?, active?, loyverse_employee_id? }
+ * @returns {Promise<Object>}
+ */
+async function updateStaffMember(id, input) {
+  const values = {};
+
+  if (input.name !== undefined) {
+    values.name = optionalText(input.name, 100);
+    if (!values.name) {
+      throw badRequest('Name is required');
+    }
+  }
+  if (input.nickname !== undefined) {
+    values.nickname = optionalText(input.nickname, 60);
+  }
+  if (input.role !== undefined) {
+    values.role = optionalText(input.role, 60);
+  }
+  if (input.active !== undefined) {
+    values.active = Boolean(input.active);
+  }
+  if (input.loyverse_employee_id !== undefined) {
+    values.loyverse_employee_id = optionalText(input.loyverse_employee_id, 64);
+    await assertEmployeeIdFree(values.loyverse_employee_id, id);
+  }
+
+  const columns = Object.keys(values);
+  if (columns.length > 0) {
+    const assignments = columns.map((column, index) => `${column} = ${placeholder(index + 1)}`);
+    if (isPostgres) {
+      assignments.push('updated_at = CURRENT_TIMESTAMP');
+    }
+    await query(
+      `UPDATE staff SET ${assignments.join(', ')} WHERE id = ${placeholder(columns.length + 1)}`,
+      [...columns.map((column) => values[column]), id]
+    );
+  }
+
+  return getStaffMember(id);
+}
+
+async function fetchLoyverseEmployees() {
+  const employees = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const params = { limit: 250 };
+    if (cursor) params.cursor = cursor;
+
+    const response = await loyverseClient.get('/employees', {
+      headers: getHeaders(),
+      params
+    });
+
+    const payload = response.data || {};
+    employees.push(...(payload.employees || []));
+    cursor = payload.cursor || null;
+    pages += 1;
+  } while (cursor && pages < MAX_EMPLOYEE_PAGES);
+
+  return employees.filter((employee) => employee.id && !employee.deleted_at);
+}
+
+/**
+ * Import Loyverse /employees into the registry. Employees already linked get
+ * their name refreshed; otherwise an unlinked member with the same name is
+ * linked, and anyone left over is added as a new member.
+ * @returns {Promise<{created: number, linked: number, updated: number, staff: Array<Object>}>}
+ */
+async function importLoyverseEmployees() {
+  const employees = await fetchLoyverseEmployees();
+  const members = await listStaffMembers({ includeInactive: true });
+  const byEmployeeId = new Map(members.filter((m) => m.loyverse_employee_id).map((m) => [m.loyverse_employee_id, m]));
+  const result = { created: 0, linked: 0, updated: 0 };
+
+  for (const employee of employees) {
+    const name = optionalText(employee.name, 100);
+    if (!name) {
+      continue;
+    }
+
+    const linked = byEmployeeId.get(employee.id);
+    if (linked) {
+      if (linked.name !== name) {
+        await updateStaffMember(linked.id, { name });
+        result.updated += 1;
+      }
+      continue;
+    }
+
+    const sameName = members.find(
+      (m) => !m.loyverse_employee_id && m.name.toLowerCase() === name.toLowerCase()
+    );
+    if (sameName) {
+      await updateStaffMember(sameName.id, { loyverse_employee_id: employee.id });
+      sameName.loyverse_employee_id = employee.id;
+      result.linked += 1;
+      continue;
+    }
+
+    await createStaffMember({ name, loyverse_employee_id: employee.id });
+    result.created += 1;
+  }
+
+  return { ...result, staff: await listStaffMembers({ includeInactive: true }) };
+}
+
+/**
+ * Loyverse employees who rang up sales receipts in a store's business day,
+ * with the staff member they are linked to (if any).
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @returns {Promise<Array<{employee_id: string, staff_id: number|null, name: string|null, receipts: number}>>}
+ */
+async function getPosEmployeesForDay(date, storeId) {
+  const { start, end } = getBusinessDayBounds(date, await getBusinessDayStart(storeId));
+  const rows = await query(
+    `SELECT r.employee_id, s.id AS staff_id, s.name, COUNT(*) AS receipts
+     FROM loyverse_receipts r
+     LEFT JOIN staff s ON s.loyverse_employee_id = r.employee_id
+     WHERE r.receipt_date >= ${placeholder(1)} AND r.receipt_date < ${placeholder(2)}
+       AND r.store_id = ${placeholder(3)}
+       AND r.receipt_type = 'SALE'
+       AND r.cancelled_at IS NULL
+       AND r.employee_id IS NOT NULL
+     GROUP BY r.employee_id, s.id, s.name
+     ORDER BY receipts DESC`,
+    [start.utc().format('YYYY-MM-DD HH:mm:ss'), end.utc().format('YYYY-MM-DD HH:mm:ss'), storeId]
+  );
+
+  return (Array.isArray(rows) ? rows : []).map((row) => ({
+    employee_id: row.employee_id,
+    staff_id: row.staff_id || null,
+    name: row.name || null,
+    receipts: Number(row.receipts || 0)
+  }));
+}
+
+module.exports = {
+  listStaffMembers,
+  getStaffMember,
+  findStaffMemberByName,
+  createStaffMember,
+  updateStaffMember,
+  importLoyverseEmployees,
+  getPosEmployeesForDay
+};
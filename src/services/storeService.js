@@ -0,0 +1,211 @@
+/**
+ * Store Service
+ * Keeps the list of Loyverse stores and resolves which store a request is for.
+ */
+
+const { query, getDialect } = require('../config/db');
+const { loyverseClient, getHeaders } = require('./loyverseClient');
+const { isValidBusinessDayStart, toStartMinutes } = require('../utils/businessDay');
+
+const isPostgres = getDialect() === 'postgres';
+const ALL_STORES = 'all';
+const LEGACY_STORE_ID = '';
+const STORE_SCOPED_TABLES = ['daily_reports', 'daily_expenses', 'daily_staff'];
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+async function upsertStore(store) {
+  if (isPostgres) {
+    await query(
+      `INSERT INTO stores (id, name) VALUES ($1, $2)
+       ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name, updated_at = CURRENT_TIMESTAMP`,
+      [store.id, store.name]
+    );
+    return;
+  }
+
+  await query(
+    `INSERT INTO stores (id, name) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE name = VALUES(name)`,
+    [store.id, store.name]
+  );
+}
+
+/**
+ * Move rows saved before multi-store support ('' store) to the given store.
+ * Dates that already have a report for that store keep the newer row.
+ */
+async function adoptLegacyRows(storeId) {
+  if (!storeId) {
+    return;
+  }
+
+  const legacyReports = await query(
+    `SELECT legacy.id, existing.id AS existing_id
+     FROM daily_reports legacy
+     LEFT JOIN daily_reports existing
+       ON existing.date = legacy.date AND existing.store_id = ${placeholder(1)}
+     WHERE legacy.store_id = ${placeholder(2)}`,
+    [storeId, LEGACY_STORE_ID]
+  );
+
+  for (const row of legacyReports) {
+    if (row.existing_id) {
+      continue;
+    }
+    await query(
+      `UPDATE daily_reports SET store_id = ${placeholder(1)} WHERE id = ${placeholder(2)}`,
+      [storeId, row.id]
+    );
+  }
+
+  for (const tableName of STORE_SCOPED_TABLES.filter((table) => table !== 'daily_reports')) {
+    await query(
+      `UPDATE ${tableName} SET store_id = ${placeholder(1)} WHERE store_id = ${placeholder(2)}`,
+      [storeId, LEGACY_STORE_ID]
+    );
+  }
+}
+
+async function readStores() {
+  const rows = await query('SELECT id, name, business_day_start FROM stores ORDER BY created_at ASC, name ASC');
+  return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * Pull /stores from Loyverse into the stores table.
+ * @returns {Promise<Array<{id: string, name: string, business_day_start: string}>>}
+ */
+async function syncStores() {
+  const response = await loyverseClient.get('/stores', {
+    headers: getHeaders()
+  });
+
+  const stores = (response.data?.stores || response.data?.items || response.data?.data || [])
+    .filter((store) => store.id || store.store_id)
+    .map((store) => ({
+      id: store.id || store.store_id,
+      name: store.name || store.store_name || ''
+    }));
+
+  for (const store of stores) {
+    await upsertStore(store);
+  }
+
+  await adoptLegacyRows(await getDefaultStoreId());
+  const ids = new Set(stores.map((store) => store.id));
+  return (await readStores()).filter((store) => ids.has(store.id));
+}
+
+/**
+ * Stores known locally; synced from Loyverse the first time.
+ * @returns {Promise<Array<{id: string, name: string, business_day_start: string}>>}
+ */
+async function listStores() {
+  const rows = await readStores();
+  if (rows.length > 0) {
+    return rows;
+  }
+
+  try {
+    return await syncStores();
+  } catch (error) {
+    console.error('[Stores] Could not load stores from Loyverse:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Store used when a request does not name one: LOYVERSE_DEFAULT_STORE_ID,
+ * else the first known store, else '' (single-store setups without a token).
+ */
+async function getDefaultStoreId() {
+  if (process.env.LOYVERSE_DEFAULT_STORE_ID) {
+    return process.env.LOYVERSE_DEFAULT_STORE_ID;
+  }
+
+  const rows = await query('SELECT id FROM stores ORDER BY created_at ASC, name ASC LIMIT 1');
+  return rows[0]?.id || LEGACY_STORE_ID;
+}
+
+/**
+ * Resolve the store a request refers to.
+ * @param {string} [value] - Store id from ?store= or the request body
+ * @param {Object} [options]
+ * @param {boolean} [options.allowAll=false] - Accept "all" (consolidated, read-only views)
+ * @returns {Promise<string>} Store id, or "all"
+ */
+async function resolveStoreId(value, { allowAll = false } = {}) {
+  const requested = String(value ?? '').trim();
+
+  if (requested.toLowerCase() === ALL_STORES) {
+    if (!allowAll) {
+      const error = new Error('A single store is required for this action');
+      error.status = 400;
+      throw error;
+    }
+    return ALL_STORES;
+  }
+
+  if (!requested) {
+    return getDefaultStoreId();
+  }
+
+  const rows = await query(`SELECT id FROM stores WHERE id = ${placeholder(1)}`, [requested]);
+  if (!rows.length) {
+    const error = new Error(`Unknown store: ${requested}`);
+    error.status = 400;
+    throw error;
+  }
+  return requested;
+}
+
+/**
+ * Minutes after midnight at which the store's business day starts.
+ * Stores without a setting (and the legacy '' store) use BUSINESS_DAY_START.
+ * @param {string} [storeId]
+ * @returns {Promise<number>}
+ */
+async function getBusinessDayStart(storeId) {
+  if (!storeId || storeId === ALL_STORES) {
+    return toStartMinutes();
+  }
+
+  const rows = await query(
+    `SELECT business_day_start FROM stores WHERE id = ${placeholder(1)}`,
+    [storeId]
+  );
+  return toStartMinutes(rows[0]?.business_day_start);
+}
+
+/**
+ * Update per-store settings.
+ * @param {string} storeId
+ * @param {Object} settings
+ * @param {string|null} settings.business_day_start - HH:mm (24h); empty or null resets to BUSINESS_DAY_START
+ */
+async function updateStoreSettings(storeId, { business_day_start: rawStart }) {
+  const businessDayStart = rawStart === null || rawStart === '' ? null : rawStart;
+  if (businessDayStart !== null && !isValidBusinessDayStart(businessDayStart)) {
+    const error = new Error('business_day_start must be HH:mm (00:00-23:59)');
+    error.status = 400;
+    throw error;
+  }
+
+  await query(
+    `UPDATE stores SET business_day_start = ${placeholder(1)} WHERE id = ${placeholder(2)}`,
+    [businessDayStart, storeId]
+  );
+}
+
+module.exports = {
+  ALL_STORES,
+  listStores,
+  syncStores,
+  getDefaultStoreId,
+  getBusinessDayStart,
+  updateStoreSettings,
+  resolveStoreId
+};
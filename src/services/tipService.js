@@ -0,0 +1,474 @@
+/**
+ * Tip Service
+ * Tips recorded per store and business day by source (cash jar, card tips
+ * from Loyverse receipts, other), split among the day's staff equally, by
+ * hours worked or by role weights, and summed into per-person statements.
+ */
+
+const dayjs = require('dayjs');
+const { query, withTransaction, getDialect } = require('../config/db');
+const { ALL_STORES, getBusinessDayStart } = require('./storeService');
+const {
+  loadReceiptsForDate,
+  fetchPaymentTypeMap,
+  extractPaymentEntries,
+  classifyPaymentType,
+  isCompletedReceipt,
+  selectClosedReceiptsForDay
+} = require('./loyverseService');
+const { normalizeMoney, roundCurrency, toNumber } = require('../utils/calculations');
+
+const isPostgres = getDialect() === 'postgres';
+
+const TIP_SOURCES = ['cash_jar', 'card', 'other'];
+// Card tips come from the receipts import only
+const MANUAL_TIP_SOURCES = ['cash_jar', 'other'];
+const SPLIT_METHODS = ['equal', 'hours', 'role'];
+const DEFAULT_SETTINGS = { split_method: 'equal', role_weights: {} };
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function formatDate(value) {
+  return dayjs(value).format('YYYY-MM-DD');
+}
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    store_id: row.store_id,
+    date: formatDate(row.date),
+    source: row.source,
+    amount: roundCurrency(row.amount),
+    note: row.note || '',
+    created_by: row.created_by || null,
+    created_at: row.created_at
+  };
+}
+
+async function getTipEntry(id) {
+  const rows = await query(`SELECT * FROM tip_entries WHERE id = ${placeholder(1)}`, [id]);
+  return rows[0] ? toEntry(rows[0]) : null;
+}
+
+/**
+ * Tip entries of a store's business day.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listTipEntries(date, storeId) {
+  const rows = await query(
+    `SELECT * FROM tip_entries WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)} ORDER BY created_at ASC, id ASC`,
+    [date, storeId]
+  );
+  return (Array.isArray(rows) ? rows : []).map(toEntry);
+}
+
+/**
+ * Total tips of a day, or null when none were recorded (so a report's
+ * manually entered tip is left alone).
+ */
+async function getTipPool(date, storeId) {
+  const entries = await listTipEntries(date, storeId);
+  return entries.length ? roundCurrency(entries.reduce((sum, entry) => sum + entry.amount, 0)) : null;
+}
+
+/**
+ * Mirror the day's tip pool into daily_reports.tip, when the report exists.
+ * A day that never had tip entries keeps the report's own (manually entered)
+ * tip; a change that removed the day's last entry writes 0.
+ * @param {string} date
+ * @param {string} storeId
+ * @param {Object} [options]
+ * @param {boolean} [options.removedEntry=false] - The change deleted a tip entry
+ */
+async function syncReportTip(date, storeId, { removedEntry = false } = {}) {
+  const pool = await getTipPool(date, storeId);
+  if (pool === null && !removedEntry) {
+    return;
+  }
+  await query(
+    `UPDATE daily_reports SET tip = ${placeholder(1)}${isPostgres ? ', updated_at = CURRENT_TIMESTAMP' : ''}
+     WHERE date = ${placeholder(2)} AND store_id = ${placeholder(3)}`,
+    [pool ?? 0, date, storeId]
+  );
+}
+
+/**
+ * Record a cash jar or other tip.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @param {Object} input - { source, amount, note? }
+ * @param {string} [actor]
+ * @returns {Promise<Object>}
+ */
+async function addTipEntry(date, storeId, input, actor = null) {
+  const source = input.source || 'cash_jar';
+  if (!MANUAL_TIP_SOURCES.includes(source)) {
+    throw badRequest(`source must be one of: ${MANUAL_TIP_SOURCES.join(', ')}`);
+  }
+  const amount = roundCurrency(input.amount);
+  if (!(amount > 0)) {
+    throw badRequest('amount must be greater than zero');
+  }
+
+  const params = [storeId, date, source, amount, String(input.note || '').trim().slice(0, 255), actor];
+  let id;
+  if (isPostgres) {
+    const rows = await query(
+      `INSERT INTO tip_entries (store_id, date, source, amount, note, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      params
+    );
+    id = rows[0].id;
+  } else {
+    const result = await query(
+      'INSERT INTO tip_entries (store_id, date, source, amount, note, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      params
+    );
+    id = result.insertId;
+  }
+
+  await syncReportTip(date, storeId);
+  return getTipEntry(id);
+}
+
+/**
+ * Delete a tip entry.
+ * @returns {Promise<Object|null>} The deleted entry, or null when it did not exist
+ */
+async function deleteTipEntry(id) {
+  const entry = await getTipEntry(id);
+  if (!entry) {
+    return null;
+  }
+  await query(`DELETE FROM tip_entries WHERE id = ${placeholder(1)}`, [id]);
+  await syncReportTip(entry.date, entry.store_id, { removedEntry: true });
+  return entry;
+}
+
+/**
+ * Sum the tips on the day's completed receipts paid (at least partly) by
+ * card. Tips on cash receipts are already in the drawer, so they are left to
+ * the cash jar entries.
+ * @returns {Promise<{amount: number, receipts: number}>}
+ */
+async function sumCardTips(date, storeId) {
+  const dayStartMinutes = await getBusinessDayStart(storeId);
+  const { receipts } = await loadReceiptsForDate(date, { storeId, dayStartMinutes });
+  const paymentTypeMap = await fetchPaymentTypeMap(date);
+  let amount = 0;
+  let count = 0;
+
+  // Only the business day's own receipts, as in the sales summary
+  for (const receipt of selectClosedReceiptsForDay(receipts, date, dayStartMinutes).filter(isCompletedReceipt)) {
+    const tip = normalizeMoney(receipt.tip?.amount ?? receipt.tip ?? receipt.tip_money ?? 0);
+    if (!(tip > 0)) {
+      continue;
+    }
+    const paidByCard = extractPaymentEntries(receipt, paymentTypeMap)
+      .some((entry) => classifyPaymentType(entry.paymentTypeLabel) === 'card');
+    if (paidByCard) {
+      amount += tip;
+      count += 1;
+    }
+  }
+
+  return { amount: roundCurrency(amount), receipts: count };
+}
+
+/**
+ * Replace the day's card tip entry with the tips on its Loyverse receipts.
+ * @returns {Promise<{entry: Object|null, previous: Object|null, receipts: number}>}
+ */
+async function importCardTips(date, storeId, actor = null) {
+  const { amount, receipts } = await sumCardTips(date, storeId);
+  const previous = (await listTipEntries(date, storeId)).find((entry) => entry.source === 'card') || null;
+
+  // Replace in one transaction so the day never shows without its card tips
+  const entryId = await withTransaction(async (txQuery) => {
+    await txQuery(
+      `DELETE FROM tip_entries WHERE date = ${placeholder(1)} AND store_id = ${placeholder(2)} AND source = 'card'`,
+      [date, storeId]
+    );
+    if (!(amount > 0)) {
+      return null;
+    }
+
+    const params = [storeId, date, amount, `${receipts} card receipt${receipts === 1 ? '' : 's'}`, actor];
+    if (isPostgres) {
+      const rows = await txQuery(
+        `INSERT INTO tip_entries (store_id, date, source, amount, note, created_by)
+         VALUES ($1, $2, 'card', $3, $4, $5) RETURNING id`,
+        params
+      );
+      return rows[0].id;
+    }
+    const result = await txQuery(
+      `INSERT INTO tip_entries (store_id, date, source, amount, note, created_by) VALUES (?, ?, 'card', ?, ?, ?)`,
+      params
+    );
+    return result.insertId;
+  });
+  const entry = entryId ? await getTipEntry(entryId) : null;
+
+  await syncReportTip(date, storeId, { removedEntry: Boolean(previous) });
+  return { entry, previous, receipts };
+}
+
+function parseRoleWeights(value) {
+  if (!value) {
+    return {};
+  }
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Split rule of a store.
+ * @param {string} storeId
+ * @returns {Promise<{split_method: string, role_weights: Object<string, number>}>}
+ */
+async function getTipSettings(storeId) {
+  const rows = await query(`SELECT * FROM tip_settings WHERE store_id = ${placeholder(1)}`, [storeId]);
+  if (!rows[0]) {
+    return { ...DEFAULT_SETTINGS };
+  }
+  return {
+    split_method: SPLIT_METHODS.includes(rows[0].split_method) ? rows[0].split_method : DEFAULT_SETTINGS.split_method,
+    role_weights: parseRoleWeights(rows[0].role_weights)
+  };
+}
+
+/**
+ * Save a store's split rule.
+ * @param {string} storeId
+ * @param {Object} input - { split_method?, role_weights?: { [role]: weight } }
+ * @returns {Promise<Object>}
+ */
+async function saveTipSettings(storeId, input) {
+  const current = await getTipSettings(storeId);
+  const splitMethod = input.split_method ?? current.split_method;
+  if (!SPLIT_METHODS.includes(splitMethod)) {
+    throw badRequest(`split_method must be one of: ${SPLIT_METHODS.join(', ')}`);
+  }
+
+  let roleWeights = current.role_weights;
+  if (input.role_weights !== undefined) {
+    if (!input.role_weights || typeof input.role_weights !== 'object' || Array.isArray(input.role_weights)) {
+      throw badRequest('role_weights must be an object of role -> weight');
+    }
+    roleWeights = {};
+    for (const [role, weight] of Object.entries(input.role_weights)) {
+      const value = Number(weight);
+      if (!role.trim() || !Number.isFinite(value) || value < 0) {
+        throw badRequest(`Invalid weight for role "${role}"`);
+      }
+      roleWeights[role.trim().toLowerCase()] = value;
+    }
+  }
+
+  const params = [storeId, splitMethod, JSON.stringify(roleWeights)];
+  if (isPostgres) {
+    await query(
+      `INSERT INTO tip_settings (store_id, split_method, role_weights) VALUES ($1, $2, $3)
+       ON CONFLICT (store_id) DO UPDATE SET
+         split_method = EXCLUDED.split_method,
+         role_weights = EXCLUDED.role_weights,
+         updated_at = CURRENT_TIMESTAMP`,
+      params
+    );
+  } else {
+    await query(
+      `INSERT INTO tip_settings (store_id, split_method, role_weights) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE split_method = VALUES(split_method), role_weights = VALUES(role_weights)`,
+      params
+    );
+  }
+
+  return getTipSettings(storeId);
+}
+
+async function listDayStaff(date, storeId) {
+  const rows = await query(
+    `SELECT ds.id, ds.staff_id, ds.name, ds.hours_worked, s.role
+     FROM daily_staff ds
+     LEFT JOIN staff s ON s.id = ds.staff_id
+     WHERE ds.date = ${placeholder(1)} AND ds.store_id = ${placeholder(2)}
+     ORDER BY ds.created_at ASC, ds.id ASC`,
+    [date, storeId]
+  );
+  return Array.isArray(rows) ? rows : [];
+}
+
+function staffWeight(person, settings) {
+  if (settings.split_method === 'hours') {
+    return Math.max(toNumber(person.hours_worked), 0);
+  }
+  if (settings.split_method === 'role') {
+    const weight = settings.role_weights[String(person.role || '').trim().toLowerCase()];
+    return weight === undefined ? 1 : Math.max(toNumber(weight), 0);
+  }
+  return 1;
+}
+
+/**
+ * Split a day's tip pool among its staff. When no one has a weight (e.g. no
+ * hours entered yet) the pool is split equally. Rounding cents go to the
+ * person with the largest share, so the shares always add up to the pool.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} storeId
+ * @returns {Promise<Object>}
+ */
+async function calculateTipSplit(date, storeId) {
+  const [entries, staff, settings] = await Promise.all([
+    listTipEntries(date, storeId),
+    listDayStaff(date, storeId),
+    getTipSettings(storeId)
+  ]);
+
+  const bySource = Object.fromEntries(TIP_SOURCES.map((source) => [source, 0]));
+  for (const entry of entries) {
+    bySource[entry.source] = roundCurrency((bySource[entry.source] || 0) + entry.amount);
+  }
+  const pool = roundCurrency(entries.reduce((sum, entry) => sum + entry.amount, 0));
+
+  let weights = staff.map((person) => staffWeight(person, settings));
+  let method = settings.split_method;
+  let totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (staff.length && totalWeight <= 0) {
+    weights = staff.map(() => 1);
+    totalWeight = staff.length;
+    method = 'equal';
+  }
+
+  const shares = staff.map((person, index) => ({
+    daily_staff_id: person.id,
+    staff_id: person.staff_id || null,
+    name: person.name,
+    role: person.role || null,
+    hours_worked: person.hours_worked === null || person.hours_worked === undefined ? null : toNumber(person.hours_worked),
+    weight: weights[index],
+    amount: totalWeight > 0 ? roundCurrency((pool * weights[index]) / totalWeight) : 0
+  }));
+
+  if (shares.length) {
+    const remainder = roundCurrency(pool - shares.reduce((sum, share) => sum + share.amount, 0));
+    if (remainder !== 0) {
+      const largest = shares.reduce((best, share) => (share.amount > best.amount ? share : best), shares[0]);
+      largest.amount = roundCurrency(largest.amount + remainder);
+    }
+  }
+
+  return {
+    date,
+    store: storeId,
+    pool,
+    sources: bySource,
+    split_method: method,
+    configured_split_method: settings.split_method,
+    undistributed: shares.length ? 0 : pool,
+    entries,
+    shares
+  };
+}
+
+/**
+ * First and last date of the week (Monday-Sunday) or month containing a date.
+ */
+function getPeriodBounds(period, date) {
+  const day = dayjs(date);
+  if (period === 'month') {
+    return { from: day.startOf('month').format('YYYY-MM-DD'), to: day.endOf('month').format('YYYY-MM-DD') };
+  }
+  const monday = day.subtract((day.day() + 6) % 7, 'day');
+  return { from: monday.format('YYYY-MM-DD'), to: monday.add(6, 'day').format('YYYY-MM-DD') };
+}
+
+/**
+ * Per-person tip statements for the week or month containing `date`.
+ * @param {Object} options
+ * @param {string} [options.period='week'] - 'week' (Monday-Sunday) or 'month'
+ * @param {string} options.date - Any date in the period, YYYY-MM-DD
+ * @param {string} options.storeId - 'all' for every store
+ * @returns {Promise<Object>}
+ */
+async function getTipStatements({ period = 'week', date, storeId }) {
+  if (!['week', 'month'].includes(period)) {
+    throw badRequest('period must be week or month');
+  }
+  const { from, to } = getPeriodBounds(period, date);
+
+  const params = [from, to];
+  let storeFilter = '';
+  if (storeId !== ALL_STORES) {
+    params.push(storeId);
+    storeFilter = `AND store_id = ${placeholder(3)}`;
+  }
+  const days = await query(
+    `SELECT DISTINCT store_id, date FROM tip_entries
+     WHERE date >= ${placeholder(1)} AND date <= ${placeholder(2)} ${storeFilter}
+     ORDER BY date ASC`,
+    params
+  );
+
+  const people = new Map();
+  let totalPool = 0;
+  let undistributed = 0;
+
+  for (const day of Array.isArray(days) ? days : []) {
+    const split = await calculateTipSplit(formatDate(day.date), day.store_id);
+    totalPool += split.pool;
+    undistributed += split.undistributed;
+
+    for (const share of split.shares) {
+      // Unregistered names (from before the staff registry) are grouped by name
+      const key = share.staff_id ? `id:${share.staff_id}` : `name:${share.name.trim().toLowerCase()}`;
+      if (!people.has(key)) {
+        people.set(key, { staff_id: share.staff_id, name: share.name, days: 0, hours_worked: 0, total: 0, daily: [] });
+      }
+      const person = people.get(key);
+      person.days += 1;
+      person.hours_worked = roundCurrency(person.hours_worked + (share.hours_worked || 0));
+      person.total = roundCurrency(person.total + share.amount);
+      person.daily.push({ date: split.date, store_id: split.store, amount: share.amount, split_method: split.split_method });
+    }
+  }
+
+  return {
+    period,
+    from,
+    to,
+    store: storeId,
+    total_pool: roundCurrency(totalPool),
+    undistributed: roundCurrency(undistributed),
+    statements: [...people.values()].sort((a, b) => b.total - a.total)
+  };
+}
+
+module.exports = {
+  TIP_SOURCES,
+  SPLIT_METHODS,
+  getTipEntry,
+  listTipEntries,
+  getTipPool,
+  addTipEntry,
+  deleteTipEntry,
+  importCardTips,
+  getTipSettings,
+  saveTipSettings,
+  calculateTipSplit,
+  getTipStatements
+};
@@ -0,0 +1,310 @@
+/**
+ * User Service
+ * Dashboard accounts with scrypt-hashed passwords and a role:
+ * staff (today's counts and expenses), manager (any day, approvals) and
+ * owner (settings, exports, admin routes). Accounts may also have a 4-6 digit
+ * PIN for quick switching on the shared counter tablet.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const dayjs = require('dayjs');
+const { query, getDialect } = require('../config/db');
+const { fromSqlDateTime, toSqlDateTime } = require('./receiptArchiveService');
+
+const scrypt = promisify(crypto.scrypt);
+const isPostgres = getDialect() === 'postgres';
+
+const ROLES = ['staff', 'manager', 'owner'];
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+// Every PIN_MAX_ATTEMPTS wrong PINs in a row block the PIN, first for
+// PIN_LOCK_MINUTES, then twice as long each time, up to PIN_MAX_LOCK_MINUTES
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 5;
+const PIN_MAX_LOCK_MINUTES = 24 * 60;
+const PUBLIC_COLUMNS = 'id, username, display_name, role, pin_hash, active, created_at, updated_at';
+
+function placeholder(index) {
+  return isPostgres ? `$${index}` : '?';
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Whether a user's role is at least the given role.
+ * @param {Object|null} user
+ * @param {string} role
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function toPublicUser(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    username: row.username,
+    display_name: row.display_name || row.username,
+    role: row.role,
+    has_pin: Boolean(row.pin_hash),
+    active: Boolean(Number(row.active)),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function normalizeUsername(value) {
+  const username = String(value || '').trim().toLowerCase();
+  if (!/^[a-z0-9._-]{3,60}$/.test(username)) {
+    throw badRequest('Username must be 3-60 letters, digits, dots, dashes or underscores');
+  }
+  return username;
+}
+
+function validatePassword(password) {
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    throw badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function validatePin(pin) {
+  if (!/^\d{4,6}$/.test(String(pin ?? ''))) {
+    throw badRequest('PIN must be 4-6 digits');
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw badRequest(`role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+async function countUsers() {
+  const rows = await query('SELECT COUNT(*) AS count FROM users');
+  return Number(rows[0]?.count || 0);
+}
+
+async function listUsers() {
+  const rows = await query(`SELECT ${PUBLIC_COLUMNS} FROM users ORDER BY username ASC`);
+  return (Array.isArray(rows) ? rows : []).map(toPublicUser);
+}
+
+async function getUserById(id) {
+  const rows = await query(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ${placeholder(1)}`, [id]);
+  return toPublicUser(rows[0]);
+}
+
+/**
+ * Active accounts that can sign in with a PIN, for the quick-switch screen.
+ * @returns {Promise<Array<{id: number, display_name: string}>>}
+ */
+async function listPinUsers() {
+  const rows = await query(
+    `SELECT id, username, display_name FROM users
+     WHERE pin_hash IS NOT NULL AND active = ${isPostgres ? 'TRUE' : '1'}
+     ORDER BY display_name ASC, username ASC`
+  );
+  return (Array.isArray(rows) ? rows : []).map((row) => ({
+    id: row.id,
+    display_name: row.display_name || row.username
+  }));
+}
+
+/**
+ * Create an account.
+ * @param {Object} input - { username, password, display_name?, role?, pin? }
+ * @returns {Promise<Object>} The new user, without its password hash
+ */
+async function createUser(input) {
+  const username = normalizeUsername(input.username);
+  validatePassword(input.password);
+  const role = input.role || 'staff';
+  validateRole(role);
+  const hasPin = input.pin !== undefined && input.pin !== null && input.pin !== '';
+  if (hasPin) {
+    validatePin(input.pin);
+  }
+
+  const existing = await query(`SELECT id FROM users WHERE username = ${placeholder(1)}`, [username]);
+  if (existing.length) {
+    const error = new Error('Username is already taken');
+    error.status = 409;
+    throw error;
+  }
+
+  const params = [
+    username,
+    String(input.display_name || '').trim().slice(0, 120),
+    await hashPassword(input.password),
+    role,
+    hasPin ? await hashPassword(input.pin) : null
+  ];
+
+  if (isPostgres) {
+    const rows = await query(
+      `INSERT INTO users (username, display_name, password_hash, role, pin_hash)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      params
+    );
+    return getUserById(rows[0].id);
+  }
+
+  const result = await query(
+    'INSERT INTO users (username, display_name, password_hash, role, pin_hash) VALUES (?, ?, ?, ?, ?)',
+    params
+  );
+  return getUserById(result.insertId);
+}
+
+/**
+ * Update display name, role, password, PIN or active flag of an account.
+ * A null or empty pin removes PIN sign-in.
+ * @param {number|string} id
+ * @param {Object} input
+ * @returns {Promise<Object>}
+ */
+async function updateUser(id, input) {
+  const values = {};
+
+  if (input.display_name !== undefined) {
+    values.display_name = String(input.display_name || '').trim().slice(0, 120);
+  }
+  if (input.role !== undefined) {
+    validateRole(input.role);
+    values.role = input.role;
+  }
+  if (input.password !== undefined) {
+    validatePassword(input.password);
+    values.password_hash = await hashPassword(input.password);
+  }
+  if (input.pin !== undefined) {
+    if (input.pin === null || input.pin === '') {
+      values.pin_hash = null;
+    } else {
+      validatePin(input.pin);
+      values.pin_hash = await hashPassword(input.pin);
+    }
+    values.pin_failed_attempts = 0;
+    values.pin_locked_until = null;
+  }
+  if (input.active !== undefined) {
+    values.active = Boolean(input.active);
+  }
+
+  const columns = Object.keys(values);
+  if (columns.length > 0) {
+    const assignments = columns.map((column, index) => `${column} = ${placeholder(index + 1)}`);
+    if (isPostgres) {
+      assignments.push('updated_at = CURRENT_TIMESTAMP');
+    }
+    await query(
+      `UPDATE users SET ${assignments.join(', ')} WHERE id = ${placeholder(columns.length + 1)}`,
+      [...columns.map((column) => values[column]), id]
+    );
+  }
+
+  return getUserById(id);
+}
+
+/**
+ * Check a username and password.
+ * @returns {Promise<Object|null>} The active user, or null
+ */
+async function authenticate(username, password) {
+  const rows = await query(
+    `SELECT * FROM users WHERE username = ${placeholder(1)}`,
+    [String(username || '').trim().toLowerCase()]
+  );
+  const row = rows[0];
+  if (!row || !Boolean(Number(row.active)) || !(await verifyPassword(password, row.password_hash))) {
+    return null;
+  }
+  return toPublicUser(row);
+}
+
+/**
+ * Minutes a PIN is blocked after `attempts` wrong PINs in a row, or 0 when
+ * this attempt does not block it: 5 after the 5th, 10 after the 10th, 20
+ * after the 15th and so on, never more than a day. The count only resets on
+ * a correct PIN or a new PIN, so guessing slows down instead of restarting.
+ * @param {number} attempts
+ * @returns {number}
+ */
+function getPinLockMinutes(attempts) {
+  if (attempts < PIN_MAX_ATTEMPTS || attempts % PIN_MAX_ATTEMPTS !== 0) {
+    return 0;
+  }
+  const lockouts = attempts / PIN_MAX_ATTEMPTS;
+  return Math.min(PIN_LOCK_MINUTES * 2 ** Math.min(lockouts - 1, 20), PIN_MAX_LOCK_MINUTES);
+}
+
+/**
+ * Check a user's PIN. Wrong PINs block it for longer and longer (429, see
+ * getPinLockMinutes), so a 4-digit PIN cannot be brute-forced.
+ * @param {number|string} userId
+ * @param {string} pin
+ * @returns {Promise<Object|null>} The active user, or null
+ */
+async function authenticatePin(userId, pin) {
+  const rows = await query(`SELECT * FROM users WHERE id = ${placeholder(1)}`, [userId]);
+  const row = rows[0];
+  if (!row || !row.pin_hash || !Boolean(Number(row.active))) {
+    return null;
+  }
+
+  const lockedUntil = fromSqlDateTime(row.pin_locked_until);
+  if (lockedUntil && lockedUntil.isAfter(dayjs())) {
+    const minutes = Math.ceil(lockedUntil.diff(dayjs(), 'minute', true));
+    const error = new Error(`Too many wrong PINs. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+    error.status = 429;
+    throw error;
+  }
+
+  const valid = /^\d{4,6}$/.test(String(pin ?? '')) && (await verifyPassword(pin, row.pin_hash));
+  const attempts = valid ? 0 : Number(row.pin_failed_attempts || 0) + 1;
+  const lockMinutes = getPinLockMinutes(attempts);
+  await query(
+    `UPDATE users SET pin_failed_attempts = ${placeholder(1)}, pin_locked_until = ${placeholder(2)} WHERE id = ${placeholder(3)}`,
+    [attempts, lockMinutes ? toSqlDateTime(dayjs().add(lockMinutes, 'minute').toDate()) : null, row.id]
+  );
+
+  return valid ? toPublicUser(row) : null;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  countUsers,
+  listUsers,
+  listPinUsers,
+  getUserById,
+  createUser,
+  updateUser,
+  authenticate,
+  getPinLockMinutes,
+  authenticatePin
+};
@@ -0,0 +1,1338 @@
+/**
+ * Shared Sales Logic
+ * Money parsing, refund filtering, item classification, gram counting and
+ * discount math for Loyverse receipts. The same file is required by the
+ * server and served to the browser at /shared/salesLogic.js (as
+ * window.SalesLogic), so the dashboard, the daily report and both Excel
+ * exports produce identical numbers.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SalesLogic = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Money
+  // ---------------------------------------------------------------------------
+
+  let moneyDivisor = null;
+
+  /**
+   * Override settings that the server reads from the environment.
+   * @param {Object} options
+   * @param {number} [options.moneyDivisor] - LOYVERSE_MONEY_DIVISOR
+   */
+  function configure({ moneyDivisor: divisor } = {}) {
+    if (divisor !== undefined) {
+      moneyDivisor = Number(divisor) || 1;
+    }
+  }
+
+  function getMoneyDivisor() {
+    if (moneyDivisor !== null) {
+      return moneyDivisor;
+    }
+    if (typeof process !== 'undefined' && process.env) {
+      return Number(process.env.LOYVERSE_MONEY_DIVISOR || 1);
+    }
+    return 1;
+  }
+
+  function roundCurrency(value) {
+    return Number((value || 0).toFixed(2));
+  }
+
+  function toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+      return 0;
+    }
+
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : 0;
+    }
+
+    if (typeof value === 'string') {
+      const normalized = value.replace(/,/g, '').trim();
+      const parsed = Number(normalized);
+      return Number.isFinite(parsed) ? parsed : 0;
+    }
+
+    if (typeof value === 'object') {
+      if (Object.prototype.hasOwnProperty.call(value, 'amount')) {
+        return toNumber(value.amount);
+      }
+      if (Object.prototype.hasOwnProperty.call(value, 'value')) {
+        return toNumber(value.value);
+      }
+    }
+
+    return 0;
+  }
+
+  function normalizeMoney(rawValue) {
+    const divisor = getMoneyDivisor();
+    let amount = toNumber(rawValue);
+
+    if (Number.isFinite(divisor) && divisor > 1 && Number.isInteger(amount) && Math.abs(amount) >= divisor) {
+      amount = amount / divisor;
+    }
+
+    return roundCurrency(amount);
+  }
+
+  function extractMoneyValue(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+
+    if (typeof value === 'string') {
+      const parsed = Number(value);
+      return Number.isFinite(parsed) ? parsed : null;
+    }
+
+    if (typeof value === 'object') {
+      if (Object.prototype.hasOwnProperty.call(value, 'amount')) {
+        return extractMoneyValue(value.amount);
+      }
+      if (Object.prototype.hasOwnProperty.call(value, 'value')) {
+        return extractMoneyValue(value.value);
+      }
+    }
+
+    return null;
+  }
+
+  function pickMoneyValue(...candidates) {
+    for (const candidate of candidates) {
+      const value = extractMoneyValue(candidate);
+      if (value !== null) {
+        return value;
+      }
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Refunds
+  // ---------------------------------------------------------------------------
+
+  function getReceiptNumber(receipt) {
+    return String(receipt?.receipt_number || receipt?.number || '').trim();
+  }
+
+  function hasRefundData(receipt) {
+    const refundedFlags = [
+      receipt.is_refunded,
+      receipt.refunded,
+      receipt.is_returned
+    ];
+    if (refundedFlags.some((flag) => flag === true)) {
+      return true;
+    }
+
+    if (receipt.refunded_at || receipt.returned_at) {
+      return true;
+    }
+
+    const refundCollections = [
+      receipt.refunds,
+      receipt.refund_items,
+      receipt.returns
+    ];
+
+    return refundCollections.some((collection) => Array.isArray(collection) && collection.length > 0);
+  }
+
+  function isVoidedReceipt(receipt) {
+    const status = String(receipt.status || '').toUpperCase();
+    const voidStatuses = new Set(['VOIDED', 'VOID', 'CANCELLED', 'CANCELED', 'DELETED']);
+
+    return Boolean(
+      voidStatuses.has(status) ||
+      receipt.voided_at ||
+      receipt.cancelled_at ||
+      receipt.canceled_at ||
+      receipt.deleted_at ||
+      receipt.is_voided === true
+    );
+  }
+
+  function isRefundTypeReceipt(receipt) {
+    return String(receipt.receipt_type || receipt.type || '').toUpperCase() === 'REFUND';
+  }
+
+  // --- THE REFUND GHOST FIX ---
+  function isCompletedReceipt(receipt) {
+    // Explicitly REJECT the Loyverse "Refund" receipt type
+    if (isRefundTypeReceipt(receipt)) {
+      return false;
+    }
+
+    // Reject the original receipt if it has been voided or refunded
+    if (isVoidedReceipt(receipt) || hasRefundData(receipt)) {
+      return false;
+    }
+
+    // Reject if the receipt has a negative total (indicative of a refund)
+    const total = normalizeMoney(pickMoneyValue(
+      receipt?.total_money,
+      receipt?.total_price_money,
+      receipt?.amount_money,
+      receipt?.amount
+    ) ?? 0);
+    if (total < 0) {
+      return false;
+    }
+
+    // Only accept valid closed/paid statuses
+    const status = String(receipt.status || '').toUpperCase();
+    const completedStatuses = new Set(['', 'CLOSED', 'COMPLETED', 'PAID']);
+    return completedStatuses.has(status);
+  }
+
+  /**
+   * Whether a receipt is a refund, a refunded/voided original or has a
+   * negative total.
+   */
+  function isRefundReceipt(receipt) {
+    if (!receipt || typeof receipt !== 'object') return false;
+    if (isRefundTypeReceipt(receipt) || isVoidedReceipt(receipt) || hasRefundData(receipt)) return true;
+    const total = normalizeMoney(pickMoneyValue(
+      receipt.total_money,
+      receipt.total_price_money,
+      receipt.amount_money,
+      receipt.amount
+    ) ?? 0);
+    return total < 0;
+  }
+
+  /**
+   * Receipt numbers to leave out of a day: refund receipts, the originals they
+   * point to (refund_for fields or "REFUND OF #1-234" notes) and originals
+   * marked as refunded.
+   * @param {Array} receipts
+   * @returns {Set<string>}
+   */
+  function collectRefundedReceiptNumbers(receipts) {
+    const excluded = new Set();
+    if (!Array.isArray(receipts)) return excluded;
+
+    receipts.forEach((receipt) => {
+      if (!receipt || typeof receipt !== 'object') return;
+      const receiptNumber = getReceiptNumber(receipt);
+
+      if (isRefundTypeReceipt(receipt)) {
+        excluded.add(receiptNumber);
+
+        // Loyverse often puts the original receipt number in refund_for or similar fields
+        const originalNumber = receipt.refund_for || receipt.refund_for_receipt_number || receipt.original_receipt_number;
+        if (originalNumber) {
+          excluded.add(String(originalNumber).trim());
+        }
+
+        // Also check if it's in the note or description (common in some setups)
+        const note = String(receipt.note || '').toUpperCase();
+        const match = note.match(/REFUND\s+(?:OF\s+)?#?([0-9-]+)/);
+        if (match && match[1]) {
+          excluded.add(match[1].trim());
+        }
+      }
+
+      if (hasRefundData(receipt)) {
+        excluded.add(receiptNumber);
+      }
+    });
+
+    return excluded;
+  }
+
+  /**
+   * Filter receipts to exclude refund-related receipts
+   * @param {Array} receipts - Raw receipts from Loyverse
+   * @returns {Array} Filtered receipts excluding refunds
+   */
+  function filterOutRefundReceipts(receipts) {
+    if (!Array.isArray(receipts)) return [];
+
+    const excluded = collectRefundedReceiptNumbers(receipts);
+    return receipts.filter((receipt) => (
+      receipt && typeof receipt === 'object' &&
+      !excluded.has(getReceiptNumber(receipt)) &&
+      isCompletedReceipt(receipt)
+    ));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Classification
+  // ---------------------------------------------------------------------------
+
+  const MAIN_KEYWORDS = [
+    'grape soda', 'gelonade', 'blue pave', 'devil driver', 'lemon cherry gelato',
+    'moonbow', 'emergen c', 'tea time', 'silver shadow',
+    'rozay cake', 'truffaloha', 'the planet of grape', 'crunch berriez',
+    'big foot', 'honey bee', 'jealousy mintz', 'crystal candy',
+    'alien mint', 'rocket fuel', 'gold dust', 'darth vader',
+    'cherry pop tarts', 'white cherry gelato', 'dosidos', 'obama runtz',
+    'free pina colada', 'free kanobi sunset', 'fakescotti', 'pina colada', 'thc gummy', 'flower',
+    'bud', 'pre-roll', 'joint', 'cheese candy', 'vino tinto', 'mac stormper',
+    'r2d2 fluid', 'planet of the grape', 'moonlight sonata', 'american pie',
+    'gastro pop', 'dulce de uva', 'gelato 41', 'rs11', 'frost boof',
+    'lemon cherry martini', 'royal marker', 'cherry rage', 'mac 1 x permanent',
+    '3 hour tour', 'creature feature', 'trich tyson', 'groot snack', 'groot\'s snack'
+  ];
+
+  const FB_KEYWORDS = [
+    'water', 'soda', 'beer', 'drink', 'beverage', 'alcohol', 'wine',
+    'cider', 'spirit', 'cocktail', 'milk', 'coffee', 'tea', 'juice',
+    'corona', 'sato', 'budweiser', 'singha', 'asahi', 'chang', 'leo',
+    'cocacola', 'coke', 'sprite', 'tonic water', 'soda water',
+    'cookie', 'brownie', 'cake', 'soju', 'snack', 'food', 'bakery'
+  ];
+
+  const ACCESSORY_KEYWORDS = [
+    'accessories', 'merchandise', 'bong', 'paper', 'tip', 'grinder',
+    'shirt', 'hat', 'lighter', 'the lobby', 'merch', 'ashtray', 'ash tray',
+    'pipe', 'small pipe', 'best buds grinder', 'best buds shirt',
+    'nf best buds shirt', 'sw best buds shirt', 'balm 10g', 'pillow mist', 'balm', 'bileaf', 'plastic tray'
+  ];
+
+  const ACCESSORY_CATEGORY_KEYWORDS = ['accessories', 'merchandise'];
+
+  const FB_CATEGORY_KEYWORDS = ['soft drink', 'alcohol', 'snacks', 'beverage', 'drink', 'food', 'bakery'];
+
+  // Names that contain an F&B keyword but are not F&B ("tea time", "grape soda");
+  // they only apply to items an F&B name or category rule matches
+  const FB_EXCEPTION_KEYWORDS = ['tea time', 'gummy', 'grape soda', 'gelonade', 'groot'];
+
+  const CLASSIFICATIONS = ['main', 'fb', 'accessory'];
+  const MATCH_TYPES = ['item', 'keyword', 'regex', 'category', 'price', 'fb_exception'];
+
+  /**
+   * The built-in rules, used until rules are loaded from the database and as
+   * the seed for an empty classification_rules table. Higher priority wins:
+   * accessories first so "Best buds hat" is not caught by "bud", then the F&B
+   * exceptions, F&B before Main so "Budweiser" is not caught by "bud", and the
+   * unit price fallback last.
+   * @returns {Array<Object>}
+   */
+  function buildDefaultRules() {
+    const keywordRules = (keywords, matchType, classification, priority) =>
+      keywords.map((pattern) => ({ match_type: matchType, pattern, min_price: null, classification, priority }));
+
+    return [
+      ...keywordRules(ACCESSORY_KEYWORDS, 'keyword', 'accessory', 400),
+      ...keywordRules(ACCESSORY_CATEGORY_KEYWORDS, 'category', 'accessory', 400),
+      ...keywordRules(FB_EXCEPTION_KEYWORDS, 'fb_exception', 'main', 300),
+      ...keywordRules(FB_KEYWORDS, 'keyword', 'fb', 200),
+      ...keywordRules(FB_CATEGORY_KEYWORDS, 'category', 'fb', 200),
+      ...keywordRules(MAIN_KEYWORDS, 'keyword', 'main', 100),
+      { match_type: 'price', pattern: null, min_price: 50, classification: 'main', priority: 10 },
+      { match_type: 'price', pattern: null, min_price: 0, classification: 'fb', priority: 0 }
+    ];
+  }
+
+  function compileRule(rule) {
+    const compiled = { ...rule, pattern: rule.pattern === null || rule.pattern === undefined ? null : String(rule.pattern) };
+    if (compiled.match_type === 'regex') {
+      try {
+        compiled.regex = new RegExp(compiled.pattern, 'i');
+      } catch (error) {
+        return null;
+      }
+    } else if (compiled.pattern !== null) {
+      compiled.pattern = compiled.pattern.trim().toLowerCase();
+    }
+    return compiled;
+  }
+
+  function sortRules(rules) {
+    return rules
+      .map(compileRule)
+      .filter(Boolean)
+      .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0) || (Number(a.id) || 0) - (Number(b.id) || 0));
+  }
+
+  let activeRules = sortRules(buildDefaultRules());
+
+  /**
+   * Replace the rules classifyItem evaluates (active rules from the database).
+   * Invalid regex rules are skipped.
+   * @param {Array<Object>} rules
+   */
+  function setClassificationRules(rules) {
+    activeRules = sortRules(Array.isArray(rules) ? rules : []);
+  }
+
+  // An F&B exception only overrides items some F&B name or category rule
+  // matches; the price fallback does not make an item F&B
+  function matchesFbRule(name, cat, rawName) {
+    return activeRules.some((rule) => rule.classification === 'fb' &&
+      rule.match_type !== 'price' && rule.match_type !== 'fb_exception' &&
+      ruleMatches(rule, name, cat, rawName, 0));
+  }
+
+  function ruleMatches(rule, name, cat, rawName, unitPrice) {
+    switch (rule.match_type) {
+      case 'item':
+        return name.trim() === rule.pattern;
+      case 'keyword':
+        return Boolean(rule.pattern) && name.includes(rule.pattern);
+      case 'regex':
+        return rule.regex.test(rawName);
+      case 'category':
+        return Boolean(rule.pattern) && cat.includes(rule.pattern);
+      case 'price':
+        return Number(unitPrice) > Number(rule.min_price ?? 0);
+      case 'fb_exception':
+        return Boolean(rule.pattern) && name.includes(rule.pattern) && matchesFbRule(name, cat, rawName);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Classify an item and report the rule that decided it.
+   * @param {string} itemName - The name of the item.
+   * @param {string} categoryName - The name of the category.
+   * @param {number} unitPrice - The unit price of the item (for price rules).
+   * @returns {{classification: string, rule: Object|null}} rule is null when no rule matched and the 'main' default applied
+   */
+  function classifyItemDetailed(itemName, categoryName = '', unitPrice = 0) {
+    const rawName = String(itemName || '');
+    const name = rawName.toLowerCase();
+    const cat = String(categoryName || '').toLowerCase();
+
+    const rule = activeRules.find((candidate) => ruleMatches(candidate, name, cat, rawName, unitPrice));
+    if (!rule) {
+      return { classification: 'main', rule: null };
+    }
+    const { regex, ...matched } = rule;
+    return { classification: rule.classification, rule: matched };
+  }
+
+  /**
+   * Every active rule that matches an item, highest priority first. The first
+   * one decides the classification; the rest show where rules overlap.
+   * @param {string} itemName
+   * @param {string} categoryName
+   * @param {number} unitPrice
+   * @returns {Array<Object>}
+   */
+  function findMatchingRules(itemName, categoryName = '', unitPrice = 0) {
+    const rawName = String(itemName || '');
+    const name = rawName.toLowerCase();
+    const cat = String(categoryName || '').toLowerCase();
+
+    return activeRules
+      .filter((candidate) => ruleMatches(candidate, name, cat, rawName, unitPrice))
+      .map(({ regex, ...matched }) => matched);
+  }
+
+  /**
+   * Classifies an item based on its name and category.
+   * @param {string} itemName - The name of the item.
+   * @param {string} categoryName - The name of the category.
+   * @param {number} unitPrice - The unit price of the item (optional fallback).
+   * @returns {string} - 'main', 'fb', or 'accessory'
+   */
+  function classifyItem(itemName, categoryName = '', unitPrice = 0) {
+    return classifyItemDetailed(itemName, categoryName, unitPrice).classification;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Line items
+  // ---------------------------------------------------------------------------
+
+  function normalizeCategoryValue(rawCategory) {
+    return String(rawCategory || '').trim().toLowerCase();
+  }
+
+  function getReceiptIdentifier(receipt) {
+    return (
+      receipt.receipt_number ||
+      receipt.number ||
+      receipt.id ||
+      receipt.receipt_id ||
+      'unknown-receipt'
+    );
+  }
+
+  function extractLineItemCategory(lineItem) {
+    if (!lineItem || typeof lineItem !== 'object') {
+      return '';
+    }
+
+    // Loyverse API uses category_name on line_items
+    if (lineItem.category_name) {
+      return normalizeCategoryValue(lineItem.category_name);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(lineItem, 'category')) {
+      return normalizeCategoryValue(lineItem.category);
+    }
+
+    return '';
+  }
+
+  function extractLineItemQty(lineItem) {
+    const qty =
+      lineItem?.quantity ??
+      lineItem?.qty ??
+      lineItem?.count ??
+      lineItem?.item_quantity ??
+      0;
+
+    const normalized = toNumber(qty);
+    return Number.isFinite(normalized) && normalized > 0 ? normalized : 0;
+  }
+
+  function extractLineItemPrice(lineItem) {
+    // --- Zero-Value Gatekeeper Rule ---
+    // Prioritize net amount (after discounts) using nullish coalescing to catch 0
+    const directAmount = pickMoneyValue(
+      lineItem?.total_money,
+      lineItem?.total_price_money,
+      lineItem?.line_total_money,
+      lineItem?.total,
+      lineItem?.total_price,
+      lineItem?.line_total,
+      lineItem?.amount
+    );
+
+    if (directAmount !== null && directAmount !== undefined) {
+      return normalizeMoney(directAmount);
+    }
+
+    const grossAmount = pickMoneyValue(
+      lineItem?.gross_total_money,
+      lineItem?.gross_sales_money,
+      lineItem?.subtotal_money,
+      lineItem?.total_before_discount_money,
+      lineItem?.total_before_discounts_money,
+      lineItem?.original_total_money
+    );
+
+    if (grossAmount !== null && grossAmount !== undefined) {
+      const gross = normalizeMoney(grossAmount);
+      const discount = normalizeMoney(pickMoneyValue(
+        lineItem?.total_discount_money,
+        lineItem?.total_discounts_money,
+        lineItem?.discount_money,
+        lineItem?.discount_amount,
+        lineItem?.discount
+      ) ?? 0);
+      return roundCurrency(gross - discount);
+    }
+
+    const unitPrice = pickMoneyValue(
+      lineItem?.price_money,
+      lineItem?.unit_price_money,
+      lineItem?.price,
+      lineItem?.unit_price
+    ) ?? 0;
+
+    const qty = extractLineItemQty(lineItem);
+    return roundCurrency(normalizeMoney(unitPrice) * qty);
+  }
+
+  function extractLineItemGrossPrice(lineItem) {
+    const grossAmount = pickMoneyValue(
+      lineItem?.gross_total_money,
+      lineItem?.gross_sales_money,
+      lineItem?.subtotal_money,
+      lineItem?.total_before_discount_money,
+      lineItem?.total_before_discounts_money,
+      lineItem?.original_total_money
+    );
+
+    if (grossAmount !== null && grossAmount !== undefined) {
+      return normalizeMoney(grossAmount);
+    }
+
+    const netAmount = pickMoneyValue(
+      lineItem?.total_money,
+      lineItem?.total_price_money,
+      lineItem?.line_total_money,
+      lineItem?.total,
+      lineItem?.total_price,
+      lineItem?.line_total,
+      lineItem?.amount
+    );
+
+    const lineDiscount = pickMoneyValue(
+      lineItem?.total_discount_money,
+      lineItem?.total_discounts_money,
+      lineItem?.discount_money,
+      lineItem?.discount_amount,
+      lineItem?.discount
+    );
+
+    if (netAmount !== null) {
+      return roundCurrency(normalizeMoney(netAmount) + normalizeMoney(lineDiscount ?? 0));
+    }
+
+    const unitPrice = pickMoneyValue(
+      lineItem?.price_money,
+      lineItem?.unit_price_money,
+      lineItem?.price,
+      lineItem?.unit_price
+    ) ?? 0;
+    const qty = extractLineItemQty(lineItem);
+    return roundCurrency(normalizeMoney(unitPrice) * qty);
+  }
+
+  function extractReceiptDiscountAmount(receipt) {
+    return Math.abs(normalizeMoney(pickMoneyValue(
+      receipt?.total_discounts_money,
+      receipt?.total_discount_money,
+      receipt?.total_discount,
+      receipt?.discount_money,
+      receipt?.discount_amount,
+      receipt?.discount
+    ) ?? 0));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Discounts
+  // ---------------------------------------------------------------------------
+
+  function extractDiscountValue(entry) {
+    const rawAmount =
+      entry?.money_amount ??
+      entry?.amount_money?.amount ??
+      entry?.amount_money ??
+      entry?.amount ??
+      entry?.discount_money ??
+      entry?.discount_amount ??
+      entry?.total_discount_money ??
+      entry?.value ??
+      0;
+
+    return normalizeMoney(rawAmount);
+  }
+
+  function normalizePercentageValue(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const normalizedRaw =
+      typeof value === 'string'
+        ? value.replace('%', '').trim()
+        : value;
+    const parsed = Number(normalizedRaw);
+    if (!Number.isFinite(parsed) || parsed === 0) {
+      return null;
+    }
+
+    const absolute = Math.abs(parsed);
+    const percentage = absolute > 0 && absolute <= 1 ? absolute * 100 : absolute;
+    return roundCurrency(percentage);
+  }
+
+  function deriveDiscountPercentageFromBase(discountAmount, baseAmount) {
+    const normalizedDiscount = Math.abs(normalizeMoney(discountAmount));
+    const normalizedBase = Math.abs(normalizeMoney(baseAmount));
+
+    if (normalizedDiscount <= 0 || normalizedBase <= normalizedDiscount) {
+      return null;
+    }
+
+    const percentage = roundCurrency((normalizedDiscount / normalizedBase) * 100);
+    if (!Number.isFinite(percentage) || percentage <= 0 || percentage >= 100) {
+      return null;
+    }
+
+    return percentage;
+  }
+
+  function pickPreferredDiscountPercentage(candidates) {
+    const normalized = candidates
+      .map((candidate) => normalizePercentageValue(candidate))
+      .filter((value) => Number.isFinite(value) && value > 0 && value < 100)
+      .map((value) => roundCurrency(value));
+
+    if (!normalized.length) {
+      return null;
+    }
+
+    const frequencyMap = new Map();
+    for (const value of normalized) {
+      frequencyMap.set(value, (frequencyMap.get(value) || 0) + 1);
+    }
+
+    const unique = [...frequencyMap.keys()];
+    unique.sort((a, b) => {
+      const freqDiff = (frequencyMap.get(b) || 0) - (frequencyMap.get(a) || 0);
+      if (freqDiff !== 0) {
+        return freqDiff;
+      }
+
+      const decimalA = Math.abs(a - Math.round(a));
+      const decimalB = Math.abs(b - Math.round(b));
+
+      if (decimalA !== decimalB) {
+        return decimalA - decimalB;
+      }
+
+      return b - a;
+    });
+
+    return unique[0];
+  }
+
+  function pushMoneyCandidate(target, rawValue) {
+    const amount = Math.abs(normalizeMoney(rawValue));
+    if (amount > 0) {
+      target.push(amount);
+    }
+  }
+
+  function deriveDiscountPercentageFromContext(discountAmount, context) {
+    if (!context || typeof context !== 'object') {
+      return null;
+    }
+
+    const normalizedDiscount = Math.abs(normalizeMoney(discountAmount));
+    if (normalizedDiscount <= 0) {
+      return null;
+    }
+
+    const grossCandidates = [];
+    const netCandidates = [];
+
+    const grossFields = [
+      context.gross_sales_money,
+      context.gross_total_money,
+      context.total_before_discount_money,
+      context.total_before_discounts_money,
+      context.original_total_money,
+      context.subtotal_before_discounts_money
+    ];
+
+    const netFields = [
+      context.total_money,
+      context.total,
+      context.total_paid_money,
+      context.net_sales_money,
+      context.subtotal_money
+    ];
+
+    for (const field of grossFields) {
+      pushMoneyCandidate(grossCandidates, field);
+    }
+    for (const field of netFields) {
+      pushMoneyCandidate(netCandidates, field);
+    }
+
+    const quantity = toNumber(context.quantity);
+    const normalizedQuantity = Number.isFinite(quantity) && quantity > 0 ? quantity : 1;
+    const unitPriceFields = [
+      context.price_money,
+      context.price,
+      context.unit_price_money,
+      context.unit_price,
+      context.base_price_money,
+      context.item_price_money
+    ];
+
+    for (const unitPrice of unitPriceFields) {
+      const normalizedUnitPrice = Math.abs(normalizeMoney(unitPrice));
+      if (normalizedUnitPrice > 0) {
+        grossCandidates.push(normalizedUnitPrice * normalizedQuantity);
+      }
+    }
+
+    const percentages = [];
+    for (const gross of grossCandidates) {
+      const p = deriveDiscountPercentageFromBase(normalizedDiscount, gross);
+      if (p !== null) percentages.push(p);
+    }
+    for (const net of netCandidates) {
+      const p = deriveDiscountPercentageFromBase(normalizedDiscount, net + normalizedDiscount);
+      if (p !== null) percentages.push(p);
+    }
+
+    return pickPreferredDiscountPercentage(percentages);
+  }
+
+  function deriveDiscountPercentageFromReceiptLineItems(discountAmount, receipt) {
+    const lineItems = receipt.line_items || receipt.items || [];
+    if (!Array.isArray(lineItems) || !lineItems.length) {
+      return null;
+    }
+
+    const candidates = [];
+    for (const line of lineItems) {
+      const p = extractDiscountPercentage(line);
+      if (p !== null) candidates.push(p);
+    }
+
+    return pickPreferredDiscountPercentage(candidates);
+  }
+
+  function extractDiscountPercentage(entry, options = {}) {
+    const { depth = 0, visited = new Set() } = options;
+    if (depth > 3 || !entry || typeof entry !== 'object' || visited.has(entry)) {
+      return null;
+    }
+    visited.add(entry);
+
+    const directCandidates = [
+      entry.percentage,
+      entry.percent,
+      entry.rate,
+      entry.value_percentage,
+      entry.discount_percentage,
+      entry.percent_off,
+      entry.discount_percent
+    ];
+
+    for (const candidate of directCandidates) {
+      const percentage = normalizePercentageValue(candidate);
+      if (percentage !== null) {
+        return percentage;
+      }
+    }
+
+    const typeText = [
+      entry.type,
+      entry.discount_type,
+      entry.value_type,
+      entry.calculation_type,
+      entry.amount_type
+    ]
+      .filter(Boolean)
+      .join(' ')
+      .toUpperCase();
+
+    const valueCandidateRaw =
+      typeof entry.value === 'string'
+        ? entry.value.replace('%', '').trim()
+        : entry.value;
+    if (typeText.includes('PERCENT')) {
+      const percentage = normalizePercentageValue(valueCandidateRaw);
+      if (percentage !== null) {
+        return percentage;
+      }
+    }
+
+    const textFields = [
+      entry.name,
+      entry.title,
+      entry.label,
+      entry.description,
+      entry.reason,
+      entry.note
+    ]
+      .filter(Boolean)
+      .map((value) => String(value))
+      .join(' ');
+
+    const match = textFields.match(/(\d+(?:\.\d+)?)\s*%/);
+    if (match) {
+      const percentage = normalizePercentageValue(match[1]);
+      if (percentage !== null) {
+        return percentage;
+      }
+    }
+
+    const nestedDiscountFields = [
+      entry.discount,
+      entry.discounts,
+      entry.applied_discount,
+      entry.applied_discounts,
+      entry.discount_data,
+      entry.discount_detail,
+      entry.discount_details
+    ];
+
+    for (const nestedField of nestedDiscountFields) {
+      if (!nestedField) {
+        continue;
+      }
+
+      if (Array.isArray(nestedField)) {
+        for (const nestedEntry of nestedField) {
+          const percentage = extractDiscountPercentage(nestedEntry, {
+            depth: depth + 1,
+            visited
+          });
+          if (percentage !== null) {
+            return percentage;
+          }
+        }
+        continue;
+      }
+
+      if (typeof nestedField === 'object') {
+        const percentage = extractDiscountPercentage(nestedField, {
+          depth: depth + 1,
+          visited
+        });
+        if (percentage !== null) {
+          return percentage;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  function createDiscountEntry(amount, percentage = null, time = null, receiptNumber = null) {
+    const normalizedAmount = roundCurrency(Math.abs(amount));
+    const normalizedPercentage = normalizePercentageValue(percentage);
+
+    // Keep 100% discounts even if amount is 0, or any discount with a positive amount
+    if (normalizedAmount <= 0 && (normalizedPercentage === null || normalizedPercentage < 99.99)) {
+      return null;
+    }
+
+    return {
+      amount: normalizedAmount,
+      percentage: Number.isFinite(normalizedPercentage) && normalizedPercentage > 0 ? normalizedPercentage : null,
+      time,
+      receiptNumber
+    };
+  }
+
+  /**
+   * The discounts on a receipt (receipt-level lists, then line items, then
+   * the receipt total as a fallback), each with its amount and percentage.
+   * @param {Object} receipt
+   * @returns {Array<{amount: number, percentage: number|null, time: string|null, receiptNumber: string|null}>}
+   */
+  function extractDiscountEntriesFromReceipt(receipt) {
+    const time = receipt.receipt_date || receipt.created_at || null;
+    const receiptNumber = receipt.receipt_number || receipt.number || null;
+    const receiptLevelCandidates = [
+      receipt.total_discounts_money,
+      receipt.total_discount_money,
+      receipt.total_discount,
+      receipt.discount_money,
+      receipt.discount_amount,
+      receipt.discount
+    ];
+
+    const entries = [];
+
+    const receiptDiscountLists = [
+      receipt.total_discounts,
+      receipt.discounts,
+      receipt.applied_discounts
+    ];
+
+    for (const list of receiptDiscountLists) {
+      if (!Array.isArray(list)) {
+        continue;
+      }
+      for (const discount of list) {
+        const amount = Math.abs(extractDiscountValue(discount));
+        const percentage =
+          extractDiscountPercentage(discount) ??
+          deriveDiscountPercentageFromReceiptLineItems(amount, receipt) ??
+          deriveDiscountPercentageFromContext(amount, discount) ??
+          deriveDiscountPercentageFromContext(amount, receipt);
+        const entry = createDiscountEntry(amount, percentage, time, receiptNumber);
+        if (entry) {
+          entries.push(entry);
+        }
+      }
+    }
+
+    const lineItems = receipt.line_items || receipt.items || [];
+    if (Array.isArray(lineItems)) {
+      for (const line of lineItems) {
+        const lineLevelCandidates = [
+          line.total_discounts_money,
+          line.total_discount_money,
+          line.discount_money,
+          line.discount_amount,
+          line.discount
+        ];
+
+        let lineDiscount = null;
+        for (const candidate of lineLevelCandidates) {
+          const amount = Math.abs(normalizeMoney(candidate));
+          if (amount > 0) {
+            const percentage =
+              extractDiscountPercentage(line) ??
+              deriveDiscountPercentageFromContext(amount, line) ??
+              deriveDiscountPercentageFromContext(amount, receipt);
+            lineDiscount = createDiscountEntry(amount, percentage, time, receiptNumber);
+            break;
+          }
+        }
+
+        if (lineDiscount) {
+          entries.push(lineDiscount);
+          continue;
+        }
+
+        const lineDiscountLists = [line.discounts, line.applied_discounts];
+        for (const list of lineDiscountLists) {
+          if (!Array.isArray(list)) {
+            continue;
+          }
+          for (const discount of list) {
+            const amount = Math.abs(extractDiscountValue(discount));
+            const percentage =
+              extractDiscountPercentage(discount) ??
+              extractDiscountPercentage(line) ??
+              deriveDiscountPercentageFromContext(amount, discount) ??
+              deriveDiscountPercentageFromContext(amount, line) ??
+              deriveDiscountPercentageFromContext(amount, receipt);
+            const entry = createDiscountEntry(amount, percentage, time, receiptNumber);
+            if (entry) {
+              entries.push(entry);
+            }
+          }
+        }
+      }
+    }
+
+    if (entries.length > 0) {
+      return entries;
+    }
+
+    const fallbackPercentage = extractDiscountPercentage(receipt);
+    for (const candidate of receiptLevelCandidates) {
+      const amount = Math.abs(normalizeMoney(candidate));
+      const percentage =
+        fallbackPercentage ??
+        deriveDiscountPercentageFromContext(amount, receipt);
+      const entry = createDiscountEntry(amount, percentage, time, receiptNumber);
+      if (entry) {
+        return [entry];
+      }
+    }
+
+    return [];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Receipt analysis
+  // ---------------------------------------------------------------------------
+
+  let itemWeights = new Map();
+
+  function weightKey(itemId, variantId) {
+    return `${itemId || ''}:${variantId || ''}`;
+  }
+
+  /**
+   * Replace the gram weights used to count grams (rows of item_gram_weights).
+   * @param {Array<{item_id: string, variant_id?: string, weighed: boolean, grams_per_unit: number|null}>} weights
+   */
+  function setItemWeights(weights) {
+    itemWeights = new Map();
+    (Array.isArray(weights) ? weights : []).forEach((weight) => {
+      if (weight && weight.item_id) {
+        itemWeights.set(weightKey(weight.item_id, weight.variant_id), weight);
+      }
+    });
+  }
+
+  /**
+   * The gram weight for a line: the variant's own entry, else the item's.
+   * @returns {Object|null}
+   */
+  function findItemWeight(itemId, variantId) {
+    if (!itemId) {
+      return null;
+    }
+    return (variantId && itemWeights.get(weightKey(itemId, variantId))) || itemWeights.get(weightKey(itemId, '')) || null;
+  }
+
+  /**
+   * Split a receipt-level discount over the items in proportion to their
+   * net price. The rounding remainder goes to the largest item.
+   */
+  function allocateReceiptDiscount(items, amount) {
+    const candidates = items.filter((item) => item.line_net > 0.01);
+    const base = roundCurrency(candidates.reduce((sum, item) => sum + item.line_net, 0));
+    if (base <= 0.01 || amount <= 0.01) {
+      return;
+    }
+
+    const total = Math.min(amount, base);
+    let allocated = 0;
+    candidates.forEach((item) => {
+      item.receipt_discount = roundCurrency(total * (item.line_net / base));
+      allocated = roundCurrency(allocated + item.receipt_discount);
+    });
+
+    const largest = candidates.reduce((max, item) => (item.line_net > max.line_net ? item : max), candidates[0]);
+    largest.receipt_discount = roundCurrency(largest.receipt_discount + total - allocated);
+  }
+
+  /**
+   * Classify and price every line of a receipt.
+   *
+   * Each item carries its gross, line-level net and final net (after its
+   * share of any receipt-level discount the line totals do not already
+   * include), its classification and the rule that decided it, and the grams
+   * it adds. Main items add quantity x grams_per_unit from the gram weights
+   * (nothing when marked not weighed); main items without a weight add one
+   * gram per unit and are flagged unknown_weight. Free items (net 0, a 100%
+   * line discount or a 100% receipt discount) are listed but add no grams.
+   * Accessories count towards the main total.
+   *
+   * @param {Object} receipt - Loyverse receipt
+   * @param {Object} [options]
+   * @param {Map<string, string>} [options.itemCategoryMap] - item_id -> category for lines without category_name
+   * @returns {{receipt_number: string, time: string|null, items: Array<Object>, main_total: number, fb_total: number, net_sales: number, gram_qty: number, item_name: string}}
+   */
+  function analyzeReceipt(receipt, { itemCategoryMap } = {}) {
+    const lineItems = receipt.line_items || receipt.items || [];
+    const hasFullReceiptDiscount = extractDiscountEntriesFromReceipt(receipt).some((entry) => entry.percentage >= 99.99);
+
+    const items = (Array.isArray(lineItems) ? lineItems : []).map((lineItem) => {
+      const itemName = String(lineItem.item_name || lineItem.name || '').trim();
+      let category = extractLineItemCategory(lineItem);
+      if (!category && itemCategoryMap) {
+        const itemId = lineItem.item_id || lineItem.id;
+        if (itemId && itemCategoryMap.has(itemId)) {
+          category = itemCategoryMap.get(itemId);
+        }
+      }
+
+      const lineNet = extractLineItemPrice(lineItem);
+      const gross = extractLineItemGrossPrice(lineItem);
+      const lineDiscount = Math.max(0, gross - lineNet);
+      const lineDiscountPercent = gross > 0 ? (lineDiscount / gross * 100) : 0;
+      const isFree = lineNet <= 0.01 || lineDiscountPercent >= 99.99 || hasFullReceiptDiscount;
+
+      const quantity = extractLineItemQty(lineItem);
+      const unitPrice = quantity > 0 ? roundCurrency(lineNet / quantity) : lineNet;
+      const { classification, rule } = classifyItemDetailed(itemName.toLowerCase(), category || 'uncategorized', unitPrice);
+
+      // Main items without a gram weight count one gram per unit and are reported
+      const weight = classification === 'main' ? findItemWeight(lineItem.item_id, lineItem.variant_id) : null;
+      const weighed = classification === 'main' && (weight ? Boolean(weight.weighed) : true);
+      const gramsPerUnit = weight && weight.weighed ? toNumber(weight.grams_per_unit) : 1;
+      const gramQty = weighed ? Number((quantity * gramsPerUnit).toFixed(3)) : 0;
+
+      return {
+        item_id: lineItem.item_id || null,
+        variant_id: lineItem.variant_id || null,
+        item_name: itemName,
+        category,
+        classification,
+        rule,
+        quantity,
+        weighed,
+        unknown_weight: classification === 'main' && !weight,
+        gram_qty: gramQty,
+        grams: isFree ? 0 : gramQty,
+        gross,
+        line_net: lineNet,
+        receipt_discount: 0,
+        unit_price: unitPrice,
+        is_free: isFree
+      };
+    });
+
+    // Receipt-level discount fallback: if the API did not fully push the
+    // discount down to the line totals, allocate the remainder to the items.
+    const receiptDiscount = extractReceiptDiscountAmount(receipt);
+    const knownLineDiscount = items.reduce((sum, item) => sum + Math.max(0, item.gross - item.line_net), 0);
+    const remainingReceiptDiscount = roundCurrency(Math.max(0, receiptDiscount - roundCurrency(knownLineDiscount)));
+    allocateReceiptDiscount(items, remainingReceiptDiscount);
+
+    let mainTotal = 0;
+    let fbTotal = 0;
+    let totalGrams = 0;
+    let mainItemName = '';
+    items.forEach((item) => {
+      item.net = roundCurrency(item.line_net - item.receipt_discount);
+      item.discount = roundCurrency(Math.max(0, item.gross - item.net));
+      item.discount_percent = item.gross > 0 ? roundCurrency(item.discount / item.gross * 100) : 0;
+
+      if (item.classification === 'fb') {
+        fbTotal += item.net;
+      } else {
+        mainTotal += item.net;
+      }
+      if (item.grams > 0) {
+        totalGrams += item.grams;
+        if (!mainItemName) {
+          mainItemName = item.item_name;
+        }
+      }
+    });
+
+    return {
+      receipt_number: getReceiptIdentifier(receipt),
+      time: receipt.receipt_date || receipt.created_at || null,
+      items,
+      main_total: roundCurrency(mainTotal),
+      fb_total: roundCurrency(fbTotal),
+      net_sales: roundCurrency(mainTotal + fbTotal),
+      gram_qty: roundCurrency(totalGrams),
+      item_name: mainItemName || 'Accessories'
+    };
+  }
+
+  /**
+   * Gross, discount and net per classification over analyzed receipts.
+   * Accessories are kept apart from Main here, unlike the receipt rows'
+   * Main / F&B split.
+   * @param {Array<Object>} analyses - analyzeReceipt results
+   * @returns {{main: Object, accessory: Object, fb: Object}} each { gross, discount, net }
+   */
+  function summarizeClassTotals(analyses) {
+    const totals = {};
+    CLASSIFICATIONS.forEach((classification) => {
+      totals[classification] = { gross: 0, discount: 0, net: 0 };
+    });
+    analyses.forEach((analysis) => {
+      analysis.items.forEach((item) => {
+        const target = totals[item.classification] || totals.main;
+        target.gross += item.gross;
+        target.discount += item.discount;
+        target.net += item.net;
+      });
+    });
+    CLASSIFICATIONS.forEach((classification) => {
+      const target = totals[classification];
+      target.gross = roundCurrency(target.gross);
+      target.discount = roundCurrency(target.discount);
+      target.net = roundCurrency(target.net);
+    });
+    return totals;
+  }
+
+  /**
+   * Main items sold without a gram weight, one entry per item/variant with
+   * the quantity sold and the receipts it was on.
+   * @param {Array<Object>} analyses - analyzeReceipt results
+   * @returns {Array<{item_id: string|null, variant_id: string|null, item_name: string, quantity: number, receipts: Array<string>}>}
+   */
+  function collectUnknownWeights(analyses) {
+    const unknown = new Map();
+    analyses.forEach((analysis) => {
+      analysis.items.filter((item) => item.unknown_weight).forEach((item) => {
+        const key = item.item_id ? weightKey(item.item_id, item.variant_id) : `name:${item.item_name.toLowerCase()}`;
+        if (!unknown.has(key)) {
+          unknown.set(key, { item_id: item.item_id, variant_id: item.variant_id, item_name: item.item_name, quantity: 0, receipts: [] });
+        }
+        const entry = unknown.get(key);
+        entry.quantity = Number((entry.quantity + item.quantity).toFixed(3));
+        if (!entry.receipts.includes(analysis.receipt_number)) {
+          entry.receipts.push(analysis.receipt_number);
+        }
+      });
+    });
+    return [...unknown.values()].sort((a, b) => a.item_name.localeCompare(b.item_name));
+  }
+
+  function describeDiscount(item) {
+    if (item.discount <= 0.01 && !item.is_free) {
+      return '-';
+    }
+    const percent = item.is_free ? 100 : item.discount_percent;
+    return `${percent.toFixed(0)}% (${item.discount.toFixed(2)} THB)`;
+  }
+
+  /**
+   * Rows for the daily Excel sheets: main and accessory lines in flowerItems,
+   * F&B lines in fbItems, weighed lines showing grams instead of a quantity.
+   * Refund receipts are left out.
+   * @param {Array} receipts - Loyverse receipts
+   * @param {Object} [options] - See analyzeReceipt
+   * @returns {{flowerItems: Array<Object>, fbItems: Array<Object>, totalFlowerGrams: number, totalFbAmount: number}}
+   */
+  function buildExportItems(receipts, options = {}) {
+    const flowerItems = [];
+    const fbItems = [];
+    let totalFlowerGrams = 0;
+    let totalFbAmount = 0;
+
+    filterOutRefundReceipts(receipts).forEach((receipt) => {
+      const analysis = analyzeReceipt(receipt, options);
+      const paymentMethod = (receipt.payments && receipt.payments[0]?.payment_type?.name) ||
+        (receipt.payments && receipt.payments[0]?.name) || 'N/A';
+      const receiptNumber = getReceiptNumber(receipt) || 'N/A';
+
+      analysis.items.forEach((item) => {
+        const exportItem = {
+          type: item.classification === 'fb' ? 'F&B' : (item.classification === 'accessory' ? 'Accessories' : 'Flower/Main'),
+          name: item.item_name,
+          qty: item.weighed ? '-' : item.quantity,
+          gram: item.weighed ? `${item.gram_qty.toFixed(3)} G` : '-',
+          unitPrice: roundCurrency(item.gross / (item.quantity || 1)),
+          discount: describeDiscount(item),
+          netPrice: item.net,
+          payment: paymentMethod,
+          note: receiptNumber
+        };
+
+        if (item.classification === 'fb') {
+          fbItems.push(exportItem);
+          totalFbAmount += item.net;
+        } else {
+          flowerItems.push(exportItem);
+        }
+      });
+
+      totalFlowerGrams += analysis.gram_qty;
+    });
+
+    return {
+      flowerItems,
+      fbItems,
+      totalFlowerGrams: Number(totalFlowerGrams.toFixed(3)),
+      totalFbAmount: roundCurrency(totalFbAmount)
+    };
+  }
+
+  return {
+    configure,
+    roundCurrency,
+    toNumber,
+    normalizeMoney,
+    extractMoneyValue,
+    pickMoneyValue,
+    hasRefundData,
+    isVoidedReceipt,
+    isCompletedReceipt,
+    isRefundReceipt,
+    collectRefundedReceiptNumbers,
+    filterOutRefundReceipts,
+    MAIN_KEYWORDS,
+    FB_KEYWORDS,
+    ACCESSORY_KEYWORDS,
+    FB_EXCEPTION_KEYWORDS,
+    CLASSIFICATIONS,
+    MATCH_TYPES,
+    buildDefaultRules,
+    setClassificationRules,
+    classifyItem,
+    classifyItemDetailed,
+    findMatchingRules,
+    getReceiptIdentifier,
+    extractLineItemCategory,
+    extractLineItemQty,
+    extractLineItemPrice,
+    extractLineItemGrossPrice,
+    extractReceiptDiscountAmount,
+    normalizePercentageValue,
+    pickPreferredDiscountPercentage,
+    extractDiscountEntriesFromReceipt,
+    setItemWeights,
+    findItemWeight,
+    analyzeReceipt,
+    collectUnknownWeights,
+    summarizeClassTotals,
+    buildExportItems
+  };
+}));
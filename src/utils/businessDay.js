@@ -0,0 +1,103 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// A business day D runs from D at the start time until D+1 at the start time,
+// so with "04:00" a receipt at 02:00 belongs to the previous night's closing.
+const DEFAULT_BUSINESS_DAY_START = '00:00';
+
+function getTimezone() {
+  return process.env.LOYVERSE_TIMEZONE || 'Asia/Bangkok';
+}
+
+function isValidBusinessDayStart(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value || ''));
+}
+
+/**
+ * Convert "HH:mm" to minutes after midnight; invalid values fall back to
+ * BUSINESS_DAY_START, then midnight.
+ * @param {string} [value]
+ * @returns {number}
+ */
+function toStartMinutes(value) {
+  const candidates = [value, process.env.BUSINESS_DAY_START, DEFAULT_BUSINESS_DAY_START];
+  const start = candidates.find(isValidBusinessDayStart);
+  const [hours, minutes] = start.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes after midnight back to "HH:mm".
+ * @param {number} startMinutes
+ * @returns {string}
+ */
+function formatStartMinutes(startMinutes) {
+  const hours = String(Math.floor(startMinutes / 60)).padStart(2, '0');
+  const minutes = String(startMinutes % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Instants where the business day for `date` starts and ends.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} [startMinutes=0]
+ * @returns {{start: dayjs.Dayjs, end: dayjs.Dayjs}}
+ */
+function getBusinessDayBounds(date, startMinutes = 0) {
+  const start = dayjs.tz(`${date} 00:00:00`, getTimezone()).add(startMinutes, 'minute');
+  return { start, end: start.add(1, 'day') };
+}
+
+/**
+ * Business date (YYYY-MM-DD) an ISO timestamp belongs to.
+ * @param {string|Date} value
+ * @param {number} [startMinutes=0]
+ * @returns {string|null}
+ */
+function toBusinessDate(value, startMinutes = 0) {
+  if (!value) {
+    return null;
+  }
+  const parsed = dayjs(value);
+  if (!parsed.isValid()) {
+    return null;
+  }
+  return parsed.tz(getTimezone()).subtract(startMinutes, 'minute').format('YYYY-MM-DD');
+}
+
+/**
+ * Business date that is currently open.
+ * @param {number} [startMinutes=0]
+ * @returns {string}
+ */
+function currentBusinessDate(startMinutes = 0) {
+  return toBusinessDate(new Date(), startMinutes);
+}
+
+/**
+ * First business date that starts at or after the given instant.
+ * @param {dayjs.Dayjs} instant
+ * @param {number} [startMinutes=0]
+ * @returns {string}
+ */
+function firstFullBusinessDate(instant, startMinutes = 0) {
+  const date = toBusinessDate(instant, startMinutes);
+  const { start } = getBusinessDayBounds(date, startMinutes);
+  return start.isSame(instant) ? date : dayjs(date).add(1, 'day').format('YYYY-MM-DD');
+}
+
+module.exports = {
+  DEFAULT_BUSINESS_DAY_START,
+  getTimezone,
+  isValidBusinessDayStart,
+  toStartMinutes,
+  formatStartMinutes,
+  getBusinessDayBounds,
+  toBusinessDate,
+  currentBusinessDate,
+  firstFullBusinessDate
+};
@@ -1,44 +1,4 @@
-function roundCurrency(value) {
-  return Number((value || 0).toFixed(2));
-}
-
-function toNumber(value) {
-  if (value === null || value === undefined || value === '') {
-    return 0;
-  }
-
-  if (typeof value === 'number') {
-    return Number.isFinite(value) ? value : 0;
-  }
-
-  if (typeof value === 'string') {
-    const normalized = value.replace(/,/g, '').trim();
-    const parsed = Number(normalized);
-    return Number.isFinite(parsed) ? parsed : 0;
-  }
-
-  if (typeof value === 'object') {
-    if (Object.prototype.hasOwnProperty.call(value, 'amount')) {
-      return toNumber(value.amount);
-    }
-    if (Object.prototype.hasOwnProperty.call(value, 'value')) {
-      return toNumber(value.value);
-    }
-  }
-
-  return 0;
-}
-
-function normalizeMoney(rawValue) {
-  const divisor = Number(process.env.LOYVERSE_MONEY_DIVISOR || 1);
-  let amount = toNumber(rawValue);
-
-  if (Number.isFinite(divisor) && divisor > 1 && Number.isInteger(amount) && Math.abs(amount) >= divisor) {
-    amount = amount / divisor;
-  }
-
-  return roundCurrency(amount);
-}
+const { roundCurrency, toNumber, normalizeMoney } = require('../shared/salesLogic');
 
 function calculateExpectedCash({ opening_cash = 0, net_sale = 0 }) {
   return roundCurrency(toNumber(opening_cash) + toNumber(net_sale));
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const catalog = require('../src/services/catalogService');
+const { createItemCategoryMapLoader } = require('../src/services/loyverseService');
+
+test('category map loader: reads each snapshot and the current catalog once', async (t) => {
+  // Snapshots on 03-01 and 03-05; dates before 03-01 fall back to the current catalog
+  t.mock.method(catalog, 'findSnapshotDate', async (kind, date) => {
+    if (date >= '2026-03-05') return '2026-03-05';
+    if (date >= '2026-03-01') return '2026-03-01';
+    return null;
+  });
+  const getCatalog = t.mock.method(catalog, 'getCatalog', async (kind, { date } = {}) => [
+    { id: 'item-haze', category_name: date ? `flower ${date}` : 'flower current' }
+  ]);
+  t.mock.method(console, 'log', () => {});
+
+  const loadItemCategoryMap = createItemCategoryMapLoader();
+  const dates = ['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02', '2026-03-05', '2026-03-06'];
+  const maps = [];
+  for (const date of dates) {
+    maps.push((await loadItemCategoryMap(date)).get('item-haze'));
+  }
+
+  assert.deepEqual(maps, [
+    'flower current', 'flower current',
+    'flower 2026-03-01', 'flower 2026-03-01',
+    'flower 2026-03-05', 'flower 2026-03-05'
+  ]);
+  assert.equal(getCatalog.mock.callCount(), 3);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// An unseeded item_gram_weights table without a database: record the upserts
+// and the seed marker
+const db = require('../src/config/db');
+const upserts = [];
+const seedMarkers = new Set();
+db.query = async (sql, params = []) => {
+  if (/INSERT INTO item_gram_weights/.test(sql)) {
+    const [itemId, variantId, itemName, weighed, gramsPerUnit, note] = params;
+    upserts.push({ item_id: itemId, variant_id: variantId, item_name: itemName, weighed, grams_per_unit: gramsPerUnit, note });
+  }
+  return [];
+};
+db.hasSeedMarker = async (name) => seedMarkers.has(name);
+db.writeSeedMarker = async (name) => { seedMarkers.add(name); };
+
+const catalog = require('../src/services/catalogService');
+const { loyverseClient } = require('../src/services/loyverseClient');
+const { seedItemWeights } = require('../src/services/itemWeightService');
+
+test('seedItemWeights: not-weighed legacy items and Lemon Cherry 7G variants', async (t) => {
+  process.env.LOYVERSE_API_TOKEN = process.env.LOYVERSE_API_TOKEN || 'test-token';
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(catalog, 'getCatalog', async () => [
+    { id: 'item-lcg', name: 'Lemon Cherry Gelato' },
+    { id: 'item-lcm', name: 'Lemon Cherry Martini' },
+    { id: 'item-shirt', name: 'The Lobby Shirt' },
+    { id: 'item-moonbow', name: 'Moonbow' }
+  ]);
+  const variants = {
+    'item-lcg': [
+      { variant_id: 'var-lcg-35', option1_value: '3.5G' },
+      { variant_id: 'var-lcg-7', option1_value: '7G' }
+    ],
+    'item-lcm': [{ variant_id: 'var-lcm-1', option1_value: '1 g' }]
+  };
+  const get = t.mock.method(loyverseClient, 'get', async (url) => ({
+    data: { variants: variants[url.split('/').pop()] || [] }
+  }));
+
+  assert.equal(await seedItemWeights(), 2);
+  assert.deepEqual(upserts, [
+    { item_id: 'item-shirt', variant_id: '', item_name: 'The Lobby Shirt', weighed: false, grams_per_unit: null, note: 'Built-in' },
+    { item_id: 'item-lcg', variant_id: 'var-lcg-7', item_name: 'Lemon Cherry Gelato', weighed: true, grams_per_unit: 7, note: 'Built-in 7G pack' }
+  ]);
+  assert.deepEqual(get.mock.calls.map((call) => call.arguments[0]), ['/items/item-lcg', '/items/item-lcm']);
+
+  // Seeded once: later calls neither add entries nor ask Loyverse again
+  assert.deepEqual([...seedMarkers], ['item_gram_weights']);
+  assert.equal(await seedItemWeights(), 0);
+  assert.equal(upserts.length, 2);
+  assert.equal(get.mock.callCount(), 2);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOYVERSE_REQUEST_BUDGET = '1';
+const { loyverseClient, withRequestBudget, withoutRequestBudget } = require('../src/services/loyverseClient');
+
+// Answer every request locally instead of calling Loyverse
+loyverseClient.defaults.adapter = async (config) => ({ data: {}, status: 200, statusText: 'OK', headers: {}, config });
+
+test('request budget: background work started inside a sync is not charged to it', async () => {
+  await withRequestBudget(async () => {
+    const background = withoutRequestBudget(async () => {
+      await loyverseClient.get('/items');
+      await loyverseClient.get('/items');
+    });
+    await loyverseClient.get('/receipts');
+    await background;
+
+    await assert.rejects(loyverseClient.get('/receipts'), { status: 503 });
+  });
+});
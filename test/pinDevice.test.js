@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// pin_devices in memory, no sessions and one active user, without a database
+const db = require('../src/config/db');
+const pinDevices = new Map();
+db.query = async (sql, params = []) => {
+  if (/^INSERT INTO pin_devices/.test(sql)) {
+    const [id, userId, expiresAt] = params;
+    pinDevices.set(id, { user_id: userId, expires_at: expiresAt });
+    return { affectedRows: 1 };
+  }
+  if (/FROM pin_devices d/.test(sql)) {
+    const device = pinDevices.get(params[0]);
+    return device ? [{ expires_at: device.expires_at, active: 1 }] : [];
+  }
+  if (/^DELETE FROM pin_devices WHERE id/.test(sql)) {
+    pinDevices.delete(params[0]);
+    return { affectedRows: 1 };
+  }
+  if (/^DELETE FROM pin_devices WHERE expires_at/.test(sql) || /FROM sessions s/.test(sql)) {
+    return [];
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+const { createPinDevice, getSessionUser } = require('../src/services/sessionService');
+const { requirePinDevice } = require('../src/middleware/auth');
+
+function pinRequest(cookie, user = null) {
+  return { headers: { cookie }, user, secure: false, get: () => undefined };
+}
+
+function runMiddleware(req) {
+  const cookies = {};
+  const res = { cookie: (name, value) => { cookies[name] = value; } };
+  return new Promise((resolve) => {
+    requirePinDevice(req, res, (error) => resolve({ error, cookies }));
+  });
+}
+
+test('PIN device: an enrolled device token opens PIN switching but no session', async () => {
+  const { token } = await createPinDevice(1);
+
+  const { error } = await runMiddleware(pinRequest(`pin_device=${token}`));
+  assert.equal(error, undefined);
+  assert.equal(await getSessionUser(token), null);
+});
+
+test('PIN device: unknown device tokens and PIN sessions are refused', async () => {
+  const { error } = await runMiddleware(pinRequest('pin_device=not-enrolled', { id: 2, session_method: 'pin' }));
+  assert.equal(error.status, 401);
+});
+
+test('PIN device: a password session without enrollment enrolls the device', async () => {
+  const { error, cookies } = await runMiddleware(pinRequest('sid=password-session', { id: 1, session_method: 'password' }));
+  assert.equal(error, undefined);
+  assert.match(cookies.pin_device, /^[0-9a-f]{64}$/);
+  assert.notEqual(cookies.pin_device, 'password-session');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getComparisonRanges } = require('../src/controllers/reportController');
+
+test('compare ranges: week to date against the previous week and 52 weeks back', () => {
+  assert.deepEqual(getComparisonRanges('week', '2026-10-22'), {
+    current: { from: '2026-10-19', to: '2026-10-22' },
+    previous: { from: '2026-10-12', to: '2026-10-15' },
+    last_year: { from: '2025-10-20', to: '2025-10-23' }
+  });
+});
+
+test('compare ranges: month to date is cut at the end of a shorter month', () => {
+  assert.deepEqual(getComparisonRanges('month', '2026-03-31'), {
+    current: { from: '2026-03-01', to: '2026-03-31' },
+    previous: { from: '2026-02-01', to: '2026-02-28' },
+    last_year: { from: '2025-03-01', to: '2025-03-31' }
+  });
+});
+
+test('compare ranges: the previous year ends on the same calendar day across a leap year', () => {
+  assert.deepEqual(getComparisonRanges('year', '2025-03-01'), {
+    current: { from: '2025-01-01', to: '2025-03-01' },
+    previous: { from: '2024-01-01', to: '2024-03-01' },
+    last_year: null
+  });
+  assert.deepEqual(getComparisonRanges('year', '2024-02-29').previous, { from: '2023-01-01', to: '2023-02-28' });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// One saved report and an archived summary for it, without a database
+const db = require('../src/config/db');
+const savedReport = {
+  id: 7, date: '2026-03-14', store_id: 'store-a', status: 'approved',
+  net_sale: 10000, cash_total: 6000, card_total: 4000, transfer_total: 0,
+  total_orders: 40, total_grams: 55, fb_total: 800,
+  opening_cash: 2000, expense: 300, safe_box_amount: 1000, actual_cash_counted: 6700,
+  expected_cash: 12000, difference: 0
+};
+db.query = async (sql) => {
+  if (/^SELECT \* FROM daily_reports/.test(sql)) {
+    return [{ ...savedReport }];
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+const loyverseService = require('../src/services/loyverseService');
+// A late refund of 500 cash
+loyverseService.fetchSalesSummaryByDate = async () => ({
+  net_sale: 9500, cash_total: 5500, card_total: 4000, transfer_total: 0,
+  total_orders: 39, total_grams: 55, fb_total: 800,
+  orders: [{}]
+});
+
+const { recomputeReportRange } = require('../src/controllers/reportController');
+
+test('recompute dry run: lists the new expected cash and difference', async () => {
+  const [day] = await recomputeReportRange('2026-03-14', '2026-03-14', { storeId: 'store-a' });
+
+  assert.equal(day.status, 'changed');
+  assert.equal(day.changes.old.expected_cash, 12000);
+  assert.equal(day.changes.new.expected_cash, 11500);
+  assert.equal(day.changes.old.difference, 0);
+  assert.equal(day.changes.new.difference, -500);
+  assert.equal(day.changes.new.net_sale, 9500);
+});
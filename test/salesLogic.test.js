@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const salesLogic = require('../src/shared/salesLogic');
+const { buildAutomatedReportRows, selectClosedReceiptsForDay } = require('../src/services/loyverseService');
+
+const { analyzeReceipt, buildExportItems, setItemWeights, configure } = salesLogic;
+
+// One business day of store-a (2026-03-14, midnight day start) with a late
+// receipt from the night before, a refunded sale and its refund, a 100% line
+// discount, a 100% receipt discount, a 10% receipt discount, accessories and
+// F&B keyword exceptions ("Grape Soda", "Groot Snack")
+const DATE = '2026-03-14';
+const FIXTURE = path.join(__dirname, 'fixtures', 'receipts', 'business-day.json');
+
+const ITEM_CATEGORIES = new Map([
+  ['item-lcg', 'Flower'],
+  ['item-grape-soda', 'Flower'],
+  ['item-gelato41', 'Flower'],
+  ['item-moonbow', 'Flower'],
+  ['item-darth', 'Flower'],
+  ['item-obama', 'Flower'],
+  ['item-groot', 'Edibles'],
+  ['item-grinder', 'Accessories'],
+  ['item-singha', 'Alcohol'],
+  ['item-chang', 'Alcohol'],
+  ['item-coke', 'Soft Drink'],
+  ['item-water', 'Soft Drink']
+]);
+
+configure({ moneyDivisor: 1 });
+setItemWeights([
+  { item_id: 'item-lcg', variant_id: 'var-lcg-35', weighed: true, grams_per_unit: 3.5 },
+  { item_id: 'item-grape-soda', weighed: true, grams_per_unit: 1 },
+  { item_id: 'item-gelato41', weighed: true, grams_per_unit: 1 },
+  { item_id: 'item-moonbow', variant_id: 'var-moonbow-35', weighed: true, grams_per_unit: 3.5 },
+  { item_id: 'item-darth', weighed: true, grams_per_unit: 1 },
+  { item_id: 'item-obama', weighed: true, grams_per_unit: 3.5 }
+]);
+
+// Fresh copy each time: selectClosedReceiptsForDay fills in category_name
+function loadReceipts() {
+  return JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+}
+
+function loadDay() {
+  return selectClosedReceiptsForDay(loadReceipts(), DATE, 0, ITEM_CATEGORIES);
+}
+
+function receiptByNumber(number) {
+  return loadReceipts().find((receipt) => receipt.receipt_number === number);
+}
+
+function pick(items, fields) {
+  return items.map((item) => Object.fromEntries(fields.map((field) => [field, item[field]])));
+}
+
+test('business day: drops the refunded sale, its refund and the previous night', () => {
+  assert.deepEqual(loadDay().map((receipt) => receipt.receipt_number), ['1-2001', '1-2002', '1-2003', '1-2004']);
+});
+
+test('analyzeReceipt: accessories count towards main, F&B apart', () => {
+  const analysis = analyzeReceipt(receiptByNumber('1-2001'), { itemCategoryMap: ITEM_CATEGORIES });
+
+  assert.deepEqual(pick(analysis.items, ['item_name', 'category', 'classification', 'grams', 'net']), [
+    { item_name: 'Lemon Cherry Gelato', category: 'Flower', classification: 'main', grams: 3.5, net: 1500 },
+    { item_name: 'Singha Beer', category: 'Alcohol', classification: 'fb', grams: 0, net: 240 },
+    { item_name: 'Best Buds Grinder', category: 'Accessories', classification: 'accessory', grams: 0, net: 350 }
+  ]);
+  assert.equal(analysis.main_total, 1850);
+  assert.equal(analysis.fb_total, 240);
+  assert.equal(analysis.net_sales, 2090);
+  assert.equal(analysis.gram_qty, 3.5);
+  assert.equal(analysis.item_name, 'Lemon Cherry Gelato');
+});
+
+test('analyzeReceipt: F&B exceptions stay main and 100% line discounts add no grams', () => {
+  const analysis = analyzeReceipt(receiptByNumber('1-2002'));
+
+  assert.deepEqual(pick(analysis.items, ['item_name', 'classification', 'is_free', 'unknown_weight', 'gram_qty', 'grams', 'discount', 'net']), [
+    { item_name: 'Grape Soda', classification: 'main', is_free: false, unknown_weight: false, gram_qty: 2, grams: 2, discount: 0, net: 1600 },
+    { item_name: 'Groot Snack', classification: 'main', is_free: false, unknown_weight: true, gram_qty: 1, grams: 1, discount: 0, net: 250 },
+    { item_name: 'Gelato 41', classification: 'main', is_free: true, unknown_weight: false, gram_qty: 1, grams: 0, discount: 400, net: 0 },
+    { item_name: 'Coke', classification: 'fb', is_free: true, unknown_weight: false, gram_qty: 0, grams: 0, discount: 60, net: 0 }
+  ]);
+  assert.equal(analysis.main_total, 1850);
+  assert.equal(analysis.fb_total, 0);
+  assert.equal(analysis.gram_qty, 3);
+});
+
+test('classifyItem: F&B exceptions only apply to items an F&B rule matches', () => {
+  assert.equal(salesLogic.classifyItem('Grape Soda', '', 40), 'main');
+  assert.equal(salesLogic.classifyItem('Gummy Bears', 'Snacks', 40), 'main');
+  assert.equal(salesLogic.classifyItem('Gummy Bears', '', 40), 'fb');
+  assert.equal(salesLogic.classifyItem('Gummy Bears', '', 80), 'main');
+  assert.equal(salesLogic.classifyItemDetailed('Gummy Bears', '', 40).rule.match_type, 'price');
+});
+
+test('analyzeReceipt: a 100% receipt discount makes every line free', () => {
+  const analysis = analyzeReceipt(receiptByNumber('1-2003'));
+
+  assert.ok(analysis.items.every((item) => item.is_free && item.grams === 0 && item.net === 0));
+  assert.equal(analysis.items[0].gram_qty, 3.5);
+  assert.equal(analysis.net_sales, 0);
+  assert.equal(analysis.gram_qty, 0);
+  assert.equal(analysis.item_name, 'Accessories');
+});
+
+test('analyzeReceipt: splits a receipt discount the lines do not include', () => {
+  const analysis = analyzeReceipt(receiptByNumber('1-2004'));
+
+  assert.deepEqual(pick(analysis.items, ['item_name', 'receipt_discount', 'discount_percent', 'net']), [
+    { item_name: 'Darth Vader', receipt_discount: 150, discount_percent: 10, net: 1350 },
+    { item_name: 'Water', receipt_discount: 4, discount_percent: 10, net: 36 }
+  ]);
+  assert.equal(analysis.main_total, 1350);
+  assert.equal(analysis.fb_total, 36);
+  assert.equal(analysis.net_sales, 1386);
+  assert.equal(analysis.gram_qty, 5);
+});
+
+test('buildAutomatedReportRows: day totals, class totals and unknown weights', () => {
+  const report = buildAutomatedReportRows(loadDay(), ITEM_CATEGORIES);
+
+  assert.deepEqual(
+    report.rows.map((row) => [row.receipt_number, row.gram_qty, row.price_split, row.net_sales]),
+    [
+      ['1-2001', 3.5, '1850 / 240', 2090],
+      ['1-2002', 3, '1850 / 0', 1850],
+      ['1-2003', 0, '0 / 0', 0],
+      ['1-2004', 5, '1350 / 36', 1386]
+    ]
+  );
+  assert.deepEqual(report.totals, {
+    total_gram_qty: 11.5,
+    total_numerator_price: 5050,
+    total_denominator_price: 276,
+    total_price_split: '5050 / 276',
+    total_net_sales: 5326,
+    class_totals: {
+      main: { gross: 6450, discount: 1750, net: 4700 },
+      fb: { gross: 440, discount: 164, net: 276 },
+      accessory: { gross: 350, discount: 0, net: 350 }
+    }
+  });
+  assert.deepEqual(report.unknown_weight_items, [
+    { item_id: 'item-groot', variant_id: 'var-groot', item_name: 'Groot Snack', quantity: 1, receipts: ['1-2002'] }
+  ]);
+});
+
+test('buildExportItems: sheet rows and totals match the report', () => {
+  const exported = buildExportItems(loadReceipts().filter((receipt) => receipt.receipt_number !== '1-1999'));
+
+  assert.equal(exported.totalFlowerGrams, 11.5);
+  assert.equal(exported.totalFbAmount, 276);
+  assert.deepEqual(exported.flowerItems.map((item) => item.name), [
+    'Lemon Cherry Gelato', 'Best Buds Grinder', 'Grape Soda', 'Groot Snack', 'Gelato 41', 'Moonbow', 'Darth Vader'
+  ]);
+  assert.deepEqual(exported.fbItems.map((item) => [item.name, item.discount, item.netPrice]), [
+    ['Singha Beer', '-', 240],
+    ['Coke', '100% (60.00 THB)', 0],
+    ['Chang Beer', '100% (100.00 THB)', 0],
+    ['Water', '10% (4.00 THB)', 36]
+  ]);
+
+  const byName = new Map(exported.flowerItems.map((item) => [item.name, item]));
+  assert.deepEqual(byName.get('Best Buds Grinder'), {
+    type: 'Accessories', name: 'Best Buds Grinder', qty: 1, gram: '-', unitPrice: 350,
+    discount: '-', netPrice: 350, payment: 'Cash', note: '1-2001'
+  });
+  assert.deepEqual(byName.get('Gelato 41'), {
+    type: 'Flower/Main', name: 'Gelato 41', qty: '-', gram: '1.000 G', unitPrice: 400,
+    discount: '100% (400.00 THB)', netPrice: 0, payment: 'Card', note: '1-2002'
+  });
+  assert.deepEqual(byName.get('Darth Vader'), {
+    type: 'Flower/Main', name: 'Darth Vader', qty: '-', gram: '5.000 G', unitPrice: 300,
+    discount: '10% (150.00 THB)', netPrice: 1350, payment: 'Card', note: '1-2004'
+  });
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// tip_entries and one daily report in memory instead of a database
+const db = require('../src/config/db');
+const tipEntries = [];
+const report = { date: '2026-03-14', store_id: 'store-a', tip: 500 };
+let nextId = 1;
+db.query = async (sql, params = []) => {
+  if (/^INSERT INTO tip_entries/.test(sql)) {
+    const [storeId, date, source, amount, note, createdBy] = params;
+    const id = nextId++;
+    tipEntries.push({ id, store_id: storeId, date, source, amount, note, created_by: createdBy, created_at: new Date() });
+    return { insertId: id };
+  }
+  if (/^SELECT \* FROM tip_entries WHERE id/.test(sql)) {
+    return tipEntries.filter((entry) => entry.id === params[0]);
+  }
+  if (/^SELECT \* FROM tip_entries WHERE date/.test(sql)) {
+    return tipEntries.filter((entry) => entry.date === params[0] && entry.store_id === params[1]);
+  }
+  if (/^DELETE FROM tip_entries WHERE id/.test(sql)) {
+    tipEntries.splice(tipEntries.findIndex((entry) => entry.id === params[0]), 1);
+    return { affectedRows: 1 };
+  }
+  if (/^UPDATE daily_reports SET tip/.test(sql)) {
+    const [tip, date, storeId] = params;
+    if (report.date === date && report.store_id === storeId) {
+      report.tip = tip;
+    }
+    return { affectedRows: 1 };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+const { addTipEntry, deleteTipEntry } = require('../src/services/tipService');
+
+test('tip entries: deleting the last entry clears the report tip', async () => {
+  const entry = await addTipEntry('2026-03-14', 'store-a', { source: 'cash_jar', amount: 320 }, 'manager');
+  assert.equal(report.tip, 320);
+
+  assert.equal((await deleteTipEntry(entry.id)).amount, 320);
+  assert.equal(tipEntries.length, 0);
+  assert.equal(report.tip, 0);
+});
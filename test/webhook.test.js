@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Business day starts per store without a database: store-b closes at 04:00
+const storeService = require('../src/services/storeService');
+storeService.getBusinessDayStart = async (storeId) => (storeId === 'store-b' ? 240 : 0);
+const receiptArchive = require('../src/services/receiptArchiveService');
+
+const { collectAffectedDates } = require('../src/services/receiptSyncService');
+const {
+  assertAuthenticWebhook,
+  groupReceiptsByStore,
+  splitByArchiveCoverage
+} = require('../src/controllers/webhookController');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'webhooks');
+// Secret the recorded signature was made with
+const FIXTURE_SECRET = 'whsec_test_fixture';
+
+const rawBody = fs.readFileSync(path.join(FIXTURES, 'receipts-update.body.json'));
+const headers = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'receipts-update.headers.json'), 'utf8'));
+const payload = JSON.parse(rawBody.toString('utf8'));
+
+function fakeRequest({ body = rawBody, requestHeaders = headers, query = {} } = {}) {
+  return {
+    rawBody: body,
+    query,
+    get: (name) => requestHeaders[name.toLowerCase()]
+  };
+}
+
+function withWebhookEnv(env, fn) {
+  const saved = {
+    LOYVERSE_WEBHOOK_SECRET: process.env.LOYVERSE_WEBHOOK_SECRET,
+    LOYVERSE_WEBHOOK_TOKEN: process.env.LOYVERSE_WEBHOOK_TOKEN
+  };
+  for (const key of Object.keys(saved)) {
+    if (env[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = env[key];
+    }
+  }
+  try {
+    fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  }
+}
+
+function assertStatus(fn, status) {
+  assert.throws(fn, (error) => error.status === status);
+}
+
+test('webhook signature: accepts the recorded payload and signature', () => {
+  withWebhookEnv({ LOYVERSE_WEBHOOK_SECRET: FIXTURE_SECRET }, () => {
+    assert.doesNotThrow(() => assertAuthenticWebhook(fakeRequest()));
+  });
+});
+
+test('webhook signature: rejects a tampered body', () => {
+  const tampered = Buffer.from(rawBody.toString('utf8').replace('"total_money":700', '"total_money":7'));
+  withWebhookEnv({ LOYVERSE_WEBHOOK_SECRET: FIXTURE_SECRET }, () => {
+    assertStatus(() => assertAuthenticWebhook(fakeRequest({ body: tampered })), 401);
+  });
+});
+
+test('webhook signature: rejects another secret, a missing signature and a missing raw body', () => {
+  withWebhookEnv({ LOYVERSE_WEBHOOK_SECRET: 'another-secret' }, () => {
+    assertStatus(() => assertAuthenticWebhook(fakeRequest()), 401);
+  });
+  withWebhookEnv({ LOYVERSE_WEBHOOK_SECRET: FIXTURE_SECRET }, () => {
+    assertStatus(() => assertAuthenticWebhook(fakeRequest({ requestHeaders: {} })), 401);
+    assertStatus(() => assertAuthenticWebhook(fakeRequest({ body: null })), 401);
+  });
+});
+
+test('webhook signature: accepts the shared ?token= and rejects a wrong one', () => {
+  withWebhookEnv({ LOYVERSE_WEBHOOK_TOKEN: 'shared-token' }, () => {
+    assert.doesNotThrow(() => assertAuthenticWebhook(fakeRequest({ requestHeaders: {}, query: { token: 'shared-token' } })));
+    assertStatus(() => assertAuthenticWebhook(fakeRequest({ requestHeaders: {}, query: { token: 'shared-tokem' } })), 401);
+  });
+});
+
+test('webhook signature: 503 when the receiver is not configured', () => {
+  withWebhookEnv({}, () => {
+    assertStatus(() => assertAuthenticWebhook(fakeRequest()), 503);
+  });
+});
+
+test('affected dates: receipts are grouped per store', () => {
+  const byStore = groupReceiptsByStore(payload.receipts);
+  assert.deepEqual([...byStore.keys()], ['store-a', 'store-b']);
+  assert.deepEqual(byStore.get('store-a').map((receipt) => receipt.receipt_number), ['1-1001', '1-1002']);
+  assert.deepEqual(byStore.get('store-b').map((receipt) => receipt.receipt_number), ['2-0500', '2-0501']);
+});
+
+test('affected dates: business dates follow each store\'s day start and include refunded days', async (t) => {
+  const archived = { '2-0400': { receipt_number: '2-0400', store_id: 'store-b', receipt_date: '2026-03-10T08:00:00.000Z' } };
+  t.mock.method(receiptArchive, 'getArchivedReceiptsByNumber', async (numbers) => (
+    new Map(numbers.filter((number) => archived[number]).map((number) => [number, archived[number]]))
+  ));
+  const byStore = groupReceiptsByStore(payload.receipts);
+
+  // 23:30 and 01:10 Bangkok time with a midnight day start
+  assert.deepEqual(await collectAffectedDates(byStore.get('store-a')), ['2026-03-14', '2026-03-15']);
+  // 02:00 belongs to the night before with a 04:00 day start; the refund
+  // also changes the original receipt's day
+  assert.deepEqual(await collectAffectedDates(byStore.get('store-b')), ['2026-03-10', '2026-03-14', '2026-03-15']);
+});
+
+test('affected dates: only days the archive fully covers are rebuilt from it', () => {
+  const dates = ['2026-03-10', '2026-03-14', '2026-03-15'];
+  assert.deepEqual(splitByArchiveCoverage(dates, '2026-03-14'), {
+    archived: ['2026-03-14', '2026-03-15'],
+    fetched: ['2026-03-10']
+  });
+  assert.deepEqual(splitByArchiveCoverage(dates, null), { archived: [], fetched: dates });
+});